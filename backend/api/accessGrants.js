@@ -0,0 +1,267 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { findUser, findAccessGrants, addAccessGrant, acceptAccessGrant, revokeAccessGrant, addAuditLog, findAuditLogs } = require('../data/dataAccess');
+const { assetTypes } = require('../services/assetSchemas');
+const {
+  DELEGABLE_REPORTS,
+  MAX_GRANT_DAYS,
+  generateInvitationToken,
+  hashInvitationToken,
+  grantStatus
+} = require('../services/accessGrants');
+const emailService = require('../services/emailService');
+const { authenticateToken } = require('../middleware/auth');
+const router = express.Router();
+
+// Validation middleware for inviting someone to read-only access
+const validateGrant = [
+  body('email').isEmail().normalizeEmail().withMessage('email must be a valid email address'),
+  body('reports').optional().isArray().withMessage('reports must be a list'),
+  body('reports.*').isIn(DELEGABLE_REPORTS).withMessage(`reports must be among: ${DELEGABLE_REPORTS.join(', ')}`),
+  body('categories').optional().isArray().withMessage('categories must be a list'),
+  body('categories.*').isIn(assetTypes).withMessage(`categories must be among: ${assetTypes.join(', ')}`),
+  body('expiresAt').isISO8601().withMessage('expiresAt must be a valid date').custom(value => {
+    const expiresAt = new Date(value);
+    if (expiresAt <= new Date()) {
+      throw new Error('expiresAt must be in the future');
+    }
+    if (expiresAt > new Date(Date.now() + MAX_GRANT_DAYS * 24 * 60 * 60 * 1000)) {
+      throw new Error(`Access can be granted for at most ${MAX_GRANT_DAYS} days`);
+    }
+    return true;
+  }),
+  body().custom(grant => {
+    if ((grant.reports || []).length === 0 && (grant.categories || []).length === 0) {
+      throw new Error('Choose at least one report or asset category');
+    }
+    return true;
+  }),
+];
+
+const validateAccept = [
+  body('token').isString().matches(/^[0-9a-f]{64}$/).withMessage('token must be an invitation token'),
+];
+
+const withStatus = (grant) => ({ ...grant, status: grantStatus(grant) });
+
+// Link the invitation email points at; the frontend posts the token back to /accept
+const invitationUrl = (token) => `${process.env.FRONTEND_URL || 'http://localhost:3001'}/access/accept?token=${token}`;
+
+// Grants the authenticated user has given
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const grants = await findAccessGrants({ ownerId: req.user.userId });
+
+    res.json({
+      grants: grants.map(withStatus),
+      reports: DELEGABLE_REPORTS,
+      categories: assetTypes
+    });
+  } catch (error) {
+    console.error('Get access grants error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve access grants',
+      message: 'Unable to fetch access grants'
+    });
+  }
+});
+
+// Grants other users have given the authenticated user that still work
+router.get('/received', authenticateToken, async (req, res) => {
+  try {
+    const grants = (await findAccessGrants({ granteeId: req.user.userId }))
+      .map(withStatus)
+      .filter(grant => grant.status === 'active');
+
+    res.json({ grants });
+  } catch (error) {
+    console.error('Get received access grants error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve access grants',
+      message: 'Unable to fetch shared portfolios'
+    });
+  }
+});
+
+// Invite someone by email to read-only access
+router.post('/', authenticateToken, validateGrant, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const owner = await findUser(req.user.userId);
+    if (owner.email.toLowerCase() === req.body.email.toLowerCase()) {
+      return res.status(400).json({
+        error: 'Invalid invitation',
+        message: 'You cannot grant access to yourself'
+      });
+    }
+
+    const token = generateInvitationToken();
+    const grant = await addAccessGrant({
+      ownerId: req.user.userId,
+      granteeEmail: req.body.email,
+      tokenHash: hashInvitationToken(token),
+      reports: [...new Set(req.body.reports || [])],
+      categories: [...new Set(req.body.categories || [])],
+      expiresAt: new Date(req.body.expiresAt)
+    });
+
+    const sent = await emailService.sendAccessInvitationEmail(owner, grant, invitationUrl(token));
+
+    // Log the invitation
+    await addAuditLog({
+      userId: req.user.userId,
+      action: 'grant_access',
+      resourceType: 'access_grant',
+      resourceId: grant.id,
+      newValues: { email: grant.granteeEmail, reports: grant.reports, categories: grant.categories, expiresAt: grant.expiresAt }
+    });
+
+    res.status(201).json({
+      message: sent.success
+        ? `Invitation sent to ${grant.granteeEmail}`
+        : `Access created, but the invitation email to ${grant.granteeEmail} could not be sent`,
+      emailSent: sent.success,
+      grant: withStatus(grant)
+    });
+  } catch (error) {
+    console.error('Create access grant error:', error);
+    res.status(500).json({
+      error: 'Failed to grant access',
+      message: 'Unable to create access grant'
+    });
+  }
+});
+
+// Accept an invitation. Only the account the invitation was sent to can use it.
+router.post('/accept', authenticateToken, validateAccept, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const [grant] = await findAccessGrants({ tokenHash: hashInvitationToken(req.body.token) });
+    if (!grant || grantStatus(grant) === 'revoked') {
+      return res.status(404).json({
+        error: 'Invitation not found',
+        message: 'This invitation does not exist or has been withdrawn'
+      });
+    }
+
+    if (grantStatus(grant) === 'expired') {
+      return res.status(410).json({
+        error: 'Invitation expired',
+        message: 'Ask for a new invitation'
+      });
+    }
+
+    const user = await findUser(req.user.userId);
+    if (user.email.toLowerCase() !== grant.granteeEmail.toLowerCase()) {
+      return res.status(403).json({
+        error: 'Wrong account',
+        message: `This invitation was sent to ${grant.granteeEmail}; sign in with that account to accept it`
+      });
+    }
+
+    const accepted = await acceptAccessGrant(grant.id, req.user.userId);
+    if (!accepted) {
+      return res.status(404).json({
+        error: 'Invitation not found',
+        message: 'This invitation does not exist or has been withdrawn'
+      });
+    }
+
+    // Log acceptance against the grant so the owner sees it
+    await addAuditLog({
+      userId: req.user.userId,
+      action: 'accept_access',
+      resourceType: 'access_grant',
+      resourceId: grant.id,
+      newValues: { ownerId: grant.ownerId, email: user.email }
+    });
+
+    res.json({
+      message: `You can now view ${accepted.ownerName || accepted.ownerEmail}'s shared portfolio`,
+      grant: withStatus(accepted)
+    });
+  } catch (error) {
+    console.error('Accept access grant error:', error);
+    res.status(500).json({
+      error: 'Failed to accept invitation',
+      message: 'Unable to accept invitation'
+    });
+  }
+});
+
+// Revoke a grant; pending invitations stop working too
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const [grant] = await findAccessGrants({ id: req.params.id });
+    if (!grant || grant.ownerId !== req.user.userId) {
+      return res.status(404).json({
+        error: 'Access grant not found',
+        message: 'The requested access grant does not exist'
+      });
+    }
+
+    const revoked = await revokeAccessGrant(grant.id);
+
+    // Log revocation
+    await addAuditLog({
+      userId: req.user.userId,
+      action: 'revoke_access',
+      resourceType: 'access_grant',
+      resourceId: grant.id,
+      oldValues: { email: grant.granteeEmail, status: grantStatus(grant) }
+    });
+
+    res.json({
+      message: 'Access revoked successfully',
+      grant: withStatus(revoked || grant)
+    });
+  } catch (error) {
+    console.error('Revoke access grant error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke access',
+      message: 'Unable to revoke access grant'
+    });
+  }
+});
+
+// Everything that happened through a grant, including each delegated read
+router.get('/:id/activity', authenticateToken, async (req, res) => {
+  try {
+    const [grant] = await findAccessGrants({ id: req.params.id });
+    if (!grant || grant.ownerId !== req.user.userId) {
+      return res.status(404).json({
+        error: 'Access grant not found',
+        message: 'The requested access grant does not exist'
+      });
+    }
+
+    const entries = await findAuditLogs({ grantId: grant.id, limit: 500 });
+
+    res.json({
+      entries,
+      total: entries.length
+    });
+  } catch (error) {
+    console.error('Get access grant activity error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve activity',
+      message: 'Unable to fetch access grant activity'
+    });
+  }
+});
+
+module.exports = router;
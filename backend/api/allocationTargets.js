@@ -0,0 +1,125 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { findAllocationTargets, setAllocationTargets, findTags, addAuditLog } = require('../data/dataAccess');
+const { assetTypes } = require('../services/assetSchemas');
+const { DEFAULT_TOLERANCE } = require('../services/rebalance');
+const { authenticateToken } = require('../middleware/auth');
+const router = express.Router();
+
+// Targets are set per asset category or per tag
+const ALLOCATION_BASES = ['category', 'tag'];
+
+const validateBasisQuery = [
+  query('basis').optional().isIn(ALLOCATION_BASES).withMessage(`basis must be one of: ${ALLOCATION_BASES.join(', ')}`),
+];
+
+// Validation middleware for replacing a basis's targets
+const validateTargets = [
+  body('basis').isIn(ALLOCATION_BASES).withMessage(`basis must be one of: ${ALLOCATION_BASES.join(', ')}`),
+  body('targets').isArray({ max: 50 }).withMessage('targets must be a list of at most 50 entries'),
+  body('targets.*.key').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Each target needs a category or tag id'),
+  body('targets.*.targetPercentage').isFloat({ min: 0, max: 100 }).withMessage('targetPercentage must be between 0 and 100').toFloat(),
+  body('targets.*.tolerance').optional({ nullable: true }).isFloat({ min: 0, max: 100 }).withMessage('tolerance must be between 0 and 100').toFloat(),
+];
+
+// Get allocation targets
+router.get('/', authenticateToken, validateBasisQuery, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const basis = req.query.basis || 'category';
+    const targets = await findAllocationTargets({ userId: req.user.userId, basis });
+
+    res.json({
+      basis,
+      targets,
+      total: targets.length
+    });
+  } catch (error) {
+    console.error('Get allocation targets error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve allocation targets',
+      message: 'Unable to fetch allocation targets'
+    });
+  }
+});
+
+// Replace allocation targets for a basis. An empty list clears them.
+router.put('/', authenticateToken, validateTargets, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { basis } = req.body;
+    const targets = req.body.targets.map(target => ({
+      key: target.key,
+      targetPercentage: target.targetPercentage,
+      tolerance: target.tolerance ?? DEFAULT_TOLERANCE
+    }));
+
+    const keys = targets.map(target => target.key);
+    if (new Set(keys).size !== keys.length) {
+      return res.status(400).json({
+        error: 'Invalid targets',
+        message: `Each ${basis} can only have one target`
+      });
+    }
+
+    const validKeys = basis === 'tag'
+      ? (await findTags({ userId: req.user.userId })).map(tag => tag.id)
+      : assetTypes;
+    const unknown = keys.filter(key => !validKeys.includes(key));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid targets',
+        message: `Unknown ${basis}: ${unknown.join(', ')}`
+      });
+    }
+
+    const totalPercentage = targets.reduce((sum, target) => sum + target.targetPercentage, 0);
+    if (targets.length > 0 && Math.abs(totalPercentage - 100) > 0.01) {
+      return res.status(400).json({
+        error: 'Invalid targets',
+        message: `Target percentages must add up to 100 (currently ${parseFloat(totalPercentage.toFixed(2))})`
+      });
+    }
+
+    const previous = await findAllocationTargets({ userId: req.user.userId, basis });
+    const saved = await setAllocationTargets(req.user.userId, basis, targets);
+
+    // Log target changes
+    await addAuditLog({
+      userId: req.user.userId,
+      action: 'update_allocation_targets',
+      resourceType: 'allocation_targets',
+      resourceId: basis,
+      oldValues: Object.fromEntries(previous.map(target => [target.key, target.targetPercentage])),
+      newValues: Object.fromEntries(saved.map(target => [target.key, target.targetPercentage]))
+    });
+
+    res.json({
+      message: 'Allocation targets updated successfully',
+      basis,
+      targets: saved
+    });
+  } catch (error) {
+    console.error('Update allocation targets error:', error);
+    res.status(500).json({
+      error: 'Failed to update allocation targets',
+      message: 'Unable to update allocation targets'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,121 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { findAssets, findBeneficiaries, findBeneficiaryDesignations, setAssetBeneficiaries, addAuditLog } = require('../data/dataAccess');
+const { splitProblem } = require('../services/estate');
+const { authenticateToken } = require('../middleware/auth');
+
+// Mounted at /api/assets/:id/beneficiaries
+const router = express.Router({ mergeParams: true });
+
+// Validation middleware for replacing an asset's designations
+const validateDesignations = [
+  body('designations').isArray({ max: 50 }).withMessage('designations must be a list of at most 50 entries'),
+  body('designations.*.beneficiaryId').isString().withMessage('Each designation needs a beneficiaryId'),
+  body('designations.*.percentage').isFloat({ gt: 0, max: 100 }).withMessage('percentage must be more than 0 and at most 100').toFloat(),
+];
+
+// Load the asset named in the URL, scoped to the authenticated user
+const loadAsset = async (req, res, next) => {
+  try {
+    const userAssets = await findAssets({ userId: req.user.userId, id: req.params.id });
+    if (!userAssets[0]) {
+      return res.status(404).json({
+        error: 'Asset not found',
+        message: 'The requested asset does not exist'
+      });
+    }
+    req.asset = userAssets[0];
+    next();
+  } catch (error) {
+    console.error('Load asset for beneficiaries error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve asset',
+      message: 'Unable to load the asset'
+    });
+  }
+};
+
+// Get an asset's beneficiary designations
+router.get('/', authenticateToken, loadAsset, async (req, res) => {
+  try {
+    const designations = await findBeneficiaryDesignations({ assetId: req.asset.id });
+
+    res.json({
+      designations,
+      totalPercentage: designations.reduce((sum, designation) => sum + designation.percentage, 0)
+    });
+  } catch (error) {
+    console.error('Get asset beneficiaries error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve beneficiaries',
+      message: 'Unable to fetch beneficiary designations'
+    });
+  }
+});
+
+// Replace an asset's designations. Percentages must add up to 100; an empty
+// list removes them.
+router.put('/', authenticateToken, loadAsset, validateDesignations, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const designations = req.body.designations.map(designation => ({
+      beneficiaryId: designation.beneficiaryId,
+      percentage: designation.percentage
+    }));
+
+    const problem = splitProblem(designations);
+    if (problem) {
+      return res.status(400).json({
+        error: 'Invalid designations',
+        message: problem
+      });
+    }
+
+    const owned = new Set((await findBeneficiaries({ userId: req.user.userId })).map(beneficiary => beneficiary.id));
+    const unknown = designations.filter(designation => !owned.has(designation.beneficiaryId));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid designations',
+        message: `Unknown beneficiaries: ${unknown.map(designation => designation.beneficiaryId).join(', ')}`
+      });
+    }
+
+    const previous = await findBeneficiaryDesignations({ assetId: req.asset.id });
+    const saved = await setAssetBeneficiaries(req.asset.id, designations);
+
+    // Log designation changes
+    const auditValues = (entries) => ({
+      assetId: req.asset.id,
+      designations: Object.fromEntries(entries.map(entry => [entry.name || entry.beneficiaryId, entry.percentage]))
+    });
+    await addAuditLog({
+      userId: req.user.userId,
+      action: 'set_asset_beneficiaries',
+      resourceType: 'asset_beneficiaries',
+      resourceId: req.asset.id,
+      oldValues: auditValues(previous),
+      newValues: auditValues(saved)
+    });
+
+    res.json({
+      message: saved.length > 0 ? 'Beneficiaries updated successfully' : 'Beneficiaries cleared',
+      designations: saved,
+      totalPercentage: saved.reduce((sum, designation) => sum + designation.percentage, 0)
+    });
+  } catch (error) {
+    console.error('Set asset beneficiaries error:', error);
+    res.status(500).json({
+      error: 'Failed to update beneficiaries',
+      message: 'Unable to save beneficiary designations'
+    });
+  }
+});
+
+module.exports = router;
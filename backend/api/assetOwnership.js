@@ -0,0 +1,129 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { findAssets, findHousehold, findAssetOwners, setAssetOwnership, addAuditLog } = require('../data/dataAccess');
+const { ownershipProblem } = require('../services/households');
+const { authenticateToken } = require('../middleware/auth');
+
+// Mounted at /api/assets/:id/ownership
+const router = express.Router({ mergeParams: true });
+
+// Load the asset named in the URL, including assets shared with the user's household
+const loadAsset = async (req, res, next) => {
+  try {
+    const userAssets = await findAssets({ userId: req.user.userId, id: req.params.id, shared: true });
+    if (!userAssets[0]) {
+      return res.status(404).json({
+        error: 'Asset not found',
+        message: 'The requested asset does not exist'
+      });
+    }
+    req.asset = userAssets[0];
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// The asset's creator and the household's owners can change its ownership
+const canManageOwnership = (asset, userId) => asset.userId === userId || asset.householdRole === 'owner';
+
+// Validation middleware for replacing an asset's ownership split
+const validateOwners = [
+  body('owners').isArray({ max: 50 }).withMessage('owners must be a list of at most 50 entries'),
+  body('owners.*.userId').isString().withMessage('Each owner needs a userId'),
+  body('owners.*.percentage').isFloat({ gt: 0, max: 100 }).withMessage('percentage must be more than 0 and at most 100').toFloat(),
+];
+
+// Get how an asset is split between household members
+router.get('/', authenticateToken, loadAsset, async (req, res) => {
+  try {
+    const owners = await findAssetOwners(req.asset.id);
+
+    res.json({
+      householdId: req.asset.householdId,
+      owners,
+      ownershipPercentage: req.asset.ownershipPercentage,
+      canManage: canManageOwnership(req.asset, req.user.userId)
+    });
+  } catch (error) {
+    console.error('Get asset ownership error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve ownership',
+      message: 'Unable to fetch asset ownership'
+    });
+  }
+});
+
+// Share the asset with the household split between the given members.
+// Percentages must add up to 100; an empty list makes the asset private to
+// its creator again.
+router.put('/', authenticateToken, loadAsset, validateOwners, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    if (!canManageOwnership(req.asset, req.user.userId)) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        message: "Only the asset's creator or a household owner can change its ownership"
+      });
+    }
+
+    const household = await findHousehold({ userId: req.user.userId });
+    if (!household) {
+      return res.status(409).json({
+        error: 'Not in a household',
+        message: 'Create or join a household before sharing assets'
+      });
+    }
+
+    const owners = req.body.owners.map(owner => ({
+      userId: owner.userId,
+      percentage: owner.percentage
+    }));
+
+    const problem = ownershipProblem(owners, household.members.map(member => member.userId));
+    if (problem) {
+      return res.status(400).json({
+        error: 'Invalid ownership',
+        message: problem
+      });
+    }
+
+    const previous = await findAssetOwners(req.asset.id);
+    const saved = await setAssetOwnership(req.asset.id, household.id, owners);
+
+    // Log ownership changes
+    const auditValues = (entries) => ({
+      assetId: req.asset.id,
+      owners: Object.fromEntries(entries.map(entry => [entry.email || entry.userId, entry.percentage]))
+    });
+    await addAuditLog({
+      userId: req.user.userId,
+      action: 'set_asset_ownership',
+      resourceType: 'asset_ownership',
+      resourceId: req.asset.id,
+      oldValues: auditValues(previous),
+      newValues: auditValues(saved)
+    });
+
+    res.json({
+      message: saved.length > 0 ? 'Ownership updated successfully' : 'Asset is no longer shared',
+      householdId: saved.length > 0 ? household.id : null,
+      owners: saved
+    });
+  } catch (error) {
+    console.error('Set asset ownership error:', error);
+    res.status(500).json({
+      error: 'Failed to update ownership',
+      message: 'Unable to save asset ownership'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,67 +1,309 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const jwt = require('jsonwebtoken');
-const { findAssets, addAsset, updateAsset, deleteAsset, addAuditLog } = require('../data/dataAccess');
+const { body, query, validationResult } = require('express-validator');
+const { findUser, findAssets, searchAssets, findAssetCurrencies, addAsset, updateAsset, deleteAsset, importAssets, importStatementAccounts, findValuations, addValuation, findDocuments, setAssetTags, addAuditLog, findAuditLogs } = require('../data/dataAccess');
+const { getStorage } = require('../services/storage');
+const { parseCsvWithHeader } = require('../services/csvParser');
+const { parseOfx } = require('../services/ofxParser');
+const { assetTypes, validateAssetMetadata, describeAssetSchemas } = require('../services/assetSchemas');
+const { VIEWS, canEditAsset } = require('../services/households');
+const { getConverterForUser } = require('../services/currencyService');
+const {
+  ASSET_SORTS,
+  SORT_ORDERS,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  MAX_SEARCH_LENGTH,
+  encodeCursor,
+  decodeCursor,
+  searchTsQuery
+} = require('../services/assetSearch');
+const { authenticateToken } = require('../middleware/auth');
 const router = express.Router();
 
-// Authentication middleware
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-
-  if (!token) {
-    return res.status(401).json({
-      error: 'Access token required',
-      message: 'Please provide a valid access token'
-    });
-  }
-
-  const jwtSecret = process.env.JWT_SECRET;
-  if (!jwtSecret) {
-    console.error('JWT_SECRET not configured');
-    return res.status(500).json({
-      error: 'Server configuration error',
-      message: 'Authentication service not properly configured'
-    });
-  }
-
-  jwt.verify(token, jwtSecret, (err, user) => {
-    if (err) {
-      return res.status(403).json({
-        error: 'Invalid token',
-        message: 'The provided token is invalid or expired'
-      });
-    }
-    req.user = user;
-    next();
-  });
-};
+const MAX_TAGS_PER_ASSET = 20;
 
 // Validation middleware for asset creation
 const validateAsset = [
   body('name').isLength({ min: 1 }).trim().escape(),
-  body('type').isIn([
-    'real_estate', 'investment_account', 'bank_account', 
-    'cryptocurrency', 'physical_asset', 'business_interest', 'insurance'
-  ]),
+  body('type').isIn(assetTypes),
   body('value').isNumeric().custom(value => {
     if (parseFloat(value) < 0) {
       throw new Error('Value must be non-negative');
     }
     return true;
   }),
+  body('currency').optional().trim().toUpperCase().isISO4217().withMessage('currency must be an ISO 4217 code'),
   body('description').optional().trim().escape(),
+  body('purchaseValue').optional({ nullable: true, checkFalsy: true }).isFloat({ min: 0 }).withMessage('purchaseValue must be a non-negative number'),
+  body('purchaseDate').optional({ nullable: true, checkFalsy: true }).matches(/^\d{4}-\d{2}-\d{2}$/).isISO8601({ strict: true }).withMessage('purchaseDate must be a date (YYYY-MM-DD)'),
+  // Per-type structured details (see services/assetSchemas.js)
+  body('metadata')
+    .optional({ nullable: true })
+    .custom((metadata, { req }) => {
+      if (!assetTypes.includes(req.body.type)) return true;
+      const { error } = validateAssetMetadata(req.body.type, metadata);
+      if (error) throw new Error(error);
+      return true;
+    })
+    .customSanitizer((metadata, { req }) => {
+      if (!assetTypes.includes(req.body.type)) return metadata;
+      return validateAssetMetadata(req.body.type, metadata).value || metadata;
+    }),
+  body('tags').optional().isArray({ max: MAX_TAGS_PER_ASSET }).withMessage(`tags must be a list of at most ${MAX_TAGS_PER_ASSET} names`),
+  body('tags.*').isString().trim().isLength({ min: 1, max: 50 }).not().contains(',').withMessage('Tag names must be 1-50 characters without commas'),
+];
+
+// Validation middleware for replacing an asset's tags
+const validateAssetTags = [
+  body('tags').isArray({ max: MAX_TAGS_PER_ASSET }).withMessage(`tags must be a list of at most ${MAX_TAGS_PER_ASSET} names`),
+  body('tags.*').isString().trim().isLength({ min: 1, max: 50 }).not().contains(',').withMessage('Tag names must be 1-50 characters without commas'),
+];
+
+// Validation for the asset list filters
+const validateAssetFilters = [
+  query('tag').optional().isString().isLength({ max: 500 }),
+  query('view').optional().isIn(VIEWS).withMessage(`view must be one of: ${VIEWS.join(', ')}`),
+  query('type').optional().isString().custom(value => {
+    const invalid = value.split(',').map(type => type.trim()).filter(type => type && !assetTypes.includes(type));
+    if (invalid.length > 0) {
+      throw new Error(`type must be among: ${assetTypes.join(', ')}`);
+    }
+    return true;
+  }),
+  query('minValue').optional().isFloat({ min: 0 }).withMessage('minValue must be a non-negative number'),
+  query('maxValue').optional().isFloat({ min: 0 }).withMessage('maxValue must be a non-negative number'),
+  query('q').optional().isString().isLength({ max: MAX_SEARCH_LENGTH }).withMessage(`q must be at most ${MAX_SEARCH_LENGTH} characters`),
+  query('sort').optional().isIn(ASSET_SORTS).withMessage(`sort must be one of: ${ASSET_SORTS.join(', ')}`),
+  query('order').optional().isIn(SORT_ORDERS).withMessage('order must be asc or desc'),
+  query('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE }).withMessage(`limit must be between 1 and ${MAX_PAGE_SIZE}`),
+  query('cursor').optional().isString().isLength({ max: 1000 }),
 ];
 
-// Get all assets for authenticated user
-router.get('/', authenticateToken, async (req, res) => {
+// Validation middleware for manually recorded valuations
+const validateValuation = [
+  body('value').isNumeric().custom(value => {
+    if (parseFloat(value) < 0) {
+      throw new Error('Value must be non-negative');
+    }
+    return true;
+  }),
+  body('asOfDate').optional().isISO8601().withMessage('asOfDate must be a valid date'),
+  body('source').optional().isIn(['manual', 'appraisal', 'statement']),
+  body('note').optional().isLength({ max: 500 }).trim().escape(),
+];
+
+const validateValuationRange = [
+  query('from').optional().isISO8601().withMessage('from must be a valid date'),
+  query('to').optional().isISO8601().withMessage('to must be a valid date'),
+];
+
+const validateAuditQuery = [
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('limit must be between 1 and 500'),
+];
+
+// Maximum number of rows accepted by a single import
+const MAX_IMPORT_ROWS = 5000;
+
+// Import fields and the CSV headers recognised for each (matches the report export layout)
+const importColumnAliases = {
+  id: ['id'],
+  name: ['name'],
+  type: ['type'],
+  value: ['value'],
+  currency: ['currency'],
+  purchaseValue: ['purchase value', 'acquisition cost'],
+  description: ['description']
+};
+
+const validateImport = [
+  body('csv').isString().isLength({ min: 1 }).withMessage('csv content is required'),
+  body('dryRun').optional().isBoolean(),
+  body('mapping').optional().isObject(),
+  body('defaults').optional().isObject(),
+  body('delimiter').optional().isIn([',', ';', '\t', '|']),
+];
+
+// Bank and broker exports format amounts as "$1,234.56" or "(12.00)"
+const normalizeAmount = (amount) => {
+  if (amount === undefined || amount === null || amount === '') return amount;
+  const text = String(amount).trim();
+  const negative = /^\(.*\)$/.test(text) || text.startsWith('-');
+  const digits = text.replace(/[^0-9.]/g, '');
+  return digits === '' ? text : `${negative ? '-' : ''}${digits}`;
+};
+
+// Work out which CSV column feeds each import field
+const resolveImportColumns = (columns, mapping = {}) => {
+  const resolved = {};
+  const unknown = [];
+
+  Object.keys(importColumnAliases).forEach(field => {
+    if (mapping[field]) {
+      if (columns.includes(mapping[field])) {
+        resolved[field] = mapping[field];
+      } else {
+        unknown.push(mapping[field]);
+      }
+      return;
+    }
+    const match = columns.find(column => importColumnAliases[field].includes(column.toLowerCase()));
+    if (match) resolved[field] = match;
+  });
+
+  return { resolved, unknown };
+};
+
+// Validate one import row with the same rules as the create route
+const validateImportRow = async (data) => {
+  const rowReq = { body: { ...data } };
+  for (const chain of validateAsset) {
+    await chain.run(rowReq);
+  }
+
+  const errors = validationResult(rowReq).array().map(error => ({
+    field: error.param,
+    message: error.msg
+  }));
+
+  return { data: rowReq.body, errors };
+};
+
+const validateOfxImport = [
+  body('ofx').isString().isLength({ min: 1 }).withMessage('ofx content is required'),
+  body('dryRun').optional().isBoolean(),
+];
+
+// OFX account types mapped onto asset types
+const ofxAssetTypes = {
+  bank: 'bank_account',
+  investment: 'investment_account'
+};
+
+// Turn one parsed statement account into an import entry, matching it against
+// existing assets by the account identifier kept in metadata
+const planStatementAccount = (account, institution, userAssets) => {
+  const type = ofxAssetTypes[account.kind];
+  const errors = [];
+
+  if (!account.accountId) errors.push('Statement has no account identifier');
+  if (!account.statementDate) errors.push('Statement has no balance date');
+  if (account.balance === null || account.balance === undefined) {
+    errors.push('Statement has no balance');
+  } else if (account.balance < 0) {
+    errors.push('Negative balances cannot be recorded as an asset value');
+  }
+
+  const existing = userAssets.find(asset =>
+    asset.type === type &&
+    asset.metadata?.accountId === account.accountId &&
+    (!asset.metadata?.institutionId || !account.institutionId || asset.metadata.institutionId === account.institutionId)
+  );
+
+  if (existing && account.currency && existing.currency && existing.currency !== account.currency) {
+    errors.push(`Statement currency ${account.currency} does not match asset currency ${existing.currency}`);
+  }
+
+  const lastFour = String(account.accountId || '').slice(-4);
+  const accountLabel = account.kind === 'investment' ? 'Investment' : (account.accountType || 'Bank').toLowerCase().replace(/^\w/, l => l.toUpperCase());
+
+  return {
+    action: existing ? 'update' : 'create',
+    assetId: existing ? existing.id : null,
+    name: existing ? existing.name : `${institution || account.institutionId || 'Account'} ${accountLabel} ••${lastFour}`,
+    type,
+    value: account.balance,
+    currency: account.currency || existing?.currency,
+    statementDate: account.statementDate,
+    description: existing ? existing.description : 'Imported from OFX statement',
+    source: 'ofx',
+    metadata: {
+      ...(existing?.metadata || {}),
+      accountId: account.accountId,
+      institutionId: account.institutionId,
+      accountType: account.accountType,
+      lastStatementDate: account.statementDate,
+      ...(account.kind === 'investment' ? { positions: account.positions, availableCash: account.availableCash } : {})
+    },
+    positionCount: account.positions.length,
+    errors
+  };
+};
+
+// Get the authenticated user's assets. ?view=share (the default) lists the
+// assets the user owns part of and totals their share; ?view=household lists
+// and totals everything shared with their household. Narrow the list with
+// ?tag=a,b (assets carrying every tag), ?type=a,b, ?minValue/?maxValue on the
+// value the view reports and ?q= (words matched against name and
+// description). ?sort=created|updated|value|name with ?order=asc|desc orders
+// it. Value filters and sorting use the user's base currency at today's rates. With ?limit or ?cursor the list comes in pages: pass the response's
+// nextCursor back as ?cursor with the same filters and sort for the next one.
+// Totals always cover every matching asset; totalValue is in the user's base
+// currency, nativeTotals per currency.
+router.get('/', authenticateToken, validateAssetFilters, async (req, res) => {
   try {
-    const userAssets = await findAssets({ userId: req.user.userId });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const view = req.query.view || 'share';
+    const sort = req.query.sort || 'created';
+    const order = req.query.order || (sort === 'name' ? 'asc' : 'desc');
+    const splitList = (list) => (list || '').split(',').map(item => item.trim()).filter(Boolean);
+
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+    if (req.query.cursor && (!cursor || cursor.sort !== sort || cursor.order !== order)) {
+      return res.status(400).json({
+        error: 'Invalid cursor',
+        message: 'The cursor is malformed or was issued for a different sort order'
+      });
+    }
+
+    const paged = Boolean(req.query.limit || cursor);
+    const limit = paged ? parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE : undefined;
+
+    // Values in different currencies are compared once converted to the base currency
+    const byValue = sort === 'value' || req.query.minValue !== undefined || req.query.maxValue !== undefined;
+    const [converter, currencies] = await Promise.all([
+      getConverterForUser(req.user.userId),
+      byValue ? findAssetCurrencies({ userId: req.user.userId, view }) : []
+    ]);
+    const rates = Object.fromEntries(currencies
+      .map(currency => [currency, converter.getRate(currency, converter.baseCurrency)])
+      .filter(([, rate]) => rate !== null));
+
+    const page = await searchAssets({
+      userId: req.user.userId,
+      view,
+      tags: splitList(req.query.tag),
+      types: splitList(req.query.type),
+      minValue: req.query.minValue !== undefined ? parseFloat(req.query.minValue) : undefined,
+      maxValue: req.query.maxValue !== undefined ? parseFloat(req.query.maxValue) : undefined,
+      textQuery: req.query.q ? searchTsQuery(req.query.q) : null,
+      sort,
+      order,
+      limit,
+      after: cursor && { sortKey: cursor.sortKey, id: cursor.id },
+      rates: byValue ? rates : undefined
+    });
+    const totalValue = Object.entries(page.nativeTotals)
+      .reduce((sum, [currency, amount]) => sum + converter.convertOrZero(amount, currency), 0);
     
     res.json({
-      assets: userAssets,
-      total: userAssets.length,
-      totalValue: userAssets.reduce((sum, asset) => sum + parseFloat(asset.value), 0)
+      assets: page.assets,
+      view,
+      sort,
+      order,
+      total: page.total,
+      totalValue,
+      baseCurrency: converter.baseCurrency,
+      nativeTotals: page.nativeTotals,
+      missingRates: converter.missingRates(),
+      typeCount: page.typeCount,
+      nextCursor: page.next ? encodeCursor({ sort, order, ...page.next }) : null
     });
   } catch (error) {
     console.error('Get assets error:', error);
@@ -72,10 +314,14 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
-// Get asset by ID
+router.get('/schemas', authenticateToken, (req, res) => {
+  res.json({ schemas: describeAssetSchemas() });
+});
+
+// Get asset by ID, including assets shared with the user's household
 router.get('/:id', authenticateToken, async (req, res) => {
   try {
-    const userAssets = await findAssets({ userId: req.user.userId, id: req.params.id });
+    const userAssets = await findAssets({ userId: req.user.userId, id: req.params.id, shared: true });
     const asset = userAssets[0];
 
     if (!asset) {
@@ -106,15 +352,22 @@ router.post('/', authenticateToken, validateAsset, async (req, res) => {
       });
     }
 
-    const { name, type, value, description, metadata } = req.body;
+    const { name, type, value, currency, purchaseValue, purchaseDate, description, metadata, tags } = req.body;
+
+    // Assets default to the owner's base currency
+    const user = currency ? null : await findUser(req.user.userId);
 
     const asset = await addAsset({
       userId: req.user.userId,
       name,
       type,
       value: parseFloat(value),
+      currency: currency || user?.baseCurrency || 'USD',
+      purchaseValue: purchaseValue ? parseFloat(purchaseValue) : undefined,
+      purchaseDate: purchaseDate || null,
       description: description || '',
-      metadata: metadata || {}
+      metadata: metadata || {},
+      tags
     });
     
     // Log asset creation
@@ -123,7 +376,7 @@ router.post('/', authenticateToken, validateAsset, async (req, res) => {
       action: 'create_asset',
       resourceType: 'asset',
       resourceId: asset.id,
-      newValues: { name, type, value }
+      newValues: { name, type, value, currency: asset.currency, tags: asset.tags.map(tag => tag.name) }
     });
 
     res.status(201).json({
@@ -140,7 +393,7 @@ router.post('/', authenticateToken, validateAsset, async (req, res) => {
   }
 });
 
-// Update asset
+// Update asset. Household owners and editors can update shared assets.
 router.put('/:id', authenticateToken, validateAsset, async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -151,7 +404,7 @@ router.put('/:id', authenticateToken, validateAsset, async (req, res) => {
       });
     }
 
-    const userAssets = await findAssets({ userId: req.user.userId, id: req.params.id });
+    const userAssets = await findAssets({ userId: req.user.userId, id: req.params.id, shared: true });
     const existingAsset = userAssets[0];
 
     if (!existingAsset) {
@@ -161,14 +414,26 @@ router.put('/:id', authenticateToken, validateAsset, async (req, res) => {
       });
     }
 
-    const { name, type, value, description, metadata } = req.body;
+    if (!canEditAsset(existingAsset, req.user.userId)) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        message: 'Household viewers cannot change shared assets'
+      });
+    }
+
+    const { name, type, value, currency, purchaseValue, purchaseDate, description, metadata, tags } = req.body;
     
+    // Tags are left alone unless the request sends them
     const updatedAsset = await updateAsset(req.params.id, {
       name,
       type,
       value: parseFloat(value),
+      currency,
+      purchaseValue: purchaseValue ? parseFloat(purchaseValue) : undefined,
+      purchaseDate: purchaseDate !== undefined ? purchaseDate || null : undefined,
       description: description || '',
-      metadata: metadata || {}
+      metadata: metadata || {},
+      tags
     });
     
     // Log asset update
@@ -177,8 +442,8 @@ router.put('/:id', authenticateToken, validateAsset, async (req, res) => {
       action: 'update_asset',
       resourceType: 'asset',
       resourceId: req.params.id,
-      oldValues: { name: existingAsset.name, type: existingAsset.type, value: existingAsset.value },
-      newValues: { name, type, value }
+      oldValues: { name: existingAsset.name, type: existingAsset.type, value: existingAsset.value, currency: existingAsset.currency },
+      newValues: { name, type, value, currency: updatedAsset.currency }
     });
 
     res.json({
@@ -195,6 +460,60 @@ router.put('/:id', authenticateToken, validateAsset, async (req, res) => {
   }
 });
 
+// Replace an asset's tags; unknown tag names are created
+router.put('/:id/tags', authenticateToken, validateAssetTags, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const userAssets = await findAssets({ userId: req.user.userId, id: req.params.id, shared: true });
+    const asset = userAssets[0];
+
+    if (!asset) {
+      return res.status(404).json({
+        error: 'Asset not found',
+        message: 'The requested asset does not exist'
+      });
+    }
+
+    if (!canEditAsset(asset, req.user.userId)) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        message: 'Household viewers cannot change shared assets'
+      });
+    }
+
+    // Tags belong to the asset's creator, whoever edits them
+    const tags = await setAssetTags(asset.userId, asset.id, req.body.tags);
+
+    // Log tag change
+    await addAuditLog({
+      userId: req.user.userId,
+      action: 'update_asset_tags',
+      resourceType: 'asset',
+      resourceId: asset.id,
+      oldValues: { tags: asset.tags.map(tag => tag.name) },
+      newValues: { tags: tags.map(tag => tag.name) }
+    });
+
+    res.json({
+      message: 'Asset tags updated successfully',
+      tags
+    });
+  } catch (error) {
+    console.error('Update asset tags error:', error);
+    res.status(500).json({
+      error: 'Failed to update asset tags',
+      message: 'Unable to update asset tags'
+    });
+  }
+});
+
 // Delete asset
 router.delete('/:id', authenticateToken, async (req, res) => {
   try {
@@ -208,7 +527,16 @@ router.delete('/:id', authenticateToken, async (req, res) => {
       });
     }
 
+    // Document rows cascade with the asset; their stored files have to go separately
+    const documents = await findDocuments({ assetId: asset.id });
+
     await deleteAsset(req.params.id);
+
+    await Promise.all(documents.map(document =>
+      getStorage().delete(document.storageKey).catch(error => {
+        console.error('Delete document file error:', error);
+      })
+    ));
     
     // Log asset deletion
     await addAuditLog({
@@ -232,6 +560,385 @@ router.delete('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// Import assets from CSV. With dryRun the rows are only validated and previewed;
+// otherwise all rows are written in a single transaction or none are.
+router.post('/import', authenticateToken, validateImport, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { csv, mapping = {}, defaults = {}, delimiter = ',' } = req.body;
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+
+    const { columns, records } = parseCsvWithHeader(csv, delimiter);
+
+    if (records.length === 0) {
+      return res.status(400).json({
+        error: 'Empty import',
+        message: 'The CSV file contains no data rows'
+      });
+    }
+
+    if (records.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        error: 'Import too large',
+        message: `A single import may contain at most ${MAX_IMPORT_ROWS} rows`
+      });
+    }
+
+    const { resolved, unknown } = resolveImportColumns(columns, mapping);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid column mapping',
+        message: `Columns not found in CSV: ${unknown.join(', ')}`,
+        columns
+      });
+    }
+
+    const [user, userAssets] = await Promise.all([
+      findUser(req.user.userId),
+      findAssets({ userId: req.user.userId })
+    ]);
+    const existingIds = new Set(userAssets.map(asset => asset.id));
+    const fallbackDefaults = { currency: user?.baseCurrency || 'USD', ...defaults };
+
+    const rows = [];
+    for (let index = 0; index < records.length; index++) {
+      const record = records[index];
+      const raw = {};
+
+      Object.keys(importColumnAliases).forEach(field => {
+        const value = resolved[field] ? record[resolved[field]] : '';
+        raw[field] = value !== '' && value !== undefined ? value : fallbackDefaults[field];
+      });
+      raw.value = normalizeAmount(raw.value);
+      raw.purchaseValue = normalizeAmount(raw.purchaseValue);
+
+      const { id, ...fields } = raw;
+      const { data, errors: rowErrors } = await validateImportRow(fields);
+
+      rows.push({
+        row: index + 2, // line number in the file, after the header
+        action: id && existingIds.has(id) ? 'update' : 'create',
+        assetId: id && existingIds.has(id) ? id : null,
+        data: {
+          name: data.name,
+          type: data.type,
+          value: data.value !== undefined ? parseFloat(data.value) : undefined,
+          currency: data.currency,
+          purchaseValue: data.purchaseValue ? parseFloat(data.purchaseValue) : undefined,
+          description: data.description || ''
+        },
+        errors: rowErrors
+      });
+    }
+
+    const invalidRows = rows.filter(row => row.errors.length > 0);
+    const summary = {
+      totalRows: rows.length,
+      validRows: rows.length - invalidRows.length,
+      invalidRows: invalidRows.length,
+      toCreate: rows.filter(row => row.action === 'create').length,
+      toUpdate: rows.filter(row => row.action === 'update').length
+    };
+
+    if (dryRun) {
+      return res.json({
+        dryRun: true,
+        columns,
+        mapping: resolved,
+        summary,
+        rows
+      });
+    }
+
+    if (invalidRows.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: `${invalidRows.length} row(s) failed validation; nothing was imported`,
+        summary,
+        rows: invalidRows
+      });
+    }
+
+    const results = await importAssets(req.user.userId, rows.map(row => ({
+      id: row.assetId,
+      ...row.data
+    })));
+
+    const created = results.filter(result => result.action === 'create').length;
+    const updated = results.length - created;
+
+    // Log asset import
+    await addAuditLog({
+      userId: req.user.userId,
+      action: 'import_assets',
+      resourceType: 'asset',
+      details: { created, updated, rows: results.length }
+    });
+
+    res.status(201).json({
+      message: 'Assets imported successfully',
+      summary: { ...summary, created, updated },
+      assets: results.map(result => result.asset)
+    });
+  } catch (error) {
+    console.error('Import assets error:', error);
+    res.status(500).json({
+      error: 'Failed to import assets',
+      message: 'Unable to import assets'
+    });
+  }
+});
+
+// Import bank and investment account balances from an OFX/QFX statement
+router.post('/import/ofx', authenticateToken, validateOfxImport, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+
+    let statement;
+    try {
+      statement = parseOfx(req.body.ofx);
+    } catch (parseError) {
+      return res.status(400).json({
+        error: 'Invalid OFX file',
+        message: parseError.message
+      });
+    }
+
+    if (statement.accounts.length === 0) {
+      return res.status(400).json({
+        error: 'Empty statement',
+        message: 'No bank or investment account statements were found in the file'
+      });
+    }
+
+    const [user, userAssets] = await Promise.all([
+      findUser(req.user.userId),
+      findAssets({ userId: req.user.userId })
+    ]);
+
+    const entries = statement.accounts.map(account => {
+      const entry = planStatementAccount(account, statement.institution, userAssets);
+      entry.currency = entry.currency || user?.baseCurrency || 'USD';
+      return entry;
+    });
+
+    const preview = entries.map(entry => ({
+      action: entry.action,
+      assetId: entry.assetId,
+      name: entry.name,
+      type: entry.type,
+      value: entry.value,
+      currency: entry.currency,
+      statementDate: entry.statementDate,
+      positionCount: entry.positionCount,
+      errors: entry.errors
+    }));
+    const invalid = entries.filter(entry => entry.errors.length > 0);
+
+    if (dryRun) {
+      return res.json({
+        dryRun: true,
+        institution: statement.institution,
+        accounts: preview
+      });
+    }
+
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: `${invalid.length} account(s) could not be imported; nothing was changed`,
+        accounts: preview
+      });
+    }
+
+    const results = await importStatementAccounts(req.user.userId, entries);
+    const created = results.filter(result => result.action === 'create').length;
+    const updated = results.length - created;
+
+    // Log statement import
+    await addAuditLog({
+      userId: req.user.userId,
+      action: 'import_ofx_statement',
+      resourceType: 'asset',
+      details: {
+        institution: statement.institution,
+        created,
+        updated,
+        statementDates: [...new Set(entries.map(entry => entry.statementDate))]
+      }
+    });
+
+    res.status(201).json({
+      message: 'Statement imported successfully',
+      summary: { created, updated },
+      assets: results.map(result => result.asset)
+    });
+  } catch (error) {
+    console.error('Import OFX error:', error);
+    res.status(500).json({
+      error: 'Failed to import statement',
+      message: 'Unable to import OFX statement'
+    });
+  }
+});
+
+// Get valuation history for an asset
+router.get('/:id/valuations', authenticateToken, validateValuationRange, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const userAssets = await findAssets({ userId: req.user.userId, id: req.params.id, shared: true });
+    const asset = userAssets[0];
+
+    if (!asset) {
+      return res.status(404).json({
+        error: 'Asset not found',
+        message: 'The requested asset does not exist'
+      });
+    }
+
+    const valuations = await findValuations({
+      assetId: asset.id,
+      from: req.query.from,
+      to: req.query.to
+    });
+
+    res.json({
+      assetId: asset.id,
+      valuations,
+      total: valuations.length
+    });
+  } catch (error) {
+    console.error('Get valuations error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve valuations',
+      message: 'Unable to fetch valuation history'
+    });
+  }
+});
+
+// Record a valuation for an asset
+router.post('/:id/valuations', authenticateToken, validateValuation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const userAssets = await findAssets({ userId: req.user.userId, id: req.params.id, shared: true });
+    const asset = userAssets[0];
+
+    if (!asset) {
+      return res.status(404).json({
+        error: 'Asset not found',
+        message: 'The requested asset does not exist'
+      });
+    }
+
+    if (!canEditAsset(asset, req.user.userId)) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        message: 'Household viewers cannot change shared assets'
+      });
+    }
+
+    const { value, asOfDate, source, note } = req.body;
+
+    const valuation = await addValuation({
+      assetId: asset.id,
+      userId: asset.userId,
+      value: parseFloat(value),
+      asOfDate,
+      source: source || 'manual',
+      note
+    });
+
+    // Log valuation entry
+    await addAuditLog({
+      userId: req.user.userId,
+      action: 'record_valuation',
+      resourceType: 'asset',
+      resourceId: asset.id,
+      oldValues: { value: asset.value },
+      newValues: { value: valuation.value, asOfDate: valuation.asOfDate, source: valuation.source }
+    });
+
+    res.status(201).json({
+      message: 'Valuation recorded successfully',
+      valuation
+    });
+  } catch (error) {
+    console.error('Record valuation error:', error);
+    res.status(500).json({
+      error: 'Failed to record valuation',
+      message: 'Unable to record asset valuation'
+    });
+  }
+});
+
+// Get the audit trail for an asset
+router.get('/:id/audit', authenticateToken, validateAuditQuery, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const userAssets = await findAssets({ userId: req.user.userId, id: req.params.id, shared: true });
+    if (!userAssets[0]) {
+      return res.status(404).json({
+        error: 'Asset not found',
+        message: 'The requested asset does not exist'
+      });
+    }
+
+    // Shared assets show every household member's changes
+    const entries = await findAuditLogs({
+      userId: userAssets[0].householdId ? undefined : req.user.userId,
+      assetId: req.params.id,
+      limit: req.query.limit ? parseInt(req.query.limit, 10) : 100
+    });
+
+    res.json({
+      entries,
+      total: entries.length
+    });
+  } catch (error) {
+    console.error('Get asset audit trail error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve audit trail',
+      message: 'Unable to fetch asset history'
+    });
+  }
+});
+
 // Get assets by type
 router.get('/type/:type', authenticateToken, async (req, res) => {
   try {
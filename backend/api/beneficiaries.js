@@ -0,0 +1,167 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { findBeneficiaries, addBeneficiary, updateBeneficiary, deleteBeneficiary, addAuditLog } = require('../data/dataAccess');
+const { authenticateToken } = require('../middleware/auth');
+const router = express.Router();
+
+// Supported relationships
+const relationships = ['spouse', 'partner', 'child', 'grandchild', 'parent', 'sibling', 'relative', 'friend', 'charity', 'trust', 'other'];
+
+// Validation middleware for beneficiary creation and updates
+const validateBeneficiary = [
+  body('name').isString().trim().isLength({ min: 1, max: 255 }).withMessage('name is required').escape(),
+  body('relationship').isIn(relationships).withMessage(`relationship must be one of: ${relationships.join(', ')}`),
+  body('email').optional({ nullable: true, checkFalsy: true }).trim().isEmail().withMessage('email must be a valid email address'),
+  body('phone').optional({ nullable: true, checkFalsy: true }).matches(/^[0-9+()\-. ]{3,50}$/).withMessage('phone must be a phone number'),
+];
+
+// A beneficiary can't be deleted while assets are still designated to them
+const isStillDesignated = (error) => error.code === '23503';
+
+// Get all beneficiaries for authenticated user
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const beneficiaries = await findBeneficiaries({ userId: req.user.userId });
+
+    res.json({
+      beneficiaries,
+      total: beneficiaries.length
+    });
+  } catch (error) {
+    console.error('Get beneficiaries error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve beneficiaries',
+      message: 'Unable to fetch beneficiaries'
+    });
+  }
+});
+
+// Create new beneficiary
+router.post('/', authenticateToken, validateBeneficiary, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { name, relationship, email, phone } = req.body;
+    const beneficiary = await addBeneficiary({ userId: req.user.userId, name, relationship, email, phone });
+
+    // Log beneficiary creation
+    await addAuditLog({
+      userId: req.user.userId,
+      action: 'create_beneficiary',
+      resourceType: 'beneficiary',
+      resourceId: beneficiary.id,
+      newValues: { name, relationship }
+    });
+
+    res.status(201).json({
+      message: 'Beneficiary created successfully',
+      beneficiary
+    });
+  } catch (error) {
+    console.error('Create beneficiary error:', error);
+    res.status(500).json({
+      error: 'Failed to create beneficiary',
+      message: 'Unable to create beneficiary'
+    });
+  }
+});
+
+// Update beneficiary
+router.put('/:id', authenticateToken, validateBeneficiary, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const [existing] = await findBeneficiaries({ userId: req.user.userId, id: req.params.id });
+    if (!existing) {
+      return res.status(404).json({
+        error: 'Beneficiary not found',
+        message: 'The requested beneficiary does not exist'
+      });
+    }
+
+    const { name, relationship, email, phone } = req.body;
+    const beneficiary = await updateBeneficiary(req.params.id, { name, relationship, email: email || null, phone: phone || null });
+
+    // Log beneficiary update
+    await addAuditLog({
+      userId: req.user.userId,
+      action: 'update_beneficiary',
+      resourceType: 'beneficiary',
+      resourceId: req.params.id,
+      oldValues: { name: existing.name, relationship: existing.relationship },
+      newValues: { name, relationship }
+    });
+
+    res.json({
+      message: 'Beneficiary updated successfully',
+      beneficiary: { ...beneficiary, designationCount: existing.designationCount }
+    });
+  } catch (error) {
+    console.error('Update beneficiary error:', error);
+    res.status(500).json({
+      error: 'Failed to update beneficiary',
+      message: 'Unable to update beneficiary'
+    });
+  }
+});
+
+// Delete beneficiary
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const [beneficiary] = await findBeneficiaries({ userId: req.user.userId, id: req.params.id });
+    if (!beneficiary) {
+      return res.status(404).json({
+        error: 'Beneficiary not found',
+        message: 'The requested beneficiary does not exist'
+      });
+    }
+
+    if (beneficiary.designationCount > 0) {
+      return res.status(409).json({
+        error: 'Beneficiary still designated',
+        message: `${beneficiary.name} is designated on ${beneficiary.designationCount} asset(s); reassign those shares first`
+      });
+    }
+
+    await deleteBeneficiary(req.params.id);
+
+    // Log beneficiary deletion
+    await addAuditLog({
+      userId: req.user.userId,
+      action: 'delete_beneficiary',
+      resourceType: 'beneficiary',
+      resourceId: req.params.id,
+      oldValues: { name: beneficiary.name, relationship: beneficiary.relationship }
+    });
+
+    res.json({
+      message: 'Beneficiary deleted successfully'
+    });
+  } catch (error) {
+    if (isStillDesignated(error)) {
+      return res.status(409).json({
+        error: 'Beneficiary still designated',
+        message: "Reassign this beneficiary's shares before deleting them"
+      });
+    }
+    console.error('Delete beneficiary error:', error);
+    res.status(500).json({
+      error: 'Failed to delete beneficiary',
+      message: 'Unable to delete beneficiary'
+    });
+  }
+});
+
+module.exports = router;
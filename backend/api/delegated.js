@@ -0,0 +1,96 @@
+const express = require('express');
+const { findAccessGrants, findAssets, findValuations, addAuditLog } = require('../data/dataAccess');
+const { grantStatus, grantAllowsCategory } = require('../services/accessGrants');
+const { applyView } = require('../services/households');
+const { authenticateToken } = require('../middleware/auth');
+// Mounted at /api/delegated/:grantId
+const router = express.Router({ mergeParams: true });
+
+// Load the grant behind the URL; it has to be active and given to the caller
+const loadGrant = async (req, res, next) => {
+  try {
+    const [grant] = await findAccessGrants({ id: req.params.grantId });
+    if (!grant || grant.granteeId !== req.user.userId || grantStatus(grant) !== 'active') {
+      return res.status(404).json({
+        error: 'Access grant not found',
+        message: 'This portfolio is not shared with you, or access has expired'
+      });
+    }
+
+    req.grant = grant;
+    next();
+  } catch (error) {
+    console.error('Load access grant error:', error);
+    res.status(500).json({
+      error: 'Failed to verify access',
+      message: 'Unable to load access grant'
+    });
+  }
+};
+
+// Record a read made through a grant against the grant, so its owner can see it
+const logDelegatedRead = (req, resource) => addAuditLog({
+  userId: req.user.userId,
+  action: 'delegated_read',
+  resourceType: 'access_grant',
+  resourceId: req.grant.id,
+  newValues: { ownerId: req.grant.ownerId, resource },
+  ipAddress: req.ip,
+  userAgent: req.get('User-Agent')
+});
+
+// The grant itself: whose portfolio it is and what it covers
+router.get('/', authenticateToken, loadGrant, (req, res) => {
+  res.json({ grant: { ...req.grant, status: grantStatus(req.grant) } });
+});
+
+// The owner's assets in the granted categories, at the owner's share
+router.get('/assets', authenticateToken, loadGrant, async (req, res) => {
+  try {
+    const ownerAssets = await findAssets({ userId: req.grant.ownerId, view: 'share' });
+    const assets = applyView(ownerAssets, 'share')
+      .filter(asset => grantAllowsCategory(req.grant, asset.type));
+
+    await logDelegatedRead(req, 'assets');
+
+    res.json({
+      assets,
+      total: assets.length
+    });
+  } catch (error) {
+    console.error('Get delegated assets error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve assets',
+      message: 'Unable to fetch shared assets'
+    });
+  }
+});
+
+// One asset and its valuation history
+router.get('/assets/:assetId', authenticateToken, loadGrant, async (req, res) => {
+  try {
+    const [ownerAsset] = await findAssets({ userId: req.grant.ownerId, id: req.params.assetId, shared: true });
+
+    if (!ownerAsset || !grantAllowsCategory(req.grant, ownerAsset.type)) {
+      return res.status(404).json({
+        error: 'Asset not found',
+        message: 'The requested asset does not exist'
+      });
+    }
+
+    const [asset] = applyView([ownerAsset], 'share');
+    const valuations = await findValuations({ assetId: asset.id });
+
+    await logDelegatedRead(req, `assets/${asset.id}`);
+
+    res.json({ asset, valuations });
+  } catch (error) {
+    console.error('Get delegated asset error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve asset',
+      message: 'Unable to fetch asset data'
+    });
+  }
+});
+
+module.exports = router;
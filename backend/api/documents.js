@@ -0,0 +1,252 @@
+const express = require('express');
+const multer = require('multer');
+const { body, validationResult } = require('express-validator');
+const { v4: uuidv4 } = require('uuid');
+const { findAssets, findDocuments, addDocument, deleteDocument, encryptDocumentContents, decryptDocumentContents, addAuditLog } = require('../data/dataAccess');
+const { getStorage } = require('../services/storage');
+const { authenticateToken } = require('../middleware/auth');
+
+// Mounted at /api/assets/:id/documents
+const router = express.Router({ mergeParams: true });
+
+// Upload limits come from the environment (see .env.example)
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE, 10) || 10 * 1024 * 1024;
+const ALLOWED_FILE_TYPES = (process.env.ALLOWED_FILE_TYPES || 'image/jpeg,image/png,application/pdf')
+  .split(',')
+  .map(type => type.trim())
+  .filter(Boolean);
+
+const documentTypes = ['deed', 'insurance_policy', 'appraisal', 'statement', 'receipt', 'other'];
+
+// Leading bytes for types we can verify, so a renamed file can't pass as a PDF or image
+const fileSignatures = {
+  'application/pdf': [Buffer.from('%PDF-')],
+  'image/png': [Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])],
+  'image/jpeg': [Buffer.from([0xff, 0xd8, 0xff])],
+  'image/gif': [Buffer.from('GIF87a'), Buffer.from('GIF89a')]
+};
+
+const matchesSignature = (mimeType, buffer) => {
+  const signatures = fileSignatures[mimeType];
+  if (!signatures) return true;
+  return signatures.some(signature => buffer.subarray(0, signature.length).equals(signature));
+};
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE, files: 1 },
+  fileFilter: (req, file, callback) => {
+    if (!ALLOWED_FILE_TYPES.includes(file.mimetype)) {
+      const error = new Error(`File type ${file.mimetype} is not allowed`);
+      error.code = 'UNSUPPORTED_FILE_TYPE';
+      return callback(error);
+    }
+    callback(null, true);
+  }
+});
+
+// Run the multer upload and report its failures as JSON
+const uploadDocument = (req, res, next) => {
+  upload.single('file')(req, res, (err) => {
+    if (!err) return next();
+
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        error: 'File too large',
+        message: `Documents must be smaller than ${Math.round(MAX_FILE_SIZE / (1024 * 1024))} MB`
+      });
+    }
+    if (err.code === 'UNSUPPORTED_FILE_TYPE') {
+      return res.status(415).json({
+        error: 'Unsupported file type',
+        message: `Allowed types: ${ALLOWED_FILE_TYPES.join(', ')}`
+      });
+    }
+    return res.status(400).json({
+      error: 'Upload failed',
+      message: err.message
+    });
+  });
+};
+
+const validateDocument = [
+  body('documentType').optional().isIn(documentTypes),
+  body('description').optional().isLength({ max: 500 }).trim().escape(),
+];
+
+// Load the asset named in the URL, scoped to the authenticated user
+const loadAsset = async (req, res, next) => {
+  try {
+    const userAssets = await findAssets({ userId: req.user.userId, id: req.params.id });
+    if (!userAssets[0]) {
+      return res.status(404).json({
+        error: 'Asset not found',
+        message: 'The requested asset does not exist'
+      });
+    }
+    req.asset = userAssets[0];
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List documents attached to an asset
+router.get('/', authenticateToken, loadAsset, async (req, res) => {
+  try {
+    const documents = await findDocuments({ assetId: req.asset.id });
+
+    res.json({
+      documents: documents.map(({ storageKey, keyVersion, ...document }) => document),
+      total: documents.length
+    });
+  } catch (error) {
+    console.error('Get documents error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve documents',
+      message: 'Unable to fetch asset documents'
+    });
+  }
+});
+
+// Upload a document
+router.post('/', authenticateToken, loadAsset, uploadDocument, validateDocument, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'No file uploaded',
+        message: 'Attach the document in a multipart "file" field'
+      });
+    }
+
+    if (!matchesSignature(req.file.mimetype, req.file.buffer)) {
+      return res.status(415).json({
+        error: 'Unsupported file type',
+        message: 'File contents do not match the declared file type'
+      });
+    }
+
+    const id = uuidv4();
+    const storageKey = `${req.user.userId}/${req.asset.id}/${id}`;
+    const storage = getStorage();
+
+    const { contents, keyVersion } = await encryptDocumentContents(req.user.userId, req.file.buffer);
+    await storage.save(storageKey, contents);
+
+    let document;
+    try {
+      document = await addDocument({
+        id,
+        assetId: req.asset.id,
+        userId: req.user.userId,
+        fileName: req.file.originalname.slice(0, 255),
+        mimeType: req.file.mimetype,
+        size: req.file.size,
+        storageKey,
+        keyVersion,
+        documentType: req.body.documentType,
+        description: req.body.description
+      });
+    } catch (error) {
+      // Don't leave orphaned files behind
+      await storage.delete(storageKey);
+      throw error;
+    }
+
+    // Log document upload
+    await addAuditLog({
+      userId: req.user.userId,
+      action: 'upload_document',
+      resourceType: 'asset_document',
+      resourceId: document.id,
+      newValues: { assetId: req.asset.id, fileName: document.fileName, mimeType: document.mimeType, size: document.size }
+    });
+
+    const { storageKey: _storageKey, keyVersion: _keyVersion, ...publicDocument } = document;
+    res.status(201).json({
+      message: 'Document uploaded successfully',
+      document: publicDocument
+    });
+  } catch (error) {
+    console.error('Upload document error:', error);
+    res.status(500).json({
+      error: 'Failed to upload document',
+      message: 'Unable to store document'
+    });
+  }
+});
+
+// Download a document
+router.get('/:documentId', authenticateToken, loadAsset, async (req, res) => {
+  try {
+    const documents = await findDocuments({ assetId: req.asset.id, id: req.params.documentId });
+    const document = documents[0];
+
+    if (!document) {
+      return res.status(404).json({
+        error: 'Document not found',
+        message: 'The requested document does not exist'
+      });
+    }
+
+    const stored = await getStorage().read(document.storageKey);
+    const contents = await decryptDocumentContents(document.userId, stored);
+
+    res.setHeader('Content-Type', document.mimeType);
+    res.attachment(document.fileName);
+    res.send(contents);
+  } catch (error) {
+    console.error('Download document error:', error);
+    res.status(500).json({
+      error: 'Failed to download document',
+      message: 'Unable to read document'
+    });
+  }
+});
+
+// Delete a document
+router.delete('/:documentId', authenticateToken, loadAsset, async (req, res) => {
+  try {
+    const documents = await findDocuments({ assetId: req.asset.id, id: req.params.documentId });
+    const document = documents[0];
+
+    if (!document) {
+      return res.status(404).json({
+        error: 'Document not found',
+        message: 'The requested document does not exist'
+      });
+    }
+
+    await deleteDocument(document.id);
+    await getStorage().delete(document.storageKey);
+
+    // Log document deletion
+    await addAuditLog({
+      userId: req.user.userId,
+      action: 'delete_document',
+      resourceType: 'asset_document',
+      resourceId: document.id,
+      oldValues: { assetId: req.asset.id, fileName: document.fileName }
+    });
+
+    res.json({
+      message: 'Document deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete document error:', error);
+    res.status(500).json({
+      error: 'Failed to delete document',
+      message: 'Unable to delete document'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,134 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { findFxRates, addFxRate, deleteFxRate, addAuditLog } = require('../data/dataAccess');
+const { authenticateToken } = require('../middleware/auth');
+const router = express.Router();
+
+// Validation middleware for manual rate entry
+const validateFxRate = [
+  body('baseCurrency').trim().toUpperCase().isISO4217().withMessage('baseCurrency must be an ISO 4217 code'),
+  body('quoteCurrency').trim().toUpperCase().isISO4217().withMessage('quoteCurrency must be an ISO 4217 code'),
+  body('rate').isFloat({ gt: 0 }).withMessage('rate must be greater than zero'),
+  body('rateDate').isISO8601().withMessage('rateDate must be a valid date'),
+];
+
+const validateFxRateFilters = [
+  query('base').optional().trim().toUpperCase().isISO4217(),
+  query('quote').optional().trim().toUpperCase().isISO4217(),
+];
+
+// List shared rates and the user's own manual rates
+router.get('/', authenticateToken, validateFxRateFilters, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const rates = await findFxRates({
+      userId: req.user.userId,
+      baseCurrency: req.query.base,
+      quoteCurrency: req.query.quote
+    });
+
+    res.json({
+      rates,
+      total: rates.length
+    });
+  } catch (error) {
+    console.error('Get FX rates error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve FX rates',
+      message: 'Unable to fetch exchange rates'
+    });
+  }
+});
+
+// Enter a rate manually
+router.post('/', authenticateToken, validateFxRate, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { baseCurrency, quoteCurrency, rate, rateDate } = req.body;
+
+    if (baseCurrency === quoteCurrency) {
+      return res.status(400).json({
+        error: 'Invalid currency pair',
+        message: 'Base and quote currency must differ'
+      });
+    }
+
+    const fxRate = await addFxRate({
+      userId: req.user.userId,
+      baseCurrency,
+      quoteCurrency,
+      rate: parseFloat(rate),
+      rateDate: rateDate.slice(0, 10),
+      source: 'manual'
+    });
+
+    // Log rate entry
+    await addAuditLog({
+      userId: req.user.userId,
+      action: 'add_fx_rate',
+      resourceType: 'fx_rate',
+      resourceId: String(fxRate.id),
+      newValues: { baseCurrency, quoteCurrency, rate: fxRate.rate, rateDate: fxRate.rateDate }
+    });
+
+    res.status(201).json({
+      message: 'Exchange rate saved successfully',
+      rate: fxRate
+    });
+  } catch (error) {
+    console.error('Add FX rate error:', error);
+    res.status(500).json({
+      error: 'Failed to save FX rate',
+      message: 'Unable to save exchange rate'
+    });
+  }
+});
+
+// Delete a manually entered rate
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const deleted = await deleteFxRate(req.params.id, req.user.userId);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'FX rate not found',
+        message: 'The requested exchange rate does not exist'
+      });
+    }
+
+    // Log rate deletion
+    await addAuditLog({
+      userId: req.user.userId,
+      action: 'delete_fx_rate',
+      resourceType: 'fx_rate',
+      resourceId: String(deleted.id),
+      oldValues: { baseCurrency: deleted.baseCurrency, quoteCurrency: deleted.quoteCurrency, rate: deleted.rate, rateDate: deleted.rateDate }
+    });
+
+    res.json({
+      message: 'Exchange rate deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete FX rate error:', error);
+    res.status(500).json({
+      error: 'Failed to delete FX rate',
+      message: 'Unable to delete exchange rate'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,337 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { findUser, findAssets, findHousehold, addHousehold, updateHousehold, deleteHousehold, addHouseholdMember, updateHouseholdMember, removeHouseholdMember, addAuditLog } = require('../data/dataAccess');
+const { HOUSEHOLD_ROLES } = require('../services/households');
+const { authenticateToken } = require('../middleware/auth');
+const router = express.Router();
+
+// Load the authenticated user's household
+const loadHousehold = async (req, res, next) => {
+  try {
+    const household = await findHousehold({ userId: req.user.userId });
+    if (!household) {
+      return res.status(404).json({
+        error: 'Household not found',
+        message: 'You are not a member of a household'
+      });
+    }
+    req.household = household;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Only household owners may rename the household or manage its members
+const requireOwner = (req, res, next) => {
+  if (req.household.role !== 'owner') {
+    return res.status(403).json({
+      error: 'Insufficient permissions',
+      message: 'Only household owners can do this'
+    });
+  }
+  next();
+};
+
+const validateHousehold = [
+  body('name').isString().trim().isLength({ min: 1, max: 255 }).withMessage('name is required').escape(),
+];
+
+const validateMember = [
+  body('email').isEmail().normalizeEmail().withMessage('email must be a valid email address'),
+  body('role').isIn(HOUSEHOLD_ROLES).withMessage(`role must be one of: ${HOUSEHOLD_ROLES.join(', ')}`),
+];
+
+const validateRole = [
+  body('role').isIn(HOUSEHOLD_ROLES).withMessage(`role must be one of: ${HOUSEHOLD_ROLES.join(', ')}`),
+];
+
+const ownerCount = (household) => household.members.filter(member => member.role === 'owner').length;
+
+// Shared assets a member created or owns part of. They have to be handed over
+// or made private before the member can leave.
+const heldAssets = async (household, userId) => {
+  const assets = await findAssets({ userId, view: 'household' });
+  return assets.filter(asset => asset.householdId === household.id &&
+    (asset.userId === userId || asset.ownershipPercentage > 0));
+};
+
+// Get the authenticated user's household, or null
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const household = await findHousehold({ userId: req.user.userId });
+    res.json({ household });
+  } catch (error) {
+    console.error('Get household error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve household',
+      message: 'Unable to fetch household'
+    });
+  }
+});
+
+// Create a household with the authenticated user as its owner
+router.post('/', authenticateToken, validateHousehold, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    if (await findHousehold({ userId: req.user.userId })) {
+      return res.status(409).json({
+        error: 'Already in a household',
+        message: 'Leave your current household before creating another'
+      });
+    }
+
+    const household = await addHousehold({ name: req.body.name, ownerId: req.user.userId });
+
+    // Log household creation
+    await addAuditLog({
+      userId: req.user.userId,
+      action: 'create_household',
+      resourceType: 'household',
+      resourceId: household.id,
+      newValues: { name: household.name }
+    });
+
+    res.status(201).json({
+      message: 'Household created successfully',
+      household
+    });
+  } catch (error) {
+    console.error('Create household error:', error);
+    res.status(500).json({
+      error: 'Failed to create household',
+      message: 'Unable to create household'
+    });
+  }
+});
+
+// Rename the household
+router.put('/', authenticateToken, loadHousehold, requireOwner, validateHousehold, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const updated = await updateHousehold(req.household.id, { name: req.body.name });
+
+    // Log household update
+    await addAuditLog({
+      userId: req.user.userId,
+      action: 'update_household',
+      resourceType: 'household',
+      resourceId: req.household.id,
+      oldValues: { name: req.household.name },
+      newValues: { name: updated.name }
+    });
+
+    res.json({
+      message: 'Household updated successfully',
+      household: { ...req.household, ...updated }
+    });
+  } catch (error) {
+    console.error('Update household error:', error);
+    res.status(500).json({
+      error: 'Failed to update household',
+      message: 'Unable to update household'
+    });
+  }
+});
+
+// Delete the household. Shared assets go back to their creators in full.
+router.delete('/', authenticateToken, loadHousehold, requireOwner, async (req, res) => {
+  try {
+    await deleteHousehold(req.household.id);
+
+    // Log household deletion
+    await addAuditLog({
+      userId: req.user.userId,
+      action: 'delete_household',
+      resourceType: 'household',
+      resourceId: req.household.id,
+      oldValues: { name: req.household.name, members: req.household.members.map(member => member.email) }
+    });
+
+    res.json({
+      message: 'Household deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete household error:', error);
+    res.status(500).json({
+      error: 'Failed to delete household',
+      message: 'Unable to delete household'
+    });
+  }
+});
+
+// Add an existing user to the household by email
+router.post('/members', authenticateToken, loadHousehold, requireOwner, validateMember, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await findUser({ email: req.body.email });
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'No account is registered with that email address'
+      });
+    }
+
+    if (await findHousehold({ userId: user.id })) {
+      return res.status(409).json({
+        error: 'Already in a household',
+        message: `${req.body.email} already belongs to a household`
+      });
+    }
+
+    const household = await addHouseholdMember(req.household.id, user.id, req.body.role);
+
+    // Log member addition
+    await addAuditLog({
+      userId: req.user.userId,
+      action: 'add_household_member',
+      resourceType: 'household',
+      resourceId: req.household.id,
+      newValues: { email: user.email, role: req.body.role }
+    });
+
+    res.status(201).json({
+      message: 'Member added successfully',
+      household: { ...household, role: req.household.role }
+    });
+  } catch (error) {
+    console.error('Add household member error:', error);
+    res.status(500).json({
+      error: 'Failed to add member',
+      message: 'Unable to add household member'
+    });
+  }
+});
+
+// Change a member's role. The household always keeps at least one owner.
+router.put('/members/:userId', authenticateToken, loadHousehold, requireOwner, validateRole, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const member = req.household.members.find(entry => entry.userId === req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        error: 'Member not found',
+        message: 'That user is not a member of your household'
+      });
+    }
+
+    if (member.role === 'owner' && req.body.role !== 'owner' && ownerCount(req.household) === 1) {
+      return res.status(409).json({
+        error: 'Last owner',
+        message: 'Make another member an owner first'
+      });
+    }
+
+    const household = await updateHouseholdMember(req.household.id, member.userId, req.body.role);
+
+    // Log role change
+    await addAuditLog({
+      userId: req.user.userId,
+      action: 'update_household_member',
+      resourceType: 'household',
+      resourceId: req.household.id,
+      oldValues: { email: member.email, role: member.role },
+      newValues: { email: member.email, role: req.body.role }
+    });
+
+    res.json({
+      message: 'Member updated successfully',
+      household: { ...household, role: member.userId === req.user.userId ? req.body.role : req.household.role }
+    });
+  } catch (error) {
+    console.error('Update household member error:', error);
+    res.status(500).json({
+      error: 'Failed to update member',
+      message: 'Unable to update household member'
+    });
+  }
+});
+
+// Remove a member, or leave the household when removing yourself
+router.delete('/members/:userId', authenticateToken, loadHousehold, async (req, res) => {
+  try {
+    const leaving = req.params.userId === req.user.userId;
+    if (!leaving && req.household.role !== 'owner') {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        message: 'Only household owners can do this'
+      });
+    }
+
+    const member = req.household.members.find(entry => entry.userId === req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        error: 'Member not found',
+        message: 'That user is not a member of your household'
+      });
+    }
+
+    if (member.role === 'owner' && ownerCount(req.household) === 1) {
+      return res.status(409).json({
+        error: 'Last owner',
+        message: req.household.members.length === 1
+          ? 'Delete the household instead'
+          : 'Make another member an owner first'
+      });
+    }
+
+    const held = await heldAssets(req.household, member.userId);
+    if (held.length > 0) {
+      return res.status(409).json({
+        error: 'Member still owns shared assets',
+        message: `${member.email} created or owns part of ${held.length} shared asset(s); reassign or unshare them first`
+      });
+    }
+
+    await removeHouseholdMember(req.household.id, member.userId);
+
+    // Log member removal
+    await addAuditLog({
+      userId: req.user.userId,
+      action: leaving ? 'leave_household' : 'remove_household_member',
+      resourceType: 'household',
+      resourceId: req.household.id,
+      oldValues: { email: member.email, role: member.role }
+    });
+
+    res.json({
+      message: leaving ? 'You left the household' : 'Member removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove household member error:', error);
+    res.status(500).json({
+      error: 'Failed to remove member',
+      message: 'Unable to remove household member'
+    });
+  }
+});
+
+module.exports = router;
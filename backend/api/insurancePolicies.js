@@ -0,0 +1,254 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const {
+  findUser,
+  findAssets,
+  findInsurancePolicies,
+  addInsurancePolicy,
+  updateInsurancePolicy,
+  deleteInsurancePolicy,
+  addAuditLog
+} = require('../data/dataAccess');
+const { authenticateToken } = require('../middleware/auth');
+const router = express.Router();
+
+// Supported policy types
+const policyTypes = ['home', 'renters', 'auto', 'valuables', 'umbrella', 'business', 'other'];
+const premiumFrequencies = ['monthly', 'quarterly', 'semiannual', 'annual'];
+
+const nonNegativeAmount = (field) => body(field).isFloat({ min: 0 }).withMessage(`${field} must be a non-negative amount`);
+
+// Validation middleware for policy creation and replacement
+const validatePolicy = [
+  body('name').isLength({ min: 1, max: 255 }).trim().escape(),
+  body('type').isIn(policyTypes).withMessage(`type must be one of: ${policyTypes.join(', ')}`),
+  body('carrier').isLength({ min: 1, max: 255 }).trim().escape(),
+  body('policyNumber').optional({ nullable: true }).isString().trim().isLength({ max: 100 }).escape(),
+  nonNegativeAmount('coverageAmount'),
+  nonNegativeAmount('deductible').optional({ nullable: true }),
+  nonNegativeAmount('premium').optional({ nullable: true }),
+  body('premiumFrequency').optional().isIn(premiumFrequencies).withMessage(`premiumFrequency must be one of: ${premiumFrequencies.join(', ')}`),
+  body('currency').optional().trim().toUpperCase().isISO4217().withMessage('currency must be an ISO 4217 code'),
+  body('renewalDate').optional({ nullable: true, checkFalsy: true }).matches(/^\d{4}-\d{2}-\d{2}$/).isISO8601({ strict: true }).withMessage('renewalDate must be a date (YYYY-MM-DD)'),
+  body('reminderDays').optional().isInt({ min: 0, max: 365 }).withMessage('reminderDays must be between 0 and 365').toInt(),
+  body('assetIds').optional().isArray({ max: 100 }).withMessage('assetIds must be a list of at most 100 asset ids'),
+  body('assetIds.*').isString(),
+  body('description').optional().trim().escape(),
+];
+
+const todayString = () => new Date().toISOString().slice(0, 10);
+
+// Days left until the policy renews (negative once it has lapsed)
+const withRenewal = (policy) => ({
+  ...policy,
+  daysUntilRenewal: policy.renewalDate
+    ? Math.round((new Date(`${policy.renewalDate}T00:00:00Z`) - new Date(`${todayString()}T00:00:00Z`)) / 86400000)
+    : null
+});
+
+// Covered assets must exist and belong to the user; returns the unknown ids
+const unknownAssetIds = async (userId, assetIds) => {
+  if (assetIds.length === 0) return [];
+  const owned = new Set((await findAssets({ userId })).map(asset => asset.id));
+  return assetIds.filter(id => !owned.has(id));
+};
+
+const policyFields = (body) => ({
+  name: body.name,
+  type: body.type,
+  carrier: body.carrier,
+  policyNumber: body.policyNumber || '',
+  coverageAmount: parseFloat(body.coverageAmount),
+  deductible: body.deductible !== undefined && body.deductible !== null ? parseFloat(body.deductible) : 0,
+  premium: body.premium !== undefined && body.premium !== null ? parseFloat(body.premium) : null,
+  premiumFrequency: body.premiumFrequency || 'annual',
+  renewalDate: body.renewalDate || null,
+  reminderDays: body.reminderDays ?? 30,
+  assetIds: [...new Set(body.assetIds || [])],
+  description: body.description || ''
+});
+
+// Get all insurance policies for authenticated user
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const policies = await findInsurancePolicies({ userId: req.user.userId });
+
+    res.json({
+      policies: policies.map(withRenewal),
+      total: policies.length
+    });
+  } catch (error) {
+    console.error('Get insurance policies error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve insurance policies',
+      message: 'Unable to fetch insurance policies'
+    });
+  }
+});
+
+// Get insurance policy by ID
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const [policy] = await findInsurancePolicies({ userId: req.user.userId, id: req.params.id });
+
+    if (!policy) {
+      return res.status(404).json({
+        error: 'Policy not found',
+        message: 'The requested insurance policy does not exist'
+      });
+    }
+
+    res.json({ policy: withRenewal(policy) });
+  } catch (error) {
+    console.error('Get insurance policy error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve insurance policy',
+      message: 'Unable to fetch insurance policy'
+    });
+  }
+});
+
+// Create new insurance policy
+router.post('/', authenticateToken, validatePolicy, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const fields = policyFields(req.body);
+    const unknown = await unknownAssetIds(req.user.userId, fields.assetIds);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid covered assets',
+        message: `Unknown assets: ${unknown.join(', ')}`
+      });
+    }
+
+    // Policies default to the owner's base currency
+    const user = req.body.currency ? null : await findUser(req.user.userId);
+
+    const policy = await addInsurancePolicy({
+      userId: req.user.userId,
+      ...fields,
+      currency: req.body.currency || user?.baseCurrency || 'USD'
+    });
+
+    // Log policy creation
+    await addAuditLog({
+      userId: req.user.userId,
+      action: 'create_insurance_policy',
+      resourceType: 'insurance_policy',
+      resourceId: policy.id,
+      newValues: { name: policy.name, carrier: policy.carrier, coverageAmount: policy.coverageAmount, assetIds: policy.assetIds }
+    });
+
+    res.status(201).json({
+      message: 'Insurance policy created successfully',
+      policy: withRenewal(policy)
+    });
+  } catch (error) {
+    console.error('Create insurance policy error:', error);
+    res.status(500).json({
+      error: 'Failed to create insurance policy',
+      message: 'Unable to create insurance policy'
+    });
+  }
+});
+
+// Update insurance policy
+router.put('/:id', authenticateToken, validatePolicy, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const [existingPolicy] = await findInsurancePolicies({ userId: req.user.userId, id: req.params.id });
+
+    if (!existingPolicy) {
+      return res.status(404).json({
+        error: 'Policy not found',
+        message: 'The requested insurance policy does not exist'
+      });
+    }
+
+    const fields = policyFields(req.body);
+    const unknown = await unknownAssetIds(req.user.userId, fields.assetIds);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid covered assets',
+        message: `Unknown assets: ${unknown.join(', ')}`
+      });
+    }
+
+    const policy = await updateInsurancePolicy(req.params.id, {
+      ...fields,
+      currency: req.body.currency
+    });
+
+    // Log policy update
+    await addAuditLog({
+      userId: req.user.userId,
+      action: 'update_insurance_policy',
+      resourceType: 'insurance_policy',
+      resourceId: req.params.id,
+      oldValues: { name: existingPolicy.name, coverageAmount: existingPolicy.coverageAmount, renewalDate: existingPolicy.renewalDate, assetIds: existingPolicy.assetIds },
+      newValues: { name: policy.name, coverageAmount: policy.coverageAmount, renewalDate: policy.renewalDate, assetIds: policy.assetIds }
+    });
+
+    res.json({
+      message: 'Insurance policy updated successfully',
+      policy: withRenewal(policy)
+    });
+  } catch (error) {
+    console.error('Update insurance policy error:', error);
+    res.status(500).json({
+      error: 'Failed to update insurance policy',
+      message: 'Unable to update insurance policy'
+    });
+  }
+});
+
+// Delete insurance policy
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const [policy] = await findInsurancePolicies({ userId: req.user.userId, id: req.params.id });
+
+    if (!policy) {
+      return res.status(404).json({
+        error: 'Policy not found',
+        message: 'The requested insurance policy does not exist'
+      });
+    }
+
+    await deleteInsurancePolicy(req.params.id);
+
+    // Log policy deletion
+    await addAuditLog({
+      userId: req.user.userId,
+      action: 'delete_insurance_policy',
+      resourceType: 'insurance_policy',
+      resourceId: req.params.id,
+      oldValues: { name: policy.name, carrier: policy.carrier, coverageAmount: policy.coverageAmount }
+    });
+
+    res.json({
+      message: 'Insurance policy deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete insurance policy error:', error);
+    res.status(500).json({
+      error: 'Failed to delete insurance policy',
+      message: 'Unable to delete insurance policy'
+    });
+  }
+});
+
+module.exports = router;
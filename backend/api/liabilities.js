@@ -0,0 +1,315 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { findUser, findAssets, findLiabilities, addLiability, updateLiability, deleteLiability, addAuditLog } = require('../data/dataAccess');
+const { hasAmortization, amortizationSchedule, scheduledBalance, adjustedBalance, summarizeAmortization } = require('../services/amortization');
+const { authenticateToken } = require('../middleware/auth');
+const router = express.Router();
+
+// Supported liability types
+const liabilityTypes = [
+  'mortgage', 'auto_loan', 'student_loan', 'personal_loan',
+  'credit_card', 'line_of_credit', 'other'
+];
+
+const hasTerms = (body) => body.originalPrincipal !== undefined && body.originalPrincipal !== null;
+const hasBalance = (body) => body.balance !== undefined && body.balance !== null && body.balance !== '';
+
+// Validation middleware for liability creation
+const validateLiability = [
+  body('name').isLength({ min: 1 }).trim().escape(),
+  body('type').isIn(liabilityTypes),
+  // Amortized loans get their balance from the schedule unless one is given
+  body('balance').if((value, { req }) => !hasTerms(req.body) || hasBalance(req.body)).isNumeric().custom(value => {
+    if (parseFloat(value) < 0) {
+      throw new Error('Balance must be non-negative');
+    }
+    return true;
+  }),
+  body('currency').optional().trim().toUpperCase().isISO4217().withMessage('currency must be an ISO 4217 code'),
+  body('interestRate').optional({ nullable: true }).isFloat({ min: 0, max: 100 }),
+  body('linkedAssetId').optional({ nullable: true }).isString(),
+  body('description').optional().trim().escape(),
+  body('originalPrincipal').optional({ nullable: true }).isFloat({ gt: 0 }).withMessage('originalPrincipal must be a positive amount'),
+  body('termMonths').optional({ nullable: true }).isInt({ min: 1, max: 600 }).withMessage('termMonths must be between 1 and 600'),
+  body('startDate').optional({ nullable: true }).matches(/^\d{4}-\d{2}-\d{2}$/).isISO8601({ strict: true }).withMessage('startDate must be a date (YYYY-MM-DD)'),
+  body('originalPrincipal').custom((value, { req }) => {
+    const given = ['originalPrincipal', 'termMonths', 'startDate'].filter(field => req.body[field] !== undefined && req.body[field] !== null);
+    if (given.length > 0 && given.length < 3) {
+      throw new Error('originalPrincipal, termMonths and startDate must be given together');
+    }
+    return true;
+  }),
+];
+
+const todayString = () => new Date().toISOString().slice(0, 10);
+
+// Amortization terms and balance from a validated request body. With terms,
+// the balance is where the schedule stands today. A balance given alongside
+// the terms (after an extra payment, say) is kept as an adjustment to the
+// schedule so the amortization job doesn't overwrite it; leaving the balance
+// out or unchanged keeps the `existing` loan's adjustment.
+const loanFields = (body, existing = null) => {
+  const interestRate = body.interestRate !== undefined && body.interestRate !== null ? parseFloat(body.interestRate) : null;
+  if (!hasTerms(body)) {
+    return { interestRate, balance: parseFloat(body.balance), originalPrincipal: null, termMonths: null, startDate: null, balanceAdjustment: 0 };
+  }
+
+  const terms = {
+    interestRate,
+    originalPrincipal: parseFloat(body.originalPrincipal),
+    termMonths: parseInt(body.termMonths, 10),
+    startDate: body.startDate
+  };
+  const today = todayString();
+  const balanceChanged = hasBalance(body) && (!existing || Math.abs(parseFloat(body.balance) - existing.balance) >= 0.01);
+  const balanceAdjustment = balanceChanged
+    ? Math.round((parseFloat(body.balance) - scheduledBalance(terms, today)) * 100) / 100
+    : existing?.balanceAdjustment || 0;
+
+  return { ...terms, balanceAdjustment, balance: adjustedBalance({ ...terms, balanceAdjustment }, today) };
+};
+
+// Make sure a linked asset exists and belongs to the user
+const resolveLinkedAsset = async (userId, linkedAssetId) => {
+  if (!linkedAssetId) return null;
+  const userAssets = await findAssets({ userId, id: linkedAssetId });
+  return userAssets[0] || null;
+};
+
+// Get all liabilities for authenticated user
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const userLiabilities = await findLiabilities({ userId: req.user.userId });
+
+    res.json({
+      liabilities: userLiabilities,
+      total: userLiabilities.length,
+      totalBalance: userLiabilities.reduce((sum, liability) => sum + liability.balance, 0)
+    });
+  } catch (error) {
+    console.error('Get liabilities error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve liabilities',
+      message: 'Unable to fetch liability data'
+    });
+  }
+});
+
+// Get liability by ID
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const userLiabilities = await findLiabilities({ userId: req.user.userId, id: req.params.id });
+    const liability = userLiabilities[0];
+
+    if (!liability) {
+      return res.status(404).json({
+        error: 'Liability not found',
+        message: 'The requested liability does not exist'
+      });
+    }
+
+    res.json({ liability });
+  } catch (error) {
+    console.error('Get liability error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve liability',
+      message: 'Unable to fetch liability data'
+    });
+  }
+});
+
+// Amortization schedule for a loan with principal, term and start date
+router.get('/:id/amortization', authenticateToken, async (req, res) => {
+  try {
+    const userLiabilities = await findLiabilities({ userId: req.user.userId, id: req.params.id });
+    const liability = userLiabilities[0];
+
+    if (!liability) {
+      return res.status(404).json({
+        error: 'Liability not found',
+        message: 'The requested liability does not exist'
+      });
+    }
+
+    if (!hasAmortization(liability)) {
+      return res.status(404).json({
+        error: 'No amortization terms',
+        message: 'Set the original principal, term and start date on this liability first'
+      });
+    }
+
+    const schedule = amortizationSchedule(liability);
+
+    res.json({
+      liability,
+      currency: liability.currency,
+      summary: summarizeAmortization(liability, schedule, todayString()),
+      schedule
+    });
+  } catch (error) {
+    console.error('Get amortization schedule error:', error);
+    res.status(500).json({
+      error: 'Failed to build amortization schedule',
+      message: 'Unable to calculate loan payments'
+    });
+  }
+});
+
+// Create new liability
+router.post('/', authenticateToken, validateLiability, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { name, type, currency, linkedAssetId, description, metadata } = req.body;
+    const loan = loanFields(req.body);
+
+    if (linkedAssetId && !(await resolveLinkedAsset(req.user.userId, linkedAssetId))) {
+      return res.status(400).json({
+        error: 'Invalid linked asset',
+        message: 'The linked asset does not exist'
+      });
+    }
+
+    // Liabilities default to the owner's base currency
+    const user = currency ? null : await findUser(req.user.userId);
+
+    const liability = await addLiability({
+      userId: req.user.userId,
+      name,
+      type,
+      ...loan,
+      currency: currency || user?.baseCurrency || 'USD',
+      linkedAssetId: linkedAssetId || null,
+      description: description || '',
+      metadata: metadata || {}
+    });
+
+    // Log liability creation
+    await addAuditLog({
+      userId: req.user.userId,
+      action: 'create_liability',
+      resourceType: 'liability',
+      resourceId: liability.id,
+      newValues: { name, type, balance: liability.balance, linkedAssetId: liability.linkedAssetId }
+    });
+
+    res.status(201).json({
+      message: 'Liability created successfully',
+      liability
+    });
+  } catch (error) {
+    console.error('Create liability error:', error);
+    res.status(500).json({
+      error: 'Failed to create liability',
+      message: 'Unable to create liability'
+    });
+  }
+});
+
+// Update liability
+router.put('/:id', authenticateToken, validateLiability, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const userLiabilities = await findLiabilities({ userId: req.user.userId, id: req.params.id });
+    const existingLiability = userLiabilities[0];
+
+    if (!existingLiability) {
+      return res.status(404).json({
+        error: 'Liability not found',
+        message: 'The requested liability does not exist'
+      });
+    }
+
+    const { name, type, currency, linkedAssetId, description, metadata } = req.body;
+    const loan = loanFields(req.body, existingLiability);
+
+    if (linkedAssetId && !(await resolveLinkedAsset(req.user.userId, linkedAssetId))) {
+      return res.status(400).json({
+        error: 'Invalid linked asset',
+        message: 'The linked asset does not exist'
+      });
+    }
+
+    const updatedLiability = await updateLiability(req.params.id, {
+      name,
+      type,
+      ...loan,
+      currency,
+      linkedAssetId: linkedAssetId || null,
+      description: description || '',
+      metadata: metadata || {}
+    });
+
+    // Log liability update
+    await addAuditLog({
+      userId: req.user.userId,
+      action: 'update_liability',
+      resourceType: 'liability',
+      resourceId: req.params.id,
+      oldValues: { name: existingLiability.name, type: existingLiability.type, balance: existingLiability.balance },
+      newValues: { name, type, balance: loan.balance }
+    });
+
+    res.json({
+      message: 'Liability updated successfully',
+      liability: updatedLiability
+    });
+  } catch (error) {
+    console.error('Update liability error:', error);
+    res.status(500).json({
+      error: 'Failed to update liability',
+      message: 'Unable to update liability'
+    });
+  }
+});
+
+// Delete liability
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const userLiabilities = await findLiabilities({ userId: req.user.userId, id: req.params.id });
+    const liability = userLiabilities[0];
+
+    if (!liability) {
+      return res.status(404).json({
+        error: 'Liability not found',
+        message: 'The requested liability does not exist'
+      });
+    }
+
+    await deleteLiability(req.params.id);
+
+    // Log liability deletion
+    await addAuditLog({
+      userId: req.user.userId,
+      action: 'delete_liability',
+      resourceType: 'liability',
+      resourceId: req.params.id,
+      oldValues: { name: liability.name, type: liability.type, balance: liability.balance }
+    });
+
+    res.json({
+      message: 'Liability deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete liability error:', error);
+    res.status(500).json({
+      error: 'Failed to delete liability',
+      message: 'Unable to delete liability'
+    });
+  }
+});
+
+module.exports = router;
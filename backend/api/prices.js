@@ -0,0 +1,100 @@
+const express = require('express');
+const { query, body, validationResult } = require('express-validator');
+const { addAuditLog } = require('../data/dataAccess');
+const prices = require('../services/prices');
+const { refreshMarketPrices } = require('../services/priceRefresh');
+const { authenticateToken } = require('../middleware/auth');
+const router = express.Router();
+
+// Market pricing is off unless a price provider is configured
+const requirePriceProvider = (req, res, next) => {
+  if (!prices.isEnabled()) {
+    return res.status(503).json({
+      error: 'Market prices unavailable',
+      message: 'No price provider is configured on this server'
+    });
+  }
+  next();
+};
+
+const validateQuote = [
+  query('symbol').isString().trim().matches(/^[A-Za-z0-9.\-]{1,15}$/).withMessage('symbol must be 1-15 letters, digits, dots or dashes'),
+  query('date').optional().isISO8601().withMessage('date must be a valid date'),
+];
+
+const validateRefresh = [
+  body('date').optional().isISO8601().withMessage('date must be a valid date'),
+];
+
+// Look up a quote
+router.get('/quote', authenticateToken, requirePriceProvider, validateQuote, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const date = req.query.date ? req.query.date.slice(0, 10) : undefined;
+    const quote = await prices.getQuote(req.query.symbol, date);
+    if (!quote) {
+      return res.status(404).json({
+        error: 'Quote not found',
+        message: `No price available for ${prices.normalizeSymbol(req.query.symbol)}`
+      });
+    }
+
+    res.json({ quote });
+  } catch (error) {
+    console.error('Get quote error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve quote',
+      message: 'Unable to fetch market price'
+    });
+  }
+});
+
+// Revalue the user's assets that hold a symbol and quantity
+router.post('/refresh', authenticateToken, requirePriceProvider, validateRefresh, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const result = await refreshMarketPrices({
+      userId: req.user.userId,
+      date: req.body.date ? req.body.date.slice(0, 10) : undefined
+    });
+
+    // Log each revaluation against its asset
+    for (const update of result.updated) {
+      await addAuditLog({
+        userId: req.user.userId,
+        action: 'record_valuation',
+        resourceType: 'asset',
+        resourceId: update.assetId,
+        oldValues: { value: update.previousValue },
+        newValues: { value: update.value, asOfDate: result.date, source: 'market' }
+      });
+    }
+
+    res.json({
+      message: `Revalued ${result.updated.length} of ${result.checked} assets`,
+      ...result
+    });
+  } catch (error) {
+    console.error('Refresh prices error:', error);
+    res.status(500).json({
+      error: 'Failed to refresh prices',
+      message: 'Unable to revalue assets from market prices'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,41 +1,30 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
-const { findAssets, findUser } = require('../data/dataAccess');
+const bcrypt = require('bcrypt');
+const { body, query, validationResult } = require('express-validator');
+const { findAssets, findUser, findHousehold, findValuations, findLiabilities, findTransactions, findAllocationTargets, findInsurancePolicies, findBeneficiaries, findBeneficiaryDesignations, findAccessGrants, addAuditLog, findShareLinks, recordShareLinkView } = require('../data/dataAccess');
+const {
+  INTERVALS,
+  toDateString,
+  parseDate,
+  defaultFrom,
+  buildPeriods,
+  groupByAsset,
+  valuationAsOf
+} = require('../services/valuationHistory');
+const { getConverterForUser, totalsByCurrency } = require('../services/currencyService');
+const { summarizeTransactions, groupByAsset: groupTransactionsByAsset } = require('../services/ledger');
+const { summarizeDisposals, form8949Csv } = require('../services/taxReport');
+const { PERIODS, periodStart, computeReturns } = require('../services/returns');
+const { buildRebalance, tagBuckets } = require('../services/rebalance');
+const { DEFAULT_ASSUMPTIONS, FREQUENCIES, runProjection } = require('../services/projection');
+const { coverageGaps } = require('../services/coverage');
+const { estateSummary } = require('../services/estate');
+const { VIEWS, applyView, applyViewToLiabilities } = require('../services/households');
+const { grantStatus, grantAllowsReport } = require('../services/accessGrants');
+const { parseLinkToken, verifyLinkSignature, linkStatus } = require('../services/shareLinks');
+const { authenticateToken } = require('../middleware/auth');
 const router = express.Router();
 
-// Authentication middleware
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-
-  if (!token) {
-    return res.status(401).json({
-      error: 'Access token required',
-      message: 'Please provide a valid access token'
-    });
-  }
-
-  const jwtSecret = process.env.JWT_SECRET;
-  if (!jwtSecret) {
-    console.error('JWT_SECRET not configured');
-    return res.status(500).json({
-      error: 'Server configuration error',
-      message: 'Authentication service not properly configured'
-    });
-  }
-
-  jwt.verify(token, jwtSecret, (err, user) => {
-    if (err) {
-      return res.status(403).json({
-        error: 'Invalid token',
-        message: 'The provided token is invalid or expired'
-      });
-    }
-    req.user = user;
-    next();
-  });
-};
-
 // Asset categories for reporting
 const assetCategories = [
   { id: 'real_estate', name: 'Real Estate', icon: 'home' },
@@ -47,38 +36,241 @@ const assetCategories = [
   { id: 'insurance', name: 'Insurance', icon: 'shield' }
 ];
 
-// Portfolio summary report
-router.get('/portfolio-summary', authenticateToken, async (req, res) => {
+// Express asset amounts in the base currency, keeping the native amounts alongside
+const convertAssets = (assets, converter) => assets.map(asset => ({
+  ...asset,
+  nativeValue: asset.value,
+  nativePurchaseValue: asset.purchaseValue,
+  value: converter.convertOrZero(asset.value, asset.currency),
+  purchaseValue: converter.convertOrZero(asset.purchaseValue, asset.currency)
+}));
+
+const convertLiabilities = (liabilities, converter) => liabilities.map(liability => ({
+  ...liability,
+  nativeBalance: liability.balance,
+  balance: converter.convertOrZero(liability.balance, liability.currency)
+}));
+
+// Liability categories for reporting
+const liabilityCategories = [
+  { id: 'mortgage', name: 'Mortgages' },
+  { id: 'auto_loan', name: 'Auto Loans' },
+  { id: 'student_loan', name: 'Student Loans' },
+  { id: 'personal_loan', name: 'Personal Loans' },
+  { id: 'credit_card', name: 'Credit Cards' },
+  { id: 'line_of_credit', name: 'Lines of Credit' },
+  { id: 'other', name: 'Other Liabilities' }
+];
+
+// Group asset values by user tag. An asset counts toward each of its tags, so
+// tag percentages can add up to more than 100; untagged assets get their own row.
+const groupByTag = (assets, totalValue) => {
+  const groups = new Map();
+  const addTo = (key, tag, asset) => {
+    if (!groups.has(key)) {
+      groups.set(key, { tag: tag ? tag.name : 'Untagged', id: tag ? tag.id : null, color: tag ? tag.color : null, count: 0, value: 0 });
+    }
+    const group = groups.get(key);
+    group.count += 1;
+    group.value += parseFloat(asset.value);
+  };
+
+  assets.forEach(asset => {
+    if (asset.tags.length === 0) {
+      addTo(null, null, asset);
+    }
+    asset.tags.forEach(tag => addTo(tag.id, tag, asset));
+  });
+
+  return Array.from(groups.values())
+    .map(group => ({
+      ...group,
+      percentage: totalValue > 0 ? ((group.value / totalValue) * 100).toFixed(2) : 0
+    }))
+    .sort((a, b) => (a.id === null) - (b.id === null) || b.value - a.value);
+};
+
+// ?delegation=<grant id> runs a report for the owner of a read-only access
+// grant given to the caller. The request then acts as the owner, always on
+// their own share, and every such read is logged against the grant. A grant
+// that names asset categories limits the report to assets in them.
+const allowDelegation = (report) => async (req, res, next) => {
+  if (!req.query.delegation) return next();
+
   try {
-    const userAssets = await findAssets({ userId: req.user.userId });
+    const [grant] = await findAccessGrants({ id: req.query.delegation });
+    if (!grant || grant.granteeId !== req.user.userId || grantStatus(grant) !== 'active') {
+      return res.status(404).json({
+        error: 'Access grant not found',
+        message: 'This portfolio is not shared with you, or access has expired'
+      });
+    }
+
+    if (!grantAllowsReport(grant, report)) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        message: 'This report is not included in your access'
+      });
+    }
+
+    await addAuditLog({
+      userId: req.user.userId,
+      action: 'delegated_read',
+      resourceType: 'access_grant',
+      resourceId: grant.id,
+      newValues: { ownerId: grant.ownerId, resource: `reports/${report}` },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    req.query.view = 'share';
+    req.user = { userId: grant.ownerId, delegateId: req.user.userId };
+    req.assetCategories = grant.categories.length > 0 ? grant.categories : null;
+    next();
+  } catch (error) {
+    console.error('Delegated report access error:', error);
+    res.status(500).json({
+      error: 'Failed to verify access',
+      message: 'Unable to load access grant'
+    });
+  }
+};
+
+// Filter for the assets a report may include: all of them, or only those in
+// the given categories
+const inCategories = (categories) => (asset) => !categories || categories.includes(asset.type);
+
+// ?view=share (the default) reports the user's share of the assets they own;
+// ?view=household the full value of everything shared with their household
+const validateView = [
+  query('view').optional().isIn(VIEWS).withMessage(`view must be one of: ${VIEWS.join(', ')}`),
+];
+
+// Fraction of an asset's history (valuations, transactions) a view reports
+const viewShare = (asset, view) => (view === 'household' ? 1 : (asset.ownershipPercentage ?? 100) / 100);
+
+// The user's debts plus those secured on `memberAssets`, scaled like the
+// assets. Limited to `categories`, only debts secured on the assets included count.
+const findViewLiabilities = async (userId, memberAssets, view, categories = null) => {
+  const assetIds = memberAssets.map(asset => asset.id);
+  const liabilities = (await findLiabilities({ userId, linkedAssetIds: assetIds }))
+    .filter(liability => !categories || assetIds.includes(liability.linkedAssetId));
+  return applyViewToLiabilities(liabilities, memberAssets, view);
+};
+
+// Portfolio summary for a user, either their share or the household view.
+// Limited to `categories`, only debts secured on the assets included count.
+const buildPortfolioSummary = async (userId, view, categories = null) => {
+  const [allAssets, converter] = await Promise.all([
+    findAssets({ userId, view }),
+    getConverterForUser(userId)
+  ]);
+  const memberAssets = allAssets.filter(inCategories(categories));
+  const nativeAssets = applyView(memberAssets, view);
+  // Debts secured on a shared asset count whoever recorded them
+  const nativeLiabilities = await findViewLiabilities(userId, memberAssets, view, categories);
+  const userAssets = convertAssets(nativeAssets, converter);
+  const userLiabilities = convertLiabilities(nativeLiabilities, converter);
+  
+  const totalValue = userAssets.reduce((sum, asset) => sum + parseFloat(asset.value), 0);
+  const totalAssets = userAssets.length;
+  const totalLiabilities = userLiabilities.reduce((sum, liability) => sum + liability.balance, 0);
+  
+  // Group by category
+  const categoryBreakdown = assetCategories.map(category => {
+    const categoryAssets = userAssets.filter(asset => asset.type === category.id);
+    const categoryValue = categoryAssets.reduce((sum, asset) => sum + parseFloat(asset.value), 0);
     
-    const totalValue = userAssets.reduce((sum, asset) => sum + parseFloat(asset.value), 0);
-    const totalAssets = userAssets.length;
+    return {
+      category: category.name,
+      id: category.id,
+      icon: category.icon,
+      count: categoryAssets.length,
+      value: categoryValue,
+      percentage: totalValue > 0 ? ((categoryValue / totalValue) * 100).toFixed(2) : 0
+    };
+  }).filter(category => category.count > 0);
+
+  const tagBreakdown = groupByTag(userAssets, totalValue);
+
+  const liabilityBreakdown = liabilityCategories.map(category => {
+    const categoryLiabilities = userLiabilities.filter(liability => liability.type === category.id);
+    const categoryBalance = categoryLiabilities.reduce((sum, liability) => sum + liability.balance, 0);
     
-    // Group by category
-    const categoryBreakdown = assetCategories.map(category => {
-      const categoryAssets = userAssets.filter(asset => asset.type === category.id);
-      const categoryValue = categoryAssets.reduce((sum, asset) => sum + parseFloat(asset.value), 0);
-      
-      return {
-        category: category.name,
-        id: category.id,
-        icon: category.icon,
-        count: categoryAssets.length,
-        value: categoryValue,
-        percentage: totalValue > 0 ? ((categoryValue / totalValue) * 100).toFixed(2) : 0
-      };
-    }).filter(category => category.count > 0);
+    return {
+      category: category.name,
+      id: category.id,
+      count: categoryLiabilities.length,
+      balance: categoryBalance,
+      percentage: totalLiabilities > 0 ? ((categoryBalance / totalLiabilities) * 100).toFixed(2) : 0
+    };
+  }).filter(category => category.count > 0);
 
-    res.json({
-      summary: {
-        totalValue,
-        totalAssets,
-        categoriesUsed: categoryBreakdown.length
-      },
-      categoryBreakdown,
-      generatedAt: new Date().toISOString()
-    });
+  // Equity in assets financed by linked loans: asset value - outstanding balance
+  const equityBreakdown = userAssets.map(asset => {
+    const linkedLiabilities = userLiabilities.filter(liability => liability.linkedAssetId === asset.id);
+    if (linkedLiabilities.length === 0) return null;
+
+    const value = parseFloat(asset.value);
+    const outstandingBalance = linkedLiabilities.reduce((sum, liability) => sum + liability.balance, 0);
+    const equity = value - outstandingBalance;
+
+    return {
+      assetId: asset.id,
+      name: asset.name,
+      type: asset.type,
+      value,
+      outstandingBalance,
+      equity,
+      equityPercentage: value > 0 ? ((equity / value) * 100).toFixed(2) : 0,
+      liabilities: linkedLiabilities.map(liability => ({
+        id: liability.id,
+        name: liability.name,
+        type: liability.type,
+        balance: liability.balance
+      }))
+    };
+  }).filter(Boolean);
+
+  return {
+    summary: {
+      totalValue,
+      totalAssets,
+      categoriesUsed: categoryBreakdown.length,
+      grossAssets: totalValue,
+      totalLiabilities,
+      liabilityCount: userLiabilities.length,
+      netWorth: totalValue - totalLiabilities,
+      financedEquity: equityBreakdown.reduce((sum, entry) => sum + entry.equity, 0)
+    },
+    view,
+    baseCurrency: converter.baseCurrency,
+    nativeTotals: {
+      assets: totalsByCurrency(nativeAssets, 'value'),
+      liabilities: totalsByCurrency(nativeLiabilities, 'balance')
+    },
+    missingRates: converter.missingRates(),
+    categoryBreakdown,
+    tagBreakdown,
+    liabilityBreakdown,
+    equityBreakdown,
+    generatedAt: new Date().toISOString()
+  };
+};
+
+// Portfolio summary report
+router.get('/portfolio-summary', authenticateToken, allowDelegation('portfolio-summary'), validateView, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const view = req.query.view || 'share';
+    res.json(await buildPortfolioSummary(req.user.userId, view, req.assetCategories));
   } catch (error) {
     console.error('Portfolio summary error:', error);
     res.status(500).json({
@@ -88,25 +280,279 @@ router.get('/portfolio-summary', authenticateToken, async (req, res) => {
   }
 });
 
-// Asset performance report
-router.get('/asset-performance', authenticateToken, async (req, res) => {
+const validateRebalance = [
+  query('basis').optional().isIn(['category', 'tag']).withMessage('basis must be category or tag'),
+  ...validateView,
+];
+
+// Drift from target allocation and the trades that would restore it
+router.get('/rebalance', authenticateToken, validateRebalance, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const basis = req.query.basis || 'category';
+    const view = req.query.view || 'share';
+    const [memberAssets, converter, targets] = await Promise.all([
+      findAssets({ userId: req.user.userId, view }),
+      getConverterForUser(req.user.userId),
+      findAllocationTargets({ userId: req.user.userId, basis })
+    ]);
+    const userAssets = convertAssets(applyView(memberAssets, view), converter);
+    const totalValue = userAssets.reduce((sum, asset) => sum + parseFloat(asset.value), 0);
+
+    const buckets = basis === 'tag'
+      ? tagBuckets(userAssets)
+      : assetCategories.map(category => ({
+        key: category.id,
+        name: category.name,
+        value: userAssets.filter(asset => asset.type === category.id).reduce((sum, asset) => sum + parseFloat(asset.value), 0)
+      })).filter(bucket => bucket.value > 0);
+
+    if (basis === 'tag') {
+      // Targets on tags that no asset carries still need a display name
+      const tagNames = new Map(userAssets.flatMap(asset => asset.tags.map(tag => [tag.id, tag.name])));
+      targets.forEach(target => {
+        if (!buckets.some(bucket => bucket.key === target.key)) {
+          buckets.push({ key: target.key, name: tagNames.get(target.key) || 'Unused tag', value: 0 });
+        }
+      });
+    } else {
+      targets.forEach(target => {
+        if (!buckets.some(bucket => bucket.key === target.key)) {
+          const category = assetCategories.find(candidate => candidate.id === target.key);
+          buckets.push({ key: target.key, name: category ? category.name : target.key, value: 0 });
+        }
+      });
+    }
+
+    const rebalance = targets.length > 0
+      ? buildRebalance({ buckets, targets, totalValue })
+      : { allocations: [], trades: [], outsideTolerance: 0, needsRebalance: false };
+
+    res.json({
+      basis,
+      view,
+      hasTargets: targets.length > 0,
+      totalValue,
+      ...rebalance,
+      baseCurrency: converter.baseCurrency,
+      missingRates: converter.missingRates(),
+      generatedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Rebalance report error:', error);
+    res.status(500).json({
+      error: 'Failed to generate rebalance report',
+      message: 'Unable to create rebalance report'
+    });
+  }
+});
+
+// Insured amounts against asset values, in the base currency
+router.get('/coverage-gaps', authenticateToken, validateView, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const view = req.query.view || 'share';
+    const [memberAssets, policies, converter] = await Promise.all([
+      findAssets({ userId: req.user.userId, view }),
+      findInsurancePolicies({ userId: req.user.userId }),
+      getConverterForUser(req.user.userId)
+    ]);
+    const userAssets = convertAssets(applyView(memberAssets, view), converter).map(asset => ({ ...asset, value: parseFloat(asset.value) }));
+    const convertedPolicies = policies.map(policy => ({
+      ...policy,
+      coverageAmount: converter.convertOrZero(policy.coverageAmount, policy.currency),
+      deductible: converter.convertOrZero(policy.deductible, policy.currency)
+    }));
+
+    res.json({
+      ...coverageGaps({ assets: userAssets, policies: convertedPolicies }),
+      view,
+      baseCurrency: converter.baseCurrency,
+      missingRates: converter.missingRates(),
+      generatedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Coverage gap report error:', error);
+    res.status(500).json({
+      error: 'Failed to generate coverage gap report',
+      message: 'Unable to create coverage gap report'
+    });
+  }
+});
+
+// Each beneficiary's share of current asset value, plus undesignated assets
+router.get('/estate-summary', authenticateToken, validateView, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const view = req.query.view || 'share';
+    const [memberAssets, beneficiaries, designations, converter] = await Promise.all([
+      findAssets({ userId: req.user.userId, view }),
+      findBeneficiaries({ userId: req.user.userId }),
+      findBeneficiaryDesignations({ userId: req.user.userId }),
+      getConverterForUser(req.user.userId)
+    ]);
+    const userAssets = convertAssets(applyView(memberAssets, view), converter).map(asset => ({ ...asset, value: parseFloat(asset.value) }));
+
+    res.json({
+      ...estateSummary({ assets: userAssets, beneficiaries, designations }),
+      view,
+      baseCurrency: converter.baseCurrency,
+      missingRates: converter.missingRates(),
+      generatedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Estate summary error:', error);
+    res.status(500).json({
+      error: 'Failed to generate estate summary',
+      message: 'Unable to create estate summary'
+    });
+  }
+});
+
+// Value and owner cash flows for one asset, in the base currency, with the
+// asset's valuations and ledger scaled by `share`. Assets without a ledger are
+// treated as bought for their purchase value (already the view's share) on
+// their purchase date. Before its first valuation an asset is worth what was paid in.
+const assetReturnSeries = (asset, history, ledger, converter, share = 1) => {
+  let nativeFlows = [];
+  if (ledger) {
+    nativeFlows = summarizeTransactions(ledger).cashFlows.map(flow => ({ ...flow, amount: flow.amount * share }));
+  } else if (asset.purchaseDate && asset.nativePurchaseValue) {
+    nativeFlows = [{ date: asset.purchaseDate, amount: -asset.nativePurchaseValue }];
+  }
+  const flows = nativeFlows.map(flow => ({
+    date: flow.date,
+    amount: converter.convertOrZero(flow.amount, asset.currency, flow.date)
+  }));
+
+  const valueAt = (date) => {
+    const valuation = valuationAsOf(history, date);
+    if (valuation) {
+      return converter.convertOrZero(valuation.value * share, asset.currency, date);
+    }
+    const paidIn = flows.filter(flow => flow.date <= date).reduce((sum, flow) => sum - flow.amount, 0);
+    return Math.max(paidIn, 0);
+  };
+
+  return { valueAt, flows };
+};
+
+// Several holdings measured as one
+const combineReturnSeries = (seriesList) => ({
+  valueAt: (date) => seriesList.reduce((sum, series) => sum + series.valueAt(date), 0),
+  flows: seriesList.flatMap(series => series.flows)
+});
+
+const validatePerformancePeriod = [
+  query('period').optional().isIn(PERIODS).withMessage(`period must be one of: ${PERIODS.join(', ')}`),
+  query('from').optional().isISO8601().withMessage('from must be a valid date'),
+  query('to').optional().isISO8601().withMessage('to must be a valid date'),
+  ...validateView,
+];
+
+// Asset performance report with CAGR, TWR and XIRR for the selected period
+// (`period`, or an explicit `from`/`to`; defaults to all history)
+router.get('/asset-performance', authenticateToken, allowDelegation('asset-performance'), validatePerformancePeriod, async (req, res) => {
   try {
-    const userAssets = await findAssets({ userId: req.user.userId });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const to = req.query.to ? req.query.to.slice(0, 10) : toDateString(new Date());
+    const view = req.query.view || 'share';
+    const [allAssets, converter] = await Promise.all([
+      findAssets({ userId: req.user.userId, view }),
+      getConverterForUser(req.user.userId)
+    ]);
+    const memberAssets = allAssets.filter(inCategories(req.assetCategories));
+    const assetIds = memberAssets.map(asset => asset.id);
+    // History of shared assets counts whoever recorded it
+    const [transactions, valuations] = await Promise.all([
+      findTransactions({ assetIds }),
+      findValuations({ assetIds, to })
+    ]);
+    const userAssets = convertAssets(applyView(memberAssets, view), converter);
+    const transactionsByAsset = groupTransactionsByAsset(transactions);
+    const historyByAsset = groupByAsset(valuations);
+
+    const seriesByAsset = new Map(userAssets.map(asset => [
+      asset.id,
+      assetReturnSeries(asset, historyByAsset.get(asset.id) || [], transactionsByAsset.get(asset.id), converter, viewShare(asset, view))
+    ]));
+    const earliest = [
+      ...valuations.map(valuation => valuation.asOfDate),
+      ...Array.from(seriesByAsset.values()).flatMap(series => series.flows.map(flow => flow.date))
+    ].sort()[0];
+    const period = req.query.from ? 'custom' : (req.query.period || 'all');
+    const from = req.query.from ? req.query.from.slice(0, 10) : periodStart(period, to, earliest);
+
+    if (from > to) {
+      return res.status(400).json({
+        error: 'Invalid date range',
+        message: 'from must be on or before to'
+      });
+    }
     
     const performanceData = userAssets.map(asset => {
-      const purchaseValue = asset.purchaseValue || asset.value;
       const currentValue = asset.value;
-      const gainLoss = currentValue - purchaseValue;
-      const gainLossPercentage = purchaseValue > 0 ? ((gainLoss / purchaseValue) * 100).toFixed(2) : 0;
+      const ledger = transactionsByAsset.get(asset.id);
+      
+      // With a ledger, gain is measured against what was actually put in and
+      // taken out; otherwise against the recorded purchase value
+      let contributions;
+      let distributions = 0;
+      if (ledger) {
+        const summary = summarizeTransactions(ledger);
+        const share = viewShare(asset, view);
+        contributions = converter.convertOrZero(summary.contributions * share, asset.currency);
+        distributions = converter.convertOrZero((summary.withdrawals + summary.income) * share, asset.currency);
+      } else {
+        contributions = asset.purchaseValue || asset.value;
+      }
+      
+      const gainLoss = currentValue + distributions - contributions;
+      const gainLossPercentage = contributions > 0 ? ((gainLoss / contributions) * 100).toFixed(2) : 0;
       
       return {
         id: asset.id,
         name: asset.name,
         type: asset.type,
-        purchaseValue: purchaseValue,
+        purchaseValue: asset.purchaseValue || asset.value,
         currentValue: currentValue,
+        contributions,
+        distributions,
         gainLoss: gainLoss,
         gainLossPercentage: parseFloat(gainLossPercentage),
+        basis: ledger ? 'transactions' : 'purchase_value',
+        returns: computeReturns({ ...seriesByAsset.get(asset.id), from, to }),
+        currency: asset.currency,
+        nativePurchaseValue: asset.nativePurchaseValue || asset.nativeValue,
+        nativeCurrentValue: asset.nativeValue,
         createdAt: asset.createdAt
       };
     });
@@ -117,14 +563,38 @@ router.get('/asset-performance', authenticateToken, async (req, res) => {
     const totalGainLoss = performanceData.reduce((sum, asset) => sum + asset.gainLoss, 0);
     const avgGainLoss = performanceData.length > 0 ? totalGainLoss / performanceData.length : 0;
 
+    const categoryReturns = assetCategories
+      .map(category => {
+        const categorySeries = userAssets
+          .filter(asset => asset.type === category.id)
+          .map(asset => seriesByAsset.get(asset.id));
+        if (categorySeries.length === 0) return null;
+        return {
+          category: category.name,
+          id: category.id,
+          count: categorySeries.length,
+          ...computeReturns({ ...combineReturnSeries(categorySeries), from, to })
+        };
+      })
+      .filter(Boolean);
+    const portfolioReturns = computeReturns({ ...combineReturnSeries(Array.from(seriesByAsset.values())), from, to });
+
     res.json({
       performance: performanceData,
       summary: {
+        totalContributions: performanceData.reduce((sum, asset) => sum + asset.contributions, 0),
+        totalDistributions: performanceData.reduce((sum, asset) => sum + asset.distributions, 0),
         totalGainLoss,
         averageGainLoss: avgGainLoss,
+        portfolioReturns,
         bestPerformer: performanceData[0] || null,
         worstPerformer: performanceData[performanceData.length - 1] || null
       },
+      categoryReturns,
+      range: { period, from, to },
+      view,
+      baseCurrency: converter.baseCurrency,
+      missingRates: converter.missingRates(),
       generatedAt: new Date().toISOString()
     });
   } catch (error) {
@@ -136,36 +606,104 @@ router.get('/asset-performance', authenticateToken, async (req, res) => {
   }
 });
 
-// Monthly growth report
-router.get('/monthly-growth', authenticateToken, async (req, res) => {
+// Maximum number of periods a single growth report may span
+const MAX_GROWTH_PERIODS = 520;
+
+const validateGrowthRange = [
+  query('from').optional().isISO8601().withMessage('from must be a valid date'),
+  query('to').optional().isISO8601().withMessage('to must be a valid date'),
+  query('interval').optional().isIn(INTERVALS).withMessage(`interval must be one of: ${INTERVALS.join(', ')}`),
+  ...validateView,
+];
+
+// Monthly growth report, built from stored point-in-time valuations
+router.get('/monthly-growth', authenticateToken, allowDelegation('monthly-growth'), validateGrowthRange, async (req, res) => {
   try {
-    const userAssets = await findAssets({ userId: req.user.userId });
-    
-    // Generate monthly data for the last 12 months
-    const monthlyData = [];
-    const currentDate = new Date();
-    
-    for (let i = 11; i >= 0; i--) {
-      const date = new Date(currentDate);
-      date.setMonth(date.getMonth() - i);
-      
-      // Filter assets that existed at this time
-      const monthAssets = userAssets.filter(asset => {
-        const assetDate = new Date(asset.createdAt);
-        return assetDate <= date;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
       });
-      
-      const monthValue = monthAssets.reduce((sum, asset) => sum + parseFloat(asset.value), 0);
-      
-      monthlyData.push({
-        month: date.toISOString().slice(0, 7), // YYYY-MM format
-        value: monthValue,
-        assetCount: monthAssets.length
+    }
+
+    const interval = req.query.interval || 'month';
+    const today = parseDate(toDateString(new Date()));
+    const to = req.query.to ? parseDate(req.query.to) : today;
+    const from = req.query.from ? parseDate(req.query.from) : defaultFrom(to, interval);
+
+    if (from > to) {
+      return res.status(400).json({
+        error: 'Invalid date range',
+        message: 'from must be on or before to'
+      });
+    }
+
+    const periods = buildPeriods(from, to, interval);
+    if (periods.length > MAX_GROWTH_PERIODS) {
+      return res.status(400).json({
+        error: 'Invalid date range',
+        message: `Requested range spans more than ${MAX_GROWTH_PERIODS} periods`
       });
     }
 
+    const view = req.query.view || 'share';
+    const [allAssets, converter] = await Promise.all([
+      findAssets({ userId: req.user.userId, view }),
+      getConverterForUser(req.user.userId)
+    ]);
+    const userAssets = allAssets.filter(inCategories(req.assetCategories));
+    // Earlier valuations are needed too: they carry forward into the first period
+    const valuations = await findValuations({ assetIds: userAssets.map(asset => asset.id), to: toDateString(to) });
+    const historyByAsset = groupByAsset(valuations);
+    const assetCurrencies = new Map(userAssets.map(asset => [asset.id, asset.currency]));
+    const assetShares = new Map(userAssets.map(asset => [asset.id, viewShare(asset, view)]));
+
+    const growthData = periods.map(period => {
+      let periodValue = 0;
+      let assetCount = 0;
+      const nativeTotals = {};
+
+      historyByAsset.forEach((history, assetId) => {
+        const valuation = valuationAsOf(history, period.end);
+        if (valuation) {
+          // Convert at the rate in effect at the end of the period
+          const currency = assetCurrencies.get(assetId);
+          const value = valuation.value * assetShares.get(assetId);
+          periodValue += converter.convertOrZero(value, currency, period.end);
+          nativeTotals[currency] = (nativeTotals[currency] || 0) + value;
+          assetCount++;
+        }
+      });
+
+      return {
+        period: period.label,
+        month: period.label, // kept for existing consumers of the monthly report
+        periodStart: period.start,
+        periodEnd: period.end,
+        value: periodValue,
+        nativeTotals,
+        assetCount
+      };
+    });
+
+    // Change against the previous period
+    growthData.forEach((entry, index) => {
+      const previous = index > 0 ? growthData[index - 1].value : null;
+      entry.change = previous === null ? 0 : entry.value - previous;
+      entry.changePercentage = previous ? parseFloat(((entry.change / previous) * 100).toFixed(2)) : 0;
+    });
+
     res.json({
-      monthlyGrowth: monthlyData,
+      monthlyGrowth: growthData,
+      range: {
+        from: toDateString(from),
+        to: toDateString(to),
+        interval
+      },
+      view,
+      baseCurrency: converter.baseCurrency,
+      missingRates: converter.missingRates(),
       generatedAt: new Date().toISOString()
     });
   } catch (error) {
@@ -177,30 +715,202 @@ router.get('/monthly-growth', authenticateToken, async (req, res) => {
   }
 });
 
+// Limits that keep a single projection request cheap to compute
+const MAX_PROJECTION_YEARS = 50;
+const MAX_SIMULATIONS = 2000;
+const DEFAULT_SIMULATIONS = 1000;
+// Cap on simulations × years, which is what the simulation's cost scales with
+const MAX_SIMULATION_YEARS = 25000;
+
+const projectionFlowRules = (field) => [
+  body(field).optional().isArray({ max: 20 }).withMessage(`${field} must be a list of at most 20 entries`),
+  body(`${field}.*.amount`).isFloat({ min: 0.01 }).withMessage('amount must be a positive number').toFloat(),
+  body(`${field}.*.frequency`).optional().isIn(FREQUENCIES).withMessage(`frequency must be one of: ${FREQUENCIES.join(', ')}`),
+  body(`${field}.*.startYear`).optional().isInt({ min: 1, max: MAX_PROJECTION_YEARS }).withMessage('startYear must be a projection year').toInt(),
+  body(`${field}.*.endYear`).optional().isInt({ min: 1, max: MAX_PROJECTION_YEARS }).withMessage('endYear must be a projection year').toInt(),
+];
+
+const validateProjection = [
+  body('years').optional().isInt({ min: 1, max: MAX_PROJECTION_YEARS }).withMessage(`years must be between 1 and ${MAX_PROJECTION_YEARS}`).toInt(),
+  body('simulations').optional().isInt({ min: 100, max: MAX_SIMULATIONS }).withMessage(`simulations must be between 100 and ${MAX_SIMULATIONS}`).toInt(),
+  body('seed').optional().isInt({ min: 0, max: 4294967295 }).withMessage('seed must be a non-negative integer').toInt(),
+  body('assumptions').optional().isObject().withMessage('assumptions must map asset types to expectedReturn and volatility'),
+  body('assumptions').optional().custom(assumptions => {
+    Object.entries(assumptions).forEach(([type, assumption]) => {
+      if (!assetCategories.some(category => category.id === type)) {
+        throw new Error(`Unknown asset type: ${type}`);
+      }
+      const { expectedReturn, volatility } = assumption || {};
+      if (expectedReturn !== undefined && (typeof expectedReturn !== 'number' || expectedReturn < -50 || expectedReturn > 100)) {
+        throw new Error(`${type} expectedReturn must be a percentage between -50 and 100`);
+      }
+      if (volatility !== undefined && (typeof volatility !== 'number' || volatility < 0 || volatility > 200)) {
+        throw new Error(`${type} volatility must be a percentage between 0 and 200`);
+      }
+    });
+    return true;
+  }),
+  ...projectionFlowRules('contributions'),
+  body('contributions.*.assetType').optional({ nullable: true }).isIn(assetCategories.map(category => category.id)).withMessage('assetType must be a valid asset type'),
+  ...projectionFlowRules('withdrawals'),
+  ...validateView,
+];
+
+// Net worth projection: deterministic path plus Monte Carlo percentile bands
+router.post('/projection', authenticateToken, validateProjection, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const years = req.body.years || 10;
+    const simulations = req.body.simulations || DEFAULT_SIMULATIONS;
+    const seed = req.body.seed ?? Math.floor(Math.random() * 4294967296);
+    if (simulations * years > MAX_SIMULATION_YEARS) {
+      return res.status(400).json({
+        error: 'Projection too large',
+        message: `A ${years}-year projection can run at most ${Math.floor(MAX_SIMULATION_YEARS / years)} simulations`
+      });
+    }
+
+    const normalizeFlows = (flows = []) => flows.map(flow => ({
+      amount: flow.amount,
+      frequency: flow.frequency || 'monthly',
+      startYear: flow.startYear || 1,
+      endYear: Math.min(flow.endYear || years, years),
+      assetType: flow.assetType || null
+    }));
+    const contributions = normalizeFlows(req.body.contributions);
+    const withdrawals = normalizeFlows(req.body.withdrawals);
+
+    const invalidFlow = [...contributions, ...withdrawals].find(flow => flow.startYear > flow.endYear);
+    if (invalidFlow) {
+      return res.status(400).json({
+        error: 'Invalid cash flow',
+        message: `A recurring amount starting in year ${invalidFlow.startYear} must end within the ${years}-year projection`
+      });
+    }
+
+    const view = req.query.view || 'share';
+    const [memberAssets, converter] = await Promise.all([
+      findAssets({ userId: req.user.userId, view }),
+      getConverterForUser(req.user.userId)
+    ]);
+    const nativeLiabilities = await findViewLiabilities(req.user.userId, memberAssets, view);
+    const userAssets = convertAssets(applyView(memberAssets, view), converter);
+    const totalLiabilities = convertLiabilities(nativeLiabilities, converter)
+      .reduce((sum, liability) => sum + liability.balance, 0);
+
+    const assumptions = Object.fromEntries(assetCategories.map(category => [
+      category.id,
+      { ...DEFAULT_ASSUMPTIONS[category.id], ...(req.body.assumptions || {})[category.id] }
+    ]));
+    const startBalances = Object.fromEntries(assetCategories.map(category => [
+      category.id,
+      userAssets.filter(asset => asset.type === category.id).reduce((sum, asset) => sum + parseFloat(asset.value), 0)
+    ]));
+
+    const projection = await runProjection({
+      startBalances,
+      liabilities: totalLiabilities,
+      assumptions,
+      years,
+      contributions,
+      withdrawals,
+      simulations,
+      seed
+    });
+
+    res.json({
+      years,
+      view,
+      assumptions: assetCategories.map(category => ({
+        assetType: category.id,
+        name: category.name,
+        startValue: startBalances[category.id],
+        ...assumptions[category.id]
+      })),
+      contributions,
+      withdrawals,
+      ...projection,
+      baseCurrency: converter.baseCurrency,
+      missingRates: converter.missingRates(),
+      generatedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Projection error:', error);
+    res.status(500).json({
+      error: 'Failed to generate projection',
+      message: 'Unable to create net worth projection'
+    });
+  }
+});
+
+// Asset export for a user, either their share or the household view,
+// optionally limited to `categories`
+const buildExport = async (userId, view, categories = null) => {
+  const [memberAssets, converter] = await Promise.all([
+    findAssets({ userId, view }),
+    getConverterForUser(userId)
+  ]);
+  const nativeAssets = applyView(memberAssets.filter(inCategories(categories)), view);
+  const userAssets = convertAssets(nativeAssets, converter);
+
+  return {
+    assets: userAssets,
+    view,
+    exportedAt: new Date().toISOString(),
+    totalAssets: userAssets.length,
+    totalValue: userAssets.reduce((sum, asset) => sum + parseFloat(asset.value), 0),
+    baseCurrency: converter.baseCurrency,
+    nativeTotals: totalsByCurrency(nativeAssets, 'value'),
+    missingRates: converter.missingRates()
+  };
+};
+
+// Asset fields a share link may show. Descriptions and metadata (account
+// numbers, notes) stay with the owner.
+const SHARED_ASSET_FIELDS = ['id', 'name', 'type', 'value', 'nativeValue', 'currency', 'purchaseDate', 'createdAt', 'updatedAt'];
+
+const sharedExport = (exportData) => ({
+  ...exportData,
+  assets: exportData.assets.map(asset => Object.fromEntries(SHARED_ASSET_FIELDS.map(field => [field, asset[field]])))
+});
+
+const exportCsv = ({ assets, baseCurrency }, { withDescription = true } = {}) => {
+  const csvHeader = `ID,Name,Type,Value,Currency,Value (${baseCurrency}),${withDescription ? 'Description,' : ''}Created At,Updated At\n`;
+  const csvData = assets.map(asset => 
+    `${asset.id},"${asset.name}",${asset.type},${asset.nativeValue},${asset.currency},${asset.value.toFixed(2)},${withDescription ? `"${asset.description || ''}",` : ''}${asset.createdAt},${asset.updatedAt || asset.createdAt}`
+  ).join('\n');
+  return csvHeader + csvData;
+};
+
 // Export data for external use
-router.get('/export', authenticateToken, async (req, res) => {
+router.get('/export', authenticateToken, allowDelegation('export'), validateView, async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
     const { format = 'json' } = req.query;
-    const userAssets = await findAssets({ userId: req.user.userId });
+    const view = req.query.view || 'share';
+    const exportData = await buildExport(req.user.userId, view, req.assetCategories);
     
     if (format === 'csv') {
-      // Generate CSV format
-      const csvHeader = 'ID,Name,Type,Value,Description,Created At,Updated At\n';
-      const csvData = userAssets.map(asset => 
-        `${asset.id},"${asset.name}",${asset.type},${asset.value},"${asset.description || ''}",${asset.createdAt},${asset.updatedAt || asset.createdAt}`
-      ).join('\n');
-      
       res.setHeader('Content-Type', 'text/csv');
       res.setHeader('Content-Disposition', 'attachment; filename="assets-export.csv"');
-      res.send(csvHeader + csvData);
+      res.send(exportCsv(exportData));
     } else {
       // Default JSON format
-      res.json({
-        assets: userAssets,
-        exportedAt: new Date().toISOString(),
-        totalAssets: userAssets.length,
-        totalValue: userAssets.reduce((sum, asset) => sum + parseFloat(asset.value), 0)
-      });
+      res.json(exportData);
     }
   } catch (error) {
     console.error('Export error:', error);
@@ -211,36 +921,105 @@ router.get('/export', authenticateToken, async (req, res) => {
   }
 });
 
-// Tax report (basic implementation)
-router.get('/tax-report', authenticateToken, async (req, res) => {
+const validateTaxReport = [
+  query('year').optional().isInt({ min: 1900, max: 2100 }).withMessage('year must be a four-digit year'),
+  query('format').optional().isIn(['json', 'csv']).withMessage('format must be json or csv'),
+  ...validateView,
+];
+
+// Tax report: realized gains from lot disposals in a tax year, plus income
+router.get('/tax-report', authenticateToken, allowDelegation('tax-report'), validateTaxReport, async (req, res) => {
   try {
-    const { year = new Date().getFullYear() } = req.query;
-    const userAssets = await findAssets({ userId: req.user.userId });
-    
-    // Filter assets by year
-    const yearAssets = userAssets.filter(asset => {
-      const assetYear = new Date(asset.createdAt).getFullYear();
-      return assetYear.toString() === year.toString();
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const year = parseInt(req.query.year, 10) || new Date().getFullYear();
+    const { format = 'json' } = req.query;
+    const view = req.query.view || 'share';
+    const [allAssets, converter] = await Promise.all([
+      findAssets({ userId: req.user.userId, view }),
+      getConverterForUser(req.user.userId)
+    ]);
+    const userAssets = allAssets.filter(inCategories(req.assetCategories));
+    const transactions = await findTransactions({ assetIds: userAssets.map(asset => asset.id) });
+    const transactionsByAsset = groupTransactionsByAsset(transactions);
+    const inYear = (date) => date.slice(0, 4) === String(year);
+
+    const disposals = [];
+    const warnings = [];
+    let income = 0;
+
+    userAssets.forEach(asset => {
+      const ledger = transactionsByAsset.get(asset.id);
+      if (!ledger) return;
+
+      // Each sell is matched by the lot method recorded with it
+      const summary = summarizeTransactions(ledger);
+      summary.problems.forEach(problem => warnings.push(`${asset.name}: ${problem}`));
+
+      // In the share view a co-owned asset reports the user's part of each sale
+      const share = viewShare(asset, view);
+      const label = (asset.metadata && asset.metadata.symbol) || asset.name;
+      summary.disposals.filter(disposal => inYear(disposal.soldDate)).forEach(disposal => {
+        const quantity = parseFloat((disposal.quantity * share).toFixed(8));
+        const nativeProceeds = parseFloat((disposal.proceeds * share).toFixed(2));
+        const nativeCostBasis = parseFloat((disposal.costBasis * share).toFixed(2));
+        // Proceeds convert at the sale date, basis at the acquisition date
+        const proceeds = parseFloat(converter.convertOrZero(nativeProceeds, asset.currency, disposal.soldDate).toFixed(2));
+        const costBasis = parseFloat(converter.convertOrZero(nativeCostBasis, asset.currency, disposal.acquiredDate).toFixed(2));
+        disposals.push({
+          ...disposal,
+          assetId: asset.id,
+          assetName: asset.name,
+          assetType: asset.type,
+          quantity,
+          description: `${quantity} ${label}`,
+          proceeds,
+          costBasis,
+          gain: parseFloat((proceeds - costBasis).toFixed(2)),
+          currency: asset.currency,
+          nativeProceeds,
+          nativeCostBasis
+        });
+      });
+
+      ledger.filter(transaction => transaction.type === 'income' && inYear(transaction.date)).forEach(transaction => {
+        income += converter.convertOrZero((transaction.amount - transaction.fees) * share, asset.currency, transaction.date);
+      });
     });
 
+    disposals.sort((a, b) => a.soldDate.localeCompare(b.soldDate) || a.acquiredDate.localeCompare(b.acquiredDate));
+
+    const shortTerm = summarizeDisposals(disposals.filter(disposal => disposal.term === 'short'));
+    const longTerm = summarizeDisposals(disposals.filter(disposal => disposal.term === 'long'));
     const taxData = {
-      year: year,
-      totalAssetsAcquired: yearAssets.length,
-      totalValueAcquired: yearAssets.reduce((sum, asset) => sum + parseFloat(asset.value), 0),
-      assetsByCategory: assetCategories.map(category => {
-        const categoryAssets = yearAssets.filter(asset => asset.type === category.id);
-        return {
-          category: category.name,
-          count: categoryAssets.length,
-          value: categoryAssets.reduce((sum, asset) => sum + parseFloat(asset.value), 0)
-        };
-      }).filter(category => category.count > 0)
+      year,
+      view,
+      shortTerm,
+      longTerm,
+      total: summarizeDisposals(disposals),
+      income: parseFloat(income.toFixed(2)),
+      disposals
     };
 
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="form-8949-${year}.csv"`);
+      return res.send(form8949Csv({ ...taxData, baseCurrency: converter.baseCurrency }));
+    }
+
     res.json({
       taxReport: taxData,
+      baseCurrency: converter.baseCurrency,
+      missingRates: converter.missingRates(),
+      warnings,
       generatedAt: new Date().toISOString(),
-      note: 'This is a basic tax report. Consult with a tax professional for comprehensive tax planning.'
+      note: 'Gains are computed from recorded buy and sell transactions. Consult with a tax professional before filing.'
     });
   } catch (error) {
     console.error('Tax report error:', error);
@@ -251,4 +1030,96 @@ router.get('/tax-report', authenticateToken, async (req, res) => {
   }
 });
 
+const validateSharedReport = [
+  body('password').optional().isString().withMessage('password must be text'),
+  body('format').optional().isIn(['json', 'csv']).withMessage('format must be json or csv'),
+];
+
+// Report behind a share link, for anyone holding the link; no login needed.
+// POST so that a link's password never ends up in a URL or access log.
+router.post('/shared/:token', validateSharedReport, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const token = parseLinkToken(req.params.token);
+    const [link] = token ? await findShareLinks({ id: token.id, includePasswordHash: true }) : [];
+    if (!link || !verifyLinkSignature(link, token.signature) || linkStatus(link) === 'revoked') {
+      return res.status(404).json({
+        error: 'Link not found',
+        message: 'This link does not exist or has been revoked'
+      });
+    }
+
+    if (linkStatus(link) === 'expired') {
+      return res.status(410).json({
+        error: 'Link expired',
+        message: 'This link has expired. Ask for a new one.'
+      });
+    }
+
+    if (link.passwordHash) {
+      if (!req.body.password) {
+        return res.status(401).json({
+          error: 'Password required',
+          message: 'This link is password protected',
+          passwordRequired: true
+        });
+      }
+      if (!await bcrypt.compare(req.body.password, link.passwordHash)) {
+        return res.status(401).json({
+          error: 'Invalid password',
+          message: 'The password is incorrect',
+          passwordRequired: true
+        });
+      }
+    }
+
+    // Household links stop working once their creator is no longer an owner
+    if (link.view === 'household' && (await findHousehold({ userId: link.userId }))?.role !== 'owner') {
+      return res.status(410).json({
+        error: 'Link expired',
+        message: 'This link is no longer available'
+      });
+    }
+
+    // Revoked or expired while the password was being checked
+    if (!await recordShareLinkView(link.id)) {
+      return res.status(410).json({
+        error: 'Link expired',
+        message: 'This link is no longer available'
+      });
+    }
+
+    const data = link.report === 'portfolio-summary'
+      ? await buildPortfolioSummary(link.userId, link.view)
+      : sharedExport(await buildExport(link.userId, link.view));
+
+    if (link.report === 'export' && req.body.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', 'attachment; filename="assets-export.csv"');
+      return res.send(exportCsv(data, { withDescription: false }));
+    }
+
+    res.json({
+      report: link.report,
+      label: link.label,
+      sharedBy: link.ownerName,
+      expiresAt: link.expiresAt,
+      data
+    });
+  } catch (error) {
+    console.error('Shared report error:', error);
+    res.status(500).json({
+      error: 'Failed to load shared report',
+      message: 'Unable to load the shared report'
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,145 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const bcrypt = require('bcrypt');
+const { findShareLinks, findHousehold, addShareLink, revokeShareLink, addAuditLog } = require('../data/dataAccess');
+const { SHAREABLE_REPORTS, MAX_LINK_DAYS, linkToken, linkStatus } = require('../services/shareLinks');
+const { VIEWS } = require('../services/households');
+const { authenticateToken } = require('../middleware/auth');
+const router = express.Router();
+
+// Validation middleware for creating a share link
+const validateShareLink = [
+  body('report').isIn(SHAREABLE_REPORTS).withMessage(`report must be one of: ${SHAREABLE_REPORTS.join(', ')}`),
+  body('view').optional().isIn(VIEWS).withMessage(`view must be one of: ${VIEWS.join(', ')}`),
+  body('label').optional({ checkFalsy: true }).trim().isLength({ max: 255 }).withMessage('label must be at most 255 characters'),
+  body('password').optional({ checkFalsy: true }).isLength({ min: 6, max: 128 }).withMessage('password must be 6 to 128 characters'),
+  body('expiresAt').isISO8601().withMessage('expiresAt must be a valid date').custom(value => {
+    const expiresAt = new Date(value);
+    if (expiresAt <= new Date()) {
+      throw new Error('expiresAt must be in the future');
+    }
+    if (expiresAt > new Date(Date.now() + MAX_LINK_DAYS * 24 * 60 * 60 * 1000)) {
+      throw new Error(`Links can stay valid for at most ${MAX_LINK_DAYS} days`);
+    }
+    return true;
+  }),
+];
+
+// Page the link opens; the frontend posts the token to /api/reports/shared/:token
+const linkUrl = (link) => `${process.env.FRONTEND_URL || 'http://localhost:3001'}/shared-report/${linkToken(link)}`;
+
+// Links that no longer work don't get a URL
+const withStatus = (link) => {
+  const status = linkStatus(link);
+  return { ...link, status, url: status === 'active' ? linkUrl(link) : null };
+};
+
+// Share links the authenticated user has created
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const links = await findShareLinks({ userId: req.user.userId });
+
+    res.json({
+      links: links.map(withStatus),
+      reports: SHAREABLE_REPORTS
+    });
+  } catch (error) {
+    console.error('Get share links error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve share links',
+      message: 'Unable to fetch share links'
+    });
+  }
+});
+
+// Create a link to a report
+router.post('/', authenticateToken, validateShareLink, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { report, view, label, password } = req.body;
+
+    // A household link shows every member's assets, so only owners may create one
+    if (view === 'household' && (await findHousehold({ userId: req.user.userId }))?.role !== 'owner') {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        message: 'Only household owners can share the household view'
+      });
+    }
+
+    const saltRounds = 12;
+    const link = await addShareLink({
+      userId: req.user.userId,
+      report,
+      view,
+      label,
+      passwordHash: password ? await bcrypt.hash(password, saltRounds) : null,
+      expiresAt: new Date(req.body.expiresAt)
+    });
+
+    // Log link creation
+    await addAuditLog({
+      userId: req.user.userId,
+      action: 'create_share_link',
+      resourceType: 'share_link',
+      resourceId: link.id,
+      newValues: { report: link.report, view: link.view, label: link.label, passwordProtected: link.passwordProtected, expiresAt: link.expiresAt }
+    });
+
+    res.status(201).json({
+      message: 'Share link created successfully',
+      link: withStatus(link)
+    });
+  } catch (error) {
+    console.error('Create share link error:', error);
+    res.status(500).json({
+      error: 'Failed to create share link',
+      message: 'Unable to create share link'
+    });
+  }
+});
+
+// Revoke a link; anyone opening it afterwards gets a 404
+router.delete('/:id', authenticateToken, param('id').isUUID(), async (req, res) => {
+  try {
+    // Ids that aren't UUIDs can't match a link
+    const link = validationResult(req).isEmpty()
+      ? await revokeShareLink(req.params.id, req.user.userId)
+      : null;
+
+    if (!link) {
+      return res.status(404).json({
+        error: 'Share link not found',
+        message: 'The requested share link does not exist or is already revoked'
+      });
+    }
+
+    // Log revocation
+    await addAuditLog({
+      userId: req.user.userId,
+      action: 'revoke_share_link',
+      resourceType: 'share_link',
+      resourceId: link.id,
+      oldValues: { report: link.report, label: link.label, viewCount: link.viewCount }
+    });
+
+    res.json({
+      message: 'Share link revoked successfully',
+      link: withStatus(link)
+    });
+  } catch (error) {
+    console.error('Revoke share link error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke share link',
+      message: 'Unable to revoke share link'
+    });
+  }
+});
+
+module.exports = router;
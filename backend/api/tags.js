@@ -0,0 +1,171 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { findTags, addTag, updateTag, deleteTag, addAuditLog } = require('../data/dataAccess');
+const { authenticateToken } = require('../middleware/auth');
+const router = express.Router();
+
+// Tag names are matched case-insensitively and may not contain commas,
+// which separate tags in the ?tag= filter on GET /api/assets
+const tagNameRule = (chain) => chain
+  .isString()
+  .trim()
+  .isLength({ min: 1, max: 50 })
+  .withMessage('Tag names must be 1-50 characters')
+  .not().contains(',')
+  .withMessage('Tag names cannot contain commas');
+
+// Validation middleware for tag creation and updates
+const validateTag = [
+  tagNameRule(body('name')),
+  body('color').optional({ nullable: true, checkFalsy: true }).matches(/^#[0-9a-fA-F]{6}$/).withMessage('color must be a hex value like #1a2b3c'),
+];
+
+// Unique index on (user_id, LOWER(name))
+const isDuplicateName = (error) => error.code === '23505';
+
+// Get all tags for authenticated user
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const userTags = await findTags({ userId: req.user.userId });
+
+    res.json({
+      tags: userTags,
+      total: userTags.length
+    });
+  } catch (error) {
+    console.error('Get tags error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve tags',
+      message: 'Unable to fetch tags'
+    });
+  }
+});
+
+// Create new tag
+router.post('/', authenticateToken, validateTag, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { name, color } = req.body;
+    const tag = await addTag({ userId: req.user.userId, name, color });
+
+    // Log tag creation
+    await addAuditLog({
+      userId: req.user.userId,
+      action: 'create_tag',
+      resourceType: 'tag',
+      resourceId: tag.id,
+      newValues: { name, color: tag.color }
+    });
+
+    res.status(201).json({
+      message: 'Tag created successfully',
+      tag
+    });
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(409).json({
+        error: 'Tag already exists',
+        message: `You already have a tag named "${req.body.name}"`
+      });
+    }
+    console.error('Create tag error:', error);
+    res.status(500).json({
+      error: 'Failed to create tag',
+      message: 'Unable to create tag'
+    });
+  }
+});
+
+// Rename or recolor a tag
+router.put('/:id', authenticateToken, validateTag, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const existingTag = (await findTags({ userId: req.user.userId, id: req.params.id }))[0];
+    if (!existingTag) {
+      return res.status(404).json({
+        error: 'Tag not found',
+        message: 'The requested tag does not exist'
+      });
+    }
+
+    const { name, color } = req.body;
+    const tag = await updateTag(req.params.id, { name, color });
+
+    // Log tag update
+    await addAuditLog({
+      userId: req.user.userId,
+      action: 'update_tag',
+      resourceType: 'tag',
+      resourceId: req.params.id,
+      oldValues: { name: existingTag.name, color: existingTag.color },
+      newValues: { name: tag.name, color: tag.color }
+    });
+
+    res.json({
+      message: 'Tag updated successfully',
+      tag: { ...tag, assetCount: existingTag.assetCount }
+    });
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(409).json({
+        error: 'Tag already exists',
+        message: `You already have a tag named "${req.body.name}"`
+      });
+    }
+    console.error('Update tag error:', error);
+    res.status(500).json({
+      error: 'Failed to update tag',
+      message: 'Unable to update tag'
+    });
+  }
+});
+
+// Delete a tag; it is removed from every asset that carried it
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const existingTag = (await findTags({ userId: req.user.userId, id: req.params.id }))[0];
+    if (!existingTag) {
+      return res.status(404).json({
+        error: 'Tag not found',
+        message: 'The requested tag does not exist'
+      });
+    }
+
+    await deleteTag(req.params.id);
+
+    // Log tag deletion
+    await addAuditLog({
+      userId: req.user.userId,
+      action: 'delete_tag',
+      resourceType: 'tag',
+      resourceId: req.params.id,
+      oldValues: { name: existingTag.name, assetCount: existingTag.assetCount }
+    });
+
+    res.json({
+      message: 'Tag deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete tag error:', error);
+    res.status(500).json({
+      error: 'Failed to delete tag',
+      message: 'Unable to delete tag'
+    });
+  }
+});
+
+module.exports = router;
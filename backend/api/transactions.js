@@ -0,0 +1,269 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { findAssets, findTransactions, addTransaction, updateTransaction, deleteTransaction, addAuditLog } = require('../data/dataAccess');
+const { TRANSACTION_TYPES, LOT_METHODS, sortTransactions, summarizeTransactions } = require('../services/ledger');
+const { authenticateToken } = require('../middleware/auth');
+
+// Mounted at /api/assets/:id/transactions
+const router = express.Router({ mergeParams: true });
+
+// Validation for new transactions; on update every field is optional
+const transactionRules = (partial) => {
+  const field = (name) => (partial ? body(name).optional() : body(name));
+  return [
+    field('type').isIn(TRANSACTION_TYPES).withMessage(`type must be one of: ${TRANSACTION_TYPES.join(', ')}`),
+    field('date').matches(/^\d{4}-\d{2}-\d{2}$/).isISO8601({ strict: true }).withMessage('date must be a date (YYYY-MM-DD)'),
+    field('amount').isFloat({ min: 0 }).withMessage('amount must be a non-negative number').toFloat(),
+    body('quantity').optional({ nullable: true, checkFalsy: true }).isFloat({ gt: 0 }).withMessage('quantity must be a positive number').toFloat(),
+    body('fees').optional({ nullable: true, checkFalsy: true }).isFloat({ min: 0 }).withMessage('fees must be a non-negative number').toFloat(),
+    body('memo').optional({ nullable: true }).isLength({ max: 500 }).trim().escape(),
+    // Specific-lot identification for sells: the buy transactions to close
+    body('lots').optional({ nullable: true }).isArray({ max: 100 }).withMessage('lots must be a list of { lotId, quantity }'),
+    body('lots.*.lotId').isString().isLength({ min: 1 }).withMessage('lotId is required'),
+    body('lots.*.quantity').isFloat({ gt: 0 }).withMessage('Lot quantity must be a positive number').toFloat(),
+    // How a sell matches units not covered by `lots`; fixed once recorded so
+    // later reports never rematch it
+    body('lotMethod').optional({ nullable: true }).isIn(LOT_METHODS).withMessage(`lotMethod must be one of: ${LOT_METHODS.join(', ')}`),
+  ];
+};
+
+const validateTransaction = transactionRules(false);
+const validateTransactionUpdate = transactionRules(true);
+
+// Load the asset named in the URL, scoped to the authenticated user
+const loadAsset = async (req, res, next) => {
+  try {
+    const userAssets = await findAssets({ userId: req.user.userId, id: req.params.id });
+    if (!userAssets[0]) {
+      return res.status(404).json({
+        error: 'Asset not found',
+        message: 'The requested asset does not exist'
+      });
+    }
+    req.asset = userAssets[0];
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// A ledger may never sell more units than it holds at that point in time,
+// or close lots that aren't open
+const ledgerProblem = (transactions) => summarizeTransactions(transactions).problems[0] || null;
+
+// Specific lots and lot methods only apply to sells, and selected lots must
+// cover exactly the quantity sold
+const lotSelectionProblem = (transaction) => {
+  if (transaction.lotMethod && (transaction.type !== 'sell' || !transaction.quantity)) {
+    return 'A lot method can only be set on sells with a quantity';
+  }
+  if (!transaction.lots || transaction.lots.length === 0) return null;
+  if (transaction.type !== 'sell' || !transaction.quantity) {
+    return 'Lots can only be selected for sells with a quantity';
+  }
+  const selected = transaction.lots.reduce((sum, lot) => sum + lot.quantity, 0);
+  if (Math.abs(selected - transaction.quantity) > 1e-8) {
+    return 'Selected lot quantities must add up to the quantity sold';
+  }
+  return null;
+};
+
+// List an asset's transactions with the holdings derived from them
+router.get('/', authenticateToken, loadAsset, async (req, res) => {
+  try {
+    const transactions = await findTransactions({ assetId: req.asset.id });
+    const { cashFlows, ...summary } = summarizeTransactions(transactions);
+
+    res.json({
+      transactions: sortTransactions(transactions).reverse(),
+      summary,
+      currency: req.asset.currency,
+      total: transactions.length
+    });
+  } catch (error) {
+    console.error('Get transactions error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve transactions',
+      message: 'Unable to fetch asset transactions'
+    });
+  }
+});
+
+// Record a transaction
+router.post('/', authenticateToken, loadAsset, validateTransaction, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { type, date, quantity, amount, fees, memo, lots, lotMethod } = req.body;
+    const transactionData = {
+      assetId: req.asset.id,
+      userId: req.user.userId,
+      type,
+      date,
+      quantity: quantity || null,
+      amount,
+      fees: fees || 0,
+      memo,
+      lots: lots && lots.length > 0 ? lots : null,
+      lotMethod: type === 'sell' && quantity ? lotMethod || 'fifo' : lotMethod || null
+    };
+
+    const existing = await findTransactions({ assetId: req.asset.id });
+    const conflict = lotSelectionProblem(transactionData) ||
+      ledgerProblem([...existing, { ...transactionData, createdAt: new Date() }]);
+    if (conflict) {
+      return res.status(400).json({
+        error: 'Invalid transaction',
+        message: conflict
+      });
+    }
+
+    const transaction = await addTransaction(transactionData);
+
+    // Log transaction creation
+    await addAuditLog({
+      userId: req.user.userId,
+      action: 'create_transaction',
+      resourceType: 'asset_transaction',
+      resourceId: transaction.id,
+      newValues: { assetId: req.asset.id, type, date, quantity: transaction.quantity, amount, fees: transaction.fees }
+    });
+
+    res.status(201).json({
+      message: 'Transaction recorded successfully',
+      transaction
+    });
+  } catch (error) {
+    console.error('Create transaction error:', error);
+    res.status(500).json({
+      error: 'Failed to record transaction',
+      message: 'Unable to record transaction'
+    });
+  }
+});
+
+// Update a transaction
+router.put('/:transactionId', authenticateToken, loadAsset, validateTransactionUpdate, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const existing = await findTransactions({ assetId: req.asset.id });
+    const current = existing.find(transaction => transaction.id === req.params.transactionId);
+    if (!current) {
+      return res.status(404).json({
+        error: 'Transaction not found',
+        message: 'The requested transaction does not exist'
+      });
+    }
+
+    const { type, date, quantity, amount, fees, memo, lots, lotMethod } = req.body;
+    const updates = {
+      type,
+      date,
+      quantity: quantity !== undefined ? quantity || null : undefined,
+      amount,
+      fees: fees !== undefined ? fees || 0 : undefined,
+      memo,
+      lots: lots !== undefined ? (lots && lots.length > 0 ? lots : null) : undefined,
+      lotMethod: lotMethod !== undefined ? lotMethod || null : undefined
+    };
+
+    const updated = { ...current };
+    Object.entries(updates).forEach(([key, value]) => {
+      if (value !== undefined) updated[key] = value;
+    });
+    // The lot method goes with the sell when the transaction stops being one
+    if (updated.lotMethod && lotMethod === undefined && (updated.type !== 'sell' || !updated.quantity)) {
+      updates.lotMethod = null;
+      updated.lotMethod = null;
+    }
+    const conflict = lotSelectionProblem(updated) ||
+      ledgerProblem(existing.map(transaction => (transaction.id === current.id ? updated : transaction)));
+    if (conflict) {
+      return res.status(400).json({
+        error: 'Invalid transaction',
+        message: conflict
+      });
+    }
+
+    const transaction = await updateTransaction(current.id, updates);
+
+    // Log transaction update
+    await addAuditLog({
+      userId: req.user.userId,
+      action: 'update_transaction',
+      resourceType: 'asset_transaction',
+      resourceId: current.id,
+      oldValues: { assetId: req.asset.id, type: current.type, date: current.date, quantity: current.quantity, amount: current.amount, fees: current.fees },
+      newValues: { assetId: req.asset.id, type: transaction.type, date: transaction.date, quantity: transaction.quantity, amount: transaction.amount, fees: transaction.fees }
+    });
+
+    res.json({
+      message: 'Transaction updated successfully',
+      transaction
+    });
+  } catch (error) {
+    console.error('Update transaction error:', error);
+    res.status(500).json({
+      error: 'Failed to update transaction',
+      message: 'Unable to update transaction'
+    });
+  }
+});
+
+// Delete a transaction
+router.delete('/:transactionId', authenticateToken, loadAsset, async (req, res) => {
+  try {
+    const existing = await findTransactions({ assetId: req.asset.id });
+    const current = existing.find(transaction => transaction.id === req.params.transactionId);
+    if (!current) {
+      return res.status(404).json({
+        error: 'Transaction not found',
+        message: 'The requested transaction does not exist'
+      });
+    }
+
+    const conflict = ledgerProblem(existing.filter(transaction => transaction.id !== current.id));
+    if (conflict) {
+      return res.status(409).json({
+        error: 'Transaction in use',
+        message: `Deleting this transaction would leave later sells uncovered: ${conflict}`
+      });
+    }
+
+    await deleteTransaction(current.id);
+
+    // Log transaction deletion
+    await addAuditLog({
+      userId: req.user.userId,
+      action: 'delete_transaction',
+      resourceType: 'asset_transaction',
+      resourceId: current.id,
+      oldValues: { assetId: req.asset.id, type: current.type, date: current.date, quantity: current.quantity, amount: current.amount, fees: current.fees }
+    });
+
+    res.json({
+      message: 'Transaction deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete transaction error:', error);
+    res.status(500).json({
+      error: 'Failed to delete transaction',
+      message: 'Unable to delete transaction'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,43 +1,10 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
 const { body, validationResult } = require('express-validator');
 const { findUser, updateUser, addAuditLog } = require('../data/dataAccess');
+const { authenticateToken } = require('../middleware/auth');
 const router = express.Router();
 
-// Authentication middleware
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-
-  if (!token) {
-    return res.status(401).json({
-      error: 'Access token required',
-      message: 'Please provide a valid access token'
-    });
-  }
-
-  const jwtSecret = process.env.JWT_SECRET;
-  if (!jwtSecret) {
-    console.error('JWT_SECRET not configured');
-    return res.status(500).json({
-      error: 'Server configuration error',
-      message: 'Authentication service not properly configured'
-    });
-  }
-
-  jwt.verify(token, jwtSecret, (err, user) => {
-    if (err) {
-      return res.status(403).json({
-        error: 'Invalid token',
-        message: 'The provided token is invalid or expired'
-      });
-    }
-    req.user = user;
-    next();
-  });
-};
-
 // Get current user profile
 router.get('/profile', authenticateToken, async (req, res) => {
   try {
@@ -57,6 +24,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
         firstName: user.firstName,
         lastName: user.lastName,
         twoFactorEnabled: user.twoFactorEnabled,
+        baseCurrency: user.baseCurrency,
         createdAt: user.createdAt,
         lastLogin: user.lastLogin
       }
@@ -75,6 +43,7 @@ router.put('/profile', authenticateToken, [
   body('firstName').optional().isLength({ min: 2 }).trim().escape(),
   body('lastName').optional().isLength({ min: 2 }).trim().escape(),
   body('email').optional().isEmail().normalizeEmail(),
+  body('baseCurrency').optional().trim().toUpperCase().isISO4217().withMessage('baseCurrency must be an ISO 4217 code'),
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -94,7 +63,7 @@ router.put('/profile', authenticateToken, [
       });
     }
 
-    const { firstName, lastName, email } = req.body;
+    const { firstName, lastName, email, baseCurrency } = req.body;
 
     // Check if email is already taken by another user
     if (email && email !== user.email) {
@@ -112,6 +81,7 @@ router.put('/profile', authenticateToken, [
     if (firstName) updates.firstName = firstName;
     if (lastName) updates.lastName = lastName;
     if (email) updates.email = email;
+    if (baseCurrency) updates.baseCurrency = baseCurrency;
     
     const updatedUser = await updateUser(req.user.userId, updates);
     
@@ -121,7 +91,7 @@ router.put('/profile', authenticateToken, [
       action: 'update_profile',
       resourceType: 'user',
       resourceId: req.user.userId,
-      oldValues: { firstName: user.firstName, lastName: user.lastName, email: user.email },
+      oldValues: { firstName: user.firstName, lastName: user.lastName, email: user.email, baseCurrency: user.baseCurrency },
       newValues: updates
     });
 
@@ -132,7 +102,8 @@ router.put('/profile', authenticateToken, [
         email: updatedUser.email,
         firstName: updatedUser.firstName,
         lastName: updatedUser.lastName,
-        twoFactorEnabled: updatedUser.twoFactorEnabled
+        twoFactorEnabled: updatedUser.twoFactorEnabled,
+        baseCurrency: updatedUser.baseCurrency
       }
     });
   } catch (error) {
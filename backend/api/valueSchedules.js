@@ -0,0 +1,183 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { findAssets, findValueSchedules, setValueSchedule, deleteValueSchedule, addAuditLog } = require('../data/dataAccess');
+const { SCHEDULE_METHODS, scheduledValue, projectSchedule } = require('../services/valueSchedules');
+const { runValueSchedules } = require('../services/scheduledValuations');
+const { authenticateToken } = require('../middleware/auth');
+
+// Mounted at /api/assets/:id/schedule
+const router = express.Router({ mergeParams: true });
+
+// Validation middleware for setting a schedule
+const validateSchedule = [
+  body('method').isIn(SCHEDULE_METHODS).withMessage(`method must be one of: ${SCHEDULE_METHODS.join(', ')}`),
+  body('startDate').optional().matches(/^\d{4}-\d{2}-\d{2}$/).isISO8601({ strict: true }).withMessage('startDate must be a date (YYYY-MM-DD)'),
+  body('startValue').optional().isFloat({ min: 0 }).withMessage('startValue must be a non-negative number').toFloat(),
+  body('annualRate').optional({ nullable: true }).isFloat({ min: -99.99, max: 100 }).withMessage('annualRate must be a percentage between -99.99 and 100').toFloat(),
+  body('usefulLifeYears').optional({ nullable: true }).isFloat({ gt: 0, max: 100 }).withMessage('usefulLifeYears must be between 0 and 100').toFloat(),
+  body('salvageValue').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('salvageValue must be a non-negative number').toFloat(),
+];
+
+// Load the asset named in the URL, scoped to the authenticated user
+const loadAsset = async (req, res, next) => {
+  try {
+    const userAssets = await findAssets({ userId: req.user.userId, id: req.params.id });
+    if (!userAssets[0]) {
+      return res.status(404).json({
+        error: 'Asset not found',
+        message: 'The requested asset does not exist'
+      });
+    }
+    req.asset = userAssets[0];
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Each method needs its own parameters
+const scheduleProblem = (schedule) => {
+  if (schedule.method === 'straight_line' && !schedule.usefulLifeYears) {
+    return 'Straight-line schedules need usefulLifeYears';
+  }
+  if (schedule.method !== 'straight_line' && (schedule.annualRate === null || schedule.annualRate === undefined)) {
+    return 'Declining-balance and fixed-rate schedules need annualRate';
+  }
+  if (schedule.method === 'declining_balance' && !(schedule.annualRate > 0 && schedule.annualRate < 100)) {
+    return 'Declining-balance rates must be between 0 and 100';
+  }
+  if (schedule.salvageValue > schedule.startValue) {
+    return 'salvageValue cannot be more than startValue';
+  }
+  return null;
+};
+
+const todayString = () => new Date().toISOString().slice(0, 10);
+
+// The schedule plus its value today and on each anniversary
+const describeForAsset = (schedule) => (schedule ? {
+  ...schedule,
+  currentValue: scheduledValue(schedule, todayString()),
+  projection: projectSchedule(schedule)
+} : null);
+
+// Get an asset's value schedule
+router.get('/', authenticateToken, loadAsset, async (req, res) => {
+  try {
+    const [schedule] = await findValueSchedules({ assetId: req.asset.id });
+
+    res.json({
+      schedule: describeForAsset(schedule),
+      currency: req.asset.currency
+    });
+  } catch (error) {
+    console.error('Get value schedule error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve value schedule',
+      message: 'Unable to fetch value schedule'
+    });
+  }
+});
+
+// Set (or replace) an asset's value schedule and apply it for today
+router.put('/', authenticateToken, loadAsset, validateSchedule, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    // Unless given, start from the purchase price on the purchase date
+    const scheduleData = {
+      assetId: req.asset.id,
+      userId: req.user.userId,
+      method: req.body.method,
+      startDate: req.body.startDate || req.asset.purchaseDate || todayString(),
+      startValue: req.body.startValue ?? req.asset.purchaseValue,
+      annualRate: req.body.method === 'straight_line' ? null : req.body.annualRate,
+      usefulLifeYears: req.body.method === 'straight_line' ? req.body.usefulLifeYears : null,
+      salvageValue: req.body.salvageValue || 0
+    };
+
+    const problem = scheduleProblem(scheduleData);
+    if (problem) {
+      return res.status(400).json({
+        error: 'Invalid schedule',
+        message: problem
+      });
+    }
+
+    const [previous] = await findValueSchedules({ assetId: req.asset.id });
+    const schedule = await setValueSchedule(scheduleData);
+    const run = await runValueSchedules({ assetId: req.asset.id });
+
+    // Log schedule change
+    const auditValues = (entry) => ({
+      assetId: entry.assetId,
+      method: entry.method,
+      startDate: entry.startDate,
+      startValue: entry.startValue,
+      annualRate: entry.annualRate,
+      usefulLifeYears: entry.usefulLifeYears,
+      salvageValue: entry.salvageValue
+    });
+    await addAuditLog({
+      userId: req.user.userId,
+      action: 'set_value_schedule',
+      resourceType: 'asset_value_schedule',
+      resourceId: schedule.id,
+      oldValues: previous ? auditValues(previous) : null,
+      newValues: auditValues(schedule)
+    });
+
+    res.json({
+      message: 'Value schedule saved successfully',
+      schedule: describeForAsset(schedule),
+      recorded: run.recorded[0] || null,
+      currency: req.asset.currency
+    });
+  } catch (error) {
+    console.error('Set value schedule error:', error);
+    res.status(500).json({
+      error: 'Failed to save value schedule',
+      message: 'Unable to save value schedule'
+    });
+  }
+});
+
+// Remove an asset's value schedule. Valuations it generated are kept.
+router.delete('/', authenticateToken, loadAsset, async (req, res) => {
+  try {
+    const deleted = await deleteValueSchedule(req.asset.id);
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Value schedule not found',
+        message: 'This asset has no value schedule'
+      });
+    }
+
+    // Log schedule removal
+    await addAuditLog({
+      userId: req.user.userId,
+      action: 'delete_value_schedule',
+      resourceType: 'asset_value_schedule',
+      resourceId: deleted.id,
+      oldValues: { assetId: deleted.assetId, method: deleted.method, startValue: deleted.startValue }
+    });
+
+    res.json({
+      message: 'Value schedule removed successfully'
+    });
+  } catch (error) {
+    console.error('Delete value schedule error:', error);
+    res.status(500).json({
+      error: 'Failed to remove value schedule',
+      message: 'Unable to remove value schedule'
+    });
+  }
+});
+
+module.exports = router;
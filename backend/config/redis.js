@@ -90,8 +90,23 @@ const sessionHelpers = {
   }
 };
 
+// Market quote cache, keyed by provider, symbol and quote date
+const quoteCache = {
+  async getQuote(provider, symbol, date) {
+    const client = await getRedisClient();
+    const data = await client.get(`price-quote:${provider}:${symbol}:${date}`);
+    return data ? JSON.parse(data) : null;
+  },
+
+  async storeQuote(provider, symbol, date, quote, ttlSeconds) {
+    const client = await getRedisClient();
+    await client.setEx(`price-quote:${provider}:${symbol}:${date}`, ttlSeconds, JSON.stringify(quote));
+  }
+};
+
 module.exports = {
   getRedisClient,
   closeRedisConnection,
-  sessionHelpers
+  sessionHelpers,
+  quoteCache
 };
@@ -1,4 +1,16 @@
-const { query, getClient } = require('./database');
+const { query, getClient, withTransaction } = require('./database');
+const { v4: uuidv4 } = require('uuid');
+const encryption = require('../services/encryptionService');
+const { summarizeTransactions } = require('../services/ledger');
+
+// Format a DATE column (returned by pg as a local-midnight Date) as YYYY-MM-DD
+const formatDateOnly = (value) => {
+  if (!value) return null;
+  if (!(value instanceof Date)) return String(value).slice(0, 10);
+  const month = String(value.getMonth() + 1).padStart(2, '0');
+  const day = String(value.getDate()).padStart(2, '0');
+  return `${value.getFullYear()}-${month}-${day}`;
+};
 
 // =============================================================================
 // USER MANAGEMENT
@@ -39,6 +51,7 @@ const findUser = async (criteria) => {
       twoFactorSecret: user.two_factor_secret,
       lastLogin: user.last_login,
       currentChallenge: user.current_challenge,
+      baseCurrency: user.base_currency,
       createdAt: user.created_at,
       updatedAt: user.updated_at
     };
@@ -80,6 +93,7 @@ const addUser = async (userData) => {
       twoFactorSecret: user.two_factor_secret,
       lastLogin: user.last_login,
       currentChallenge: user.current_challenge,
+      baseCurrency: user.base_currency,
       createdAt: user.created_at,
       updatedAt: user.updated_at
     };
@@ -127,6 +141,10 @@ const updateUser = async (userId, updates) => {
       setClause.push(`current_challenge = $${paramIndex++}`);
       params.push(updates.currentChallenge);
     }
+    if (updates.baseCurrency) {
+      setClause.push(`base_currency = $${paramIndex++}`);
+      params.push(updates.baseCurrency);
+    }
     
     if (setClause.length === 0) {
       return await findUser(userId);
@@ -153,6 +171,7 @@ const updateUser = async (userId, updates) => {
       twoFactorSecret: user.two_factor_secret,
       lastLogin: user.last_login,
       currentChallenge: user.current_challenge,
+      baseCurrency: user.base_currency,
       createdAt: user.created_at,
       updatedAt: user.updated_at
     };
@@ -318,211 +337,2725 @@ const updatePasskey = async (passkeyId, updates) => {
 };
 
 // =============================================================================
-// ASSET MANAGEMENT
+// ENCRYPTION KEYS
 // =============================================================================
 
-const findAssets = async (criteria) => {
+// Sensitive fields are encrypted with the owner's data key on write and
+// decrypted when rows are mapped. Descriptions are encrypted whole; in
+// metadata only these keys are, so the rest stays usable in queries.
+const SENSITIVE_METADATA_KEYS = [
+  'accountNumber', 'accountId', 'routingNumber', 'iban',
+  'policyNumber', 'walletAddress', 'notes'
+];
+
+// Unwrapped data keys by `${userId}:${version}`
+const dataKeyCache = new Map();
+
+const unwrapKeyRow = (row) => {
+  const cacheKey = `${row.user_id}:${row.version}`;
+  if (!dataKeyCache.has(cacheKey)) {
+    dataKeyCache.set(cacheKey, encryption.unwrapDataKey(row.wrapped_key, row.master_key_id, row.user_id));
+  }
+  return dataKeyCache.get(cacheKey);
+};
+
+// The user's current data key, created on first use. Pass a transaction
+// client as `runner` when called inside a transaction.
+const getActiveDataKey = async (userId, runner = { query }) => {
+  const selectActive = () => runner.query(
+    "SELECT * FROM user_data_keys WHERE user_id = $1 AND status = 'active' ORDER BY version DESC LIMIT 1",
+    [userId]
+  );
+
+  let result = await selectActive();
+  if (!result.rows[0]) {
+    const { wrappedKey, masterKeyId } = encryption.wrapDataKey(encryption.generateDataKey(), userId);
+    // A concurrent request may create the key first; its key wins
+    await runner.query(`
+      INSERT INTO user_data_keys (user_id, version, wrapped_key, master_key_id, status, created_at)
+      SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3, 'active', NOW()
+      FROM user_data_keys WHERE user_id = $1
+      ON CONFLICT DO NOTHING
+    `, [userId, wrappedKey, masterKeyId]);
+    result = await selectActive();
+  }
+
+  const row = result.rows[0];
+  return { version: row.version, key: unwrapKeyRow(row) };
+};
+
+const sensitiveValues = (row) => [
+  row.description,
+  ...SENSITIVE_METADATA_KEYS.map(key => row.metadata && row.metadata[key])
+];
+
+// Cache every data key needed to decrypt these rows
+const loadDataKeysForRows = async (rows, runner = { query }) => {
+  const missing = new Set();
+  rows.forEach(row => {
+    sensitiveValues(row).forEach(value => {
+      const version = encryption.valueKeyVersion(value);
+      if (version !== null && !dataKeyCache.has(`${row.user_id}:${version}`)) {
+        missing.add(row.user_id);
+      }
+    });
+  });
+
+  for (const userId of missing) {
+    const result = await runner.query('SELECT * FROM user_data_keys WHERE user_id = $1', [userId]);
+    result.rows.forEach(unwrapKeyRow);
+  }
+};
+
+const cachedDataKey = (userId, version) => {
+  const dataKey = dataKeyCache.get(`${userId}:${version}`);
+  if (!dataKey) {
+    throw new Error(`Data key version ${version} for user ${userId} is not available`);
+  }
+  return dataKey;
+};
+
+// Values written before encryption was enabled are returned as they are
+const decryptField = (value, userId) => {
+  const version = encryption.valueKeyVersion(value);
+  if (version === null) return value;
+  return encryption.decryptValue(value, cachedDataKey(userId, version), userId);
+};
+
+const decryptMetadata = (metadata, userId) => {
+  if (!metadata) return metadata;
+  const decrypted = { ...metadata };
+  SENSITIVE_METADATA_KEYS.forEach(key => {
+    if (encryption.isEncryptedValue(decrypted[key])) {
+      decrypted[key] = JSON.parse(decryptField(decrypted[key], userId));
+    }
+  });
+  return decrypted;
+};
+
+// Encrypt the sensitive parts of a description/metadata pair about to be
+// written. Undefined fields stay undefined so partial updates still work.
+// Without a configured master key the values are returned untouched.
+const encryptSensitiveFields = async (userId, { description, metadata }, runner = { query }) => {
+  if (!encryption.isEnabled()) return { description, metadata };
+
+  const { version, key } = await getActiveDataKey(userId, runner);
+  const encrypt = (value) => encryption.encryptValue(value, key, version, userId);
+
+  const result = { description, metadata };
+  if (description) {
+    result.description = encrypt(description);
+  }
+  if (metadata) {
+    result.metadata = { ...metadata };
+    SENSITIVE_METADATA_KEYS.forEach(field => {
+      if (metadata[field] !== undefined && metadata[field] !== null && metadata[field] !== '') {
+        result.metadata[field] = encrypt(JSON.stringify(metadata[field]));
+      }
+    });
+  }
+  return result;
+};
+
+// Encrypt an uploaded document for its owner. keyVersion is null when
+// encryption is disabled and the contents are stored as they are.
+const encryptDocumentContents = async (userId, contents) => {
+  if (!encryption.isEnabled()) return { contents, keyVersion: null };
+  const { version, key } = await getActiveDataKey(userId);
+  return {
+    contents: encryption.encryptFile(contents, key, version, userId),
+    keyVersion: version
+  };
+};
+
+// Decrypt a stored document with the data key version named in its file
+// header, which is written together with the contents. The row's key_version
+// can lag behind it if key rotation stopped between saving a file and
+// updating the row.
+const decryptDocumentContents = async (userId, contents) => {
+  const keyVersion = encryption.fileKeyVersion(contents);
+  if (keyVersion === null) return contents;
+  if (!dataKeyCache.has(`${userId}:${keyVersion}`)) {
+    const result = await query('SELECT * FROM user_data_keys WHERE user_id = $1 AND version = $2', [userId, keyVersion]);
+    if (result.rows[0]) unwrapKeyRow(result.rows[0]);
+  }
+  return encryption.decryptFile(contents, cachedDataKey(userId, keyVersion), userId);
+};
+
+// Re-wrap every data key that isn't under the current master key. Run after
+// introducing a new master key; the old one can be dropped once this is done.
+const rewrapDataKeys = async () => {
   try {
-    let queryText = 'SELECT * FROM assets WHERE ';
-    let params = [];
-    
-    if (criteria.userId && criteria.id) {
-      queryText += 'user_id = $1 AND id = $2';
-      params = [criteria.userId, criteria.id];
-    } else if (criteria.userId) {
-      queryText += 'user_id = $1 ORDER BY created_at DESC';
-      params = [criteria.userId];
-    } else if (criteria.id) {
-      queryText += 'id = $1';
-      params = [criteria.id];
-    } else {
-      return [];
+    const currentKeyId = encryption.currentMasterKeyId();
+    const result = await query('SELECT * FROM user_data_keys WHERE master_key_id <> $1', [currentKeyId]);
+
+    for (const row of result.rows) {
+      const { wrappedKey, masterKeyId } = encryption.wrapDataKey(unwrapKeyRow(row), row.user_id);
+      await query(
+        'UPDATE user_data_keys SET wrapped_key = $1, master_key_id = $2, rotated_at = NOW() WHERE user_id = $3 AND version = $4',
+        [wrappedKey, masterKeyId, row.user_id, row.version]
+      );
     }
-    
-    const result = await query(queryText, params);
-    return result.rows.map(row => ({
-      id: row.id,
-      userId: row.user_id,
-      name: row.name,
-      type: row.asset_type,
-      value: parseFloat(row.current_value),
-      purchaseValue: parseFloat(row.acquisition_cost || row.current_value),
-      description: row.description,
-      metadata: row.metadata,
-      createdAt: row.created_at,
-      updatedAt: row.updated_at
-    }));
+
+    return result.rows.length;
   } catch (error) {
-    console.error('❌ Error finding assets:', error);
-    return [];
+    console.error('❌ Error re-wrapping data keys:', error);
+    throw error;
   }
 };
 
-const addAsset = async (assetData) => {
+// Give a user a new data key and re-encrypt their assets, liabilities and policies with
+// it (plaintext left from before encryption was enabled gets encrypted too).
+// Retired keys are kept so documents not yet re-encrypted stay readable.
+const rotateUserDataKey = async (userId) => {
+  if (!encryption.isEnabled()) {
+    throw new Error('Encryption is not configured');
+  }
+
   try {
-    const id = Date.now().toString();
-    const queryText = `
-      INSERT INTO assets (id, user_id, name, asset_type, current_value, acquisition_cost, description, metadata, created_at, updated_at)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW(), NOW())
-      RETURNING *
-    `;
-    
-    const params = [
-      id,
-      assetData.userId,
-      assetData.name,
-      assetData.type,
-      assetData.value,
-      assetData.purchaseValue || assetData.value,
-      assetData.description || '',
-      JSON.stringify(assetData.metadata || {})
-    ];
-    
-    const result = await query(queryText, params);
-    const row = result.rows[0];
-    return {
-      id: row.id,
-      userId: row.user_id,
-      name: row.name,
-      type: row.asset_type,
-      value: parseFloat(row.current_value),
-      purchaseValue: parseFloat(row.acquisition_cost),
-      description: row.description,
-      metadata: row.metadata,
-      createdAt: row.created_at,
-      updatedAt: row.updated_at
-    };
+    return await withTransaction(async (client) => {
+      await client.query(
+        "UPDATE user_data_keys SET status = 'retired', rotated_at = NOW() WHERE user_id = $1 AND status = 'active'",
+        [userId]
+      );
+      const { wrappedKey, masterKeyId } = encryption.wrapDataKey(encryption.generateDataKey(), userId);
+      const inserted = await client.query(`
+        INSERT INTO user_data_keys (user_id, version, wrapped_key, master_key_id, status, created_at)
+        SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3, 'active', NOW()
+        FROM user_data_keys WHERE user_id = $1
+        RETURNING version
+      `, [userId, wrappedKey, masterKeyId]);
+
+      const counts = {};
+      for (const table of ['assets', 'liabilities', 'insurance_policies']) {
+        const rows = (await client.query(`SELECT * FROM ${table} WHERE user_id = $1 FOR UPDATE`, [userId])).rows;
+        await loadDataKeysForRows(rows, client);
+
+        for (const row of rows) {
+          const { description, metadata } = await encryptSensitiveFields(userId, {
+            description: decryptField(row.description, userId),
+            metadata: decryptMetadata(row.metadata, userId)
+          }, client);
+          await client.query(
+            `UPDATE ${table} SET description = $1, metadata = $2 WHERE id = $3`,
+            [description, JSON.stringify(metadata || {}), row.id]
+          );
+        }
+        counts[table] = rows.length;
+      }
+
+      return { version: inserted.rows[0].version, ...counts };
+    });
   } catch (error) {
-    console.error('❌ Error adding asset:', error);
+    console.error('❌ Error rotating data key:', error);
     throw error;
   }
 };
 
-const updateAsset = async (assetId, updates) => {
+// =============================================================================
+// HOUSEHOLDS
+// =============================================================================
+
+const mapHouseholdRow = (row) => ({
+  id: row.id,
+  name: row.name,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+const mapHouseholdMemberRow = (row) => ({
+  userId: row.user_id,
+  email: row.email,
+  firstName: row.first_name,
+  lastName: row.last_name,
+  role: row.role,
+  joinedAt: row.joined_at
+});
+
+const mapAssetOwnerRow = (row) => ({
+  assetId: row.asset_id,
+  userId: row.user_id,
+  email: row.email,
+  firstName: row.first_name,
+  lastName: row.last_name,
+  percentage: parseFloat(row.percentage)
+});
+
+// A household with its members, found by id or by one of its members.
+// With a userId, `role` is that member's role.
+const findHousehold = async (criteria, runner = { query }) => {
   try {
-    const setClause = [];
-    const params = [assetId];
-    let paramIndex = 2;
-    
-    if (updates.name) {
-      setClause.push(`name = $${paramIndex++}`);
-      params.push(updates.name);
-    }
-    if (updates.type) {
-      setClause.push(`asset_type = $${paramIndex++}`);
-      params.push(updates.type);
-    }
-    if (updates.value !== undefined) {
-      setClause.push(`current_value = $${paramIndex++}`);
-      params.push(updates.value);
-    }
-    if (updates.purchaseValue !== undefined) {
-      setClause.push(`acquisition_cost = $${paramIndex++}`);
-      params.push(updates.purchaseValue);
-    }
-    if (updates.description !== undefined) {
-      setClause.push(`description = $${paramIndex++}`);
-      params.push(updates.description);
-    }
-    if (updates.metadata) {
-      setClause.push(`metadata = $${paramIndex++}`);
-      params.push(JSON.stringify(updates.metadata));
-    }
-    
-    if (setClause.length === 0) {
-      const assets = await findAssets({ id: assetId });
-      return assets[0] || null;
+    let queryText;
+    let params = [];
+
+    if (criteria.userId) {
+      queryText = 'SELECT h.*, hm.role FROM households h JOIN household_members hm ON hm.household_id = h.id WHERE hm.user_id = $1';
+      params = [criteria.userId];
+    } else if (criteria.id) {
+      queryText = 'SELECT h.*, NULL AS role FROM households h WHERE h.id = $1';
+      params = [criteria.id];
+    } else {
+      return null;
     }
-    
-    const queryText = `
-      UPDATE assets 
-      SET ${setClause.join(', ')}, updated_at = NOW()
-      WHERE id = $1
-      RETURNING *
-    `;
-    
-    const result = await query(queryText, params);
+
+    const result = await runner.query(queryText, params);
     const row = result.rows[0];
     if (!row) return null;
-    
+
+    const members = await runner.query(`
+      SELECT hm.*, u.email, u.first_name, u.last_name
+      FROM household_members hm
+      JOIN users u ON u.id = hm.user_id
+      WHERE hm.household_id = $1
+      ORDER BY hm.joined_at
+    `, [row.id]);
+
     return {
-      id: row.id,
-      userId: row.user_id,
-      name: row.name,
-      type: row.asset_type,
-      value: parseFloat(row.current_value),
-      purchaseValue: parseFloat(row.acquisition_cost),
-      description: row.description,
-      metadata: row.metadata,
-      createdAt: row.created_at,
-      updatedAt: row.updated_at
+      ...mapHouseholdRow(row),
+      role: row.role || null,
+      members: members.rows.map(mapHouseholdMemberRow)
     };
   } catch (error) {
-    console.error('❌ Error updating asset:', error);
+    console.error('❌ Error finding household:', error);
+    return null;
+  }
+};
+
+// Create a household with its creator as the first owner
+const addHousehold = async ({ name, ownerId }) => {
+  try {
+    return await withTransaction(async (client) => {
+      const result = await client.query(
+        'INSERT INTO households (id, name, created_at, updated_at) VALUES ($1, $2, NOW(), NOW()) RETURNING *',
+        [uuidv4(), name]
+      );
+      await client.query(
+        'INSERT INTO household_members (household_id, user_id, role, joined_at) VALUES ($1, $2, $3, NOW())',
+        [result.rows[0].id, ownerId, 'owner']
+      );
+      return findHousehold({ userId: ownerId }, client);
+    });
+  } catch (error) {
+    console.error('❌ Error adding household:', error);
     throw error;
   }
 };
 
-const deleteAsset = async (assetId) => {
+const updateHousehold = async (householdId, updates) => {
   try {
-    const queryText = 'DELETE FROM assets WHERE id = $1 RETURNING *';
-    const result = await query(queryText, [assetId]);
-    return result.rows[0] || null;
+    const result = await query(
+      'UPDATE households SET name = COALESCE($2, name), updated_at = NOW() WHERE id = $1 RETURNING *',
+      [householdId, updates.name || null]
+    );
+    return result.rows[0] ? mapHouseholdRow(result.rows[0]) : null;
   } catch (error) {
-    console.error('❌ Error deleting asset:', error);
+    console.error('❌ Error updating household:', error);
+    throw error;
+  }
+};
+
+// Deleting a household returns every shared asset wholly to its creator
+const deleteHousehold = async (householdId) => {
+  try {
+    return await withTransaction(async (client) => {
+      await client.query(
+        'DELETE FROM asset_owners WHERE asset_id IN (SELECT id FROM assets WHERE household_id = $1)',
+        [householdId]
+      );
+      await client.query('UPDATE assets SET household_id = NULL, updated_at = NOW() WHERE household_id = $1', [householdId]);
+      const result = await client.query('DELETE FROM households WHERE id = $1 RETURNING *', [householdId]);
+      return result.rows[0] ? mapHouseholdRow(result.rows[0]) : null;
+    });
+  } catch (error) {
+    console.error('❌ Error deleting household:', error);
+    throw error;
+  }
+};
+
+// Fails if the user already belongs to a household
+const addHouseholdMember = async (householdId, userId, role) => {
+  try {
+    await query(
+      'INSERT INTO household_members (household_id, user_id, role, joined_at) VALUES ($1, $2, $3, NOW())',
+      [householdId, userId, role]
+    );
+    return findHousehold({ id: householdId });
+  } catch (error) {
+    console.error('❌ Error adding household member:', error);
+    throw error;
+  }
+};
+
+const updateHouseholdMember = async (householdId, userId, role) => {
+  try {
+    const result = await query(
+      'UPDATE household_members SET role = $3 WHERE household_id = $1 AND user_id = $2 RETURNING *',
+      [householdId, userId, role]
+    );
+    return result.rows[0] ? findHousehold({ id: householdId }) : null;
+  } catch (error) {
+    console.error('❌ Error updating household member:', error);
+    throw error;
+  }
+};
+
+const removeHouseholdMember = async (householdId, userId) => {
+  try {
+    const result = await query(
+      'DELETE FROM household_members WHERE household_id = $1 AND user_id = $2 RETURNING *',
+      [householdId, userId]
+    );
+    return result.rows.length > 0;
+  } catch (error) {
+    console.error('❌ Error removing household member:', error);
+    throw error;
+  }
+};
+
+const findAssetOwners = async (assetId, runner = { query }) => {
+  try {
+    const result = await runner.query(`
+      SELECT ao.*, u.email, u.first_name, u.last_name
+      FROM asset_owners ao
+      JOIN users u ON u.id = ao.user_id
+      WHERE ao.asset_id = $1
+      ORDER BY ao.percentage DESC, u.first_name
+    `, [assetId]);
+    return result.rows.map(mapAssetOwnerRow);
+  } catch (error) {
+    console.error('❌ Error finding asset owners:', error);
+    return [];
+  }
+};
+
+// Share an asset with a household split between the given owners, or with
+// no owners make it private to its creator again
+const setAssetOwnership = async (assetId, householdId, owners) => {
+  try {
+    return await withTransaction(async (client) => {
+      await client.query('DELETE FROM asset_owners WHERE asset_id = $1', [assetId]);
+      await client.query(
+        'UPDATE assets SET household_id = $2, updated_at = NOW() WHERE id = $1',
+        [assetId, owners.length > 0 ? householdId : null]
+      );
+      for (const owner of owners) {
+        await client.query(
+          'INSERT INTO asset_owners (asset_id, user_id, percentage) VALUES ($1, $2, $3)',
+          [assetId, owner.userId, owner.percentage]
+        );
+      }
+      return findAssetOwners(assetId, client);
+    });
+  } catch (error) {
+    console.error('❌ Error setting asset ownership:', error);
     throw error;
   }
 };
 
 // =============================================================================
-// AUDIT LOGGING
+// ASSET MANAGEMENT
 // =============================================================================
 
-const addAuditLog = async (logData) => {
+const mapAssetRow = (row) => ({
+  id: row.id,
+  userId: row.user_id,
+  name: row.name,
+  type: row.asset_type,
+  value: parseFloat(row.current_value),
+  currency: row.currency,
+  purchaseValue: parseFloat(row.acquisition_cost || row.current_value),
+  purchaseDate: formatDateOnly(row.acquisition_date),
+  description: decryptField(row.description, row.user_id),
+  metadata: decryptMetadata(row.metadata, row.user_id),
+  tags: row.tags || [],
+  householdId: row.household_id || null,
+  // Only set when the asset was loaded on behalf of a household member
+  ...(row.ownership_percentage !== undefined && {
+    ownershipPercentage: parseFloat(row.ownership_percentage),
+    householdRole: row.household_role || null
+  }),
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+// Decrypt keys and tags every asset row needs before it is mapped
+const prepareAssetRows = async (rows, runner = { query }) => {
+  await loadDataKeysForRows(rows, runner);
+  await attachTags(rows, runner);
+};
+
+// The value a view reports for a member asset row: the user's share of it, or
+// the whole asset for the household view. `inBaseCurrency` converts it at the
+// rate memberAssetsQuery joined in from `rates`; assets without one count as 0.
+const viewValueSql = (view, inBaseCurrency = false) => {
+  const value = view === 'household' ? 'current_value' : 'ROUND(current_value * ownership_percentage / 100, 2)';
+  return inBaseCurrency ? `${value} * COALESCE(base_rate, 0)` : value;
+};
+
+// Assets the user created plus those shared with their household, with the
+// user's ownership percentage and household role on each. An unshared asset
+// belongs wholly to its creator. `view: 'share'` keeps the assets the user
+// owns part of, `view: 'household'` every asset shared with the household and
+// `shared` with an `id` finds one asset the user can see. Further filters:
+// `types`, `tags`, `minValue`/`maxValue` on the value the view reports and
+// `textQuery`, a to_tsquery() search over search_vector. With `rates`
+// ({ currency: rate into the base currency }) values are compared in the base
+// currency; without them, as stored in each asset's own currency.
+const memberAssetsQuery = (criteria) => {
+  let queryText = `
+    SELECT * FROM (
+      SELECT a.*, hm.role AS household_role, fx.rate AS base_rate,
+        CASE WHEN a.household_id IS NULL THEN 100 ELSE COALESCE(ao.percentage, 0) END AS ownership_percentage
+      FROM assets a
+      LEFT JOIN household_members hm ON hm.household_id = a.household_id AND hm.user_id = $1
+      LEFT JOIN asset_owners ao ON ao.asset_id = a.id AND ao.user_id = $1
+      LEFT JOIN UNNEST($2::text[], $3::numeric[]) AS fx(currency, rate) ON fx.currency = a.currency
+      WHERE (a.user_id = $1 AND a.household_id IS NULL) OR hm.user_id IS NOT NULL
+    ) a WHERE `;
+  const rates = criteria.rates || {};
+  const params = [criteria.userId, Object.keys(rates), Object.values(rates)];
+
+  if (criteria.id) {
+    params.push(criteria.id);
+    queryText += `id = $${params.length}`;
+  } else if (criteria.view === 'household') {
+    queryText += 'household_id IS NOT NULL';
+  } else {
+    queryText += 'ownership_percentage > 0';
+  }
+
+  // Tags on a shared asset belong to its creator, so match them by name only
+  if (criteria.tags && criteria.tags.length > 0) {
+    const tagNames = [...new Set(criteria.tags.map(tag => tag.toLowerCase()))];
+    params.push(tagNames, tagNames.length);
+    queryText += ` AND id IN (
+      SELECT at.asset_id FROM asset_tags at
+      JOIN tags t ON t.id = at.tag_id
+      WHERE LOWER(t.name) = ANY($${params.length - 1})
+      GROUP BY at.asset_id
+      HAVING COUNT(DISTINCT t.id) = $${params.length}
+    )`;
+  }
+
+  if (criteria.types && criteria.types.length > 0) {
+    params.push(criteria.types);
+    queryText += ` AND asset_type = ANY($${params.length})`;
+  }
+
+  const value = viewValueSql(criteria.view, Boolean(criteria.rates));
+  if (criteria.minValue !== undefined) {
+    params.push(criteria.minValue);
+    queryText += ` AND ${value} >= $${params.length}`;
+  }
+  if (criteria.maxValue !== undefined) {
+    params.push(criteria.maxValue);
+    queryText += ` AND ${value} <= $${params.length}`;
+  }
+
+  if (criteria.textQuery) {
+    params.push(criteria.textQuery);
+    queryText += ` AND search_vector @@ to_tsquery('english', $${params.length})`;
+  }
+
+  return { queryText, params };
+};
+
+const findMemberAssets = async (criteria) => {
+  const { queryText, params } = memberAssetsQuery(criteria);
+  const result = await query(`${queryText} ORDER BY created_at DESC`, params);
+  await prepareAssetRows(result.rows);
+  return result.rows.map(mapAssetRow);
+};
+
+// Currencies of the assets findMemberAssets returns for the user and view
+const findAssetCurrencies = async (criteria) => {
   try {
-    const queryText = `
-      INSERT INTO audit_logs (user_id, action, resource_type, resource_id, old_values, new_values, details, ip_address, user_agent, timestamp)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
-      RETURNING *
-    `;
-    
-    const params = [
-      logData.userId,
-      logData.action,
-      logData.resourceType || null,
-      logData.resourceId || null,
-      JSON.stringify(logData.oldValues || {}),
-      JSON.stringify(logData.newValues || {}),
-      JSON.stringify(logData.details || {}),
-      logData.ipAddress || null,
-      logData.userAgent || null
-    ];
-    
-    const result = await query(queryText, params);
-    return result.rows[0];
+    const { queryText, params } = memberAssetsQuery({ userId: criteria.userId, view: criteria.view });
+    const result = await query(`SELECT DISTINCT currency FROM (${queryText}) filtered`, params);
+    return result.rows.map(row => row.currency);
   } catch (error) {
-    console.error('❌ Error adding audit log:', error);
-    // Don't throw error for audit logs - just log it
+    console.error('❌ Error finding asset currencies:', error);
+    return [];
   }
 };
 
-module.exports = {
-  // Users
-  findUser,
-  addUser,
-  updateUser,
-  
-  // Passkeys  
-  findPasskeys,
-  addPasskey,
-  updatePasskey,
-  
-  // Assets
-  findAssets,
-  addAsset,
-  updateAsset,
+// Sort columns for searchAssets, with the type their cursor key is cast back to
+const ASSET_SORT_COLUMNS = {
+  created: { expression: () => 'created_at', type: 'timestamptz' },
+  updated: { expression: () => 'COALESCE(updated_at, created_at)', type: 'timestamptz' },
+  value: { expression: (view, inBaseCurrency) => viewValueSql(view, inBaseCurrency), type: 'numeric' },
+  name: { expression: () => 'LOWER(name)', type: 'text' }
+};
+
+// One page of the assets findMemberAssets would return, sorted by `sort`
+// ('created', 'updated', 'value' or 'name') and `order`, with totals over
+// every matching asset. Value sorts and filters use the base currency when
+// `rates` are given (see memberAssetsQuery). `limit` caps the page and `after` ({ sortKey, id }
+// from the previous page's `next`) continues it; without a limit every
+// matching asset is returned.
+const searchAssets = async (criteria) => {
+  try {
+    const { queryText, params } = memberAssetsQuery(criteria);
+    const value = viewValueSql(criteria.view);
+
+    const totals = await query(`
+      SELECT currency, COUNT(*) AS count, SUM(${value}) AS value, ARRAY_AGG(DISTINCT asset_type) AS types
+      FROM (${queryText}) filtered
+      GROUP BY currency
+    `, params);
+
+    const column = ASSET_SORT_COLUMNS[criteria.sort || 'created'];
+    const sortKey = column.expression(criteria.view, Boolean(criteria.rates));
+    const direction = criteria.order === 'asc' ? 'ASC' : 'DESC';
+    const pageParams = [...params];
+    let pageText = `SELECT filtered.*, (${sortKey})::text AS sort_key FROM (${queryText}) filtered`;
+
+    if (criteria.after) {
+      pageParams.push(criteria.after.sortKey, criteria.after.id);
+      pageText += ` WHERE (${sortKey}, id) ${direction === 'ASC' ? '>' : '<'} ($${pageParams.length - 1}::${column.type}, $${pageParams.length})`;
+    }
+    pageText += ` ORDER BY ${sortKey} ${direction}, id ${direction}`;
+    if (criteria.limit) {
+      // One extra row tells whether another page follows
+      pageParams.push(criteria.limit + 1);
+      pageText += ` LIMIT $${pageParams.length}`;
+    }
+
+    const result = await query(pageText, pageParams);
+    const rows = criteria.limit ? result.rows.slice(0, criteria.limit) : result.rows;
+    const last = rows[rows.length - 1];
+    await prepareAssetRows(rows);
+
+    const nativeTotals = {};
+    const types = new Set();
+    totals.rows.forEach(row => {
+      nativeTotals[row.currency] = parseFloat(row.value);
+      row.types.forEach(type => types.add(type));
+    });
+
+    return {
+      assets: rows.map(mapAssetRow),
+      next: result.rows.length > rows.length ? { sortKey: last.sort_key, id: last.id } : null,
+      total: totals.rows.reduce((sum, row) => sum + parseInt(row.count, 10), 0),
+      nativeTotals,
+      typeCount: types.size
+    };
+  } catch (error) {
+    console.error('❌ Error searching assets:', error);
+    throw error;
+  }
+};
+
+const findAssets = async (criteria) => {
+  try {
+    if (criteria.userId && (criteria.view || criteria.shared)) {
+      return await findMemberAssets(criteria);
+    }
+
+    let queryText = 'SELECT * FROM assets WHERE ';
+    let params = [];
+    
+    if (criteria.userId && criteria.id) {
+      queryText += 'user_id = $1 AND id = $2';
+      params = [criteria.userId, criteria.id];
+    } else if (criteria.userId) {
+      queryText += 'user_id = $1';
+      params = [criteria.userId];
+      
+      // Only assets carrying every requested tag (matched by name, case-insensitive)
+      if (criteria.tags && criteria.tags.length > 0) {
+        const tagNames = [...new Set(criteria.tags.map(tag => tag.toLowerCase()))];
+        queryText += ` AND id IN (
+          SELECT at.asset_id FROM asset_tags at
+          JOIN tags t ON t.id = at.tag_id
+          WHERE t.user_id = $1 AND LOWER(t.name) = ANY($2)
+          GROUP BY at.asset_id
+          HAVING COUNT(DISTINCT t.id) = $3
+        )`;
+        params.push(tagNames, tagNames.length);
+      }
+      
+      queryText += ' ORDER BY created_at DESC';
+    } else if (criteria.id) {
+      queryText += 'id = $1';
+      params = [criteria.id];
+    } else {
+      return [];
+    }
+    
+    const result = await query(queryText, params);
+    await prepareAssetRows(result.rows);
+    return result.rows.map(mapAssetRow);
+  } catch (error) {
+    console.error('❌ Error finding assets:', error);
+    return [];
+  }
+};
+
+// Insert an asset and its opening valuation using the caller's transaction client
+const insertAsset = async (client, assetData) => {
+  const { description, metadata } = await encryptSensitiveFields(assetData.userId, assetData, client);
+  const queryText = `
+    INSERT INTO assets (id, user_id, name, asset_type, current_value, currency, acquisition_cost, acquisition_date, description, metadata, created_at, updated_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW(), NOW())
+    RETURNING *
+  `;
+  
+  const params = [
+    assetData.id || Date.now().toString(),
+    assetData.userId,
+    assetData.name,
+    assetData.type,
+    assetData.value,
+    assetData.currency || 'USD',
+    assetData.purchaseValue || assetData.value,
+    assetData.purchaseDate || null,
+    description || '',
+    JSON.stringify(metadata || {})
+  ];
+  
+  const result = await client.query(queryText, params);
+  const inserted = result.rows[0];
+  
+  // Every asset starts its valuation history with its opening value
+  await insertValuation(client, {
+    assetId: inserted.id,
+    userId: inserted.user_id,
+    value: inserted.current_value,
+    asOfDate: assetData.valuationDate,
+    source: assetData.valuationSource || 'initial'
+  });
+  
+  if (assetData.tags) {
+    await applyAssetTags(client, inserted.user_id, inserted.id, assetData.tags);
+  }
+  
+  return inserted;
+};
+
+// Apply updates to an asset using the caller's transaction client.
+// Returns null when the asset does not exist.
+const applyAssetUpdate = async (client, assetId, updates) => {
+  const existing = await client.query('SELECT * FROM assets WHERE id = $1 FOR UPDATE', [assetId]);
+  if (!existing.rows[0]) return null;
+
+  const { description, metadata } = await encryptSensitiveFields(existing.rows[0].user_id, updates, client);
+  if (updates.tags !== undefined) {
+    await applyAssetTags(client, existing.rows[0].user_id, assetId, updates.tags);
+  }
+  
+  const setClause = [];
+  const params = [assetId];
+  let paramIndex = 2;
+  
+  if (updates.name) {
+    setClause.push(`name = $${paramIndex++}`);
+    params.push(updates.name);
+  }
+  if (updates.type) {
+    setClause.push(`asset_type = $${paramIndex++}`);
+    params.push(updates.type);
+  }
+  if (updates.value !== undefined) {
+    setClause.push(`current_value = $${paramIndex++}`);
+    params.push(updates.value);
+  }
+  if (updates.currency) {
+    setClause.push(`currency = $${paramIndex++}`);
+    params.push(updates.currency);
+  }
+  if (updates.purchaseValue !== undefined) {
+    setClause.push(`acquisition_cost = $${paramIndex++}`);
+    params.push(updates.purchaseValue);
+  }
+  if (updates.purchaseDate !== undefined) {
+    setClause.push(`acquisition_date = $${paramIndex++}`);
+    params.push(updates.purchaseDate || null);
+  }
+  if (description !== undefined) {
+    setClause.push(`description = $${paramIndex++}`);
+    params.push(description);
+  }
+  if (metadata) {
+    setClause.push(`metadata = $${paramIndex++}`);
+    params.push(JSON.stringify(metadata));
+  }
+  
+  if (setClause.length === 0) return existing.rows[0];
+  
+  const queryText = `
+    UPDATE assets 
+    SET ${setClause.join(', ')}, updated_at = NOW()
+    WHERE id = $1
+    RETURNING *
+  `;
+  
+  const result = await client.query(queryText, params);
+  const updated = result.rows[0];
+  
+  // Keep the old value in history instead of silently overwriting it
+  if (updates.value !== undefined &&
+      parseFloat(existing.rows[0].current_value) !== parseFloat(updated.current_value)) {
+    await insertValuation(client, {
+      assetId: updated.id,
+      userId: updated.user_id,
+      value: updated.current_value,
+      asOfDate: updates.valuationDate,
+      source: updates.valuationSource || 'manual',
+      note: updates.valuationNote
+    });
+  }
+  
+  return updated;
+};
+
+// Assets that can be revalued from market prices: those whose metadata
+// carries a symbol and a quantity. Without a userId, every user's assets.
+const findPricedAssets = async (criteria = {}) => {
+  try {
+    const params = [];
+    let queryText = `
+      SELECT * FROM assets
+      WHERE COALESCE(metadata->>'symbol', '') <> ''
+        AND metadata->>'quantity' IS NOT NULL
+    `;
+    if (criteria.userId) {
+      params.push(criteria.userId);
+      queryText += ` AND user_id = $${params.length}`;
+    }
+    queryText += ' ORDER BY user_id, created_at';
+    
+    const result = await query(queryText, params);
+    await prepareAssetRows(result.rows);
+    return result.rows.map(mapAssetRow);
+  } catch (error) {
+    console.error('❌ Error finding priced assets:', error);
+    return [];
+  }
+};
+
+const addAsset = async (assetData) => {
+  try {
+    const row = await withTransaction(client => insertAsset(client, assetData));
+    await prepareAssetRows([row]);
+    return mapAssetRow(row);
+  } catch (error) {
+    console.error('❌ Error adding asset:', error);
+    throw error;
+  }
+};
+
+const updateAsset = async (assetId, updates) => {
+  try {
+    const row = await withTransaction(client => applyAssetUpdate(client, assetId, updates));
+    if (!row) return null;
+    await prepareAssetRows([row]);
+    return mapAssetRow(row);
+  } catch (error) {
+    console.error('❌ Error updating asset:', error);
+    throw error;
+  }
+};
+
+// Create or update many assets atomically: either every row is written or none.
+// Rows carrying an `id` update that asset; the rest are created.
+const importAssets = async (userId, rows) => {
+  try {
+    return await withTransaction(async (client) => {
+      const results = [];
+      for (const row of rows) {
+        if (row.id) {
+          const updated = await applyAssetUpdate(client, row.id, { ...row, valuationSource: 'import' });
+          if (!updated || updated.user_id !== userId) {
+            throw new Error(`Asset ${row.id} not found during import`);
+          }
+          await prepareAssetRows([updated], client);
+          results.push({ action: 'update', asset: mapAssetRow(updated) });
+        } else {
+          const inserted = await insertAsset(client, {
+            ...row,
+            id: uuidv4(),
+            userId,
+            valuationSource: 'import'
+          });
+          await prepareAssetRows([inserted], client);
+          results.push({ action: 'create', asset: mapAssetRow(inserted) });
+        }
+      }
+      return results;
+    });
+  } catch (error) {
+    console.error('❌ Error importing assets:', error);
+    throw error;
+  }
+};
+
+// Apply parsed statement accounts atomically. Each entry either creates a new
+// asset or refreshes an existing one's metadata, and records a valuation dated
+// to the statement (re-importing the same statement replaces that valuation).
+const importStatementAccounts = async (userId, entries) => {
+  try {
+    return await withTransaction(async (client) => {
+      const results = [];
+      for (const entry of entries) {
+        if (entry.assetId) {
+          const updated = await applyAssetUpdate(client, entry.assetId, { metadata: entry.metadata });
+          if (!updated || updated.user_id !== userId) {
+            throw new Error(`Asset ${entry.assetId} not found during statement import`);
+          }
+          await recordValuation(client, {
+            assetId: entry.assetId,
+            userId,
+            value: entry.value,
+            asOfDate: entry.statementDate,
+            source: entry.source
+          }, { replaceSameDay: true });
+          const refreshed = await client.query('SELECT * FROM assets WHERE id = $1', [entry.assetId]);
+          await prepareAssetRows(refreshed.rows, client);
+          results.push({ action: 'update', asset: mapAssetRow(refreshed.rows[0]) });
+        } else {
+          const inserted = await insertAsset(client, {
+            id: uuidv4(),
+            userId,
+            name: entry.name,
+            type: entry.type,
+            value: entry.value,
+            currency: entry.currency,
+            description: entry.description,
+            metadata: entry.metadata,
+            valuationDate: entry.statementDate,
+            valuationSource: entry.source
+          });
+          await prepareAssetRows([inserted], client);
+          results.push({ action: 'create', asset: mapAssetRow(inserted) });
+        }
+      }
+      return results;
+    });
+  } catch (error) {
+    console.error('❌ Error importing statement accounts:', error);
+    throw error;
+  }
+};
+
+const deleteAsset = async (assetId) => {
+  try {
+    const queryText = 'DELETE FROM assets WHERE id = $1 RETURNING *';
+    const result = await query(queryText, [assetId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('❌ Error deleting asset:', error);
+    throw error;
+  }
+};
+
+// =============================================================================
+// ASSET VALUATIONS
+// =============================================================================
+
+const mapValuationRow = (row) => ({
+  id: row.id,
+  assetId: row.asset_id,
+  userId: row.user_id,
+  value: parseFloat(row.value),
+  asOfDate: formatDateOnly(row.as_of_date),
+  source: row.source,
+  note: row.note,
+  createdAt: row.created_at
+});
+
+// Insert a valuation row using the caller's transaction client
+const insertValuation = async (client, valuationData) => {
+  const queryText = `
+    INSERT INTO asset_valuations (id, asset_id, user_id, value, as_of_date, source, note, created_at)
+    VALUES ($1, $2, $3, $4, COALESCE($5::date, CURRENT_DATE), $6, $7, NOW())
+    RETURNING *
+  `;
+  
+  const params = [
+    uuidv4(),
+    valuationData.assetId,
+    valuationData.userId,
+    valuationData.value,
+    valuationData.asOfDate || null,
+    valuationData.source || 'manual',
+    valuationData.note || null
+  ];
+  
+  const result = await client.query(queryText, params);
+  return result.rows[0];
+};
+
+const findValuations = async (criteria) => {
+  try {
+    const conditions = [];
+    const params = [];
+    
+    if (criteria.assetId) {
+      params.push(criteria.assetId);
+      conditions.push(`asset_id = $${params.length}`);
+    }
+    if (criteria.assetIds) {
+      // Every valuation of the given assets, whoever recorded it
+      params.push(criteria.assetIds);
+      conditions.push(`asset_id = ANY($${params.length})`);
+    }
+    if (criteria.userId) {
+      params.push(criteria.userId);
+      conditions.push(`user_id = $${params.length}`);
+    }
+    if (criteria.from) {
+      params.push(criteria.from);
+      conditions.push(`as_of_date >= $${params.length}`);
+    }
+    if (criteria.to) {
+      params.push(criteria.to);
+      conditions.push(`as_of_date <= $${params.length}`);
+    }
+    
+    if (conditions.length === 0) {
+      return [];
+    }
+    
+    const queryText = `
+      SELECT * FROM asset_valuations
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY as_of_date ASC, created_at ASC
+    `;
+    
+    const result = await query(queryText, params);
+    return result.rows.map(mapValuationRow);
+  } catch (error) {
+    console.error('❌ Error finding valuations:', error);
+    return [];
+  }
+};
+
+// Insert a valuation and, when it is the most recent one for the asset,
+// move the asset's current value to match. With `replaceSameDay`, an earlier
+// entry from the same source on the same date is replaced rather than duplicated.
+const recordValuation = async (client, valuationData, { replaceSameDay = false } = {}) => {
+  if (replaceSameDay) {
+    await client.query(
+      `DELETE FROM asset_valuations
+       WHERE asset_id = $1 AND source = $2 AND as_of_date = COALESCE($3::date, CURRENT_DATE)`,
+      [valuationData.assetId, valuationData.source || 'manual', valuationData.asOfDate || null]
+    );
+  }
+  
+  const inserted = await insertValuation(client, valuationData);
+  
+  const latest = await client.query(
+    `SELECT id FROM asset_valuations
+     WHERE asset_id = $1
+     ORDER BY as_of_date DESC, created_at DESC
+     LIMIT 1`,
+    [valuationData.assetId]
+  );
+  
+  if (latest.rows[0] && latest.rows[0].id === inserted.id) {
+    await client.query(
+      'UPDATE assets SET current_value = $2, updated_at = NOW() WHERE id = $1',
+      [valuationData.assetId, inserted.value]
+    );
+  }
+  
+  return inserted;
+};
+
+const addValuation = async (valuationData, options) => {
+  try {
+    const row = await withTransaction(client => recordValuation(client, valuationData, options));
+    return mapValuationRow(row);
+  } catch (error) {
+    console.error('❌ Error adding valuation:', error);
+    throw error;
+  }
+};
+
+// =============================================================================
+// ASSET TRANSACTIONS
+// =============================================================================
+
+const mapTransactionRow = (row) => ({
+  id: row.id,
+  assetId: row.asset_id,
+  userId: row.user_id,
+  type: row.transaction_type,
+  date: formatDateOnly(row.transaction_date),
+  quantity: row.quantity === null ? null : parseFloat(row.quantity),
+  amount: parseFloat(row.amount),
+  fees: parseFloat(row.fees),
+  memo: row.memo,
+  lots: row.lot_selections || null,
+  lotMethod: row.lot_method || null,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+const findTransactions = async (criteria) => {
+  try {
+    let queryText = 'SELECT * FROM asset_transactions WHERE ';
+    let params = [];
+    
+    if (criteria.assetId && criteria.id) {
+      queryText += 'asset_id = $1 AND id = $2';
+      params = [criteria.assetId, criteria.id];
+    } else if (criteria.assetId) {
+      queryText += 'asset_id = $1 ORDER BY transaction_date ASC, created_at ASC';
+      params = [criteria.assetId];
+    } else if (criteria.assetIds) {
+      // Ledgers of the given assets, whoever recorded the transactions
+      queryText += 'asset_id = ANY($1) ORDER BY transaction_date ASC, created_at ASC';
+      params = [criteria.assetIds];
+    } else if (criteria.userId) {
+      queryText += 'user_id = $1 ORDER BY transaction_date ASC, created_at ASC';
+      params = [criteria.userId];
+    } else {
+      return [];
+    }
+    
+    const result = await query(queryText, params);
+    return result.rows.map(mapTransactionRow);
+  } catch (error) {
+    console.error('❌ Error finding transactions:', error);
+    return [];
+  }
+};
+
+// Keep the asset's cost basis, acquisition date and (for assets traded in
+// units) metadata.quantity in step with its ledger, matching lots first in,
+// first out. Assets without any transactions keep their hand-entered values:
+// they are set aside when the first transaction is recorded and put back once
+// the last one is deleted.
+const syncAssetWithLedger = async (client, assetId) => {
+  const result = await client.query('SELECT * FROM asset_transactions WHERE asset_id = $1', [assetId]);
+  if (result.rows.length === 0) {
+    await client.query(`
+      UPDATE assets SET
+        acquisition_cost = (pre_ledger_values->>'acquisitionCost')::numeric,
+        acquisition_date = (pre_ledger_values->>'acquisitionDate')::date,
+        metadata = CASE WHEN pre_ledger_values->'quantity' IS NULL OR pre_ledger_values->'quantity' = 'null'::jsonb
+          THEN COALESCE(metadata, '{}'::jsonb) - 'quantity'
+          ELSE jsonb_set(COALESCE(metadata, '{}'::jsonb), '{quantity}', pre_ledger_values->'quantity') END,
+        pre_ledger_values = NULL,
+        updated_at = NOW()
+      WHERE id = $1
+    `, [assetId]);
+    return null;
+  }
+  
+  const summary = summarizeTransactions(result.rows.map(mapTransactionRow));
+  await client.query(`
+    UPDATE assets SET
+      pre_ledger_values = COALESCE(pre_ledger_values, jsonb_build_object(
+        'acquisitionCost', acquisition_cost,
+        'acquisitionDate', acquisition_date,
+        'quantity', metadata->'quantity'
+      )),
+      acquisition_cost = $2,
+      acquisition_date = $3,
+      metadata = CASE WHEN $4::numeric IS NULL THEN metadata
+        ELSE jsonb_set(COALESCE(metadata, '{}'::jsonb), '{quantity}', to_jsonb($4::numeric)) END,
+      updated_at = NOW()
+    WHERE id = $1
+  `, [assetId, summary.costBasis, summary.firstDate, summary.hasQuantity ? summary.quantity : null]);
+  
+  return summary;
+};
+
+const addTransaction = async (transactionData) => {
+  try {
+    const row = await withTransaction(async (client) => {
+      const result = await client.query(`
+        INSERT INTO asset_transactions (id, asset_id, user_id, transaction_type, transaction_date, quantity, amount, fees, memo, lot_selections, lot_method, created_at, updated_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW(), NOW())
+        RETURNING *
+      `, [
+        uuidv4(),
+        transactionData.assetId,
+        transactionData.userId,
+        transactionData.type,
+        transactionData.date,
+        transactionData.quantity ?? null,
+        transactionData.amount,
+        transactionData.fees || 0,
+        transactionData.memo || null,
+        transactionData.lots ? JSON.stringify(transactionData.lots) : null,
+        transactionData.lotMethod || null
+      ]);
+      await syncAssetWithLedger(client, transactionData.assetId);
+      return result.rows[0];
+    });
+    return mapTransactionRow(row);
+  } catch (error) {
+    console.error('❌ Error adding transaction:', error);
+    throw error;
+  }
+};
+
+const updateTransaction = async (transactionId, updates) => {
+  try {
+    const row = await withTransaction(async (client) => {
+      const result = await client.query(`
+        UPDATE asset_transactions SET
+          transaction_type = COALESCE($2, transaction_type),
+          transaction_date = COALESCE($3, transaction_date),
+          quantity = CASE WHEN $4::boolean THEN $5 ELSE quantity END,
+          amount = COALESCE($6, amount),
+          fees = COALESCE($7, fees),
+          memo = CASE WHEN $8::boolean THEN $9 ELSE memo END,
+          lot_selections = CASE WHEN $10::boolean THEN $11::jsonb ELSE lot_selections END,
+          lot_method = CASE WHEN $12::boolean THEN $13 ELSE lot_method END,
+          updated_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `, [
+        transactionId,
+        updates.type,
+        updates.date,
+        updates.quantity !== undefined,
+        updates.quantity ?? null,
+        updates.amount,
+        updates.fees,
+        updates.memo !== undefined,
+        updates.memo || null,
+        updates.lots !== undefined,
+        updates.lots ? JSON.stringify(updates.lots) : null,
+        updates.lotMethod !== undefined,
+        updates.lotMethod || null
+      ]);
+      if (result.rows[0]) {
+        await syncAssetWithLedger(client, result.rows[0].asset_id);
+      }
+      return result.rows[0];
+    });
+    return row ? mapTransactionRow(row) : null;
+  } catch (error) {
+    console.error('❌ Error updating transaction:', error);
+    throw error;
+  }
+};
+
+const deleteTransaction = async (transactionId) => {
+  try {
+    const row = await withTransaction(async (client) => {
+      const result = await client.query('DELETE FROM asset_transactions WHERE id = $1 RETURNING *', [transactionId]);
+      if (result.rows[0]) {
+        await syncAssetWithLedger(client, result.rows[0].asset_id);
+      }
+      return result.rows[0];
+    });
+    return row ? mapTransactionRow(row) : null;
+  } catch (error) {
+    console.error('❌ Error deleting transaction:', error);
+    throw error;
+  }
+};
+
+// =============================================================================
+// ASSET VALUE SCHEDULES
+// =============================================================================
+
+const mapValueScheduleRow = (row) => ({
+  id: row.id,
+  assetId: row.asset_id,
+  userId: row.user_id,
+  method: row.method,
+  startDate: formatDateOnly(row.start_date),
+  startValue: parseFloat(row.start_value),
+  annualRate: row.annual_rate === null ? null : parseFloat(row.annual_rate),
+  usefulLifeYears: row.useful_life_years === null ? null : parseFloat(row.useful_life_years),
+  salvageValue: parseFloat(row.salvage_value),
+  lastRunDate: formatDateOnly(row.last_run_date),
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+// By asset, or every schedule due on `dueOn`: started by then and not yet run that day
+const findValueSchedules = async (criteria) => {
+  try {
+    let queryText = 'SELECT * FROM asset_value_schedules WHERE ';
+    let params = [];
+    
+    if (criteria.assetId) {
+      queryText += 'asset_id = $1';
+      params = [criteria.assetId];
+    } else if (criteria.dueOn) {
+      queryText += 'start_date <= $1 AND (last_run_date IS NULL OR last_run_date < $1)';
+      params = [criteria.dueOn];
+      if (criteria.userId) {
+        params.push(criteria.userId);
+        queryText += ` AND user_id = $${params.length}`;
+      }
+      queryText += ' ORDER BY user_id, created_at';
+    } else if (criteria.userId) {
+      queryText += 'user_id = $1 ORDER BY created_at';
+      params = [criteria.userId];
+    } else {
+      return [];
+    }
+    
+    const result = await query(queryText, params);
+    return result.rows.map(mapValueScheduleRow);
+  } catch (error) {
+    console.error('❌ Error finding value schedules:', error);
+    return [];
+  }
+};
+
+// Create or replace an asset's schedule; replacing it makes it due again
+const setValueSchedule = async (scheduleData) => {
+  try {
+    const result = await query(`
+      INSERT INTO asset_value_schedules (id, asset_id, user_id, method, start_date, start_value, annual_rate, useful_life_years, salvage_value, last_run_date, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NULL, NOW(), NOW())
+      ON CONFLICT (asset_id) DO UPDATE SET
+        method = EXCLUDED.method,
+        start_date = EXCLUDED.start_date,
+        start_value = EXCLUDED.start_value,
+        annual_rate = EXCLUDED.annual_rate,
+        useful_life_years = EXCLUDED.useful_life_years,
+        salvage_value = EXCLUDED.salvage_value,
+        last_run_date = NULL,
+        updated_at = NOW()
+      RETURNING *
+    `, [
+      uuidv4(),
+      scheduleData.assetId,
+      scheduleData.userId,
+      scheduleData.method,
+      scheduleData.startDate,
+      scheduleData.startValue,
+      scheduleData.annualRate ?? null,
+      scheduleData.usefulLifeYears ?? null,
+      scheduleData.salvageValue || 0
+    ]);
+    return mapValueScheduleRow(result.rows[0]);
+  } catch (error) {
+    console.error('❌ Error setting value schedule:', error);
+    throw error;
+  }
+};
+
+const markValueScheduleRun = async (scheduleId, runDate) => {
+  try {
+    await query('UPDATE asset_value_schedules SET last_run_date = $2 WHERE id = $1', [scheduleId, runDate]);
+  } catch (error) {
+    console.error('❌ Error marking value schedule run:', error);
+    throw error;
+  }
+};
+
+const deleteValueSchedule = async (assetId) => {
+  try {
+    const result = await query('DELETE FROM asset_value_schedules WHERE asset_id = $1 RETURNING *', [assetId]);
+    return result.rows[0] ? mapValueScheduleRow(result.rows[0]) : null;
+  } catch (error) {
+    console.error('❌ Error deleting value schedule:', error);
+    throw error;
+  }
+};
+
+// =============================================================================
+// ASSET DOCUMENTS
+// =============================================================================
+
+const mapDocumentRow = (row) => ({
+  id: row.id,
+  assetId: row.asset_id,
+  userId: row.user_id,
+  fileName: row.file_name,
+  mimeType: row.mime_type,
+  size: row.size_bytes,
+  storageKey: row.storage_key,
+  documentType: row.document_type,
+  description: row.description,
+  keyVersion: row.key_version,
+  uploadedAt: row.uploaded_at
+});
+
+const findDocuments = async (criteria) => {
+  try {
+    let queryText = 'SELECT * FROM asset_documents WHERE ';
+    let params = [];
+    
+    if (criteria.assetId && criteria.id) {
+      queryText += 'asset_id = $1 AND id = $2';
+      params = [criteria.assetId, criteria.id];
+    } else if (criteria.assetId) {
+      queryText += 'asset_id = $1 ORDER BY uploaded_at DESC';
+      params = [criteria.assetId];
+    } else if (criteria.userId) {
+      queryText += 'user_id = $1 ORDER BY uploaded_at DESC';
+      params = [criteria.userId];
+    } else {
+      return [];
+    }
+    
+    const result = await query(queryText, params);
+    return result.rows.map(mapDocumentRow);
+  } catch (error) {
+    console.error('❌ Error finding documents:', error);
+    return [];
+  }
+};
+
+const addDocument = async (documentData) => {
+  try {
+    const queryText = `
+      INSERT INTO asset_documents (id, asset_id, user_id, file_name, mime_type, size_bytes, storage_key, document_type, description, key_version, uploaded_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())
+      RETURNING *
+    `;
+    
+    const params = [
+      documentData.id,
+      documentData.assetId,
+      documentData.userId,
+      documentData.fileName,
+      documentData.mimeType,
+      documentData.size,
+      documentData.storageKey,
+      documentData.documentType || 'other',
+      documentData.description || '',
+      documentData.keyVersion ?? null
+    ];
+    
+    const result = await query(queryText, params);
+    return mapDocumentRow(result.rows[0]);
+  } catch (error) {
+    console.error('❌ Error adding document:', error);
+    throw error;
+  }
+};
+
+// Record that a document's stored contents were re-encrypted with another key
+const updateDocumentKeyVersion = async (documentId, keyVersion) => {
+  try {
+    const result = await query(
+      'UPDATE asset_documents SET key_version = $2 WHERE id = $1 RETURNING *',
+      [documentId, keyVersion]
+    );
+    return result.rows[0] ? mapDocumentRow(result.rows[0]) : null;
+  } catch (error) {
+    console.error('❌ Error updating document key version:', error);
+    throw error;
+  }
+};
+
+const deleteDocument = async (documentId) => {
+  try {
+    const result = await query('DELETE FROM asset_documents WHERE id = $1 RETURNING *', [documentId]);
+    return result.rows[0] ? mapDocumentRow(result.rows[0]) : null;
+  } catch (error) {
+    console.error('❌ Error deleting document:', error);
+    throw error;
+  }
+};
+
+// =============================================================================
+// TAGS
+// =============================================================================
+
+const mapTagRow = (row) => ({
+  id: row.id,
+  name: row.name,
+  color: row.color
+});
+
+// Set each row's `tags` from the asset_tags join table
+const attachTags = async (rows, runner = { query }) => {
+  if (rows.length === 0) return;
+  const result = await runner.query(`
+    SELECT at.asset_id, t.* FROM asset_tags at
+    JOIN tags t ON t.id = at.tag_id
+    WHERE at.asset_id = ANY($1)
+    ORDER BY LOWER(t.name)
+  `, [rows.map(row => row.id)]);
+  
+  rows.forEach(row => {
+    row.tags = result.rows.filter(tag => tag.asset_id === row.id).map(mapTagRow);
+  });
+};
+
+// Replace an asset's tags with the named ones, creating tags that don't exist yet.
+// Runs on the caller's transaction client.
+const applyAssetTags = async (client, userId, assetId, tagNames) => {
+  const names = [...new Map(
+    tagNames.map(name => name.trim()).filter(Boolean).map(name => [name.toLowerCase(), name])
+  ).values()];
+  
+  await client.query('DELETE FROM asset_tags WHERE asset_id = $1', [assetId]);
+  if (names.length === 0) return;
+  
+  for (const name of names) {
+    await client.query(`
+      INSERT INTO tags (id, user_id, name, created_at)
+      VALUES ($1, $2, $3, NOW())
+      ON CONFLICT (user_id, (LOWER(name))) DO NOTHING
+    `, [uuidv4(), userId, name]);
+  }
+  
+  await client.query(`
+    INSERT INTO asset_tags (asset_id, tag_id)
+    SELECT $1, id FROM tags WHERE user_id = $2 AND LOWER(name) = ANY($3)
+  `, [assetId, userId, names.map(name => name.toLowerCase())]);
+};
+
+const findTags = async (criteria) => {
+  try {
+    if (!criteria.userId) return [];
+    
+    let queryText = `
+      SELECT t.*, COUNT(at.asset_id)::int AS asset_count
+      FROM tags t
+      LEFT JOIN asset_tags at ON at.tag_id = t.id
+      WHERE t.user_id = $1
+    `;
+    const params = [criteria.userId];
+    
+    if (criteria.id) {
+      queryText += ' AND t.id = $2';
+      params.push(criteria.id);
+    }
+    queryText += ' GROUP BY t.id ORDER BY LOWER(t.name)';
+    
+    const result = await query(queryText, params);
+    return result.rows.map(row => ({ ...mapTagRow(row), assetCount: row.asset_count }));
+  } catch (error) {
+    console.error('❌ Error finding tags:', error);
+    return [];
+  }
+};
+
+const addTag = async (tagData) => {
+  try {
+    const queryText = `
+      INSERT INTO tags (id, user_id, name, color, created_at)
+      VALUES ($1, $2, $3, $4, NOW())
+      RETURNING *
+    `;
+    
+    const result = await query(queryText, [uuidv4(), tagData.userId, tagData.name, tagData.color || null]);
+    return { ...mapTagRow(result.rows[0]), assetCount: 0 };
+  } catch (error) {
+    console.error('❌ Error adding tag:', error);
+    throw error;
+  }
+};
+
+const updateTag = async (tagId, updates) => {
+  try {
+    const setClause = [];
+    const params = [tagId];
+    let paramIndex = 2;
+    
+    if (updates.name) {
+      setClause.push(`name = $${paramIndex++}`);
+      params.push(updates.name);
+    }
+    if (updates.color !== undefined) {
+      setClause.push(`color = $${paramIndex++}`);
+      params.push(updates.color || null);
+    }
+    
+    if (setClause.length === 0) {
+      const result = await query('SELECT * FROM tags WHERE id = $1', [tagId]);
+      return result.rows[0] ? mapTagRow(result.rows[0]) : null;
+    }
+    
+    const result = await query(`UPDATE tags SET ${setClause.join(', ')} WHERE id = $1 RETURNING *`, params);
+    return result.rows[0] ? mapTagRow(result.rows[0]) : null;
+  } catch (error) {
+    console.error('❌ Error updating tag:', error);
+    throw error;
+  }
+};
+
+const deleteTag = async (tagId) => {
+  try {
+    const result = await query('DELETE FROM tags WHERE id = $1 RETURNING *', [tagId]);
+    return result.rows[0] ? mapTagRow(result.rows[0]) : null;
+  } catch (error) {
+    console.error('❌ Error deleting tag:', error);
+    throw error;
+  }
+};
+
+// Replace the tags on a single asset
+const setAssetTags = async (userId, assetId, tagNames) => {
+  try {
+    return await withTransaction(async (client) => {
+      await applyAssetTags(client, userId, assetId, tagNames);
+      const row = { id: assetId };
+      await attachTags([row], client);
+      return row.tags;
+    });
+  } catch (error) {
+    console.error('❌ Error setting asset tags:', error);
+    throw error;
+  }
+};
+
+// =============================================================================
+// ALLOCATION TARGETS
+// =============================================================================
+
+const mapAllocationTargetRow = (row) => ({
+  id: row.id,
+  userId: row.user_id,
+  basis: row.category ? 'category' : 'tag',
+  key: row.category || row.tag_id,
+  targetPercentage: parseFloat(row.target_percentage),
+  tolerance: parseFloat(row.tolerance),
+  updatedAt: row.updated_at
+});
+
+// Targets for one basis ('category' or 'tag')
+const findAllocationTargets = async (criteria) => {
+  try {
+    if (!criteria.userId) {
+      return [];
+    }
+    
+    const column = criteria.basis === 'tag' ? 'tag_id' : 'category';
+    const result = await query(
+      `SELECT * FROM allocation_targets WHERE user_id = $1 AND ${column} IS NOT NULL ORDER BY target_percentage DESC`,
+      [criteria.userId]
+    );
+    return result.rows.map(mapAllocationTargetRow);
+  } catch (error) {
+    console.error('❌ Error finding allocation targets:', error);
+    return [];
+  }
+};
+
+// Replace all of a user's targets for one basis
+const setAllocationTargets = async (userId, basis, targets) => {
+  try {
+    const column = basis === 'tag' ? 'tag_id' : 'category';
+    const rows = await withTransaction(async (client) => {
+      await client.query(`DELETE FROM allocation_targets WHERE user_id = $1 AND ${column} IS NOT NULL`, [userId]);
+      
+      const inserted = [];
+      for (const target of targets) {
+        const result = await client.query(`
+          INSERT INTO allocation_targets (id, user_id, ${column}, target_percentage, tolerance, created_at, updated_at)
+          VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
+          RETURNING *
+        `, [uuidv4(), userId, target.key, target.targetPercentage, target.tolerance ?? 5]);
+        inserted.push(result.rows[0]);
+      }
+      return inserted;
+    });
+    return rows.map(mapAllocationTargetRow);
+  } catch (error) {
+    console.error('❌ Error setting allocation targets:', error);
+    throw error;
+  }
+};
+
+// =============================================================================
+// BENEFICIARIES
+// =============================================================================
+
+const mapBeneficiaryRow = (row) => ({
+  id: row.id,
+  userId: row.user_id,
+  name: row.name,
+  relationship: row.relationship,
+  email: row.email,
+  phone: row.phone,
+  designationCount: row.designation_count ?? 0,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+const mapDesignationRow = (row) => ({
+  assetId: row.asset_id,
+  beneficiaryId: row.beneficiary_id,
+  name: row.name,
+  relationship: row.relationship,
+  percentage: parseFloat(row.percentage)
+});
+
+const findBeneficiaries = async (criteria) => {
+  try {
+    if (!criteria.userId) return [];
+
+    let queryText = `
+      SELECT b.*, COUNT(ab.asset_id)::int AS designation_count
+      FROM beneficiaries b
+      LEFT JOIN asset_beneficiaries ab ON ab.beneficiary_id = b.id
+      WHERE b.user_id = $1
+    `;
+    const params = [criteria.userId];
+
+    if (criteria.id) {
+      queryText += ' AND b.id = $2';
+      params.push(criteria.id);
+    }
+    queryText += ' GROUP BY b.id ORDER BY LOWER(b.name)';
+
+    const result = await query(queryText, params);
+    return result.rows.map(mapBeneficiaryRow);
+  } catch (error) {
+    console.error('❌ Error finding beneficiaries:', error);
+    return [];
+  }
+};
+
+const addBeneficiary = async (beneficiaryData) => {
+  try {
+    const result = await query(`
+      INSERT INTO beneficiaries (id, user_id, name, relationship, email, phone, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())
+      RETURNING *
+    `, [
+      uuidv4(),
+      beneficiaryData.userId,
+      beneficiaryData.name,
+      beneficiaryData.relationship,
+      beneficiaryData.email || null,
+      beneficiaryData.phone || null
+    ]);
+    return mapBeneficiaryRow(result.rows[0]);
+  } catch (error) {
+    console.error('❌ Error adding beneficiary:', error);
+    throw error;
+  }
+};
+
+const updateBeneficiary = async (beneficiaryId, updates) => {
+  try {
+    const setClause = [];
+    const params = [beneficiaryId];
+    let paramIndex = 2;
+
+    if (updates.name) {
+      setClause.push(`name = $${paramIndex++}`);
+      params.push(updates.name);
+    }
+    if (updates.relationship) {
+      setClause.push(`relationship = $${paramIndex++}`);
+      params.push(updates.relationship);
+    }
+    if (updates.email !== undefined) {
+      setClause.push(`email = $${paramIndex++}`);
+      params.push(updates.email || null);
+    }
+    if (updates.phone !== undefined) {
+      setClause.push(`phone = $${paramIndex++}`);
+      params.push(updates.phone || null);
+    }
+
+    if (setClause.length === 0) {
+      const result = await query('SELECT * FROM beneficiaries WHERE id = $1', [beneficiaryId]);
+      return result.rows[0] ? mapBeneficiaryRow(result.rows[0]) : null;
+    }
+
+    const result = await query(
+      `UPDATE beneficiaries SET ${setClause.join(', ')}, updated_at = NOW() WHERE id = $1 RETURNING *`,
+      params
+    );
+    return result.rows[0] ? mapBeneficiaryRow(result.rows[0]) : null;
+  } catch (error) {
+    console.error('❌ Error updating beneficiary:', error);
+    throw error;
+  }
+};
+
+// Fails while the beneficiary still has designations
+const deleteBeneficiary = async (beneficiaryId) => {
+  try {
+    const result = await query('DELETE FROM beneficiaries WHERE id = $1 RETURNING *', [beneficiaryId]);
+    return result.rows[0] ? mapBeneficiaryRow(result.rows[0]) : null;
+  } catch (error) {
+    console.error('❌ Error deleting beneficiary:', error);
+    throw error;
+  }
+};
+
+// Designations for one asset, or for all of a user's assets
+const findBeneficiaryDesignations = async (criteria, runner = { query }) => {
+  try {
+    let queryText = `
+      SELECT ab.*, b.name, b.relationship
+      FROM asset_beneficiaries ab
+      JOIN beneficiaries b ON b.id = ab.beneficiary_id
+      WHERE `;
+    let params = [];
+
+    if (criteria.assetId) {
+      queryText += 'ab.asset_id = $1';
+      params = [criteria.assetId];
+    } else if (criteria.userId) {
+      queryText += 'b.user_id = $1';
+      params = [criteria.userId];
+    } else {
+      return [];
+    }
+    queryText += ' ORDER BY ab.percentage DESC, LOWER(b.name)';
+
+    const result = await runner.query(queryText, params);
+    return result.rows.map(mapDesignationRow);
+  } catch (error) {
+    console.error('❌ Error finding beneficiary designations:', error);
+    return [];
+  }
+};
+
+// Replace an asset's designations; an empty list clears them
+const setAssetBeneficiaries = async (assetId, designations) => {
+  try {
+    return await withTransaction(async (client) => {
+      await client.query('DELETE FROM asset_beneficiaries WHERE asset_id = $1', [assetId]);
+      for (const designation of designations) {
+        await client.query(
+          'INSERT INTO asset_beneficiaries (asset_id, beneficiary_id, percentage) VALUES ($1, $2, $3)',
+          [assetId, designation.beneficiaryId, designation.percentage]
+        );
+      }
+      return findBeneficiaryDesignations({ assetId }, client);
+    });
+  } catch (error) {
+    console.error('❌ Error setting asset beneficiaries:', error);
+    throw error;
+  }
+};
+
+// =============================================================================
+// LIABILITY MANAGEMENT
+// =============================================================================
+
+const mapLiabilityRow = (row) => ({
+  id: row.id,
+  userId: row.user_id,
+  name: row.name,
+  type: row.liability_type,
+  balance: parseFloat(row.current_balance),
+  currency: row.currency,
+  interestRate: row.interest_rate !== null ? parseFloat(row.interest_rate) : null,
+  linkedAssetId: row.linked_asset_id,
+  description: decryptField(row.description, row.user_id),
+  metadata: decryptMetadata(row.metadata, row.user_id),
+  originalPrincipal: row.original_principal !== null ? parseFloat(row.original_principal) : null,
+  termMonths: row.term_months,
+  startDate: formatDateOnly(row.start_date),
+  balanceAdjustment: parseFloat(row.balance_adjustment || 0),
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+const findLiabilities = async (criteria) => {
+  try {
+    let queryText = 'SELECT * FROM liabilities WHERE ';
+    let params = [];
+    
+    if (criteria.userId && criteria.id) {
+      queryText += 'user_id = $1 AND id = $2';
+      params = [criteria.userId, criteria.id];
+    } else if (criteria.userId && criteria.linkedAssetId) {
+      queryText += 'user_id = $1 AND linked_asset_id = $2 ORDER BY created_at DESC';
+      params = [criteria.userId, criteria.linkedAssetId];
+    } else if (criteria.amortized) {
+      // Loans whose balance follows an amortization schedule
+      queryText += 'original_principal IS NOT NULL';
+      if (criteria.userId) {
+        queryText += ' AND user_id = $1';
+        params = [criteria.userId];
+      }
+    } else if (criteria.userId && criteria.linkedAssetIds) {
+      // The user's own debts plus any secured on the given assets, whoever recorded them
+      queryText += 'user_id = $1 OR linked_asset_id = ANY($2) ORDER BY created_at DESC';
+      params = [criteria.userId, criteria.linkedAssetIds];
+    } else if (criteria.userId) {
+      queryText += 'user_id = $1 ORDER BY created_at DESC';
+      params = [criteria.userId];
+    } else {
+      return [];
+    }
+    
+    const result = await query(queryText, params);
+    await loadDataKeysForRows(result.rows);
+    return result.rows.map(mapLiabilityRow);
+  } catch (error) {
+    console.error('❌ Error finding liabilities:', error);
+    return [];
+  }
+};
+
+const addLiability = async (liabilityData) => {
+  try {
+    const { description, metadata } = await encryptSensitiveFields(liabilityData.userId, liabilityData);
+    const queryText = `
+      INSERT INTO liabilities (id, user_id, name, liability_type, current_balance, currency, interest_rate, linked_asset_id, description, metadata, original_principal, term_months, start_date, balance_adjustment, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, NOW(), NOW())
+      RETURNING *
+    `;
+    
+    const params = [
+      Date.now().toString(),
+      liabilityData.userId,
+      liabilityData.name,
+      liabilityData.type,
+      liabilityData.balance,
+      liabilityData.currency || 'USD',
+      liabilityData.interestRate ?? null,
+      liabilityData.linkedAssetId || null,
+      description || '',
+      JSON.stringify(metadata || {}),
+      liabilityData.originalPrincipal ?? null,
+      liabilityData.termMonths ?? null,
+      liabilityData.startDate || null,
+      liabilityData.balanceAdjustment || 0
+    ];
+    
+    const result = await query(queryText, params);
+    await loadDataKeysForRows(result.rows);
+    return mapLiabilityRow(result.rows[0]);
+  } catch (error) {
+    console.error('❌ Error adding liability:', error);
+    throw error;
+  }
+};
+
+const updateLiability = async (liabilityId, updates) => {
+  try {
+    const existing = await query('SELECT user_id FROM liabilities WHERE id = $1', [liabilityId]);
+    if (!existing.rows[0]) return null;
+
+    const { description, metadata } = await encryptSensitiveFields(existing.rows[0].user_id, updates);
+    const setClause = [];
+    const params = [liabilityId];
+    let paramIndex = 2;
+    
+    if (updates.name) {
+      setClause.push(`name = $${paramIndex++}`);
+      params.push(updates.name);
+    }
+    if (updates.type) {
+      setClause.push(`liability_type = $${paramIndex++}`);
+      params.push(updates.type);
+    }
+    if (updates.balance !== undefined) {
+      setClause.push(`current_balance = $${paramIndex++}`);
+      params.push(updates.balance);
+    }
+    if (updates.currency) {
+      setClause.push(`currency = $${paramIndex++}`);
+      params.push(updates.currency);
+    }
+    if (updates.interestRate !== undefined) {
+      setClause.push(`interest_rate = $${paramIndex++}`);
+      params.push(updates.interestRate);
+    }
+    if (updates.linkedAssetId !== undefined) {
+      setClause.push(`linked_asset_id = $${paramIndex++}`);
+      params.push(updates.linkedAssetId || null);
+    }
+    if (description !== undefined) {
+      setClause.push(`description = $${paramIndex++}`);
+      params.push(description);
+    }
+    if (metadata) {
+      setClause.push(`metadata = $${paramIndex++}`);
+      params.push(JSON.stringify(metadata));
+    }
+    // Amortization terms are set or cleared together
+    if (updates.originalPrincipal !== undefined) {
+      setClause.push(`original_principal = $${paramIndex++}`, `term_months = $${paramIndex++}`, `start_date = $${paramIndex++}`);
+      params.push(updates.originalPrincipal, updates.termMonths ?? null, updates.startDate || null);
+    }
+    if (updates.balanceAdjustment !== undefined) {
+      setClause.push(`balance_adjustment = $${paramIndex++}`);
+      params.push(updates.balanceAdjustment);
+    }
+    
+    if (setClause.length === 0) {
+      const result = await query('SELECT * FROM liabilities WHERE id = $1', [liabilityId]);
+      await loadDataKeysForRows(result.rows);
+      return result.rows[0] ? mapLiabilityRow(result.rows[0]) : null;
+    }
+    
+    const queryText = `
+      UPDATE liabilities 
+      SET ${setClause.join(', ')}, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+    
+    const result = await query(queryText, params);
+    await loadDataKeysForRows(result.rows);
+    return result.rows[0] ? mapLiabilityRow(result.rows[0]) : null;
+  } catch (error) {
+    console.error('❌ Error updating liability:', error);
+    throw error;
+  }
+};
+
+const deleteLiability = async (liabilityId) => {
+  try {
+    const result = await query('DELETE FROM liabilities WHERE id = $1 RETURNING *', [liabilityId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('❌ Error deleting liability:', error);
+    throw error;
+  }
+};
+
+// =============================================================================
+// INSURANCE POLICIES
+// =============================================================================
+
+const mapInsurancePolicyRow = (row) => {
+  const metadata = decryptMetadata(row.metadata, row.user_id) || {};
+  return {
+    id: row.id,
+    userId: row.user_id,
+    name: row.name,
+    type: row.policy_type,
+    carrier: row.carrier,
+    policyNumber: metadata.policyNumber || null,
+    coverageAmount: parseFloat(row.coverage_amount),
+    deductible: parseFloat(row.deductible),
+    premium: row.premium !== null ? parseFloat(row.premium) : null,
+    premiumFrequency: row.premium_frequency,
+    currency: row.currency,
+    renewalDate: formatDateOnly(row.renewal_date),
+    reminderDays: row.reminder_days,
+    remindedForDate: formatDateOnly(row.reminded_for_date),
+    description: decryptField(row.description, row.user_id),
+    assetIds: row.asset_ids || [],
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+};
+
+// Set each row's `asset_ids` from the insurance_policy_assets join table
+const attachPolicyAssets = async (rows, runner = { query }) => {
+  if (rows.length === 0) return;
+  const result = await runner.query(
+    'SELECT policy_id, asset_id FROM insurance_policy_assets WHERE policy_id = ANY($1)',
+    [rows.map(row => row.id)]
+  );
+
+  rows.forEach(row => {
+    row.asset_ids = result.rows.filter(link => link.policy_id === row.id).map(link => link.asset_id);
+  });
+};
+
+// Replace the assets a policy covers. Runs on the caller's transaction client.
+const applyPolicyAssets = async (client, policyId, assetIds) => {
+  await client.query('DELETE FROM insurance_policy_assets WHERE policy_id = $1', [policyId]);
+  if (assetIds.length === 0) return;
+  await client.query(`
+    INSERT INTO insurance_policy_assets (policy_id, asset_id)
+    SELECT $1, UNNEST($2::text[])
+    ON CONFLICT DO NOTHING
+  `, [policyId, assetIds]);
+};
+
+// The policy number is kept in metadata so it is encrypted with the other account numbers
+const policyMetadata = (policyData) => (
+  policyData.policyNumber ? { policyNumber: policyData.policyNumber } : {}
+);
+
+const findInsurancePolicies = async (criteria) => {
+  try {
+    let queryText = 'SELECT * FROM insurance_policies WHERE ';
+    let params = [];
+
+    if (criteria.userId && criteria.id) {
+      queryText += 'user_id = $1 AND id = $2';
+      params = [criteria.userId, criteria.id];
+    } else if (criteria.userId && criteria.assetId) {
+      queryText += `user_id = $1 AND id IN (SELECT policy_id FROM insurance_policy_assets WHERE asset_id = $2)
+        ORDER BY renewal_date NULLS LAST, name`;
+      params = [criteria.userId, criteria.assetId];
+    } else if (criteria.reminderDueOn) {
+      // Renewals inside their reminder window that haven't been reminded about yet
+      queryText += `renewal_date >= $1 AND renewal_date - reminder_days <= $1
+        AND reminded_for_date IS DISTINCT FROM renewal_date
+        ORDER BY user_id, renewal_date`;
+      params = [criteria.reminderDueOn];
+    } else if (criteria.userId) {
+      queryText += 'user_id = $1 ORDER BY renewal_date NULLS LAST, name';
+      params = [criteria.userId];
+    } else {
+      return [];
+    }
+
+    const result = await query(queryText, params);
+    await loadDataKeysForRows(result.rows);
+    await attachPolicyAssets(result.rows);
+    return result.rows.map(mapInsurancePolicyRow);
+  } catch (error) {
+    console.error('❌ Error finding insurance policies:', error);
+    return [];
+  }
+};
+
+const addInsurancePolicy = async (policyData) => {
+  try {
+    const { description, metadata } = await encryptSensitiveFields(policyData.userId, {
+      description: policyData.description,
+      metadata: policyMetadata(policyData)
+    });
+
+    const row = await withTransaction(async (client) => {
+      const result = await client.query(`
+        INSERT INTO insurance_policies (id, user_id, name, policy_type, carrier, coverage_amount, deductible, premium,
+          premium_frequency, currency, renewal_date, reminder_days, description, metadata, created_at, updated_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, NOW(), NOW())
+        RETURNING *
+      `, [
+        uuidv4(),
+        policyData.userId,
+        policyData.name,
+        policyData.type,
+        policyData.carrier,
+        policyData.coverageAmount,
+        policyData.deductible || 0,
+        policyData.premium ?? null,
+        policyData.premiumFrequency || 'annual',
+        policyData.currency || 'USD',
+        policyData.renewalDate || null,
+        policyData.reminderDays ?? 30,
+        description || '',
+        JSON.stringify(metadata || {})
+      ]);
+
+      await applyPolicyAssets(client, result.rows[0].id, policyData.assetIds || []);
+      await attachPolicyAssets(result.rows, client);
+      return result.rows[0];
+    });
+
+    await loadDataKeysForRows([row]);
+    return mapInsurancePolicyRow(row);
+  } catch (error) {
+    console.error('❌ Error adding insurance policy:', error);
+    throw error;
+  }
+};
+
+const updateInsurancePolicy = async (policyId, updates) => {
+  try {
+    const existing = await query('SELECT user_id FROM insurance_policies WHERE id = $1', [policyId]);
+    if (!existing.rows[0]) return null;
+
+    const { description, metadata } = await encryptSensitiveFields(existing.rows[0].user_id, {
+      description: updates.description,
+      metadata: updates.policyNumber !== undefined ? policyMetadata(updates) : undefined
+    });
+    const setClause = [];
+    const params = [policyId];
+    let paramIndex = 2;
+
+    const fields = {
+      name: 'name',
+      type: 'policy_type',
+      carrier: 'carrier',
+      coverageAmount: 'coverage_amount',
+      deductible: 'deductible',
+      premium: 'premium',
+      premiumFrequency: 'premium_frequency',
+      currency: 'currency',
+      reminderDays: 'reminder_days'
+    };
+    Object.entries(fields).forEach(([field, column]) => {
+      if (updates[field] !== undefined) {
+        setClause.push(`${column} = $${paramIndex++}`);
+        params.push(updates[field]);
+      }
+    });
+    if (updates.renewalDate !== undefined) {
+      // A new renewal date gets its own reminder
+      setClause.push(
+        `reminded_for_date = CASE WHEN renewal_date IS DISTINCT FROM $${paramIndex}::date THEN NULL ELSE reminded_for_date END`,
+        `renewal_date = $${paramIndex++}`
+      );
+      params.push(updates.renewalDate || null);
+    }
+    if (description !== undefined) {
+      setClause.push(`description = $${paramIndex++}`);
+      params.push(description);
+    }
+    if (metadata) {
+      setClause.push(`metadata = $${paramIndex++}`);
+      params.push(JSON.stringify(metadata));
+    }
+
+    const row = await withTransaction(async (client) => {
+      const result = setClause.length > 0
+        ? await client.query(`UPDATE insurance_policies SET ${setClause.join(', ')}, updated_at = NOW() WHERE id = $1 RETURNING *`, params)
+        : await client.query('SELECT * FROM insurance_policies WHERE id = $1', [policyId]);
+      if (!result.rows[0]) return null;
+
+      if (updates.assetIds) {
+        await applyPolicyAssets(client, policyId, updates.assetIds);
+      }
+      await attachPolicyAssets(result.rows, client);
+      return result.rows[0];
+    });
+    if (!row) return null;
+
+    await loadDataKeysForRows([row]);
+    return mapInsurancePolicyRow(row);
+  } catch (error) {
+    console.error('❌ Error updating insurance policy:', error);
+    throw error;
+  }
+};
+
+const deleteInsurancePolicy = async (policyId) => {
+  try {
+    const result = await query('DELETE FROM insurance_policies WHERE id = $1 RETURNING *', [policyId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('❌ Error deleting insurance policy:', error);
+    throw error;
+  }
+};
+
+// Remember that the reminder for this renewal date went out
+const markPolicyReminderSent = async (policyId, renewalDate) => {
+  try {
+    await query('UPDATE insurance_policies SET reminded_for_date = $2 WHERE id = $1', [policyId, renewalDate]);
+  } catch (error) {
+    console.error('❌ Error marking policy reminder:', error);
+    throw error;
+  }
+};
+
+// =============================================================================
+// FX RATES
+// =============================================================================
+
+const mapFxRateRow = (row) => ({
+  id: row.id,
+  userId: row.user_id,
+  baseCurrency: row.base_currency,
+  quoteCurrency: row.quote_currency,
+  rate: parseFloat(row.rate),
+  rateDate: formatDateOnly(row.rate_date),
+  source: row.source,
+  createdAt: row.created_at
+});
+
+// Rates visible to a user: shared rates plus the user's own manual entries
+const findFxRates = async (criteria = {}) => {
+  try {
+    const conditions = [];
+    const params = [];
+    
+    if (criteria.userId) {
+      params.push(criteria.userId);
+      conditions.push(`(user_id IS NULL OR user_id = $${params.length})`);
+    } else {
+      conditions.push('user_id IS NULL');
+    }
+    if (criteria.baseCurrency) {
+      params.push(criteria.baseCurrency);
+      conditions.push(`base_currency = $${params.length}`);
+    }
+    if (criteria.quoteCurrency) {
+      params.push(criteria.quoteCurrency);
+      conditions.push(`quote_currency = $${params.length}`);
+    }
+    
+    const queryText = `
+      SELECT * FROM fx_rates
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY rate_date ASC, base_currency, quote_currency
+    `;
+    
+    const result = await query(queryText, params);
+    return result.rows.map(mapFxRateRow);
+  } catch (error) {
+    console.error('❌ Error finding FX rates:', error);
+    return [];
+  }
+};
+
+const addFxRate = async (rateData) => {
+  try {
+    const queryText = `
+      INSERT INTO fx_rates (user_id, base_currency, quote_currency, rate, rate_date, source, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, NOW())
+      ON CONFLICT (COALESCE(user_id, ''), base_currency, quote_currency, rate_date)
+      DO UPDATE SET rate = EXCLUDED.rate, source = EXCLUDED.source
+      RETURNING *
+    `;
+    
+    const params = [
+      rateData.userId || null,
+      rateData.baseCurrency,
+      rateData.quoteCurrency,
+      rateData.rate,
+      rateData.rateDate,
+      rateData.source || 'manual'
+    ];
+    
+    const result = await query(queryText, params);
+    return mapFxRateRow(result.rows[0]);
+  } catch (error) {
+    console.error('❌ Error adding FX rate:', error);
+    throw error;
+  }
+};
+
+// Bulk insert or replace shared rates (e.g. from a rate file) in one transaction
+const upsertFxRates = async (rates) => {
+  try {
+    return await withTransaction(async (client) => {
+      for (const rate of rates) {
+        await client.query(
+          `INSERT INTO fx_rates (user_id, base_currency, quote_currency, rate, rate_date, source, created_at)
+           VALUES (NULL, $1, $2, $3, $4, $5, NOW())
+           ON CONFLICT (COALESCE(user_id, ''), base_currency, quote_currency, rate_date)
+           DO UPDATE SET rate = EXCLUDED.rate, source = EXCLUDED.source`,
+          [rate.baseCurrency, rate.quoteCurrency, rate.rate, rate.rateDate, rate.source || 'file']
+        );
+      }
+      return rates.length;
+    });
+  } catch (error) {
+    console.error('❌ Error loading FX rates:', error);
+    throw error;
+  }
+};
+
+// Only a user's own manual rates can be deleted
+const deleteFxRate = async (rateId, userId) => {
+  try {
+    const result = await query('DELETE FROM fx_rates WHERE id = $1 AND user_id = $2 RETURNING *', [rateId, userId]);
+    return result.rows[0] ? mapFxRateRow(result.rows[0]) : null;
+  } catch (error) {
+    console.error('❌ Error deleting FX rate:', error);
+    throw error;
+  }
+};
+
+// =============================================================================
+// ACCESS GRANTS
+// =============================================================================
+
+const mapAccessGrantRow = (row) => ({
+  id: row.id,
+  ownerId: row.owner_id,
+  ownerEmail: row.owner_email,
+  ownerName: [row.owner_first_name, row.owner_last_name].filter(Boolean).join(' '),
+  granteeEmail: row.grantee_email,
+  granteeId: row.grantee_id,
+  reports: row.reports || [],
+  categories: row.categories || [],
+  expiresAt: row.expires_at,
+  acceptedAt: row.accepted_at,
+  revokedAt: row.revoked_at,
+  createdAt: row.created_at
+});
+
+// Grants a user has given ({ ownerId }) or received ({ granteeId }), one grant
+// by id, or the grant an invitation token belongs to ({ tokenHash })
+const findAccessGrants = async (criteria) => {
+  try {
+    let queryText = `
+      SELECT g.*, u.email AS owner_email, u.first_name AS owner_first_name, u.last_name AS owner_last_name
+      FROM access_grants g
+      JOIN users u ON u.id = g.owner_id
+      WHERE `;
+    let params = [];
+
+    if (criteria.id) {
+      queryText += 'g.id = $1';
+      params = [criteria.id];
+    } else if (criteria.tokenHash) {
+      queryText += 'g.invitation_token_hash = $1';
+      params = [criteria.tokenHash];
+    } else if (criteria.ownerId) {
+      queryText += 'g.owner_id = $1';
+      params = [criteria.ownerId];
+    } else if (criteria.granteeId) {
+      queryText += 'g.grantee_id = $1';
+      params = [criteria.granteeId];
+    } else {
+      return [];
+    }
+    queryText += ' ORDER BY g.created_at DESC';
+
+    const result = await query(queryText, params);
+    return result.rows.map(mapAccessGrantRow);
+  } catch (error) {
+    console.error('❌ Error finding access grants:', error);
+    return [];
+  }
+};
+
+const addAccessGrant = async (grantData) => {
+  try {
+    const result = await query(`
+      INSERT INTO access_grants (id, owner_id, grantee_email, invitation_token_hash, reports, categories, expires_at, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+      RETURNING id
+    `, [
+      uuidv4(),
+      grantData.ownerId,
+      grantData.granteeEmail,
+      grantData.tokenHash,
+      JSON.stringify(grantData.reports || []),
+      JSON.stringify(grantData.categories || []),
+      grantData.expiresAt
+    ]);
+    const [grant] = await findAccessGrants({ id: result.rows[0].id });
+    return grant;
+  } catch (error) {
+    console.error('❌ Error adding access grant:', error);
+    throw error;
+  }
+};
+
+// Bind a pending grant to the account that accepted it; the token is single use
+const acceptAccessGrant = async (grantId, granteeId) => {
+  try {
+    const result = await query(`
+      UPDATE access_grants
+      SET grantee_id = $2, accepted_at = NOW(), invitation_token_hash = NULL
+      WHERE id = $1 AND accepted_at IS NULL AND revoked_at IS NULL
+      RETURNING id
+    `, [grantId, granteeId]);
+    if (!result.rows[0]) return null;
+    const [grant] = await findAccessGrants({ id: grantId });
+    return grant;
+  } catch (error) {
+    console.error('❌ Error accepting access grant:', error);
+    throw error;
+  }
+};
+
+const revokeAccessGrant = async (grantId) => {
+  try {
+    const result = await query(`
+      UPDATE access_grants
+      SET revoked_at = NOW(), invitation_token_hash = NULL
+      WHERE id = $1 AND revoked_at IS NULL
+      RETURNING id
+    `, [grantId]);
+    if (!result.rows[0]) return null;
+    const [grant] = await findAccessGrants({ id: grantId });
+    return grant;
+  } catch (error) {
+    console.error('❌ Error revoking access grant:', error);
+    throw error;
+  }
+};
+
+// =============================================================================
+// SHARE LINKS
+// =============================================================================
+
+const mapShareLinkRow = (row) => ({
+  id: row.id,
+  userId: row.user_id,
+  ownerName: [row.owner_first_name, row.owner_last_name].filter(Boolean).join(' '),
+  report: row.report,
+  view: row.view,
+  label: row.label,
+  passwordProtected: Boolean(row.password_hash),
+  expiresAt: row.expires_at,
+  viewCount: row.view_count,
+  lastViewedAt: row.last_viewed_at,
+  revokedAt: row.revoked_at,
+  createdAt: row.created_at
+});
+
+// A user's links ({ userId }) or one link by id. The password hash is only
+// returned with { includePasswordHash: true }, for checking a password.
+const findShareLinks = async (criteria) => {
+  try {
+    let queryText = `
+      SELECT l.*, u.first_name AS owner_first_name, u.last_name AS owner_last_name
+      FROM share_links l
+      JOIN users u ON u.id = l.user_id
+      WHERE `;
+    let params = [];
+
+    if (criteria.id) {
+      queryText += 'l.id = $1';
+      params = [criteria.id];
+    } else if (criteria.userId) {
+      queryText += 'l.user_id = $1';
+      params = [criteria.userId];
+    } else {
+      return [];
+    }
+    queryText += ' ORDER BY l.created_at DESC';
+
+    const result = await query(queryText, params);
+    return result.rows.map(row => (criteria.includePasswordHash
+      ? { ...mapShareLinkRow(row), passwordHash: row.password_hash }
+      : mapShareLinkRow(row)));
+  } catch (error) {
+    console.error('❌ Error finding share links:', error);
+    return [];
+  }
+};
+
+const addShareLink = async (linkData) => {
+  try {
+    const result = await query(`
+      INSERT INTO share_links (id, user_id, report, view, label, password_hash, expires_at, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+      RETURNING id
+    `, [
+      uuidv4(),
+      linkData.userId,
+      linkData.report,
+      linkData.view || 'share',
+      linkData.label || null,
+      linkData.passwordHash || null,
+      linkData.expiresAt
+    ]);
+    const [link] = await findShareLinks({ id: result.rows[0].id });
+    return link;
+  } catch (error) {
+    console.error('❌ Error adding share link:', error);
+    throw error;
+  }
+};
+
+// Count a view of a link that is still live; returns false when it isn't
+const recordShareLinkView = async (linkId) => {
+  try {
+    const result = await query(`
+      UPDATE share_links
+      SET view_count = view_count + 1, last_viewed_at = NOW()
+      WHERE id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+      RETURNING id
+    `, [linkId]);
+    return result.rows.length > 0;
+  } catch (error) {
+    console.error('❌ Error recording share link view:', error);
+    throw error;
+  }
+};
+
+const revokeShareLink = async (linkId, userId) => {
+  try {
+    const result = await query(`
+      UPDATE share_links
+      SET revoked_at = NOW()
+      WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+      RETURNING id
+    `, [linkId, userId]);
+    if (!result.rows[0]) return null;
+    const [link] = await findShareLinks({ id: linkId });
+    return link;
+  } catch (error) {
+    console.error('❌ Error revoking share link:', error);
+    throw error;
+  }
+};
+
+// =============================================================================
+// AUDIT LOGGING
+// =============================================================================
+
+const addAuditLog = async (logData) => {
+  try {
+    const queryText = `
+      INSERT INTO audit_logs (user_id, action, resource_type, resource_id, old_values, new_values, details, ip_address, user_agent, timestamp)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+      RETURNING *
+    `;
+    
+    const params = [
+      logData.userId,
+      logData.action,
+      logData.resourceType || null,
+      logData.resourceId || null,
+      JSON.stringify(logData.oldValues || {}),
+      JSON.stringify(logData.newValues || {}),
+      JSON.stringify(logData.details || {}),
+      logData.ipAddress || null,
+      logData.userAgent || null
+    ];
+    
+    const result = await query(queryText, params);
+    return result.rows[0];
+  } catch (error) {
+    console.error('❌ Error adding audit log:', error);
+    // Don't throw error for audit logs - just log it
+  }
+};
+
+const mapAuditLogRow = (row) => ({
+  id: row.id,
+  userId: row.user_id,
+  action: row.action,
+  resourceType: row.resource_type,
+  resourceId: row.resource_id,
+  oldValues: row.old_values,
+  newValues: row.new_values,
+  details: row.details,
+  timestamp: row.timestamp
+});
+
+// Entries about an asset, including its documents, transactions and other parts
+const assetAuditCondition = (param) => `(
+  (resource_type = 'asset' AND resource_id = ${param}) OR
+  (resource_type IN ('asset_document', 'asset_transaction', 'asset_value_schedule', 'asset_beneficiaries', 'asset_ownership') AND (new_values->>'assetId' = ${param} OR old_values->>'assetId' = ${param}))
+)`;
+
+// A user's audit entries, newest first. With `assetId`, only entries about
+// that asset, including changes to its documents and transactions.
+const findAuditLogs = async (criteria) => {
+  try {
+    let queryText = 'SELECT * FROM audit_logs WHERE ';
+    let params = [];
+    
+    if (criteria.userId && criteria.assetId) {
+      queryText += `user_id = $1 AND ${assetAuditCondition('$2')}`;
+      params = [criteria.userId, criteria.assetId];
+    } else if (criteria.assetId) {
+      // Every user's actions, for assets shared with a household
+      queryText += assetAuditCondition('$1');
+      params = [criteria.assetId];
+    } else if (criteria.grantId) {
+      // An access grant's history, including every read made through it
+      queryText += `resource_type = 'access_grant' AND resource_id = $1`;
+      params = [criteria.grantId];
+    } else if (criteria.userId) {
+      queryText += 'user_id = $1';
+      params = [criteria.userId];
+    } else {
+      return [];
+    }
+    
+    params.push(criteria.limit || 100);
+    queryText += ` ORDER BY timestamp DESC, id DESC LIMIT $${params.length}`;
+    
+    const result = await query(queryText, params);
+    return result.rows.map(mapAuditLogRow);
+  } catch (error) {
+    console.error('❌ Error finding audit logs:', error);
+    return [];
+  }
+};
+
+module.exports = {
+  // Users
+  findUser,
+  addUser,
+  updateUser,
+  
+  // Passkeys  
+  findPasskeys,
+  addPasskey,
+  updatePasskey,
+  
+  // Households
+  findHousehold,
+  addHousehold,
+  updateHousehold,
+  deleteHousehold,
+  addHouseholdMember,
+  updateHouseholdMember,
+  removeHouseholdMember,
+  findAssetOwners,
+  setAssetOwnership,
+  
+  // Assets
+  findAssets,
+  searchAssets,
+  findAssetCurrencies,
+  findPricedAssets,
+  addAsset,
+  updateAsset,
   deleteAsset,
+  importAssets,
+  importStatementAccounts,
+  
+  // Valuations
+  findValuations,
+  addValuation,
+  
+  // Asset transactions
+  findTransactions,
+  addTransaction,
+  updateTransaction,
+  deleteTransaction,
+  
+  // Value schedules
+  findValueSchedules,
+  setValueSchedule,
+  markValueScheduleRun,
+  deleteValueSchedule,
+  
+  // Documents
+  findDocuments,
+  addDocument,
+  updateDocumentKeyVersion,
+  deleteDocument,
+  
+  // Encryption keys
+  encryptDocumentContents,
+  decryptDocumentContents,
+  rewrapDataKeys,
+  rotateUserDataKey,
+  
+  // Tags
+  findTags,
+  addTag,
+  updateTag,
+  deleteTag,
+  setAssetTags,
+  
+  // Allocation targets
+  findAllocationTargets,
+  setAllocationTargets,
+  
+  // Beneficiaries
+  findBeneficiaries,
+  addBeneficiary,
+  updateBeneficiary,
+  deleteBeneficiary,
+  findBeneficiaryDesignations,
+  setAssetBeneficiaries,
+  
+  // Liabilities
+  findLiabilities,
+  addLiability,
+  updateLiability,
+  deleteLiability,
+  
+  // Insurance policies
+  findInsurancePolicies,
+  addInsurancePolicy,
+  updateInsurancePolicy,
+  deleteInsurancePolicy,
+  markPolicyReminderSent,
+  
+  // FX rates
+  findFxRates,
+  addFxRate,
+  upsertFxRates,
+  deleteFxRate,
+  
+  // Access grants
+  findAccessGrants,
+  addAccessGrant,
+  acceptAccessGrant,
+  revokeAccessGrant,
+  
+  // Share links
+  findShareLinks,
+  addShareLink,
+  recordShareLinkView,
+  revokeShareLink,
   
   // Audit
-  addAuditLog
+  addAuditLog,
+  findAuditLogs
 };
@@ -50,6 +50,22 @@ const getClient = async () => {
   return await pool.connect();
 };
 
+// Run a callback inside a transaction on a dedicated client
+const withTransaction = async (callback) => {
+  const client = await getClient();
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
 // Close the pool
 const closePool = async () => {
   await pool.end();
@@ -59,6 +75,7 @@ const closePool = async () => {
 module.exports = {
   query,
   getClient,
+  withTransaction,
   testConnection,
   closePool,
   pool
@@ -0,0 +1,39 @@
+const jwt = require('jsonwebtoken');
+
+// Authentication middleware shared by the API routers: verifies the bearer
+// token and sets req.user to its payload
+const authenticateToken = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({
+      error: 'Access token required',
+      message: 'Please provide a valid access token'
+    });
+  }
+
+  const jwtSecret = process.env.JWT_SECRET;
+  if (!jwtSecret) {
+    console.error('JWT_SECRET not configured');
+    return res.status(500).json({
+      error: 'Server configuration error',
+      message: 'Authentication service not properly configured'
+    });
+  }
+
+  jwt.verify(token, jwtSecret, (err, user) => {
+    if (err) {
+      return res.status(403).json({
+        error: 'Invalid token',
+        message: 'The provided token is invalid or expired'
+      });
+    }
+    req.user = user;
+    next();
+  });
+};
+
+module.exports = {
+  authenticateToken
+};
@@ -47,6 +47,22 @@ const authLimiter = rateLimit({
 });
 app.use('/api/auth/', authLimiter);
 
+// Strict rate limiting for public share links, which can be password protected
+const shareLinkLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 30,
+  message: 'Too many requests for shared reports, please try again later.'
+});
+app.use('/api/reports/shared/', shareLinkLimiter);
+
+// Net worth projections run a Monte Carlo simulation, so limit how often they can be requested
+const projectionLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 30,
+  message: 'Too many projection requests, please try again later.'
+});
+app.use('/api/reports/projection', projectionLimiter);
+
 // CORS configuration
 const corsOptions = {
   origin: (origin, callback) => {
@@ -82,7 +98,23 @@ if (process.env.NODE_ENV === 'production') {
 
 // API Routes
 app.use('/api/auth', require('./api/auth'));
+app.use('/api/assets/:id/documents', require('./api/documents'));
+app.use('/api/assets/:id/transactions', require('./api/transactions'));
+app.use('/api/assets/:id/schedule', require('./api/valueSchedules'));
+app.use('/api/assets/:id/beneficiaries', require('./api/assetBeneficiaries'));
+app.use('/api/assets/:id/ownership', require('./api/assetOwnership'));
 app.use('/api/assets', require('./api/assets'));
+app.use('/api/tags', require('./api/tags'));
+app.use('/api/allocation-targets', require('./api/allocationTargets'));
+app.use('/api/beneficiaries', require('./api/beneficiaries'));
+app.use('/api/households', require('./api/households'));
+app.use('/api/access-grants', require('./api/accessGrants'));
+app.use('/api/delegated/:grantId', require('./api/delegated'));
+app.use('/api/share-links', require('./api/shareLinks'));
+app.use('/api/liabilities', require('./api/liabilities'));
+app.use('/api/insurance-policies', require('./api/insurancePolicies'));
+app.use('/api/fx-rates', require('./api/fxRates'));
+app.use('/api/prices', require('./api/prices'));
 app.use('/api/users', require('./api/users'));
 app.use('/api/reports', require('./api/reports'));
 app.use('/api/', require('./api/network'));
@@ -194,6 +226,59 @@ const startServer = async () => {
       process.exit(1);
     }
     
+    // Load shared FX rates from a local file when configured
+    if (process.env.FX_RATES_FILE) {
+      try {
+        const { loadRatesFromFile } = require('./services/currencyService');
+        const loaded = await loadRatesFromFile(process.env.FX_RATES_FILE);
+        console.log(`💱 Loaded ${loaded} FX rates from ${process.env.FX_RATES_FILE}`);
+      } catch (error) {
+        console.error('⚠️  Failed to load FX rates file:', error.message);
+      }
+    }
+    
+    // Revalue symbol-priced holdings on a schedule when a price provider is configured
+    try {
+      const { schedulePriceRefresh } = require('./services/priceRefresh');
+      if (schedulePriceRefresh()) {
+        console.log(`📈 Market price refresh scheduled (${process.env.PRICE_PROVIDER || 'file'} provider)`);
+      }
+    } catch (error) {
+      console.error('⚠️  Failed to schedule market price refresh:', error.message);
+    }
+    
+    // Generate depreciation/appreciation valuations once a day
+    try {
+      const { scheduleValuationJob } = require('./services/scheduledValuations');
+      scheduleValuationJob();
+    } catch (error) {
+      console.error('⚠️  Failed to schedule value schedule job:', error.message);
+    }
+
+    // Reduce amortized loan balances as payments fall due
+    try {
+      const { scheduleAmortizationJob } = require('./services/scheduledAmortization');
+      scheduleAmortizationJob();
+    } catch (error) {
+      console.error('⚠️  Failed to schedule loan amortization job:', error.message);
+    }
+
+    // Email insurance renewal reminders
+    try {
+      const { scheduleRenewalReminders } = require('./services/policyReminders');
+      scheduleRenewalReminders();
+    } catch (error) {
+      console.error('⚠️  Failed to schedule renewal reminders:', error.message);
+    }
+
+    // Fail fast on a malformed master key configuration
+    const encryption = require('./services/encryptionService');
+    if (encryption.isEnabled()) {
+      console.log(`🔐 Encryption at rest enabled (master key "${encryption.currentMasterKeyId()}")`);
+    } else {
+      console.warn('⚠️  No encryption master key configured: sensitive fields and documents are stored unencrypted');
+    }
+    
     app.listen(PORT, () => {
       console.log(`🚀 Secure Asset Portal backend running on http://localhost:${PORT}`);
       console.log(`🛡️  Security middleware enabled`);
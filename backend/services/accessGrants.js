@@ -0,0 +1,37 @@
+// Delegated read-only access. A user invites another account (an accountant or
+// advisor) by email to see selected reports and/or the assets in selected
+// categories until an expiry date. The invitation link carries a random token;
+// only its hash is stored and it stops working once accepted. Reads made
+// through a grant act as the owner but can never change anything.
+const crypto = require('crypto');
+
+// Reports a grant can include, by their path under /api/reports
+const DELEGABLE_REPORTS = ['portfolio-summary', 'asset-performance', 'monthly-growth', 'tax-report', 'export'];
+
+// Longest time a single grant may run
+const MAX_GRANT_DAYS = 366;
+
+const generateInvitationToken = () => crypto.randomBytes(32).toString('hex');
+
+const hashInvitationToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// pending (invited, not yet accepted), active, expired or revoked
+const grantStatus = (grant, now = new Date()) => {
+  if (grant.revokedAt) return 'revoked';
+  if (new Date(grant.expiresAt) <= now) return 'expired';
+  return grant.acceptedAt ? 'active' : 'pending';
+};
+
+const grantAllowsReport = (grant, report) => grant.reports.includes(report);
+
+const grantAllowsCategory = (grant, category) => grant.categories.includes(category);
+
+module.exports = {
+  DELEGABLE_REPORTS,
+  MAX_GRANT_DAYS,
+  generateInvitationToken,
+  hashInvitationToken,
+  grantStatus,
+  grantAllowsReport,
+  grantAllowsCategory
+};
@@ -0,0 +1,91 @@
+// Fixed-rate loan amortization. A loan is described by its original
+// principal, annual interest rate (percent), term in months and start date;
+// the first monthly payment falls due one month after the start date and the
+// last one clears whatever is left. Interest is charged monthly at rate / 12.
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Same day `months` months later, clamped to the end of shorter months
+const addMonths = (date, months) => {
+  const start = new Date(`${date}T00:00:00Z`);
+  const target = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(start.getUTCDate(), lastDay));
+  return target.toISOString().slice(0, 10);
+};
+
+const hasAmortization = (liability) => Boolean(
+  liability.originalPrincipal && liability.termMonths && liability.startDate
+);
+
+// Level monthly payment that repays `principal` over `termMonths`
+const monthlyPayment = (principal, annualRate, termMonths) => {
+  const rate = (annualRate || 0) / 1200;
+  if (rate === 0) return roundMoney(principal / termMonths);
+  return roundMoney(principal * rate / (1 - Math.pow(1 + rate, -termMonths)));
+};
+
+// Every payment with its interest/principal split and the balance left after it
+const amortizationSchedule = (loan) => {
+  const rate = (loan.interestRate || 0) / 1200;
+  const payment = monthlyPayment(loan.originalPrincipal, loan.interestRate, loan.termMonths);
+  const schedule = [];
+  let balance = loan.originalPrincipal;
+
+  for (let period = 1; period <= loan.termMonths && balance > 0; period++) {
+    const interest = roundMoney(balance * rate);
+    const principal = period === loan.termMonths ? balance : Math.min(roundMoney(payment - interest), balance);
+    balance = roundMoney(balance - principal);
+    schedule.push({
+      period,
+      date: addMonths(loan.startDate, period),
+      payment: roundMoney(principal + interest),
+      interest,
+      principal,
+      balance
+    });
+  }
+
+  return schedule;
+};
+
+// Outstanding balance once every payment due on or before `date` is made
+const scheduledBalance = (loan, date) => {
+  const paid = amortizationSchedule(loan).filter(row => row.date <= date);
+  return paid.length > 0 ? paid[paid.length - 1].balance : loan.originalPrincipal;
+};
+
+// Balance the loan should carry on `date`: the schedule shifted by any
+// adjustment from a balance the user entered, never below zero
+const adjustedBalance = (loan, date) => (
+  Math.max(0, roundMoney(scheduledBalance(loan, date) + (loan.balanceAdjustment || 0)))
+);
+
+// Totals for the whole loan and for the part already paid as of `date`
+const summarizeAmortization = (loan, schedule, date) => {
+  const paid = schedule.filter(row => row.date <= date);
+  const sum = (rows, field) => roundMoney(rows.reduce((total, row) => total + row[field], 0));
+
+  return {
+    monthlyPayment: monthlyPayment(loan.originalPrincipal, loan.interestRate, loan.termMonths),
+    totalPaid: sum(schedule, 'payment'),
+    totalInterest: sum(schedule, 'interest'),
+    payoffDate: schedule.length > 0 ? schedule[schedule.length - 1].date : loan.startDate,
+    paymentsMade: paid.length,
+    paymentsRemaining: schedule.length - paid.length,
+    principalPaid: sum(paid, 'principal'),
+    interestPaid: sum(paid, 'interest'),
+    outstandingBalance: paid.length > 0 ? paid[paid.length - 1].balance : loan.originalPrincipal,
+    nextPaymentDate: paid.length < schedule.length ? schedule[paid.length].date : null
+  };
+};
+
+module.exports = {
+  addMonths,
+  hasAmortization,
+  monthlyPayment,
+  amortizationSchedule,
+  scheduledBalance,
+  adjustedBalance,
+  summarizeAmortization
+};
@@ -0,0 +1,156 @@
+const Joi = require('joi');
+
+// Structured details for each asset type, stored in the asset's metadata.
+// Every field describes both its validation rule and how the AddAsset form
+// renders it; dotted names nest (e.g. `address.city` -> metadata.address.city).
+// Keys that aren't listed (such as statement-import account ids) are kept as-is.
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const assetTypeFields = {
+  real_estate: [
+    { name: 'address.street', label: 'Street Address', kind: 'text' },
+    { name: 'address.city', label: 'City', kind: 'text' },
+    { name: 'address.region', label: 'State / Province', kind: 'text' },
+    { name: 'address.postalCode', label: 'Postal Code', kind: 'text', max: 20 },
+    { name: 'address.country', label: 'Country', kind: 'text', max: 100 },
+    {
+      name: 'propertyType',
+      label: 'Property Type',
+      kind: 'select',
+      options: ['primary_residence', 'rental', 'vacation', 'land', 'commercial', 'other']
+    },
+    { name: 'squareFootage', label: 'Square Footage', kind: 'integer', min: 0 },
+    { name: 'yearBuilt', label: 'Year Built', kind: 'integer', min: 1600, max: 2100 },
+    { name: 'mortgage.lender', label: 'Mortgage Lender', kind: 'text' },
+    { name: 'mortgage.balance', label: 'Mortgage Balance', kind: 'currency' },
+    { name: 'mortgage.interestRate', label: 'Mortgage Rate (%)', kind: 'percent' },
+    { name: 'mortgage.monthlyPayment', label: 'Monthly Payment', kind: 'currency' }
+  ],
+  cryptocurrency: [
+    { name: 'symbol', label: 'Symbol', kind: 'text', max: 10, pattern: /^[A-Za-z0-9]{2,10}$/, uppercase: true },
+    { name: 'quantity', label: 'Quantity', kind: 'number', min: 0 },
+    { name: 'walletAddress', label: 'Wallet Address', kind: 'text' },
+    { name: 'network', label: 'Network / Exchange', kind: 'text', max: 100 }
+  ],
+  insurance: [
+    { name: 'policyNumber', label: 'Policy Number', kind: 'text', max: 100 },
+    { name: 'carrier', label: 'Carrier', kind: 'text', max: 100 },
+    {
+      name: 'policyType',
+      label: 'Policy Type',
+      kind: 'select',
+      options: ['whole_life', 'term_life', 'universal_life', 'annuity', 'property', 'other']
+    },
+    { name: 'faceValue', label: 'Face Value', kind: 'currency' },
+    { name: 'premium', label: 'Premium', kind: 'currency' },
+    { name: 'premiumFrequency', label: 'Premium Frequency', kind: 'select', options: ['monthly', 'quarterly', 'semiannual', 'annual'] },
+    { name: 'renewalDate', label: 'Renewal Date', kind: 'date' }
+  ],
+  investment_account: [
+    { name: 'institution', label: 'Institution', kind: 'text', max: 100 },
+    { name: 'accountNumber', label: 'Account Number', kind: 'text', max: 50 },
+    { name: 'accountType', label: 'Account Type', kind: 'select', options: ['brokerage', 'ira', 'roth_ira', '401k', '529', 'hsa', 'other'] },
+    { name: 'symbol', label: 'Ticker Symbol', kind: 'text', max: 15, pattern: /^[A-Za-z0-9.\-]{1,15}$/, uppercase: true },
+    { name: 'quantity', label: 'Shares / Units', kind: 'number', min: 0 }
+  ],
+  bank_account: [
+    { name: 'institution', label: 'Institution', kind: 'text', max: 100 },
+    { name: 'accountNumber', label: 'Account Number', kind: 'text', max: 50 },
+    { name: 'routingNumber', label: 'Routing Number', kind: 'text', max: 20 }
+  ],
+  physical_asset: [
+    { name: 'category', label: 'Category', kind: 'select', options: ['vehicle', 'jewelry', 'art', 'collectible', 'equipment', 'other'] },
+    { name: 'serialNumber', label: 'Serial / VIN', kind: 'text', max: 100 },
+    { name: 'location', label: 'Location', kind: 'text' }
+  ],
+  business_interest: [
+    { name: 'entityName', label: 'Entity Name', kind: 'text' },
+    { name: 'entityType', label: 'Entity Type', kind: 'select', options: ['llc', 's_corp', 'c_corp', 'partnership', 'sole_proprietorship', 'other'] },
+    { name: 'ownershipPercentage', label: 'Ownership (%)', kind: 'percent' }
+  ]
+};
+
+const assetTypes = Object.keys(assetTypeFields);
+
+// Empty strings from forms are treated as "not provided"
+const fieldRule = (field) => {
+  let rule;
+  switch (field.kind) {
+    case 'number':
+    case 'currency':
+      rule = Joi.number().min(field.min ?? 0);
+      break;
+    case 'percent':
+      rule = Joi.number().min(0).max(100);
+      break;
+    case 'integer':
+      rule = Joi.number().integer().min(field.min ?? 0);
+      if (field.max !== undefined) rule = rule.max(field.max);
+      break;
+    case 'date':
+      rule = Joi.string().pattern(DATE_ONLY).messages({ 'string.pattern.base': '{{#label}} must be a date (YYYY-MM-DD)' });
+      break;
+    case 'select':
+      rule = Joi.string().valid(...field.options);
+      break;
+    default:
+      rule = Joi.string().trim().max(field.max || 200);
+      if (field.pattern) rule = rule.pattern(field.pattern);
+      if (field.uppercase) rule = rule.uppercase();
+  }
+  return rule.empty(Joi.valid('', null)).label(field.label);
+};
+
+// Build a joi object schema from the flat, dotted field list
+const buildSchema = (fields) => {
+  const tree = {};
+  fields.forEach(field => {
+    const path = field.name.split('.');
+    let node = tree;
+    path.slice(0, -1).forEach(part => {
+      node[part] = node[part] || {};
+      node = node[part];
+    });
+    node[path[path.length - 1]] = fieldRule(field);
+  });
+
+  const toJoi = (node) => Joi.object(Object.fromEntries(
+    Object.entries(node).map(([key, value]) => [key, Joi.isSchema(value) ? value : toJoi(value)])
+  )).unknown(true);
+
+  return toJoi(tree);
+};
+
+const schemas = Object.fromEntries(
+  Object.entries(assetTypeFields).map(([type, fields]) => [type, buildSchema(fields)])
+);
+
+// Validate and normalize metadata for an asset type. Returns { value } or { error }.
+const validateAssetMetadata = (type, metadata) => {
+  const schema = schemas[type];
+  if (!schema) {
+    return { error: `Unknown asset type: ${type}` };
+  }
+
+  const { value, error } = schema.validate(metadata, { abortEarly: false, convert: true });
+  if (error) {
+    return { error: error.details.map(detail => detail.message).join('; ') };
+  }
+  return { value };
+};
+
+// Field descriptions for clients rendering the form (patterns as strings)
+const describeAssetSchemas = () => Object.fromEntries(
+  Object.entries(assetTypeFields).map(([type, fields]) => [
+    type,
+    fields.map(({ pattern, ...field }) => (pattern ? { ...field, pattern: pattern.source } : field))
+  ])
+);
+
+module.exports = {
+  assetTypes,
+  assetTypeFields,
+  validateAssetMetadata,
+  describeAssetSchemas
+};
@@ -0,0 +1,70 @@
+// Server-side asset listing. Pages are cut with a keyset cursor on the sort
+// column plus the asset id, so rows can't repeat or go missing between pages
+// while assets are added or revalued. The cursor is opaque to clients and tied
+// to the sort it was issued for. Search matches every word as a prefix
+// against the assets' search_vector (name, and description where it isn't
+// encrypted). Values are sorted and filtered in the user's base currency.
+
+const ASSET_SORTS = ['created', 'updated', 'value', 'name'];
+const SORT_ORDERS = ['asc', 'desc'];
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Longest search accepted, and the most words used from it
+const MAX_SEARCH_LENGTH = 200;
+const MAX_SEARCH_TERMS = 10;
+
+// Whether a cursor's sort key is one Postgres could have printed for the
+// sort, so a tampered cursor is turned away before it reaches the query
+const TIMESTAMP_KEY = /^(\d{4})-(\d{2})-(\d{2}) (\d{2}):(\d{2}):(\d{2})(\.\d{1,6})?[+-]\d{2}(:\d{2})?$/;
+const isTimestampKey = (key) => {
+  const match = TIMESTAMP_KEY.exec(key);
+  if (!match) return false;
+  const [year, month, day, hour, minute, second] = match.slice(1, 7).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day && hour < 24 && minute < 60 && second < 60;
+};
+const SORT_KEY_CHECKS = {
+  created: isTimestampKey,
+  updated: isTimestampKey,
+  value: (key) => key.length <= 100 && /^-?\d+(\.\d+)?$/.test(key),
+  name: (key) => key.length <= 255
+};
+
+const encodeCursor = ({ sort, order, sortKey, id }) => Buffer
+  .from(JSON.stringify({ s: sort, o: order, k: sortKey, i: id }))
+  .toString('base64url');
+
+// { sort, order, sortKey, id }, or null when the cursor is malformed
+const decodeCursor = (cursor) => {
+  try {
+    const { s, o, k, i } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!ASSET_SORTS.includes(s) || !SORT_ORDERS.includes(o) || typeof k !== 'string' || typeof i !== 'string' ||
+      !SORT_KEY_CHECKS[s](k)) {
+      return null;
+    }
+    return { sort: s, order: o, sortKey: k, id: i };
+  } catch (error) {
+    return null;
+  }
+};
+
+// to_tsquery() text matching every word of the search as a prefix, or null
+// when the search has no words in it
+const searchTsQuery = (text) => {
+  const words = String(text).toLowerCase().replace(/['’]s\b/g, '').match(/[\p{L}\p{N}]+/gu) || [];
+  const terms = words.slice(0, MAX_SEARCH_TERMS);
+  return terms.length > 0 ? terms.map(term => `${term}:*`).join(' & ') : null;
+};
+
+module.exports = {
+  ASSET_SORTS,
+  SORT_ORDERS,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  MAX_SEARCH_LENGTH,
+  encodeCursor,
+  decodeCursor,
+  searchTsQuery
+};
@@ -0,0 +1,79 @@
+// Insurance coverage gaps. A policy's coverage amount is shared between the
+// assets it covers in proportion to their values (evenly when none has a
+// value), and each asset's insured amount is the sum of its shares. Amounts
+// must already be in one currency.
+//
+//   uninsured     no policy covers the asset
+//   underinsured  insured amount is below the asset's value
+//   covered       insured amount meets or exceeds the value
+
+// Asset types reported even when no policy covers them; any other asset shows
+// up only once a policy is linked to it
+const INSURABLE_TYPES = ['real_estate', 'physical_asset', 'business_interest'];
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const coverageGaps = ({ assets, policies }) => {
+  const assetsById = new Map(assets.map(asset => [asset.id, asset]));
+  const insured = new Map();
+
+  policies.forEach(policy => {
+    const covered = policy.assetIds.map(id => assetsById.get(id)).filter(Boolean);
+    const totalValue = covered.reduce((sum, asset) => sum + asset.value, 0);
+
+    covered.forEach(asset => {
+      const share = totalValue > 0 ? asset.value / totalValue : 1 / covered.length;
+      const entry = insured.get(asset.id) || { amount: 0, policies: [] };
+      entry.amount += policy.coverageAmount * share;
+      entry.policies.push({ id: policy.id, name: policy.name, carrier: policy.carrier, deductible: policy.deductible });
+      insured.set(asset.id, entry);
+    });
+  });
+
+  const rows = assets
+    .filter(asset => INSURABLE_TYPES.includes(asset.type) || insured.has(asset.id))
+    .map(asset => {
+      const coverage = insured.get(asset.id);
+      const insuredAmount = coverage ? roundMoney(coverage.amount) : 0;
+      const gap = roundMoney(Math.max(asset.value - insuredAmount, 0));
+      let status = 'covered';
+      if (!coverage) status = 'uninsured';
+      else if (gap > 0) status = 'underinsured';
+
+      return {
+        assetId: asset.id,
+        name: asset.name,
+        type: asset.type,
+        value: asset.value,
+        insuredAmount,
+        gap,
+        coverageRatio: asset.value > 0 ? parseFloat((insuredAmount / asset.value).toFixed(4)) : null,
+        status,
+        policies: coverage ? coverage.policies : []
+      };
+    })
+    .sort((a, b) => b.gap - a.gap);
+
+  const sum = (field) => roundMoney(rows.reduce((total, row) => total + row[field], 0));
+
+  return {
+    assets: rows,
+    totals: {
+      value: sum('value'),
+      insured: sum('insuredAmount'),
+      gap: sum('gap'),
+      uninsured: rows.filter(row => row.status === 'uninsured').length,
+      underinsured: rows.filter(row => row.status === 'underinsured').length,
+      covered: rows.filter(row => row.status === 'covered').length
+    },
+    // Policies that don't cover any asset can't close a gap
+    unlinkedPolicies: policies
+      .filter(policy => !policy.assetIds.some(id => assetsById.has(id)))
+      .map(policy => ({ id: policy.id, name: policy.name, carrier: policy.carrier, coverageAmount: policy.coverageAmount }))
+  };
+};
+
+module.exports = {
+  INSURABLE_TYPES,
+  coverageGaps
+};
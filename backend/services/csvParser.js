@@ -0,0 +1,70 @@
+// Minimal RFC 4180 CSV parsing: quoted fields, escaped quotes ("") and
+// line breaks inside quotes are supported.
+
+const parseCsv = (text, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(values => values.some(value => value.trim() !== ''));
+};
+
+// Parse CSV text into objects keyed by the header row
+const parseCsvWithHeader = (text, delimiter = ',') => {
+  const [header = [], ...rows] = parseCsv(text, delimiter);
+  const columns = header.map(column => column.trim());
+
+  return {
+    columns,
+    records: rows.map(values => {
+      const record = {};
+      columns.forEach((column, index) => {
+        record[column] = values[index] !== undefined ? values[index].trim() : '';
+      });
+      return record;
+    })
+  };
+};
+
+module.exports = {
+  parseCsv,
+  parseCsvWithHeader
+};
@@ -0,0 +1,174 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { findUser, findFxRates, upsertFxRates } = require('../data/dataAccess');
+
+const DEFAULT_CURRENCY = 'USD';
+
+const normalizeCurrency = (code) => String(code || DEFAULT_CURRENCY).trim().toUpperCase();
+
+const todayString = () => new Date().toISOString().slice(0, 10);
+
+// Build a converter from stored rates. A rate row means:
+// 1 unit of `baseCurrency` = `rate` units of `quoteCurrency` on `rateDate`.
+const createConverter = (rates, targetCurrency = DEFAULT_CURRENCY) => {
+  const pairs = new Map();
+  const currencies = new Set();
+
+  rates.forEach(rate => {
+    const key = `${rate.baseCurrency}:${rate.quoteCurrency}`;
+    if (!pairs.has(key)) pairs.set(key, []);
+    pairs.get(key).push(rate);
+    currencies.add(rate.baseCurrency);
+    currencies.add(rate.quoteCurrency);
+  });
+
+  // Oldest first; on the same day a user's own rate overrides a shared one
+  pairs.forEach(list => {
+    list.sort((a, b) => a.rateDate.localeCompare(b.rateDate) || (a.userId ? 1 : 0) - (b.userId ? 1 : 0));
+  });
+
+  const missing = new Set();
+
+  // Latest rate on or before the date; falls back to the earliest known rate
+  // so history older than the rate table still converts
+  const pairRate = (from, to, date) => {
+    const list = pairs.get(`${from}:${to}`);
+    if (list && list.length > 0) {
+      let match = list[0];
+      for (const rate of list) {
+        if (rate.rateDate > date) break;
+        match = rate;
+      }
+      return match.rate;
+    }
+    const inverse = pairs.get(`${to}:${from}`);
+    if (inverse && inverse.length > 0) {
+      const rate = pairRate(to, from, date);
+      return rate ? 1 / rate : null;
+    }
+    return null;
+  };
+
+  const getRate = (from, to, date = todayString()) => {
+    from = normalizeCurrency(from);
+    to = normalizeCurrency(to);
+    if (from === to) return 1;
+
+    const direct = pairRate(from, to, date);
+    if (direct) return direct;
+
+    // Cross through any currency quoted against both sides
+    for (const pivot of currencies) {
+      if (pivot === from || pivot === to) continue;
+      const first = pairRate(from, pivot, date);
+      const second = first ? pairRate(pivot, to, date) : null;
+      if (first && second) return first * second;
+    }
+
+    missing.add(`${from}/${to}`);
+    return null;
+  };
+
+  const convert = (amount, from, to = targetCurrency, date) => {
+    const rate = getRate(from, to, date);
+    return rate === null ? null : amount * rate;
+  };
+
+  return {
+    baseCurrency: targetCurrency,
+    getRate,
+    convert,
+    // Convert for totals: amounts with no known rate are left out and reported
+    convertOrZero: (amount, from, date) => convert(amount, from, targetCurrency, date) ?? 0,
+    missingRates: () => Array.from(missing)
+  };
+};
+
+// Converter into the user's base currency using shared and user-entered rates
+const getConverterForUser = async (userId) => {
+  const [user, rates] = await Promise.all([
+    findUser(userId),
+    findFxRates({ userId })
+  ]);
+  return createConverter(rates, normalizeCurrency(user?.baseCurrency));
+};
+
+// Sum native amounts per currency, e.g. { USD: 1200, EUR: 300 }
+const totalsByCurrency = (items, amountKey = 'value') => {
+  return items.reduce((totals, item) => {
+    const currency = normalizeCurrency(item.currency);
+    totals[currency] = (totals[currency] || 0) + parseFloat(item[amountKey] || 0);
+    return totals;
+  }, {});
+};
+
+// Parse a rate file. Supported layouts:
+//   CSV with a header row: date,base,quote,rate
+//   JSON array: [{ "date", "base", "quote", "rate" }]
+//   JSON object: { "date", "base", "rates": { "EUR": 0.92, ... } }
+const parseRatesFile = (contents, format) => {
+  const rows = [];
+
+  if (format === 'json') {
+    const data = JSON.parse(contents);
+    const entries = Array.isArray(data) ? data : [data];
+    entries.forEach(entry => {
+      if (entry.rates) {
+        Object.entries(entry.rates).forEach(([quote, rate]) => {
+          rows.push({ date: entry.date, base: entry.base, quote, rate });
+        });
+      } else {
+        rows.push(entry);
+      }
+    });
+  } else {
+    const lines = contents.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    const header = lines.shift().toLowerCase().split(',').map(column => column.trim());
+    lines.forEach(line => {
+      const values = line.split(',').map(value => value.trim());
+      const row = {};
+      header.forEach((column, index) => { row[column] = values[index]; });
+      rows.push(row);
+    });
+  }
+
+  return rows.map((row, index) => {
+    const rate = parseFloat(row.rate);
+    const rateDate = String(row.date || '').slice(0, 10);
+    if (!/^[A-Za-z]{3}$/.test(row.base || '') || !/^[A-Za-z]{3}$/.test(row.quote || '')) {
+      throw new Error(`Invalid currency code on entry ${index + 1}`);
+    }
+    if (!(rate > 0)) {
+      throw new Error(`Invalid rate on entry ${index + 1}`);
+    }
+    if (isNaN(new Date(rateDate).getTime())) {
+      throw new Error(`Invalid date on entry ${index + 1}`);
+    }
+    return {
+      baseCurrency: normalizeCurrency(row.base),
+      quoteCurrency: normalizeCurrency(row.quote),
+      rate,
+      rateDate,
+      source: 'file'
+    };
+  });
+};
+
+// Load shared rates from a local CSV or JSON file
+const loadRatesFromFile = async (filePath) => {
+  const contents = await fs.readFile(filePath, 'utf8');
+  const format = path.extname(filePath).toLowerCase() === '.json' ? 'json' : 'csv';
+  const rates = parseRatesFile(contents, format);
+  await upsertFxRates(rates);
+  return rates.length;
+};
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  normalizeCurrency,
+  createConverter,
+  getConverterForUser,
+  totalsByCurrency,
+  parseRatesFile,
+  loadRatesFromFile
+};
@@ -559,6 +559,245 @@ Security Tips:
 This security notification was sent to ${user.email}.
 If you did not add this passkey, please secure your account immediately.
 
+© ${new Date().getFullYear()} Secure Asset Portal. All rights reserved.
+    `;
+
+    return { html, text };
+  }
+
+  // Send insurance renewal reminder for one or more upcoming policy renewals
+  async sendPolicyRenewalReminderEmail(user, policies) {
+    const emailContent = this.generatePolicyRenewalReminderEmail(user, policies);
+    const subject = policies.length === 1
+      ? `🛡️ Insurance Renewal Reminder: ${policies[0].name} renews ${policies[0].renewalDate}`
+      : `🛡️ Insurance Renewal Reminder: ${policies.length} policies renewing soon`;
+
+    try {
+      if (this.transporter) {
+        const info = await this.transporter.sendMail({
+          from: process.env.FROM_EMAIL || 'Secure Asset Portal <noreply@secure-asset-portal.com>',
+          to: user.email,
+          subject,
+          html: emailContent.html,
+          text: emailContent.text,
+          headers: {
+            'X-Mailer': 'Secure Asset Portal v1.0'
+          }
+        });
+
+        console.log(`✅ Policy renewal reminder sent successfully!`);
+        console.log(`📧 To: ${user.email}`);
+        console.log(`🔖 Message ID: ${info.messageId}`);
+        if (process.env.NODE_ENV !== 'production') {
+          console.log(`🔗 Preview URL: ${nodemailer.getTestMessageUrl(info) || 'N/A'}`);
+        }
+
+        return { success: true, messageId: info.messageId };
+      } else {
+        // Fallback: log to console
+        console.log('📧 POLICY RENEWAL REMINDER WOULD BE SENT TO:', user.email);
+        console.log('Subject:', subject);
+        console.log(emailContent.text);
+        return { success: true, messageId: 'console-log' };
+      }
+    } catch (error) {
+      console.error('❌ Failed to send policy renewal reminder:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Generate insurance renewal reminder content
+  generatePolicyRenewalReminderEmail(user, policies) {
+    const formatAmount = (amount, currency) => new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+    const premiumLine = (policy) => policy.premium !== null
+      ? `${formatAmount(policy.premium, policy.currency)} ${policy.premiumFrequency}`
+      : 'not recorded';
+
+    const html = `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1">
+          <title>Insurance Renewal Reminder</title>
+          <style>
+            body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: #2563eb; color: white; padding: 30px 20px; text-align: center; border-radius: 8px 8px 0 0; }
+            .content { background: #f8fafc; padding: 30px 20px; border-radius: 0 0 8px 8px; }
+            .card { background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #2563eb; }
+            .footer { text-align: center; color: #6b7280; font-size: 14px; margin-top: 30px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>🛡️ Insurance Renewal Reminder</h1>
+            </div>
+
+            <div class="content">
+              <h2>Hello ${user.firstName}!</h2>
+
+              <p>The following ${policies.length === 1 ? 'policy is' : 'policies are'} coming up for renewal. Now is a good time to review coverage against what your assets are worth today.</p>
+
+              ${policies.map(policy => `
+              <div class="card">
+                <h3>${policy.name}</h3>
+                <ul>
+                  <li><strong>Carrier:</strong> ${policy.carrier}${policy.policyNumber ? ` (policy ${policy.policyNumber})` : ''}</li>
+                  <li><strong>Renews:</strong> ${policy.renewalDate}</li>
+                  <li><strong>Coverage:</strong> ${formatAmount(policy.coverageAmount, policy.currency)}, deductible ${formatAmount(policy.deductible, policy.currency)}</li>
+                  <li><strong>Premium:</strong> ${premiumLine(policy)}</li>
+                </ul>
+              </div>`).join('')}
+
+              <div class="footer">
+                <p>This reminder was sent to ${user.email}. You can change how far ahead you are reminded on each policy.</p>
+                <p>© ${new Date().getFullYear()} Secure Asset Portal. All rights reserved.</p>
+              </div>
+            </div>
+          </div>
+        </body>
+      </html>
+    `;
+
+    const text = `
+Insurance Renewal Reminder
+
+Hello ${user.firstName}!
+
+The following ${policies.length === 1 ? 'policy is' : 'policies are'} coming up for renewal. Now is a good time to review coverage against what your assets are worth today.
+${policies.map(policy => `
+${policy.name}
+- Carrier: ${policy.carrier}${policy.policyNumber ? ` (policy ${policy.policyNumber})` : ''}
+- Renews: ${policy.renewalDate}
+- Coverage: ${formatAmount(policy.coverageAmount, policy.currency)}, deductible ${formatAmount(policy.deductible, policy.currency)}
+- Premium: ${premiumLine(policy)}
+`).join('')}
+This reminder was sent to ${user.email}. You can change how far ahead you are reminded on each policy.
+
+© ${new Date().getFullYear()} Secure Asset Portal. All rights reserved.
+    `;
+
+    return { html, text };
+  }
+
+  // Send an invitation to view another user's reports read-only
+  async sendAccessInvitationEmail(owner, grant, acceptUrl) {
+    const emailContent = this.generateAccessInvitationEmail(owner, grant, acceptUrl);
+    const subject = `🔑 ${owner.firstName} ${owner.lastName} shared read-only portfolio access with you`;
+
+    try {
+      if (this.transporter) {
+        const info = await this.transporter.sendMail({
+          from: process.env.FROM_EMAIL || 'Secure Asset Portal <noreply@secure-asset-portal.com>',
+          to: grant.granteeEmail,
+          subject,
+          html: emailContent.html,
+          text: emailContent.text,
+          headers: {
+            'X-Mailer': 'Secure Asset Portal v1.0'
+          }
+        });
+
+        console.log(`✅ Access invitation sent successfully!`);
+        console.log(`📧 To: ${grant.granteeEmail}`);
+        console.log(`🔖 Message ID: ${info.messageId}`);
+        if (process.env.NODE_ENV !== 'production') {
+          console.log(`🔗 Preview URL: ${nodemailer.getTestMessageUrl(info) || 'N/A'}`);
+        }
+
+        return { success: true, messageId: info.messageId };
+      } else {
+        // Fallback: log to console
+        console.log('📧 ACCESS INVITATION WOULD BE SENT TO:', grant.granteeEmail);
+        console.log('Subject:', subject);
+        console.log(emailContent.text);
+        return { success: true, messageId: 'console-log' };
+      }
+    } catch (error) {
+      console.error('❌ Failed to send access invitation:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Generate read-only access invitation content
+  generateAccessInvitationEmail(owner, grant, acceptUrl) {
+    const formatLabel = (text) => text.replace(/[_-]/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+    const scope = [
+      ...grant.reports.map(report => `${formatLabel(report)} report`),
+      ...grant.categories.map(category => `${formatLabel(category)} assets`)
+    ];
+    const expires = new Date(grant.expiresAt).toDateString();
+
+    const html = `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1">
+          <title>Read-only Portfolio Access</title>
+          <style>
+            body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: #2563eb; color: white; padding: 30px 20px; text-align: center; border-radius: 8px 8px 0 0; }
+            .content { background: #f8fafc; padding: 30px 20px; border-radius: 0 0 8px 8px; }
+            .card { background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #2563eb; }
+            .button { display: inline-block; background: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+            .footer { text-align: center; color: #6b7280; font-size: 14px; margin-top: 30px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>🔑 Read-only Portfolio Access</h1>
+            </div>
+
+            <div class="content">
+              <h2>Hello!</h2>
+
+              <p>${owner.firstName} ${owner.lastName} (${owner.email}) has invited you to view part of their portfolio on Secure Asset Portal. You will not be able to change anything.</p>
+
+              <div class="card">
+                <h3>You can view</h3>
+                <ul>
+                  ${scope.map(entry => `<li>${entry}</li>`).join('')}
+                </ul>
+                <p><strong>Access expires:</strong> ${expires}</p>
+              </div>
+
+              <p>Sign in or create an account with this email address, then accept the invitation:</p>
+              <div style="text-align: center;">
+                <a href="${acceptUrl}" class="button">Accept Invitation</a>
+              </div>
+
+              <div class="footer">
+                <p>This invitation was sent to ${grant.granteeEmail} and only works for that account. If you weren't expecting it, you can ignore this email.</p>
+                <p>© ${new Date().getFullYear()} Secure Asset Portal. All rights reserved.</p>
+              </div>
+            </div>
+          </div>
+        </body>
+      </html>
+    `;
+
+    const text = `
+Read-only Portfolio Access
+
+Hello!
+
+${owner.firstName} ${owner.lastName} (${owner.email}) has invited you to view part of their portfolio on Secure Asset Portal. You will not be able to change anything.
+
+You can view:
+${scope.map(entry => `- ${entry}`).join('\n')}
+
+Access expires: ${expires}
+
+Sign in or create an account with this email address, then accept the invitation:
+${acceptUrl}
+
+This invitation was sent to ${grant.granteeEmail} and only works for that account. If you weren't expecting it, you can ignore this email.
+
 © ${new Date().getFullYear()} Secure Asset Portal. All rights reserved.
     `;
 
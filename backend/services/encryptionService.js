@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Envelope encryption. Each user's data is encrypted with their own random
+// data key (AES-256-GCM); data keys are stored wrapped by a master key that
+// never touches the database.
+//
+// Master keys come from either:
+//   ENCRYPTION_KEY_FILE  JSON file: { "currentKeyId": "2025-01", "keys": { "2025-01": "<base64>" } }
+//   ENCRYPTION_MASTER_KEY  base64 32-byte key, with ENCRYPTION_MASTER_KEY_ID (default "primary")
+//     and ENCRYPTION_PREVIOUS_KEYS ("id:base64,id:base64") for keys being rotated out
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// Field values look like enc:v1:<data key version>:<base64 iv|tag|ciphertext>
+const FIELD_PREFIX = 'enc:v1:';
+const FIELD_PATTERN = /^enc:v1:(\d+):([A-Za-z0-9+/]+={0,2})$/;
+
+// Files start with a magic header followed by the data key version
+const FILE_MAGIC = Buffer.from('SAPE');
+const FILE_HEADER_LENGTH = FILE_MAGIC.length + 4;
+
+let masterKeys = null;
+
+const decodeKey = (id, encoded) => {
+  const key = Buffer.from(String(encoded || '').trim(), 'base64');
+  if (key.length !== KEY_LENGTH) {
+    throw new Error(`Master key "${id}" must be ${KEY_LENGTH} bytes, base64 encoded`);
+  }
+  return key;
+};
+
+const loadMasterKeys = () => {
+  if (masterKeys) return masterKeys;
+
+  const keys = new Map();
+  let currentKeyId = null;
+
+  if (process.env.ENCRYPTION_KEY_FILE) {
+    const contents = JSON.parse(fs.readFileSync(process.env.ENCRYPTION_KEY_FILE, 'utf8'));
+    Object.entries(contents.keys || {}).forEach(([id, encoded]) => keys.set(id, decodeKey(id, encoded)));
+    currentKeyId = contents.currentKeyId;
+  } else if (process.env.ENCRYPTION_MASTER_KEY) {
+    currentKeyId = process.env.ENCRYPTION_MASTER_KEY_ID || 'primary';
+    keys.set(currentKeyId, decodeKey(currentKeyId, process.env.ENCRYPTION_MASTER_KEY));
+    (process.env.ENCRYPTION_PREVIOUS_KEYS || '').split(',').filter(Boolean).forEach(entry => {
+      const [id, encoded] = entry.split(':');
+      keys.set(id.trim(), decodeKey(id.trim(), encoded));
+    });
+  }
+
+  if (keys.size > 0 && !keys.has(currentKeyId)) {
+    throw new Error(`Current master key "${currentKeyId}" is not defined`);
+  }
+
+  masterKeys = { currentKeyId, keys };
+  return masterKeys;
+};
+
+// Encryption is switched on by configuring a master key
+const isEnabled = () => loadMasterKeys().keys.size > 0;
+
+const currentMasterKeyId = () => loadMasterKeys().currentKeyId;
+
+const getMasterKey = (id) => {
+  const key = loadMasterKeys().keys.get(id);
+  if (!key) {
+    throw new Error(`Master key "${id}" is not configured`);
+  }
+  return key;
+};
+
+const seal = (key, plaintext, aad) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  if (aad) cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+};
+
+const open = (key, sealed, aad) => {
+  const iv = sealed.subarray(0, IV_LENGTH);
+  const tag = sealed.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH);
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  if (aad) decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(sealed.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+};
+
+const generateDataKey = () => crypto.randomBytes(KEY_LENGTH);
+
+// Wrap a data key with the current master key. The user id is bound in as
+// associated data so a wrapped key can't be copied onto another account.
+const wrapDataKey = (dataKey, userId) => {
+  const masterKeyId = currentMasterKeyId();
+  return {
+    masterKeyId,
+    wrappedKey: seal(getMasterKey(masterKeyId), dataKey, userId).toString('base64')
+  };
+};
+
+const unwrapDataKey = (wrappedKey, masterKeyId, userId) => {
+  return open(getMasterKey(masterKeyId), Buffer.from(wrappedKey, 'base64'), userId);
+};
+
+const isEncryptedValue = (value) => typeof value === 'string' && FIELD_PATTERN.test(value);
+
+// Data key version a field was encrypted with, or null for plaintext
+const valueKeyVersion = (value) => {
+  const match = typeof value === 'string' && value.match(FIELD_PATTERN);
+  return match ? parseInt(match[1], 10) : null;
+};
+
+const encryptValue = (plaintext, dataKey, version, userId) => {
+  const sealed = seal(dataKey, Buffer.from(String(plaintext), 'utf8'), userId);
+  return `${FIELD_PREFIX}${version}:${sealed.toString('base64')}`;
+};
+
+const decryptValue = (value, dataKey, userId) => {
+  const [, , encoded] = value.match(FIELD_PATTERN);
+  return open(dataKey, Buffer.from(encoded, 'base64'), userId).toString('utf8');
+};
+
+const isEncryptedFile = (contents) => {
+  return contents.length >= FILE_HEADER_LENGTH && contents.subarray(0, FILE_MAGIC.length).equals(FILE_MAGIC);
+};
+
+const fileKeyVersion = (contents) => {
+  return isEncryptedFile(contents) ? contents.readUInt32BE(FILE_MAGIC.length) : null;
+};
+
+const encryptFile = (contents, dataKey, version, userId) => {
+  const header = Buffer.alloc(FILE_HEADER_LENGTH);
+  FILE_MAGIC.copy(header);
+  header.writeUInt32BE(version, FILE_MAGIC.length);
+  return Buffer.concat([header, seal(dataKey, contents, userId)]);
+};
+
+const decryptFile = (contents, dataKey, userId) => {
+  return open(dataKey, contents.subarray(FILE_HEADER_LENGTH), userId);
+};
+
+module.exports = {
+  isEnabled,
+  currentMasterKeyId,
+  generateDataKey,
+  wrapDataKey,
+  unwrapDataKey,
+  isEncryptedValue,
+  valueKeyVersion,
+  encryptValue,
+  decryptValue,
+  isEncryptedFile,
+  fileKeyVersion,
+  encryptFile,
+  decryptFile
+};
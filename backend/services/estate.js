@@ -0,0 +1,86 @@
+// Estate summary. Each asset's current value is split between its designated
+// beneficiaries by percentage; whatever isn't designated (usually the whole
+// asset) is reported as undesignated. Amounts must already be in one currency.
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Problem with one asset's designations, or null when they are valid. An empty
+// list is valid and clears the asset's designations.
+const splitProblem = (designations) => {
+  if (designations.length === 0) return null;
+
+  const ids = designations.map(designation => designation.beneficiaryId);
+  if (new Set(ids).size !== ids.length) {
+    return 'Each beneficiary can only be designated once per asset';
+  }
+
+  const total = designations.reduce((sum, designation) => sum + designation.percentage, 0);
+  if (Math.abs(total - 100) > 0.01) {
+    return `Percentages must add up to 100 (currently ${parseFloat(total.toFixed(2))})`;
+  }
+  return null;
+};
+
+const estateSummary = ({ assets, beneficiaries, designations }) => {
+  const shares = new Map(beneficiaries.map(beneficiary => [beneficiary.id, {
+    id: beneficiary.id,
+    name: beneficiary.name,
+    relationship: beneficiary.relationship,
+    email: beneficiary.email,
+    phone: beneficiary.phone,
+    value: 0,
+    assets: []
+  }]));
+  const undesignatedAssets = [];
+
+  assets.forEach(asset => {
+    const assetDesignations = designations.filter(designation => designation.assetId === asset.id);
+    let designated = 0;
+
+    assetDesignations.forEach(designation => {
+      const share = shares.get(designation.beneficiaryId);
+      if (!share) return;
+      const value = roundMoney(asset.value * designation.percentage / 100);
+      share.value += value;
+      share.assets.push({ assetId: asset.id, name: asset.name, type: asset.type, percentage: designation.percentage, value });
+      designated += designation.percentage;
+    });
+
+    if (designated < 99.995) {
+      const percentage = parseFloat((100 - designated).toFixed(2));
+      undesignatedAssets.push({
+        assetId: asset.id,
+        name: asset.name,
+        type: asset.type,
+        percentage,
+        value: roundMoney(asset.value * percentage / 100)
+      });
+    }
+  });
+
+  const totalValue = roundMoney(assets.reduce((sum, asset) => sum + asset.value, 0));
+  const undesignatedValue = roundMoney(undesignatedAssets.reduce((sum, asset) => sum + asset.value, 0));
+
+  return {
+    totals: {
+      value: totalValue,
+      designatedValue: roundMoney(totalValue - undesignatedValue),
+      undesignatedValue,
+      assetCount: assets.length,
+      undesignatedCount: undesignatedAssets.length
+    },
+    beneficiaries: Array.from(shares.values())
+      .map(share => ({
+        ...share,
+        value: roundMoney(share.value),
+        percentageOfEstate: totalValue > 0 ? ((share.value / totalValue) * 100).toFixed(2) : 0
+      }))
+      .sort((a, b) => b.value - a.value),
+    undesignatedAssets: undesignatedAssets.sort((a, b) => b.value - a.value)
+  };
+};
+
+module.exports = {
+  splitProblem,
+  estateSummary
+};
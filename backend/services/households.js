@@ -0,0 +1,75 @@
+// Shared households. An asset belongs to the user who created it until they
+// share it with their household, splitting ownership between members by
+// percentage. Owners manage the household, editors can change shared assets
+// and viewers can only look at them. Reports either aggregate the user's own
+// share of every asset they hold or the full value of the household's assets,
+// set against the user's own debts and those secured on the assets reported.
+
+const HOUSEHOLD_ROLES = ['owner', 'editor', 'viewer'];
+const VIEWS = ['share', 'household'];
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Problem with an asset's ownership split, or null when it is valid. Every
+// owner has to be a household member; an empty list makes the asset private.
+const ownershipProblem = (owners, memberIds) => {
+  if (owners.length === 0) return null;
+
+  const ids = owners.map(owner => owner.userId);
+  if (new Set(ids).size !== ids.length) {
+    return 'Each member can only be listed once per asset';
+  }
+  if (ids.some(id => !memberIds.includes(id))) {
+    return 'Owners must be members of your household';
+  }
+
+  const total = owners.reduce((sum, owner) => sum + owner.percentage, 0);
+  if (Math.abs(total - 100) > 0.01) {
+    return `Percentages must add up to 100 (currently ${parseFloat(total.toFixed(2))})`;
+  }
+  return null;
+};
+
+// Whether the user may change an asset loaded with findAssets({ view }) or
+// findAssets({ shared: true })
+const canEditAsset = (asset, userId) => (
+  asset.userId === userId || ['owner', 'editor'].includes(asset.householdRole)
+);
+
+// Scale asset amounts to the user's ownership share for the 'share' view,
+// keeping the full amounts alongside. The 'household' view reports them whole.
+const applyView = (assets, view) => assets.map(asset => {
+  const percentage = view === 'household' ? 100 : (asset.ownershipPercentage ?? 100);
+  return {
+    ...asset,
+    fullValue: asset.value,
+    value: percentage === 100 ? asset.value : roundMoney(asset.value * percentage / 100),
+    purchaseValue: percentage === 100 ? asset.purchaseValue : roundMoney(asset.purchaseValue * percentage / 100)
+  };
+});
+
+// Debts secured on an asset follow its ownership split in the 'share' view;
+// any other debt belongs wholly to whoever recorded it
+const applyViewToLiabilities = (liabilities, assets, view) => {
+  const percentages = new Map(assets.map(asset => [
+    asset.id,
+    view === 'household' ? 100 : (asset.ownershipPercentage ?? 100)
+  ]));
+  return liabilities.map(liability => {
+    const percentage = percentages.get(liability.linkedAssetId) ?? 100;
+    return {
+      ...liability,
+      fullBalance: liability.balance,
+      balance: percentage === 100 ? liability.balance : roundMoney(liability.balance * percentage / 100)
+    };
+  });
+};
+
+module.exports = {
+  HOUSEHOLD_ROLES,
+  VIEWS,
+  ownershipProblem,
+  canEditAsset,
+  applyView,
+  applyViewToLiabilities
+};
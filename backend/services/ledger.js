@@ -0,0 +1,213 @@
+// Derives holdings, cost basis, cash flows and tax lots from an asset's
+// transaction ledger.
+//
+// Buys and deposits that carry a quantity open a tax lot (fees included in its
+// cost); without a quantity they add to a plain cash basis. Sells with a
+// quantity close the specific lots named on the sell, then match the rest by
+// the lot method recorded with the sell (FIFO when none was), so a later
+// choice never changes how earlier sells were matched. Withdrawals (and unit-less sells) return capital up to the
+// remaining cash basis. Income is treated as paid out to the owner - record
+// reinvested income as a buy or deposit as well.
+
+const TRANSACTION_TYPES = ['buy', 'sell', 'deposit', 'withdrawal', 'income'];
+
+const LOT_METHODS = ['fifo', 'lifo', 'hifo'];
+
+// Money into the asset vs. money back out to the owner
+const CONTRIBUTION_TYPES = ['buy', 'deposit'];
+
+// Guards against floating point dust when checking remaining quantity
+const QUANTITY_EPSILON = 1e-8;
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+const roundQuantity = (quantity) => Math.round(quantity * 1e8) / 1e8;
+
+// Date order; same-day entries keep the order they were recorded in
+const sortTransactions = (transactions) => [...transactions].sort((a, b) =>
+  a.date.localeCompare(b.date) || new Date(a.createdAt || 0) - new Date(b.createdAt || 0)
+);
+
+const daysBetween = (from, to) => Math.round(
+  (new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / (24 * 60 * 60 * 1000)
+);
+
+// Long-term means held for more than one year: sold after the anniversary
+// of the acquisition date
+const holdingTerm = (acquiredDate, soldDate) => {
+  const [year, month, day] = acquiredDate.split('-').map(Number);
+  const anniversary = new Date(Date.UTC(year + 1, month - 1, day)).toISOString().slice(0, 10);
+  return soldDate > anniversary ? 'long' : 'short';
+};
+
+// Open lots in the order a method consumes them
+const orderLots = (lots, method) => {
+  const open = lots.filter(lot => lot.remaining > QUANTITY_EPSILON);
+  if (method === 'lifo') return open.reverse();
+  if (method === 'hifo') return open.sort((a, b) => b.unitCost - a.unitCost);
+  return open;
+};
+
+// Close lots for one sell. Specific lots named on the sell are used first;
+// anything left over is matched by the sell's lot method.
+const closeLots = (lots, sell, problems) => {
+  const disposals = [];
+  const proceeds = (sell.amount || 0) - (sell.fees || 0);
+  let toSell = sell.quantity;
+
+  const take = (lot, quantity) => {
+    const costBasis = lot.unitCost * quantity;
+    const share = proceeds * (quantity / sell.quantity);
+    lot.remaining -= quantity;
+    toSell -= quantity;
+    disposals.push({
+      transactionId: sell.id,
+      lotId: lot.id,
+      acquiredDate: lot.date,
+      soldDate: sell.date,
+      lotMethod: sell.lotMethod || 'fifo',
+      quantity: roundQuantity(quantity),
+      proceeds: share,
+      costBasis,
+      gain: share - costBasis,
+      holdingDays: daysBetween(lot.date, sell.date),
+      term: holdingTerm(lot.date, sell.date)
+    });
+  };
+
+  (sell.lots || []).forEach(selection => {
+    const lot = lots.find(candidate => candidate.id === selection.lotId);
+    if (!lot || lot.remaining + QUANTITY_EPSILON < selection.quantity) {
+      problems.push(`Lot ${selection.lotId} does not have ${selection.quantity} units available on ${sell.date}`);
+      return;
+    }
+    take(lot, Math.min(selection.quantity, lot.remaining));
+  });
+
+  for (const lot of orderLots(lots, sell.lotMethod || 'fifo')) {
+    if (toSell <= QUANTITY_EPSILON) break;
+    take(lot, Math.min(lot.remaining, toSell));
+  }
+
+  if (toSell > QUANTITY_EPSILON) {
+    problems.push('Sells cannot exceed the quantity held on their date');
+  }
+
+  return disposals;
+};
+
+const summarizeTransactions = (transactions) => {
+  const lots = [];
+  const disposals = [];
+  const problems = [];
+  const cashFlows = [];
+  let cashBasis = 0;
+  let contributions = 0;
+  let withdrawals = 0;
+  let income = 0;
+  let fees = 0;
+  let realizedGain = 0;
+
+  sortTransactions(transactions).forEach(transaction => {
+    const amount = transaction.amount || 0;
+    const fee = transaction.fees || 0;
+    fees += fee;
+
+    if (CONTRIBUTION_TYPES.includes(transaction.type)) {
+      if (transaction.quantity) {
+        lots.push({
+          id: transaction.id,
+          date: transaction.date,
+          quantity: transaction.quantity,
+          remaining: transaction.quantity,
+          cost: amount + fee,
+          unitCost: (amount + fee) / transaction.quantity
+        });
+      } else {
+        cashBasis += amount + fee;
+      }
+      contributions += amount + fee;
+      cashFlows.push({ date: transaction.date, amount: -(amount + fee) });
+      return;
+    }
+
+    const proceeds = amount - fee;
+
+    if (transaction.type === 'income') {
+      income += proceeds;
+      cashFlows.push({ date: transaction.date, amount: proceeds });
+      return;
+    }
+
+    if (transaction.type === 'sell' && transaction.quantity) {
+      const closed = closeLots(lots, transaction, problems);
+      realizedGain += closed.reduce((sum, disposal) => sum + disposal.gain, 0);
+      disposals.push(...closed);
+    } else {
+      const basisReturned = Math.min(cashBasis, amount);
+      if (transaction.type === 'sell') {
+        realizedGain += proceeds - basisReturned;
+      }
+      cashBasis -= basisReturned;
+    }
+
+    withdrawals += proceeds;
+    cashFlows.push({ date: transaction.date, amount: proceeds });
+  });
+
+  const openLots = lots
+    .filter(lot => lot.remaining > QUANTITY_EPSILON)
+    .map(lot => ({
+      id: lot.id,
+      date: lot.date,
+      quantity: roundQuantity(lot.quantity),
+      remaining: roundQuantity(lot.remaining),
+      unitCost: lot.unitCost,
+      costBasis: roundMoney(lot.unitCost * lot.remaining)
+    }));
+  const lotBasis = lots.reduce((sum, lot) => sum + lot.unitCost * Math.max(lot.remaining, 0), 0);
+  const dates = transactions.map(transaction => transaction.date).sort();
+
+  return {
+    count: transactions.length,
+    hasQuantity: transactions.some(transaction => transaction.quantity),
+    quantity: roundQuantity(lots.reduce((sum, lot) => sum + Math.max(lot.remaining, 0), 0)),
+    costBasis: roundMoney(Math.max(cashBasis, 0) + lotBasis),
+    contributions: roundMoney(contributions),
+    withdrawals: roundMoney(withdrawals),
+    netContributions: roundMoney(contributions - withdrawals),
+    income: roundMoney(income),
+    fees: roundMoney(fees),
+    realizedGain: roundMoney(realizedGain),
+    firstDate: dates[0] || null,
+    lastDate: dates[dates.length - 1] || null,
+    problems,
+    openLots,
+    disposals: disposals.map(disposal => ({
+      ...disposal,
+      proceeds: roundMoney(disposal.proceeds),
+      costBasis: roundMoney(disposal.costBasis),
+      gain: roundMoney(disposal.gain)
+    })),
+    cashFlows
+  };
+};
+
+// Group a user's transactions by asset id
+const groupByAsset = (transactions) => {
+  const grouped = new Map();
+  transactions.forEach(transaction => {
+    if (!grouped.has(transaction.assetId)) {
+      grouped.set(transaction.assetId, []);
+    }
+    grouped.get(transaction.assetId).push(transaction);
+  });
+  return grouped;
+};
+
+module.exports = {
+  TRANSACTION_TYPES,
+  LOT_METHODS,
+  sortTransactions,
+  summarizeTransactions,
+  groupByAsset
+};
@@ -0,0 +1,163 @@
+// OFX / QFX statement parser. Handles both OFX 1.x (SGML, leaf elements
+// left unclosed) and OFX 2.x (XML) files.
+
+// Build an element tree from the <OFX> body
+const parseTree = (content) => {
+  const start = content.search(/<OFX>/i);
+  if (start === -1) {
+    throw new Error('Not an OFX file: <OFX> element not found');
+  }
+
+  const body = content.slice(start);
+  const root = { name: 'ROOT', children: [] };
+  const stack = [root];
+  const tagPattern = /<(\/?)([A-Za-z0-9._]+)[^>]*>([^<]*)/g;
+  let match;
+
+  while ((match = tagPattern.exec(body)) !== null) {
+    const [, closing, rawName, rawText] = match;
+    const name = rawName.toUpperCase();
+    const text = rawText.trim();
+
+    if (closing) {
+      // Pop back to the matching aggregate; closing tags for leaves are ignored
+      const index = stack.map(node => node.name).lastIndexOf(name);
+      if (index > 0) stack.length = index;
+      continue;
+    }
+
+    const node = { name, children: [], value: text || null };
+    stack[stack.length - 1].children.push(node);
+
+    // Elements with a value are leaves; everything else is an aggregate
+    if (!text) stack.push(node);
+  }
+
+  return root;
+};
+
+// First descendant matching a path of element names, e.g. find(node, 'LEDGERBAL', 'BALAMT')
+const find = (node, ...path) => {
+  let current = node;
+  for (const name of path) {
+    current = findDescendant(current, name);
+    if (!current) return null;
+  }
+  return current;
+};
+
+const findDescendant = (node, name) => {
+  for (const child of node.children) {
+    if (child.name === name) return child;
+    const nested = findDescendant(child, name);
+    if (nested) return nested;
+  }
+  return null;
+};
+
+const findAll = (node, name, results = []) => {
+  node.children.forEach(child => {
+    if (child.name === name) results.push(child);
+    findAll(child, name, results);
+  });
+  return results;
+};
+
+const text = (node, ...path) => {
+  const found = find(node, ...path);
+  return found ? found.value : null;
+};
+
+// OFX amounts may use a comma as the decimal separator. With both a comma and
+// a period, whichever comes last is the decimal point and the other groups
+// thousands, e.g. 1.234,56 or 1,234.56
+const amount = (value) => {
+  if (value === null || value === undefined) return null;
+  const decimalPoint = value.lastIndexOf(',') > value.lastIndexOf('.') ? ',' : '.';
+  const normalized = decimalPoint === ','
+    ? value.replace(/\./g, '').replace(',', '.')
+    : value.replace(/,/g, '');
+  const parsed = parseFloat(normalized.replace(/[^0-9.+-]/g, ''));
+  return isNaN(parsed) ? null : parsed;
+};
+
+// OFX dates look like YYYYMMDD[HHMMSS[.XXX]][[-5:EST]]
+const date = (value) => {
+  if (!value || !/^\d{8}/.test(value)) return null;
+  return `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}`;
+};
+
+const parseBankStatement = (statement) => {
+  const balanceDate = date(text(statement, 'LEDGERBAL', 'DTASOF'));
+  return {
+    kind: 'bank',
+    institutionId: text(statement, 'BANKACCTFROM', 'BANKID'),
+    accountId: text(statement, 'BANKACCTFROM', 'ACCTID'),
+    accountType: text(statement, 'BANKACCTFROM', 'ACCTTYPE'),
+    currency: text(statement, 'CURDEF'),
+    statementDate: balanceDate || date(text(statement, 'BANKTRANLIST', 'DTEND')),
+    balance: amount(text(statement, 'LEDGERBAL', 'BALAMT')),
+    availableBalance: amount(text(statement, 'AVAILBAL', 'BALAMT')),
+    positions: []
+  };
+};
+
+const parseInvestmentStatement = (statement, securities) => {
+  const positionList = find(statement, 'INVPOSLIST');
+  const positions = positionList ? findAll(positionList, 'INVPOS').map(position => {
+    const securityId = text(position, 'SECID', 'UNIQUEID');
+    const security = securities.get(securityId) || {};
+    return {
+      securityId,
+      securityIdType: text(position, 'SECID', 'UNIQUEIDTYPE'),
+      ticker: security.ticker || null,
+      name: security.name || null,
+      units: amount(text(position, 'UNITS')),
+      unitPrice: amount(text(position, 'UNITPRICE')),
+      marketValue: amount(text(position, 'MKTVAL')),
+      priceDate: date(text(position, 'DTPRICEASOF'))
+    };
+  }) : [];
+
+  const availableCash = amount(text(statement, 'INVBAL', 'AVAILCASH')) || 0;
+  const marketValue = positions.reduce((sum, position) => sum + (position.marketValue || 0), 0);
+
+  return {
+    kind: 'investment',
+    institutionId: text(statement, 'INVACCTFROM', 'BROKERID'),
+    accountId: text(statement, 'INVACCTFROM', 'ACCTID'),
+    accountType: 'INVESTMENT',
+    currency: text(statement, 'CURDEF'),
+    statementDate: date(text(statement, 'DTASOF')),
+    balance: marketValue + availableCash,
+    availableCash,
+    positions
+  };
+};
+
+// Parse an OFX/QFX document into account balances and positions
+const parseOfx = (content) => {
+  const tree = parseTree(content);
+
+  const securities = new Map();
+  findAll(tree, 'SECINFO').forEach(info => {
+    securities.set(text(info, 'SECID', 'UNIQUEID'), {
+      ticker: text(info, 'TICKER'),
+      name: text(info, 'SECNAME')
+    });
+  });
+
+  const accounts = [
+    ...findAll(tree, 'STMTRS').map(parseBankStatement),
+    ...findAll(tree, 'INVSTMTRS').map(statement => parseInvestmentStatement(statement, securities))
+  ];
+
+  return {
+    institution: text(tree, 'FI', 'ORG'),
+    accounts
+  };
+};
+
+module.exports = {
+  parseOfx
+};
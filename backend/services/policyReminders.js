@@ -0,0 +1,74 @@
+const { findUser, findInsurancePolicies, markPolicyReminderSent } = require('../data/dataAccess');
+const emailService = require('./emailService');
+
+// Checked hourly so reminders go out soon after a policy enters its window
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+const todayString = () => new Date().toISOString().slice(0, 10);
+
+// Email each user about policies whose renewal falls within the policy's
+// reminder window on `date`, one email per user. Each renewal date is only
+// reminded about once; a failed send is retried on the next run.
+const sendRenewalReminders = async ({ date = todayString() } = {}) => {
+  const policies = await findInsurancePolicies({ reminderDueOn: date });
+  const byUser = new Map();
+  policies.forEach(policy => {
+    if (!byUser.has(policy.userId)) byUser.set(policy.userId, []);
+    byUser.get(policy.userId).push(policy);
+  });
+
+  const result = { date, due: policies.length, emailed: 0, failed: 0 };
+
+  for (const [userId, userPolicies] of byUser) {
+    try {
+      const user = await findUser(userId);
+      if (!user) continue;
+
+      const sent = await emailService.sendPolicyRenewalReminderEmail(user, userPolicies);
+      if (!sent.success) {
+        result.failed++;
+        continue;
+      }
+
+      for (const policy of userPolicies) {
+        await markPolicyReminderSent(policy.id, policy.renewalDate);
+      }
+      result.emailed++;
+    } catch (error) {
+      console.error(`Renewal reminder error for user ${userId}:`, error);
+      result.failed++;
+    }
+  }
+
+  return result;
+};
+
+// Send due renewal reminders now and then keep checking in the background
+const scheduleRenewalReminders = () => {
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const result = await sendRenewalReminders();
+      if (result.due > 0) {
+        console.log(`🛡️  Renewal reminders: ${result.due} policies, ${result.emailed} users emailed`);
+      }
+    } catch (error) {
+      console.error('❌ Renewal reminder run failed:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, CHECK_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  sendRenewalReminders,
+  scheduleRenewalReminders
+};
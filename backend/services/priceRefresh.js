@@ -0,0 +1,120 @@
+const { findPricedAssets, addValuation } = require('../data/dataAccess');
+const { getConverterForUser } = require('./currencyService');
+const prices = require('./prices');
+
+const DEFAULT_INTERVAL_MINUTES = 24 * 60;
+
+const todayString = () => new Date().toISOString().slice(0, 10);
+
+// Revalue every asset holding a symbol and quantity at the quote for `date`
+// and record it as a 'market' valuation snapshot. Re-running on the same day
+// replaces that day's snapshot. Pass a userId to refresh one user's assets.
+const refreshMarketPrices = async ({ userId, date = todayString() } = {}) => {
+  const assets = await findPricedAssets({ userId });
+  const converters = new Map();
+  const result = { date, checked: assets.length, updated: [], skipped: [] };
+
+  const skip = (asset, reason) => result.skipped.push({
+    assetId: asset.id,
+    name: asset.name,
+    symbol: asset.metadata.symbol,
+    reason
+  });
+
+  for (const asset of assets) {
+    const symbol = prices.normalizeSymbol(asset.metadata.symbol);
+    const quantity = parseFloat(asset.metadata.quantity);
+    if (!(quantity >= 0)) {
+      skip(asset, 'Invalid quantity');
+      continue;
+    }
+
+    let quote;
+    try {
+      quote = await prices.getQuote(symbol, date);
+    } catch (error) {
+      console.error(`Quote lookup error for ${symbol}:`, error.message);
+      skip(asset, 'Quote lookup failed');
+      continue;
+    }
+    if (!quote) {
+      skip(asset, `No quote for ${symbol}`);
+      continue;
+    }
+
+    // Quotes may be in a different currency from the holding
+    let value = quantity * quote.price;
+    if (quote.currency !== asset.currency) {
+      if (!converters.has(asset.userId)) {
+        converters.set(asset.userId, await getConverterForUser(asset.userId));
+      }
+      value = converters.get(asset.userId).convert(value, quote.currency, asset.currency, quote.date);
+      if (value === null) {
+        skip(asset, `No ${quote.currency}/${asset.currency} exchange rate`);
+        continue;
+      }
+    }
+    value = Math.round(value * 100) / 100;
+
+    try {
+      await addValuation({
+        assetId: asset.id,
+        userId: asset.userId,
+        value,
+        asOfDate: date,
+        source: 'market',
+        note: `${quantity} ${symbol} @ ${quote.price} ${quote.currency} (${quote.source}, ${quote.date})`
+      }, { replaceSameDay: true });
+    } catch (error) {
+      skip(asset, 'Failed to save valuation');
+      continue;
+    }
+
+    result.updated.push({
+      assetId: asset.id,
+      name: asset.name,
+      symbol,
+      quantity,
+      price: quote.price,
+      priceCurrency: quote.currency,
+      quoteDate: quote.date,
+      previousValue: asset.value,
+      value,
+      currency: asset.currency
+    });
+  }
+
+  return result;
+};
+
+// Refresh market prices now and then every PRICE_REFRESH_INTERVAL_MINUTES
+// (daily by default). Does nothing when no price provider is configured.
+const schedulePriceRefresh = () => {
+  if (!prices.isEnabled()) return null;
+
+  const minutes = parseInt(process.env.PRICE_REFRESH_INTERVAL_MINUTES, 10) || DEFAULT_INTERVAL_MINUTES;
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const result = await refreshMarketPrices();
+      console.log(`📈 Market prices refreshed: ${result.updated.length} of ${result.checked} assets revalued`);
+    } catch (error) {
+      console.error('❌ Market price refresh failed:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, minutes * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  refreshMarketPrices,
+  schedulePriceRefresh
+};
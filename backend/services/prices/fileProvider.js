@@ -0,0 +1,99 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Parse a price file. Supported layouts:
+//   CSV with a header row: date,symbol,price,currency
+//   JSON array: [{ "date", "symbol", "price", "currency" }]
+//   JSON object (or array of them): { "date", "currency", "prices": { "AAPL": 189.5, ... } }
+const parsePricesFile = (contents, format) => {
+  const rows = [];
+
+  if (format === 'json') {
+    const data = JSON.parse(contents);
+    const entries = Array.isArray(data) ? data : [data];
+    entries.forEach(entry => {
+      if (entry.prices) {
+        Object.entries(entry.prices).forEach(([symbol, price]) => {
+          rows.push({ date: entry.date, symbol, price, currency: entry.currency });
+        });
+      } else {
+        rows.push(entry);
+      }
+    });
+  } else {
+    const lines = contents.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    const header = lines.shift().toLowerCase().split(',').map(column => column.trim());
+    lines.forEach(line => {
+      const values = line.split(',').map(value => value.trim());
+      const row = {};
+      header.forEach((column, index) => { row[column] = values[index]; });
+      rows.push(row);
+    });
+  }
+
+  return rows.map((row, index) => {
+    const price = parseFloat(row.price);
+    const date = String(row.date || '').slice(0, 10);
+    if (!row.symbol || !/^[A-Za-z0-9.\-]{1,15}$/.test(row.symbol)) {
+      throw new Error(`Invalid symbol on entry ${index + 1}`);
+    }
+    if (!(price >= 0)) {
+      throw new Error(`Invalid price on entry ${index + 1}`);
+    }
+    if (isNaN(new Date(date).getTime())) {
+      throw new Error(`Invalid date on entry ${index + 1}`);
+    }
+    if (row.currency && !/^[A-Za-z]{3}$/.test(row.currency)) {
+      throw new Error(`Invalid currency code on entry ${index + 1}`);
+    }
+    return {
+      symbol: row.symbol.toUpperCase(),
+      date,
+      price,
+      currency: (row.currency || 'USD').toUpperCase()
+    };
+  });
+};
+
+// Quotes from a local CSV or JSON file, for offline use and fixtures. The
+// file is read on first use and again whenever it changes on disk.
+class FilePriceProvider {
+  constructor(filePath) {
+    this.name = 'file';
+    this.filePath = path.resolve(filePath);
+    this.quotes = null;
+    this.loadedAt = null;
+  }
+
+  async load() {
+    const stats = await fs.stat(this.filePath);
+    if (this.quotes && this.loadedAt >= stats.mtimeMs) return;
+
+    const contents = await fs.readFile(this.filePath, 'utf8');
+    const format = path.extname(this.filePath).toLowerCase() === '.json' ? 'json' : 'csv';
+    const quotes = new Map();
+    parsePricesFile(contents, format).forEach(quote => {
+      if (!quotes.has(quote.symbol)) quotes.set(quote.symbol, []);
+      quotes.get(quote.symbol).push(quote);
+    });
+    quotes.forEach(list => list.sort((a, b) => a.date.localeCompare(b.date)));
+
+    this.quotes = quotes;
+    this.loadedAt = stats.mtimeMs;
+  }
+
+  // Latest quote on or before the date, or null when the file has none
+  async getQuote(symbol, date) {
+    await this.load();
+    const list = this.quotes.get(symbol) || [];
+    let match = null;
+    for (const quote of list) {
+      if (quote.date > date) break;
+      match = quote;
+    }
+    return match ? { ...match, source: this.name } : null;
+  }
+}
+
+module.exports = FilePriceProvider;
+module.exports.parsePricesFile = parsePricesFile;
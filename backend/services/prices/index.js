@@ -0,0 +1,87 @@
+const FilePriceProvider = require('./fileProvider');
+const { quoteCache } = require('../../config/redis');
+
+// Market price lookup. Every provider implements the same async interface:
+//   getQuote(symbol, date) -> { symbol, date, price, currency, source } | null
+// where `date` is YYYY-MM-DD and the quote is the latest on or before it.
+// Select a provider with PRICE_PROVIDER; only 'file' (PRICES_FILE) ships today.
+// Without a configured provider, market pricing is switched off.
+const providers = {
+  file: () => {
+    if (!process.env.PRICES_FILE) {
+      throw new Error('PRICES_FILE must be set for the file price provider');
+    }
+    return new FilePriceProvider(process.env.PRICES_FILE);
+  }
+};
+
+// Cached quotes expire after this many seconds (PRICE_CACHE_TTL)
+const DEFAULT_CACHE_TTL = 6 * 60 * 60;
+// Give up on the cache rather than hold up a lookup when Redis is unreachable,
+// and leave it alone for a minute before trying again
+const CACHE_TIMEOUT_MS = 1000;
+const CACHE_RETRY_MS = 60 * 1000;
+
+let provider = null;
+let cacheRetryAt = 0;
+
+const configuredProvider = () => process.env.PRICE_PROVIDER || (process.env.PRICES_FILE ? 'file' : null);
+
+const isEnabled = () => Boolean(configuredProvider());
+
+const getPriceProvider = () => {
+  if (!provider) {
+    const name = configuredProvider();
+    if (!name) {
+      throw new Error('No price provider configured');
+    }
+    if (!providers[name]) {
+      throw new Error(`Unknown price provider: ${name}`);
+    }
+    provider = providers[name]();
+  }
+  return provider;
+};
+
+const withTimeout = (promise) => Promise.race([
+  promise,
+  new Promise((resolve, reject) => setTimeout(() => reject(new Error('Quote cache timed out')), CACHE_TIMEOUT_MS).unref())
+]);
+
+const normalizeSymbol = (symbol) => String(symbol || '').trim().toUpperCase();
+
+// Run a cache operation unless the cache recently failed. Failures are
+// logged and reported as a miss.
+const useCache = async (operation, description) => {
+  if (Date.now() < cacheRetryAt) return null;
+  try {
+    return await withTimeout(operation());
+  } catch (error) {
+    cacheRetryAt = Date.now() + CACHE_RETRY_MS;
+    console.error(`⚠️  Quote cache unavailable (${description}):`, error.message);
+    return null;
+  }
+};
+
+// Quote for a symbol on a date, served from Redis when cached
+const getQuote = async (symbol, date = new Date().toISOString().slice(0, 10)) => {
+  const priceProvider = getPriceProvider();
+  const key = normalizeSymbol(symbol);
+
+  const cached = await useCache(() => quoteCache.getQuote(priceProvider.name, key, date), 'read');
+  if (cached) return { ...cached, cached: true };
+
+  const quote = await priceProvider.getQuote(key, date);
+  if (quote) {
+    const ttl = parseInt(process.env.PRICE_CACHE_TTL, 10) || DEFAULT_CACHE_TTL;
+    await useCache(() => quoteCache.storeQuote(priceProvider.name, key, date, quote, ttl), 'write');
+  }
+  return quote;
+};
+
+module.exports = {
+  isEnabled,
+  getPriceProvider,
+  normalizeSymbol,
+  getQuote
+};
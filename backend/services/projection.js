@@ -0,0 +1,242 @@
+// Net worth projection: a deterministic path at each asset type's expected
+// return, plus a Monte Carlo simulation summarised as percentile bands.
+//
+// The portfolio is stepped month by month, one balance per asset type.
+// Returns and volatility are annual percentages. In the simulation each
+// month's growth is lognormal, with its drift chosen so the average growth
+// matches the expected return. Liabilities stay at today's balance.
+//
+// Long simulations are CPU bound, so the API runs them through
+// runProjection, which does the work on a worker thread.
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const DEFAULT_ASSUMPTIONS = {
+  real_estate: { expectedReturn: 4, volatility: 10 },
+  investment_account: { expectedReturn: 7, volatility: 15 },
+  bank_account: { expectedReturn: 2, volatility: 1 },
+  cryptocurrency: { expectedReturn: 10, volatility: 60 },
+  physical_asset: { expectedReturn: 0, volatility: 10 },
+  business_interest: { expectedReturn: 6, volatility: 25 },
+  insurance: { expectedReturn: 3, volatility: 2 }
+};
+
+const PERCENTILES = [10, 25, 50, 75, 90];
+const FREQUENCIES = ['monthly', 'annual'];
+const MONTHS = 12;
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Small seeded generator (mulberry32) so a projection can be reproduced
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Standard normal draws via Box-Muller
+const createNormal = (random) => () => {
+  let u = 0;
+  while (u === 0) u = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+};
+
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) return 0;
+  const index = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+};
+
+// Amount of a recurring flow due in a month (1-based from the projection start)
+const flowForMonth = (flow, month) => {
+  const year = Math.ceil(month / MONTHS);
+  if (year < flow.startYear || year > flow.endYear) return 0;
+  if (flow.frequency === 'annual') return month % MONTHS === 0 ? flow.amount : 0;
+  return flow.amount;
+};
+
+// Move money into or out of the balances (one entry per asset type).
+// Contributions go to their asset type's slot, or pro rata to `weights`;
+// withdrawals come out pro rata to what is held. Returns what could not be
+// withdrawn.
+const applyFlow = (balances, amount, slot, weights) => {
+  if (amount >= 0) {
+    if (slot !== null) {
+      balances[slot] += amount;
+    } else {
+      for (let i = 0; i < balances.length; i++) balances[i] += amount * weights[i];
+    }
+    return 0;
+  }
+
+  let held = 0;
+  for (let i = 0; i < balances.length; i++) held += balances[i];
+  const wanted = -amount;
+  if (held <= 0) return wanted;
+  const taken = Math.min(wanted, held);
+  for (let i = 0; i < balances.length; i++) balances[i] -= taken * (balances[i] / held);
+  return wanted - taken;
+};
+
+// Step one path through the months. `growthFor(i)` gives the month's growth
+// factor for the i-th asset type. Returns total assets at the end of every year.
+const runPath = ({ startBalances, years, contributions, withdrawals, weights, growthFor }) => {
+  const balances = Float64Array.from(startBalances);
+  const yearly = [];
+  let depleted = false;
+
+  for (let month = 1; month <= years * MONTHS; month++) {
+    for (let i = 0; i < balances.length; i++) balances[i] *= growthFor(i);
+    contributions.forEach(flow => {
+      const amount = flowForMonth(flow, month);
+      if (amount > 0) applyFlow(balances, amount, flow.slot, weights);
+    });
+    withdrawals.forEach(flow => {
+      const amount = flowForMonth(flow, month);
+      if (amount > 0 && applyFlow(balances, -amount, null, weights) > 0.005) depleted = true;
+    });
+    if (month % MONTHS === 0) {
+      yearly.push(balances.reduce((sum, value) => sum + value, 0));
+    }
+  }
+
+  return { yearly, depleted };
+};
+
+// `startBalances` maps asset type -> current value in the base currency.
+// `assumptions` maps asset type -> { expectedReturn, volatility }.
+// Flows are { amount, frequency, startYear, endYear, assetType? }.
+const projectNetWorth = ({
+  startBalances,
+  liabilities = 0,
+  assumptions,
+  years,
+  contributions = [],
+  withdrawals = [],
+  simulations,
+  seed
+}) => {
+  const types = Object.keys(startBalances);
+  const balances = types.map(type => startBalances[type]);
+  const startAssets = balances.reduce((sum, value) => sum + value, 0);
+
+  // Unassigned contributions follow today's mix; an empty portfolio saves
+  // into investments (or whatever single type it was given)
+  const fallbackType = types.includes('investment_account') ? 'investment_account' : types[0];
+  const weights = types.map(type => (
+    startAssets > 0 ? startBalances[type] / startAssets : (type === fallbackType ? 1 : 0)
+  ));
+
+  const monthly = types.map(type => {
+    const { expectedReturn, volatility } = assumptions[type];
+    const sigma = (volatility / 100) / Math.sqrt(MONTHS);
+    const drift = Math.log(1 + expectedReturn / 100) / MONTHS;
+    return { growth: Math.exp(drift), mu: drift - (sigma * sigma) / 2, sigma };
+  });
+
+  const pathOptions = {
+    startBalances: balances,
+    years,
+    contributions: contributions.map(flow => ({ ...flow, slot: flow.assetType ? types.indexOf(flow.assetType) : null })),
+    withdrawals,
+    weights
+  };
+  const deterministic = runPath({ ...pathOptions, growthFor: i => monthly[i].growth });
+
+  const normal = createNormal(createRandom(seed));
+  const yearlyRuns = Array.from({ length: years }, () => new Float64Array(simulations));
+  let depletedRuns = 0;
+  for (let run = 0; run < simulations; run++) {
+    const path = runPath({
+      ...pathOptions,
+      growthFor: i => Math.exp(monthly[i].mu + monthly[i].sigma * normal())
+    });
+    path.yearly.forEach((value, index) => { yearlyRuns[index][run] = value; });
+    if (path.depleted) depletedRuns++;
+  }
+
+  // Cumulative scheduled flows per year, for charting alongside the values
+  let contributed = 0;
+  let withdrawn = 0;
+  const startYear = new Date().getFullYear();
+  const points = [{
+    year: 0,
+    calendarYear: startYear,
+    contributed: 0,
+    withdrawn: 0,
+    deterministic: roundMoney(startAssets - liabilities),
+    percentiles: Object.fromEntries(PERCENTILES.map(p => [`p${p}`, roundMoney(startAssets - liabilities)]))
+  }];
+  for (let year = 1; year <= years; year++) {
+    for (let month = (year - 1) * MONTHS + 1; month <= year * MONTHS; month++) {
+      contributed += contributions.reduce((sum, flow) => sum + flowForMonth(flow, month), 0);
+      withdrawn += withdrawals.reduce((sum, flow) => sum + flowForMonth(flow, month), 0);
+    }
+    const sorted = yearlyRuns[year - 1].sort(); // typed arrays sort numerically
+    points.push({
+      year,
+      calendarYear: startYear + year,
+      contributed: roundMoney(contributed),
+      withdrawn: roundMoney(withdrawn),
+      deterministic: roundMoney(deterministic.yearly[year - 1] - liabilities),
+      percentiles: Object.fromEntries(PERCENTILES.map(p => [`p${p}`, roundMoney(percentile(sorted, p) - liabilities)]))
+    });
+  }
+
+  return {
+    startAssets: roundMoney(startAssets),
+    liabilities: roundMoney(liabilities),
+    startNetWorth: roundMoney(startAssets - liabilities),
+    points,
+    monteCarlo: {
+      simulations,
+      seed,
+      percentiles: PERCENTILES,
+      final: points[points.length - 1].percentiles,
+      depletionProbability: simulations > 0 ? parseFloat(((depletedRuns / simulations) * 100).toFixed(2)) : 0
+    },
+    deterministicDepleted: deterministic.depleted
+  };
+};
+
+// A projection that has not finished by then is abandoned
+const WORKER_TIMEOUT_MS = 30 * 1000;
+
+// projectNetWorth on a worker thread, so the event loop keeps serving
+// other requests while the simulation runs
+const runProjection = (options) => new Promise((resolve, reject) => {
+  const worker = new Worker(path.join(__dirname, 'projectionWorker.js'), { workerData: options });
+  const timer = setTimeout(() => {
+    worker.terminate();
+    reject(new Error('Projection timed out'));
+  }, WORKER_TIMEOUT_MS);
+
+  worker.once('message', (projection) => {
+    clearTimeout(timer);
+    resolve(projection);
+  });
+  worker.once('error', (error) => {
+    clearTimeout(timer);
+    reject(error);
+  });
+  worker.once('exit', (code) => {
+    clearTimeout(timer);
+    if (code !== 0) reject(new Error(`Projection worker stopped with exit code ${code}`));
+  });
+});
+
+module.exports = {
+  DEFAULT_ASSUMPTIONS,
+  PERCENTILES,
+  FREQUENCIES,
+  projectNetWorth,
+  runProjection
+};
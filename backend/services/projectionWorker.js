@@ -0,0 +1,6 @@
+// Worker thread entry point for runProjection in projection.js
+
+const { parentPort, workerData } = require('worker_threads');
+const { projectNetWorth } = require('./projection');
+
+parentPort.postMessage(projectNetWorth(workerData));
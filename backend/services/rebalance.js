@@ -0,0 +1,91 @@
+// Compare current allocation against target percentages and work out the
+// trades that would bring every bucket (category or tag) back to target.
+
+const DEFAULT_TOLERANCE = 5;
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+const roundPercentage = (value) => parseFloat(value.toFixed(2));
+
+// `buckets` are { key, name, value } in the base currency; `targets` are
+// { key, targetPercentage, tolerance }. Buckets without a target are treated
+// as a 0% target, so anything held outside the plan shows up as drift.
+// Drift and tolerance are in percentage points of `totalValue`.
+const buildRebalance = ({ buckets, targets, totalValue }) => {
+  const targetsByKey = new Map(targets.map(target => [target.key, target]));
+  const keys = new Set([...buckets.map(bucket => bucket.key), ...targets.map(target => target.key)]);
+
+  const allocations = Array.from(keys).map(key => {
+    const bucket = buckets.find(candidate => candidate.key === key) || { key, name: key, value: 0 };
+    const target = targetsByKey.get(key);
+    const targetPercentage = target ? target.targetPercentage : 0;
+    const tolerance = target ? target.tolerance : DEFAULT_TOLERANCE;
+    const currentPercentage = totalValue > 0 ? (bucket.value / totalValue) * 100 : 0;
+    const targetValue = totalValue * (targetPercentage / 100);
+    const drift = currentPercentage - targetPercentage;
+
+    let status = 'ok';
+    if (drift > tolerance) status = 'over';
+    else if (drift < -tolerance) status = 'under';
+
+    return {
+      key,
+      name: bucket.name,
+      hasTarget: Boolean(target),
+      currentValue: roundMoney(bucket.value),
+      currentPercentage: roundPercentage(currentPercentage),
+      targetPercentage,
+      targetValue: roundMoney(targetValue),
+      tolerance,
+      drift: roundPercentage(drift),
+      driftValue: roundMoney(bucket.value - targetValue),
+      status
+    };
+  });
+
+  allocations.sort((a, b) => Math.abs(b.drift) - Math.abs(a.drift));
+
+  // Buying or selling each bucket back to its exact target
+  const trades = allocations
+    .map(allocation => ({
+      key: allocation.key,
+      name: allocation.name,
+      action: allocation.driftValue > 0 ? 'sell' : 'buy',
+      amount: roundMoney(Math.abs(allocation.driftValue)),
+      outsideTolerance: allocation.status !== 'ok'
+    }))
+    .filter(trade => trade.amount >= 0.01);
+
+  return {
+    allocations,
+    trades,
+    outsideTolerance: allocations.filter(allocation => allocation.status !== 'ok').length,
+    needsRebalance: allocations.some(allocation => allocation.status !== 'ok')
+  };
+};
+
+// Buckets by tag for rebalancing. An asset with several tags has its value
+// split evenly between them, so the buckets add up to the portfolio total and
+// the trades net to zero; untagged assets form an 'untagged' bucket.
+const tagBuckets = (assets) => {
+  const buckets = new Map();
+  const addTo = (key, name, value) => {
+    if (!buckets.has(key)) buckets.set(key, { key, name, value: 0 });
+    buckets.get(key).value += value;
+  };
+
+  assets.forEach(asset => {
+    const value = parseFloat(asset.value);
+    if (asset.tags.length === 0) {
+      addTo('untagged', 'Untagged', value);
+    }
+    asset.tags.forEach(tag => addTo(tag.id, tag.name, value / asset.tags.length));
+  });
+
+  return Array.from(buckets.values());
+};
+
+module.exports = {
+  DEFAULT_TOLERANCE,
+  buildRebalance,
+  tagBuckets
+};
@@ -0,0 +1,155 @@
+// Return metrics over a period from a value series and cash flows.
+//
+// Cash flows follow the ledger convention (services/ledger.js): amounts are
+// from the owner's point of view, negative for money put into the holding and
+// positive for money taken out. All metrics are returned as percentages.
+//
+//   CAGR  compound growth between the period's start and end values; ignores
+//         cash flows, so it overstates growth when money was added
+//   TWR   time-weighted return: sub-period returns between cash flows chained
+//         together, so the timing and size of contributions don't count
+//   XIRR  money-weighted return: the annual rate at which the starting value
+//         and every cash flow grow to the ending value
+//
+// CAGR and annualized TWR are only reported for periods of a year or more.
+const { addMonths } = require('./amortization');
+
+const PERIODS = ['1m', '3m', '6m', 'ytd', '1y', '3y', '5y', '10y', 'all'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_DAYS = 365;
+
+const daysBetween = (from, to) => Math.round(
+  (new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / DAY_MS
+);
+
+const toPercentage = (rate) => (rate === null || !isFinite(rate) ? null : parseFloat((rate * 100).toFixed(2)));
+
+// First day of a named period ending on `to` (YYYY-MM-DD). `earliest` is
+// used for 'all'.
+const periodStart = (period, to, earliest) => {
+  const monthsBack = { '1m': 1, '3m': 3, '6m': 6, '1y': 12, '3y': 36, '5y': 60, '10y': 120 }[period];
+
+  if (period === 'ytd') {
+    return `${to.slice(0, 4)}-01-01`;
+  }
+  if (monthsBack) {
+    // Month ends clamp, so 1m before 03-31 is 02-28 rather than 03-03
+    return addMonths(to, -monthsBack);
+  }
+  return earliest && earliest < to ? earliest : to;
+};
+
+// Net present value of dated flows at an annual rate
+const presentValue = (flows, rate) => {
+  const start = flows[0].date;
+  return flows.reduce((sum, flow) => sum + flow.amount / Math.pow(1 + rate, daysBetween(start, flow.date) / YEAR_DAYS), 0);
+};
+
+// Annual rate that sets the flows' present value to zero, found by bisection.
+// Needs money both in and out; returns null when there is no solution.
+const xirr = (flows) => {
+  const sorted = [...flows].filter(flow => flow.amount !== 0).sort((a, b) => a.date.localeCompare(b.date));
+  if (!sorted.some(flow => flow.amount < 0) || !sorted.some(flow => flow.amount > 0)) return null;
+  if (daysBetween(sorted[0].date, sorted[sorted.length - 1].date) <= 0) return null;
+
+  let low = -0.9999;
+  let high = 1;
+  const lowValue = presentValue(sorted, low);
+  while (Math.sign(presentValue(sorted, high)) === Math.sign(lowValue)) {
+    high *= 2;
+    if (high > 1e6) return null;
+  }
+
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    const midValue = presentValue(sorted, mid);
+    if (Math.abs(midValue) < 1e-7) return mid;
+    if (Math.sign(midValue) === Math.sign(lowValue)) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  return (low + high) / 2;
+};
+
+// Merge flows on the same date
+const netFlowsByDate = (flows) => {
+  const totals = new Map();
+  flows.forEach(flow => totals.set(flow.date, (totals.get(flow.date) || 0) + flow.amount));
+  return Array.from(totals, ([date, amount]) => ({ date, amount })).sort((a, b) => a.date.localeCompare(b.date));
+};
+
+// `valueAt(date)` gives the holding's value at the end of that day, after
+// any cash flows on it. `flows` may cover any dates; only those after `from`
+// and up to `to` count toward the period.
+const computeReturns = ({ valueAt, flows, from, to }) => {
+  const startValue = valueAt(from);
+  const endValue = valueAt(to);
+  const periodFlows = netFlowsByDate(flows.filter(flow => flow.date > from && flow.date <= to));
+  const contributions = periodFlows.reduce((sum, flow) => sum + Math.max(-flow.amount, 0), 0);
+  const distributions = periodFlows.reduce((sum, flow) => sum + Math.max(flow.amount, 0), 0);
+
+  // Chain sub-period returns between flow dates
+  let growth = 1;
+  let linked = false;
+  let previousValue = startValue;
+  let twrFrom = startValue > 0 ? from : null;
+  periodFlows.forEach(flow => {
+    const value = valueAt(flow.date);
+    if (previousValue > 0) {
+      growth *= (value + flow.amount) / previousValue;
+      linked = true;
+    }
+    previousValue = value;
+    if (twrFrom === null && value > 0) twrFrom = flow.date;
+  });
+  const lastFlowDate = periodFlows.length > 0 ? periodFlows[periodFlows.length - 1].date : from;
+  if (previousValue > 0 && lastFlowDate < to) {
+    growth *= endValue / previousValue;
+    linked = true;
+  }
+  const twr = linked ? growth - 1 : null;
+  const twrYears = twrFrom ? daysBetween(twrFrom, to) / YEAR_DAYS : 0;
+
+  // A holding opened during the period compounds from its first contribution
+  let cagrStart = startValue;
+  let cagrFrom = from;
+  if (startValue <= 0) {
+    const first = periodFlows.find(flow => flow.amount < 0);
+    if (first) {
+      cagrStart = -first.amount;
+      cagrFrom = first.date;
+    }
+  }
+  const cagrYears = daysBetween(cagrFrom, to) / YEAR_DAYS;
+  const cagr = cagrStart > 0 && cagrYears >= 1 ? Math.pow(endValue / cagrStart, 1 / cagrYears) - 1 : null;
+
+  const moneyFlows = [
+    ...(startValue > 0 ? [{ date: from, amount: -startValue }] : []),
+    ...periodFlows,
+    ...(endValue > 0 ? [{ date: to, amount: endValue }] : [])
+  ];
+
+  return {
+    from,
+    to,
+    startValue,
+    endValue,
+    contributions,
+    distributions,
+    gain: endValue + distributions - startValue - contributions,
+    cagr: toPercentage(cagr),
+    twr: toPercentage(twr),
+    annualizedTwr: toPercentage(twr !== null && twrYears >= 1 ? Math.pow(1 + twr, 1 / twrYears) - 1 : null),
+    xirr: toPercentage(xirr(moneyFlows))
+  };
+};
+
+module.exports = {
+  PERIODS,
+  periodStart,
+  xirr,
+  computeReturns
+};
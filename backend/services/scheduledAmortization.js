@@ -0,0 +1,60 @@
+const { findLiabilities, updateLiability } = require('../data/dataAccess');
+const { adjustedBalance } = require('./amortization');
+
+// Payments fall due on set days of the month, so an hourly check is plenty
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+const todayString = () => new Date().toISOString().slice(0, 10);
+
+// Bring the balance of every amortized loan in line with its schedule as of
+// `date`, keeping any adjustment from a balance the user entered. Loans whose
+// balance already matches are left alone.
+const runLoanAmortization = async ({ userId, date = todayString() } = {}) => {
+  const loans = await findLiabilities({ amortized: true, userId });
+  const result = { date, checked: loans.length, updated: [], failed: 0 };
+
+  for (const loan of loans) {
+    try {
+      const balance = adjustedBalance(loan, date);
+      if (Math.abs(balance - loan.balance) >= 0.01) {
+        await updateLiability(loan.id, { balance });
+        result.updated.push({ liabilityId: loan.id, name: loan.name, previousBalance: loan.balance, balance });
+      }
+    } catch (error) {
+      console.error(`Loan amortization error for liability ${loan.id}:`, error);
+      result.failed++;
+    }
+  }
+
+  return result;
+};
+
+// Apply due loan payments now and then keep checking in the background
+const scheduleAmortizationJob = () => {
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const result = await runLoanAmortization();
+      if (result.updated.length > 0) {
+        console.log(`🏦 Loan balances amortized: ${result.updated.length} of ${result.checked} loans updated`);
+      }
+    } catch (error) {
+      console.error('❌ Loan amortization run failed:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, CHECK_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  runLoanAmortization,
+  scheduleAmortizationJob
+};
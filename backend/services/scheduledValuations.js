@@ -0,0 +1,77 @@
+const { findAssets, findValueSchedules, markValueScheduleRun, addValuation } = require('../data/dataAccess');
+const { scheduledValue, describeSchedule } = require('./valueSchedules');
+
+// Schedules are checked hourly so a new day is picked up soon after midnight;
+// each schedule only records once per day
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+const todayString = () => new Date().toISOString().slice(0, 10);
+
+// Record today's scheduled value for every schedule that hasn't run yet on
+// `date`, as a 'schedule' valuation. Values that haven't moved are skipped.
+// Pass an assetId to run that asset's schedule regardless of when it last ran.
+const runValueSchedules = async ({ userId, assetId, date = todayString() } = {}) => {
+  const schedules = assetId
+    ? (await findValueSchedules({ assetId })).filter(schedule => schedule.startDate <= date)
+    : await findValueSchedules({ dueOn: date, userId });
+  const result = { date, checked: schedules.length, recorded: [], unchanged: 0, failed: 0 };
+
+  for (const schedule of schedules) {
+    try {
+      const [asset] = await findAssets({ id: schedule.assetId });
+      if (!asset) continue;
+
+      const value = scheduledValue(schedule, date);
+      if (Math.abs(value - asset.value) >= 0.01) {
+        await addValuation({
+          assetId: asset.id,
+          userId: asset.userId,
+          value,
+          asOfDate: date,
+          source: 'schedule',
+          note: describeSchedule(schedule)
+        }, { replaceSameDay: true });
+        result.recorded.push({ assetId: asset.id, name: asset.name, previousValue: asset.value, value });
+      } else {
+        result.unchanged++;
+      }
+
+      await markValueScheduleRun(schedule.id, date);
+    } catch (error) {
+      console.error(`Value schedule error for asset ${schedule.assetId}:`, error);
+      result.failed++;
+    }
+  }
+
+  return result;
+};
+
+// Run due schedules now and then keep checking in the background
+const scheduleValuationJob = () => {
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const result = await runValueSchedules();
+      if (result.checked > 0) {
+        console.log(`📉 Value schedules run: ${result.recorded.length} of ${result.checked} assets revalued`);
+      }
+    } catch (error) {
+      console.error('❌ Value schedule run failed:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, CHECK_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  runValueSchedules,
+  scheduleValuationJob
+};
@@ -0,0 +1,55 @@
+// Shareable report links. Anyone holding a link can see one report (the
+// portfolio summary or the asset export) without logging in until it expires.
+// The token is `<link id>.<signature>`, an HMAC over the id and expiry, so it
+// can't be guessed or have its expiry stretched; revocation, the optional
+// password and the view count are kept with the link in the database. The
+// report is generated when the link is opened, so it is always current.
+const crypto = require('crypto');
+
+const SHAREABLE_REPORTS = ['portfolio-summary', 'export'];
+
+// Longest time a single link may stay valid
+const MAX_LINK_DAYS = 90;
+
+const linkSecret = () => {
+  const secret = process.env.SHARE_LINK_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('SHARE_LINK_SECRET or JWT_SECRET must be configured to sign share links');
+  }
+  return secret;
+};
+
+const signature = (link) => crypto
+  .createHmac('sha256', linkSecret())
+  .update(`${link.id}.${new Date(link.expiresAt).toISOString()}`)
+  .digest('base64url');
+
+const linkToken = (link) => `${link.id}.${signature(link)}`;
+
+// { id, signature } from a token, or null when it isn't shaped like one
+const parseLinkToken = (token) => {
+  const match = /^([0-9a-f-]{36})\.([A-Za-z0-9_-]{43})$/.exec(String(token));
+  return match ? { id: match[1], signature: match[2] } : null;
+};
+
+const verifyLinkSignature = (link, candidate) => {
+  const expected = Buffer.from(signature(link));
+  const given = Buffer.from(candidate);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+// active, expired or revoked
+const linkStatus = (link, now = new Date()) => {
+  if (link.revokedAt) return 'revoked';
+  if (new Date(link.expiresAt) <= now) return 'expired';
+  return 'active';
+};
+
+module.exports = {
+  SHAREABLE_REPORTS,
+  MAX_LINK_DAYS,
+  linkToken,
+  parseLinkToken,
+  verifyLinkSignature,
+  linkStatus
+};
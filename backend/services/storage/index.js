@@ -0,0 +1,26 @@
+const path = require('path');
+const LocalStorage = require('./localStorage');
+
+// Document storage. Every driver implements the same async interface:
+//   save(key, buffer), read(key) -> Buffer, delete(key), exists(key) -> boolean
+// Select a driver with STORAGE_DRIVER; only 'local' ships today.
+const drivers = {
+  local: () => new LocalStorage(process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads'))
+};
+
+let storage = null;
+
+const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+    if (!drivers[driver]) {
+      throw new Error(`Unknown storage driver: ${driver}`);
+    }
+    storage = drivers[driver]();
+  }
+  return storage;
+};
+
+module.exports = {
+  getStorage
+};
@@ -0,0 +1,47 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Stores files on local disk under a root directory. Keys are generated by the
+// application (never taken from user input) and map to relative paths.
+class LocalStorage {
+  constructor(rootDir) {
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  resolve(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  }
+
+  async save(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer, { mode: 0o600 });
+  }
+
+  async read(key) {
+    return fs.readFile(this.resolve(key));
+  }
+
+  async delete(key) {
+    try {
+      await fs.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  async exists(key) {
+    try {
+      await fs.access(this.resolve(key));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+module.exports = LocalStorage;
@@ -0,0 +1,70 @@
+// Capital gains reporting built on the lot disposals from services/ledger.js
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Totals for one holding term
+const summarizeDisposals = (disposals) => ({
+  count: disposals.length,
+  proceeds: roundMoney(disposals.reduce((sum, disposal) => sum + disposal.proceeds, 0)),
+  costBasis: roundMoney(disposals.reduce((sum, disposal) => sum + disposal.costBasis, 0)),
+  gain: roundMoney(disposals.reduce((sum, disposal) => sum + disposal.gain, 0))
+});
+
+// Form 8949 dates are written MM/DD/YYYY
+const formDate = (date) => {
+  const [year, month, day] = date.split('-');
+  return `${month}/${day}/${year}`;
+};
+
+const csvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (fields) => fields.map(csvField).join(',');
+
+const FORM_COLUMNS = [
+  '(a) Description of property',
+  '(b) Date acquired',
+  '(c) Date sold or disposed of',
+  '(d) Proceeds',
+  '(e) Cost or other basis',
+  '(f) Code(s)',
+  '(g) Amount of adjustment',
+  '(h) Gain or (loss)'
+];
+
+// CSV laid out like Form 8949: Part I (short-term) and Part II (long-term),
+// one row per lot disposal followed by the part's totals
+const form8949Csv = (report) => {
+  const lines = [
+    csvRow(['Form 8949 - Sales and Other Dispositions of Capital Assets', `Tax year ${report.year}`, `Amounts in ${report.baseCurrency}`])
+  ];
+
+  const part = (title, disposals, totals) => {
+    lines.push('', csvRow([title]), csvRow(FORM_COLUMNS));
+    disposals.forEach(disposal => {
+      lines.push(csvRow([
+        disposal.description,
+        formDate(disposal.acquiredDate),
+        formDate(disposal.soldDate),
+        disposal.proceeds.toFixed(2),
+        disposal.costBasis.toFixed(2),
+        '',
+        '',
+        disposal.gain.toFixed(2)
+      ]));
+    });
+    lines.push(csvRow(['Totals', '', '', totals.proceeds.toFixed(2), totals.costBasis.toFixed(2), '', '', totals.gain.toFixed(2)]));
+  };
+
+  part('Part I - Short-Term (held one year or less)', report.disposals.filter(disposal => disposal.term === 'short'), report.shortTerm);
+  part('Part II - Long-Term (held more than one year)', report.disposals.filter(disposal => disposal.term === 'long'), report.longTerm);
+
+  return `${lines.join('\n')}\n`;
+};
+
+module.exports = {
+  summarizeDisposals,
+  form8949Csv
+};
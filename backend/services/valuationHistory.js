@@ -0,0 +1,116 @@
+// Helpers for turning stored point-in-time valuations into portfolio history
+
+const INTERVALS = ['week', 'month', 'quarter'];
+
+// Dates are handled as UTC calendar days and exchanged as YYYY-MM-DD strings
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+const parseDate = (value) => {
+  const date = new Date(`${String(value).slice(0, 10)}T00:00:00Z`);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const addDays = (date, days) => {
+  const next = new Date(date);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next;
+};
+
+const addMonths = (date, months) => {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+};
+
+// First day of the period containing `date`
+const startOfPeriod = (date, interval) => {
+  if (interval === 'week') {
+    // ISO weeks start on Monday
+    const offset = (date.getUTCDay() + 6) % 7;
+    return addDays(date, -offset);
+  }
+  if (interval === 'quarter') {
+    const quarterMonth = Math.floor(date.getUTCMonth() / 3) * 3;
+    return new Date(Date.UTC(date.getUTCFullYear(), quarterMonth, 1));
+  }
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+};
+
+const nextPeriodStart = (start, interval) => {
+  if (interval === 'week') return addDays(start, 7);
+  if (interval === 'quarter') return addMonths(start, 3);
+  return addMonths(start, 1);
+};
+
+const periodLabel = (start, interval) => {
+  if (interval === 'week') return toDateString(start);
+  if (interval === 'quarter') {
+    return `${start.getUTCFullYear()}-Q${Math.floor(start.getUTCMonth() / 3) + 1}`;
+  }
+  return toDateString(start).slice(0, 7);
+};
+
+// Default range: the current period plus the eleven before it
+const defaultFrom = (to, interval) => {
+  let start = startOfPeriod(to, interval);
+  for (let i = 0; i < 11; i++) {
+    start = interval === 'week'
+      ? addDays(start, -7)
+      : addMonths(start, interval === 'quarter' ? -3 : -1);
+  }
+  return start;
+};
+
+// Build the list of periods between two dates. Each period's end is capped at `to`
+// so the last bucket reflects values as of the requested date.
+const buildPeriods = (from, to, interval = 'month') => {
+  const periods = [];
+  let start = startOfPeriod(from, interval);
+
+  while (start <= to) {
+    const next = nextPeriodStart(start, interval);
+    const end = addDays(next, -1) < to ? addDays(next, -1) : to;
+    periods.push({
+      label: periodLabel(start, interval),
+      start: toDateString(start),
+      end: toDateString(end)
+    });
+    start = next;
+  }
+
+  return periods;
+};
+
+// Group valuations by asset, keeping each asset's history in date order
+const groupByAsset = (valuations) => {
+  const grouped = new Map();
+  valuations.forEach(valuation => {
+    if (!grouped.has(valuation.assetId)) {
+      grouped.set(valuation.assetId, []);
+    }
+    grouped.get(valuation.assetId).push(valuation);
+  });
+  grouped.forEach(history => {
+    history.sort((a, b) => a.asOfDate.localeCompare(b.asOfDate) ||
+      new Date(a.createdAt) - new Date(b.createdAt));
+  });
+  return grouped;
+};
+
+// Latest valuation on or before `date` (YYYY-MM-DD) from a date-ordered history
+const valuationAsOf = (history, date) => {
+  let match = null;
+  for (const valuation of history) {
+    if (valuation.asOfDate > date) break;
+    match = valuation;
+  }
+  return match;
+};
+
+module.exports = {
+  INTERVALS,
+  toDateString,
+  parseDate,
+  defaultFrom,
+  buildPeriods,
+  groupByAsset,
+  valuationAsOf
+};
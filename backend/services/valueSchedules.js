@@ -0,0 +1,92 @@
+// Depreciation and appreciation schedules. A schedule starts from a known
+// value on its start date and gives the asset's value on any later date:
+//
+//   straight_line      loses (start value - salvage) evenly over the useful life
+//   declining_balance  loses `annualRate` percent of the remaining value each
+//                      year, never dropping below the salvage value
+//   fixed_rate         grows by `annualRate` percent a year, compounded; a
+//                      negative rate shrinks it instead
+//
+// Elapsed time is counted in fractional years, so values move a little each day.
+
+const SCHEDULE_METHODS = ['straight_line', 'declining_balance', 'fixed_rate'];
+
+const DEFAULT_PROJECTION_YEARS = 10;
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const toTime = (date) => new Date(`${date}T00:00:00Z`).getTime();
+
+const addYears = (date, years) => {
+  const start = new Date(`${date}T00:00:00Z`);
+  return new Date(Date.UTC(start.getUTCFullYear() + years, start.getUTCMonth(), start.getUTCDate()))
+    .toISOString()
+    .slice(0, 10);
+};
+
+// Whole years between anniversaries plus the fraction of the current one,
+// so each anniversary lands on an exact number of years
+const yearsBetween = (from, to) => {
+  let whole = new Date(`${to}T00:00:00Z`).getUTCFullYear() - new Date(`${from}T00:00:00Z`).getUTCFullYear();
+  if (addYears(from, whole) > to) whole--;
+  const anniversary = toTime(addYears(from, whole));
+  const next = toTime(addYears(from, whole + 1));
+  return whole + (toTime(to) - anniversary) / (next - anniversary);
+};
+
+// Value on `date` (YYYY-MM-DD), or null before the schedule starts
+const scheduledValue = (schedule, date) => {
+  if (date < schedule.startDate) return null;
+  const years = yearsBetween(schedule.startDate, date);
+  const salvage = schedule.salvageValue || 0;
+  let value;
+
+  switch (schedule.method) {
+    case 'straight_line': {
+      const progress = Math.min(years / schedule.usefulLifeYears, 1);
+      value = schedule.startValue - (schedule.startValue - salvage) * progress;
+      break;
+    }
+    case 'declining_balance':
+      value = Math.max(schedule.startValue * Math.pow(1 - schedule.annualRate / 100, years), Math.min(salvage, schedule.startValue));
+      break;
+    case 'fixed_rate':
+      value = schedule.startValue * Math.pow(1 + schedule.annualRate / 100, years);
+      break;
+    default:
+      throw new Error(`Unknown schedule method: ${schedule.method}`);
+  }
+
+  return roundMoney(Math.max(value, 0));
+};
+
+// Value on each anniversary of the start date. Straight-line schedules run to
+// the end of their useful life; the others cover `years` years.
+const projectSchedule = (schedule, years = DEFAULT_PROJECTION_YEARS) => {
+  const span = schedule.method === 'straight_line' ? Math.ceil(schedule.usefulLifeYears) : years;
+  return Array.from({ length: span + 1 }, (_, year) => {
+    const date = addYears(schedule.startDate, year);
+    return { year, date, value: scheduledValue(schedule, date) };
+  });
+};
+
+// Short description used as the note on generated valuations
+const describeSchedule = (schedule) => {
+  switch (schedule.method) {
+    case 'straight_line':
+      return `Straight-line depreciation over ${schedule.usefulLifeYears} years`;
+    case 'declining_balance':
+      return `Declining-balance depreciation at ${schedule.annualRate}% a year`;
+    default:
+      return schedule.annualRate >= 0
+        ? `Appreciation at ${schedule.annualRate}% a year`
+        : `Depreciation at ${-schedule.annualRate}% a year`;
+  }
+};
+
+module.exports = {
+  SCHEDULE_METHODS,
+  scheduledValue,
+  projectSchedule,
+  describeSchedule
+};
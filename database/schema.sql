@@ -10,6 +10,7 @@ CREATE TABLE users (
     two_factor_secret TEXT,
     two_factor_enabled BOOLEAN DEFAULT false,
     current_challenge TEXT,
+    base_currency CHAR(3) NOT NULL DEFAULT 'USD',
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     last_login TIMESTAMP WITH TIME ZONE
@@ -28,6 +29,23 @@ CREATE TABLE passkeys (
     last_used TIMESTAMP WITH TIME ZONE
 );
 
+-- Households: users who share and co-own assets
+CREATE TABLE households (
+    id TEXT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Household membership; each user belongs to at most one household
+CREATE TABLE household_members (
+    household_id TEXT NOT NULL REFERENCES households(id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'editor', 'viewer')),
+    joined_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (household_id, user_id)
+);
+
 -- Assets table
 CREATE TABLE assets (
     id TEXT PRIMARY KEY,
@@ -35,14 +53,255 @@ CREATE TABLE assets (
     name VARCHAR(255) NOT NULL,
     asset_type VARCHAR(100) NOT NULL,
     current_value DECIMAL(15,2) NOT NULL CHECK (current_value >= 0),
+    currency CHAR(3) NOT NULL DEFAULT 'USD',
     acquisition_cost DECIMAL(15,2),
     acquisition_date DATE,
     description TEXT,
     metadata JSONB DEFAULT '{}',
+    household_id TEXT REFERENCES households(id) ON DELETE SET NULL,
+    -- Hand-entered cost basis, acquisition date and quantity, kept while the
+    -- transaction ledger overrides them and restored when it is emptied
+    pre_ledger_values JSONB,
+    -- Full-text search over the name and, unless it is encrypted, the description
+    search_vector TSVECTOR GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', name), 'A') ||
+        setweight(to_tsvector('english', CASE WHEN description LIKE 'enc:%' THEN '' ELSE COALESCE(description, '') END), 'B')
+    ) STORED,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Ownership split of assets shared with a household; percentages add up to 100
+CREATE TABLE asset_owners (
+    asset_id TEXT NOT NULL REFERENCES assets(id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    percentage DECIMAL(5,2) NOT NULL CHECK (percentage > 0 AND percentage <= 100),
+    PRIMARY KEY (asset_id, user_id)
+);
+
+-- Asset valuations table (point-in-time value history). History is deleted
+-- along with its asset; past growth reports no longer include deleted assets.
+-- Run scripts/backfill-valuations.js once when upgrading a database whose
+-- assets predate this table.
+CREATE TABLE asset_valuations (
+    id TEXT PRIMARY KEY,
+    asset_id TEXT NOT NULL REFERENCES assets(id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    value DECIMAL(15,2) NOT NULL CHECK (value >= 0),
+    as_of_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    source VARCHAR(50) NOT NULL DEFAULT 'manual',
+    note TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Asset transactions table (ledger of buys, sells and cash movements)
+CREATE TABLE asset_transactions (
+    id TEXT PRIMARY KEY,
+    asset_id TEXT NOT NULL REFERENCES assets(id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    transaction_type VARCHAR(20) NOT NULL CHECK (transaction_type IN ('buy', 'sell', 'deposit', 'withdrawal', 'income')),
+    transaction_date DATE NOT NULL,
+    quantity DECIMAL(24,8) CHECK (quantity > 0),
+    amount DECIMAL(15,2) NOT NULL CHECK (amount >= 0),
+    fees DECIMAL(15,2) NOT NULL DEFAULT 0 CHECK (fees >= 0),
+    memo TEXT,
+    lot_selections JSONB, -- specific lots closed by a sell: [{ lotId, quantity }]
+    lot_method VARCHAR(10) CHECK (lot_method IN ('fifo', 'lifo', 'hifo')), -- how a sell matches lots not selected; NULL means fifo
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Asset value schedules (depreciation or appreciation applied by a daily job)
+CREATE TABLE asset_value_schedules (
+    id TEXT PRIMARY KEY,
+    asset_id TEXT NOT NULL UNIQUE REFERENCES assets(id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    method VARCHAR(30) NOT NULL CHECK (method IN ('straight_line', 'declining_balance', 'fixed_rate')),
+    start_date DATE NOT NULL,
+    start_value DECIMAL(15,2) NOT NULL CHECK (start_value >= 0),
+    annual_rate DECIMAL(7,3), -- percent per year; negative fixed rates depreciate
+    useful_life_years DECIMAL(6,2) CHECK (useful_life_years > 0),
+    salvage_value DECIMAL(15,2) NOT NULL DEFAULT 0 CHECK (salvage_value >= 0),
+    last_run_date DATE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (method <> 'straight_line' OR useful_life_years IS NOT NULL),
+    CHECK (method = 'straight_line' OR annual_rate IS NOT NULL)
+);
+
+-- Asset documents table (metadata only; file contents live in document storage)
+CREATE TABLE asset_documents (
+    id TEXT PRIMARY KEY,
+    asset_id TEXT NOT NULL REFERENCES assets(id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    file_name VARCHAR(255) NOT NULL,
+    mime_type VARCHAR(100) NOT NULL,
+    size_bytes INTEGER NOT NULL CHECK (size_bytes >= 0),
+    storage_key TEXT NOT NULL,
+    document_type VARCHAR(50) NOT NULL DEFAULT 'other',
+    description TEXT,
+    key_version INTEGER,
+    uploaded_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- User-defined tags for grouping assets beyond their type
+CREATE TABLE tags (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(50) NOT NULL,
+    color CHAR(7),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Asset to tag assignments (many-to-many)
+CREATE TABLE asset_tags (
+    asset_id TEXT NOT NULL REFERENCES assets(id) ON DELETE CASCADE,
+    tag_id TEXT NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+    PRIMARY KEY (asset_id, tag_id)
+);
+
+-- Target allocation, per asset category or per tag
+CREATE TABLE allocation_targets (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    category VARCHAR(50),
+    tag_id TEXT REFERENCES tags(id) ON DELETE CASCADE,
+    target_percentage DECIMAL(5,2) NOT NULL CHECK (target_percentage >= 0 AND target_percentage <= 100),
+    tolerance DECIMAL(5,2) NOT NULL DEFAULT 5 CHECK (tolerance >= 0 AND tolerance <= 100),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK ((category IS NULL) <> (tag_id IS NULL))
+);
+
+-- People (or organisations) who inherit the user's assets
+CREATE TABLE beneficiaries (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    relationship VARCHAR(50) NOT NULL,
+    email VARCHAR(255),
+    phone VARCHAR(50),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Beneficiary designations per asset; an asset's percentages add up to 100
+CREATE TABLE asset_beneficiaries (
+    asset_id TEXT NOT NULL REFERENCES assets(id) ON DELETE CASCADE,
+    beneficiary_id TEXT NOT NULL REFERENCES beneficiaries(id) ON DELETE RESTRICT,
+    percentage DECIMAL(5,2) NOT NULL CHECK (percentage > 0 AND percentage <= 100),
+    PRIMARY KEY (asset_id, beneficiary_id)
+);
+
+-- Liabilities table (mortgages, loans, credit lines)
+CREATE TABLE liabilities (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    liability_type VARCHAR(100) NOT NULL,
+    current_balance DECIMAL(15,2) NOT NULL CHECK (current_balance >= 0),
+    currency CHAR(3) NOT NULL DEFAULT 'USD',
+    interest_rate DECIMAL(7,4),
+    linked_asset_id TEXT REFERENCES assets(id) ON DELETE SET NULL,
+    description TEXT,
+    metadata JSONB DEFAULT '{}',
+    -- Amortization terms; when set, current_balance follows the schedule
+    original_principal DECIMAL(15,2) CHECK (original_principal > 0),
+    term_months INTEGER CHECK (term_months BETWEEN 1 AND 600),
+    start_date DATE,
+    -- Difference between the balance the user entered and the schedule (extra payments, fees)
+    balance_adjustment DECIMAL(15,2) NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK ((original_principal IS NULL) = (term_months IS NULL) AND (term_months IS NULL) = (start_date IS NULL))
+);
+
+-- Insurance policies (home, auto, valuables...) protecting the user's assets
+CREATE TABLE insurance_policies (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    policy_type VARCHAR(50) NOT NULL,
+    carrier VARCHAR(255) NOT NULL,
+    coverage_amount DECIMAL(15,2) NOT NULL CHECK (coverage_amount >= 0),
+    deductible DECIMAL(15,2) NOT NULL DEFAULT 0 CHECK (deductible >= 0),
+    premium DECIMAL(15,2) CHECK (premium >= 0),
+    premium_frequency VARCHAR(20) NOT NULL DEFAULT 'annual' CHECK (premium_frequency IN ('monthly', 'quarterly', 'semiannual', 'annual')),
+    currency CHAR(3) NOT NULL DEFAULT 'USD',
+    renewal_date DATE,
+    reminder_days INTEGER NOT NULL DEFAULT 30 CHECK (reminder_days BETWEEN 0 AND 365),
+    reminded_for_date DATE, -- renewal date the last reminder email was sent for
+    description TEXT,
+    metadata JSONB DEFAULT '{}', -- policyNumber lives here so it is encrypted like other account numbers
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Assets covered by each policy (many-to-many)
+CREATE TABLE insurance_policy_assets (
+    policy_id TEXT NOT NULL REFERENCES insurance_policies(id) ON DELETE CASCADE,
+    asset_id TEXT NOT NULL REFERENCES assets(id) ON DELETE CASCADE,
+    PRIMARY KEY (policy_id, asset_id)
+);
+
+-- FX rates table: 1 unit of base_currency = rate units of quote_currency.
+-- Rows without a user_id are shared (loaded from file); user rows are manual entries.
+CREATE TABLE fx_rates (
+    id SERIAL PRIMARY KEY,
+    user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+    base_currency CHAR(3) NOT NULL,
+    quote_currency CHAR(3) NOT NULL,
+    rate DECIMAL(20,10) NOT NULL CHECK (rate > 0),
+    rate_date DATE NOT NULL,
+    source VARCHAR(50) NOT NULL DEFAULT 'manual',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Read-only access to a user's reports or asset categories, granted to another
+-- account by email invitation. The invitation token is stored hashed and
+-- cleared once accepted.
+CREATE TABLE access_grants (
+    id TEXT PRIMARY KEY,
+    owner_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    grantee_email VARCHAR(255) NOT NULL,
+    grantee_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+    invitation_token_hash TEXT UNIQUE,
+    reports JSONB NOT NULL DEFAULT '[]',
+    categories JSONB NOT NULL DEFAULT '[]',
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    accepted_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Signed, expiring links that show one report without logging in. Only a
+-- bcrypt hash of the optional password is stored.
+CREATE TABLE share_links (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    report VARCHAR(50) NOT NULL CHECK (report IN ('portfolio-summary', 'export')),
+    view VARCHAR(20) NOT NULL DEFAULT 'share' CHECK (view IN ('share', 'household')),
+    label VARCHAR(255),
+    password_hash TEXT,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    view_count INTEGER NOT NULL DEFAULT 0,
+    last_viewed_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Per-user data keys, stored wrapped by a master key held outside the database
+CREATE TABLE user_data_keys (
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    wrapped_key TEXT NOT NULL,
+    master_key_id VARCHAR(100) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'active',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    rotated_at TIMESTAMP WITH TIME ZONE,
+    PRIMARY KEY (user_id, version)
+);
+
 -- Audit logs table
 CREATE TABLE audit_logs (
     id SERIAL PRIMARY KEY,
@@ -64,11 +323,54 @@ CREATE INDEX idx_passkeys_user_id ON passkeys(user_id);
 CREATE INDEX idx_passkeys_credential_id ON passkeys(credential_id);
 CREATE INDEX idx_assets_user_id ON assets(user_id);
 CREATE INDEX idx_assets_type ON assets(asset_type);
+CREATE INDEX idx_assets_household_id ON assets(household_id);
+CREATE INDEX idx_assets_search_vector ON assets USING GIN (search_vector);
+CREATE INDEX idx_asset_owners_user_id ON asset_owners(user_id);
+CREATE INDEX idx_asset_valuations_asset_date ON asset_valuations(asset_id, as_of_date);
+CREATE INDEX idx_asset_valuations_user_date ON asset_valuations(user_id, as_of_date);
+CREATE INDEX idx_asset_transactions_asset_date ON asset_transactions(asset_id, transaction_date);
+CREATE INDEX idx_asset_transactions_user_id ON asset_transactions(user_id);
+CREATE INDEX idx_asset_documents_asset_id ON asset_documents(asset_id);
+CREATE INDEX idx_asset_value_schedules_user_id ON asset_value_schedules(user_id);
+CREATE UNIQUE INDEX idx_tags_user_name ON tags(user_id, LOWER(name));
+CREATE INDEX idx_asset_tags_tag_id ON asset_tags(tag_id);
+CREATE UNIQUE INDEX idx_allocation_targets_unique ON allocation_targets(user_id, COALESCE(category, ''), COALESCE(tag_id, ''));
+CREATE INDEX idx_beneficiaries_user_id ON beneficiaries(user_id);
+CREATE INDEX idx_asset_beneficiaries_beneficiary_id ON asset_beneficiaries(beneficiary_id);
+CREATE INDEX idx_liabilities_user_id ON liabilities(user_id);
+CREATE INDEX idx_liabilities_linked_asset_id ON liabilities(linked_asset_id);
+CREATE INDEX idx_insurance_policies_user_id ON insurance_policies(user_id);
+CREATE INDEX idx_insurance_policies_renewal_date ON insurance_policies(renewal_date);
+CREATE INDEX idx_insurance_policy_assets_asset_id ON insurance_policy_assets(asset_id);
+CREATE UNIQUE INDEX idx_fx_rates_unique ON fx_rates(COALESCE(user_id, ''), base_currency, quote_currency, rate_date);
+CREATE INDEX idx_access_grants_owner_id ON access_grants(owner_id);
+CREATE INDEX idx_access_grants_grantee_id ON access_grants(grantee_id);
+CREATE INDEX idx_share_links_user_id ON share_links(user_id);
+CREATE INDEX idx_user_data_keys_master_key ON user_data_keys(master_key_id);
 CREATE INDEX idx_audit_logs_user_id ON audit_logs(user_id);
 CREATE INDEX idx_audit_logs_timestamp ON audit_logs(timestamp);
 
 -- Add comments for documentation
 COMMENT ON TABLE users IS 'User accounts with authentication details';
 COMMENT ON TABLE passkeys IS 'WebAuthn passkey credentials for biometric authentication';
+COMMENT ON TABLE households IS 'Groups of users who share and co-own assets';
+COMMENT ON TABLE household_members IS 'Household membership with owner, editor or viewer role';
 COMMENT ON TABLE assets IS 'User financial assets and portfolio items';
+COMMENT ON TABLE asset_owners IS 'Percentage of each household asset owned by each member';
+COMMENT ON TABLE asset_valuations IS 'Point-in-time valuation history for each asset, deleted with the asset';
+COMMENT ON TABLE asset_transactions IS 'Per-asset ledger from which holdings, cost basis and cash flows are derived';
+COMMENT ON TABLE asset_value_schedules IS 'Depreciation or appreciation schedules that generate valuations daily';
+COMMENT ON TABLE asset_documents IS 'Files attached to assets such as deeds, policies and appraisals';
+COMMENT ON TABLE tags IS 'User-defined labels for grouping assets';
+COMMENT ON TABLE asset_tags IS 'Tags assigned to each asset';
+COMMENT ON TABLE allocation_targets IS 'Target portfolio percentages and tolerance bands used for rebalancing';
+COMMENT ON TABLE beneficiaries IS 'People who inherit the user''s assets';
+COMMENT ON TABLE asset_beneficiaries IS 'Percentage of each asset designated to each beneficiary';
+COMMENT ON TABLE liabilities IS 'User debts, optionally linked to the asset they finance';
+COMMENT ON TABLE insurance_policies IS 'Insurance policies with coverage, premium and renewal details';
+COMMENT ON TABLE insurance_policy_assets IS 'Assets covered by each insurance policy';
+COMMENT ON TABLE fx_rates IS 'Currency exchange rates used to convert reports to the user base currency';
+COMMENT ON TABLE access_grants IS 'Time-limited read-only access to reports or asset categories for advisors';
+COMMENT ON TABLE share_links IS 'Expiring, optionally password-protected public links to a report';
+COMMENT ON TABLE user_data_keys IS 'Wrapped per-user encryption keys for sensitive fields and documents';
 COMMENT ON TABLE audit_logs IS 'Comprehensive audit trail of all user actions';
@@ -12,6 +12,18 @@ import RegisterPage from './pages/RegisterPage';
 import Dashboard from './pages/Dashboard';
 import AssetList from './pages/AssetList';
 import AddAsset from './pages/AddAsset';
+import ImportAssets from './pages/ImportAssets';
+import AssetDetail from './pages/AssetDetail';
+import TargetAllocation from './pages/TargetAllocation';
+import Projection from './pages/Projection';
+import InsurancePolicies from './pages/InsurancePolicies';
+import Estate from './pages/Estate';
+import Household from './pages/Household';
+import AdvisorAccess from './pages/AdvisorAccess';
+import AcceptAccess from './pages/AcceptAccess';
+import DelegatedPortfolio from './pages/DelegatedPortfolio';
+import Settings from './pages/Settings';
+import SharedReport from './pages/SharedReport';
 
 // Context
 import { AuthProvider, useAuth } from './context/AuthContext';
@@ -113,6 +125,9 @@ function App() {
                 } 
               />
               
+              {/* Shared report links open without logging in */}
+              <Route path="/shared-report/:token" element={<SharedReport />} />
+              
               {/* Private Routes */}
               <Route 
                 path="/dashboard" 
@@ -138,6 +153,102 @@ function App() {
                   </PrivateRoute>
                 } 
               />
+              <Route 
+                path="/assets/import" 
+                element={
+                  <PrivateRoute>
+                    <ImportAssets />
+                  </PrivateRoute>
+                } 
+              />
+              <Route 
+                path="/assets/:id" 
+                element={
+                  <PrivateRoute>
+                    <AssetDetail />
+                  </PrivateRoute>
+                } 
+              />
+              <Route 
+                path="/assets/:id/edit" 
+                element={
+                  <PrivateRoute>
+                    <AddAsset />
+                  </PrivateRoute>
+                } 
+              />
+              <Route 
+                path="/allocation" 
+                element={
+                  <PrivateRoute>
+                    <TargetAllocation />
+                  </PrivateRoute>
+                } 
+              />
+              <Route 
+                path="/projection" 
+                element={
+                  <PrivateRoute>
+                    <Projection />
+                  </PrivateRoute>
+                } 
+              />
+              <Route 
+                path="/insurance" 
+                element={
+                  <PrivateRoute>
+                    <InsurancePolicies />
+                  </PrivateRoute>
+                } 
+              />
+              <Route 
+                path="/estate" 
+                element={
+                  <PrivateRoute>
+                    <Estate />
+                  </PrivateRoute>
+                } 
+              />
+              <Route 
+                path="/household" 
+                element={
+                  <PrivateRoute>
+                    <Household />
+                  </PrivateRoute>
+                } 
+              />
+              <Route 
+                path="/access" 
+                element={
+                  <PrivateRoute>
+                    <AdvisorAccess />
+                  </PrivateRoute>
+                } 
+              />
+              <Route 
+                path="/access/accept" 
+                element={
+                  <PrivateRoute>
+                    <AcceptAccess />
+                  </PrivateRoute>
+                } 
+              />
+              <Route 
+                path="/shared/:grantId" 
+                element={
+                  <PrivateRoute>
+                    <DelegatedPortfolio />
+                  </PrivateRoute>
+                } 
+              />
+              <Route 
+                path="/settings" 
+                element={
+                  <PrivateRoute>
+                    <Settings />
+                  </PrivateRoute>
+                } 
+              />
               
               
               {/* Default redirect */}
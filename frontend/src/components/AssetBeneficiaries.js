@@ -0,0 +1,269 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import styled from 'styled-components';
+import toast from 'react-hot-toast';
+import { assetService } from '../services/assetService';
+import { beneficiaryService } from '../services/beneficiaryService';
+
+const Panel = styled.div`
+  padding: 1.5rem;
+`;
+
+const PanelHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  margin-bottom: 1rem;
+`;
+
+const PanelTitle = styled.h4`
+  font-size: 0.875rem;
+  font-weight: 600;
+  color: ${props => props.theme.colors.text};
+  margin: 0;
+`;
+
+const Input = styled.input`
+  padding: 0.375rem 0.5rem;
+  border: 1px solid ${props => props.theme.colors.border};
+  border-radius: ${props => props.theme.borderRadius.sm};
+  font-size: 0.875rem;
+  width: 90px;
+`;
+
+const Select = styled.select`
+  padding: 0.375rem 0.5rem;
+  border: 1px solid ${props => props.theme.colors.border};
+  border-radius: ${props => props.theme.borderRadius.sm};
+  background: white;
+  font-size: 0.875rem;
+`;
+
+const ActionButton = styled.button`
+  padding: 0.375rem 0.75rem;
+  border: 1px solid ${props => props.variant === 'danger' ? props.theme.colors.error : props.variant === 'primary' ? props.theme.colors.primary : props.theme.colors.border};
+  background: ${props => props.variant === 'danger' ? props.theme.colors.error : props.variant === 'primary' ? props.theme.colors.primary : 'white'};
+  color: ${props => props.variant === 'danger' || props.variant === 'primary' ? 'white' : props.theme.colors.text};
+  border-radius: ${props => props.theme.borderRadius.sm};
+  font-size: 0.75rem;
+  cursor: pointer;
+  transition: all 0.2s;
+
+  &:hover {
+    opacity: 0.8;
+  }
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`;
+
+const Table = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 0.875rem;
+
+  th, td {
+    padding: 0.5rem;
+    text-align: left;
+    border-bottom: 1px solid ${props => props.theme.colors.border};
+  }
+
+  th {
+    font-size: 0.75rem;
+    color: ${props => props.theme.colors.textLight};
+    text-transform: uppercase;
+    letter-spacing: 0.05em;
+  }
+`;
+
+const Footer = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  margin-top: 1rem;
+  gap: 0.5rem;
+`;
+
+const Total = styled.span`
+  font-size: 0.875rem;
+  font-weight: 600;
+  color: ${props => props.valid ? props.theme.colors.success : props.theme.colors.error};
+`;
+
+const Hint = styled.p`
+  font-size: 0.875rem;
+  color: ${props => props.theme.colors.textLight};
+  margin: 0;
+`;
+
+const formatRelationship = (relationship) => relationship.charAt(0).toUpperCase() + relationship.slice(1);
+
+// Who inherits this asset and in what shares. Shares must add up to 100%.
+const AssetBeneficiaries = ({ assetId }) => {
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [designations, setDesignations] = useState([]);
+  const [beneficiaries, setBeneficiaries] = useState([]);
+  const [rows, setRows] = useState(null); // rows being edited, or null
+
+  useEffect(() => {
+    loadDesignations();
+  }, [assetId]);
+
+  const loadDesignations = async () => {
+    try {
+      setLoading(true);
+      const [designationResponse, beneficiaryResponse] = await Promise.all([
+        assetService.getBeneficiaries(assetId),
+        beneficiaryService.getBeneficiaries()
+      ]);
+      setDesignations(designationResponse.designations || []);
+      setBeneficiaries(beneficiaryResponse.beneficiaries || []);
+    } catch (error) {
+      console.error('Failed to load beneficiaries:', error);
+      toast.error('Failed to load beneficiaries');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const startEditing = () => {
+    setRows(designations.length > 0
+      ? designations.map(designation => ({ beneficiaryId: designation.beneficiaryId, percentage: String(designation.percentage) }))
+      : [{ beneficiaryId: beneficiaries[0].id, percentage: '100' }]);
+  };
+
+  const updateRow = (index, field, value) => {
+    setRows(prev => prev.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+  };
+
+  const addRow = () => {
+    const used = new Set(rows.map(row => row.beneficiaryId));
+    const next = beneficiaries.find(beneficiary => !used.has(beneficiary.id));
+    const remaining = 100 - rows.reduce((sum, row) => sum + (parseFloat(row.percentage) || 0), 0);
+    setRows(prev => [...prev, { beneficiaryId: next.id, percentage: remaining > 0 ? String(parseFloat(remaining.toFixed(2))) : '' }]);
+  };
+
+  const removeRow = (index) => {
+    setRows(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const total = rows ? rows.reduce((sum, row) => sum + (parseFloat(row.percentage) || 0), 0) : 0;
+  const totalValid = rows !== null && (rows.length === 0 || Math.abs(total - 100) <= 0.01);
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      const response = await assetService.setBeneficiaries(assetId, rows.map(row => ({
+        beneficiaryId: row.beneficiaryId,
+        percentage: parseFloat(row.percentage)
+      })));
+      setDesignations(response.designations);
+      setRows(null);
+      toast.success(response.message);
+    } catch (error) {
+      console.error('Failed to save beneficiaries:', error);
+      toast.error(error.response?.data?.message || error.response?.data?.details?.[0]?.msg || 'Failed to save beneficiaries');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Panel>
+      <PanelHeader>
+        <PanelTitle>Beneficiaries</PanelTitle>
+        {!loading && rows === null && beneficiaries.length > 0 && (
+          <ActionButton onClick={startEditing}>
+            {designations.length > 0 ? '✏️ Edit' : '+ Designate'}
+          </ActionButton>
+        )}
+      </PanelHeader>
+
+      {loading ? (
+        <Hint>Loading beneficiaries...</Hint>
+      ) : rows !== null ? (
+        <>
+          <Table>
+            <thead>
+              <tr>
+                <th>Beneficiary</th>
+                <th>Share %</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row, index) => (
+                <tr key={index}>
+                  <td>
+                    <Select value={row.beneficiaryId} onChange={(e) => updateRow(index, 'beneficiaryId', e.target.value)}>
+                      {beneficiaries.map(beneficiary => (
+                        <option key={beneficiary.id} value={beneficiary.id}>
+                          {beneficiary.name} ({formatRelationship(beneficiary.relationship)})
+                        </option>
+                      ))}
+                    </Select>
+                  </td>
+                  <td>
+                    <Input
+                      type="number"
+                      min="0.01"
+                      max="100"
+                      step="0.01"
+                      value={row.percentage}
+                      onChange={(e) => updateRow(index, 'percentage', e.target.value)}
+                    />
+                  </td>
+                  <td>
+                    <ActionButton variant="danger" onClick={() => removeRow(index)}>Remove</ActionButton>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+          <Footer>
+            <Total valid={totalValid}>
+              Total: {parseFloat(total.toFixed(2))}%{!totalValid && ' (must add up to 100%)'}
+            </Total>
+            <div style={{ display: 'flex', gap: '0.5rem' }}>
+              <ActionButton onClick={addRow} disabled={rows.length >= beneficiaries.length}>+ Add Beneficiary</ActionButton>
+              <ActionButton variant="primary" onClick={handleSave} disabled={saving || !totalValid}>
+                {saving ? 'Saving...' : 'Save'}
+              </ActionButton>
+              <ActionButton onClick={() => setRows(null)} disabled={saving}>Cancel</ActionButton>
+            </div>
+          </Footer>
+        </>
+      ) : beneficiaries.length === 0 ? (
+        <Hint>
+          No beneficiaries yet. <Link to="/estate">Add beneficiaries</Link> to record who inherits this asset.
+        </Hint>
+      ) : designations.length === 0 ? (
+        <Hint>No beneficiaries designated for this asset.</Hint>
+      ) : (
+        <Table>
+          <thead>
+            <tr>
+              <th>Beneficiary</th>
+              <th>Relationship</th>
+              <th>Share</th>
+            </tr>
+          </thead>
+          <tbody>
+            {designations.map(designation => (
+              <tr key={designation.beneficiaryId}>
+                <td>{designation.name}</td>
+                <td>{formatRelationship(designation.relationship)}</td>
+                <td>{designation.percentage}%</td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+      )}
+    </Panel>
+  );
+};
+
+export default AssetBeneficiaries;
@@ -0,0 +1,252 @@
+import React, { useState, useEffect, useRef } from 'react';
+import styled from 'styled-components';
+import toast from 'react-hot-toast';
+import { assetService } from '../services/assetService';
+
+const Panel = styled.div`
+  padding: 1.5rem;
+  border-top: 1px solid ${props => props.theme.colors.border};
+`;
+
+const PanelTitle = styled.h4`
+  font-size: 0.875rem;
+  font-weight: 600;
+  color: ${props => props.theme.colors.text};
+  margin: 0 0 1rem 0;
+`;
+
+const UploadRow = styled.div`
+  display: flex;
+  gap: 0.5rem;
+  align-items: center;
+  flex-wrap: wrap;
+  margin-bottom: 1rem;
+`;
+
+const Select = styled.select`
+  padding: 0.375rem 0.5rem;
+  border: 1px solid ${props => props.theme.colors.border};
+  border-radius: ${props => props.theme.borderRadius.sm};
+  background: white;
+  font-size: 0.875rem;
+`;
+
+const FileInput = styled.input`
+  font-size: 0.875rem;
+  flex: 1;
+  min-width: 200px;
+`;
+
+const ActionButton = styled.button`
+  padding: 0.25rem 0.5rem;
+  border: 1px solid ${props => props.variant === 'danger' ? props.theme.colors.error : props.theme.colors.border};
+  background: ${props => props.variant === 'danger' ? props.theme.colors.error : 'white'};
+  color: ${props => props.variant === 'danger' ? 'white' : props.theme.colors.text};
+  border-radius: ${props => props.theme.borderRadius.sm};
+  font-size: 0.75rem;
+  cursor: pointer;
+  transition: all 0.2s;
+
+  &:hover {
+    opacity: 0.8;
+  }
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`;
+
+const DocumentList = styled.ul`
+  list-style: none;
+  margin: 0;
+  padding: 0;
+`;
+
+const DocumentItem = styled.li`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  gap: 1rem;
+  padding: 0.5rem 0;
+  border-bottom: 1px solid ${props => props.theme.colors.border};
+
+  &:last-child {
+    border-bottom: none;
+  }
+`;
+
+const DocumentName = styled.div`
+  font-size: 0.875rem;
+  font-weight: 500;
+  color: ${props => props.theme.colors.text};
+  word-break: break-all;
+`;
+
+const DocumentMeta = styled.div`
+  font-size: 0.75rem;
+  color: ${props => props.theme.colors.textLight};
+`;
+
+const Hint = styled.p`
+  font-size: 0.875rem;
+  color: ${props => props.theme.colors.textLight};
+  margin: 0;
+`;
+
+const DocumentTypes = [
+  { value: 'deed', label: 'Deed' },
+  { value: 'insurance_policy', label: 'Insurance Policy' },
+  { value: 'appraisal', label: 'Appraisal' },
+  { value: 'statement', label: 'Statement' },
+  { value: 'receipt', label: 'Receipt' },
+  { value: 'other', label: 'Other' }
+];
+
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const formatDocumentType = (type) => {
+  const match = DocumentTypes.find(option => option.value === type);
+  return match ? match.label : type;
+};
+
+// Attachments panel for a single asset: list, upload, download and delete
+const AssetDocuments = ({ assetId }) => {
+  const [loading, setLoading] = useState(true);
+  const [uploading, setUploading] = useState(false);
+  const [deleting, setDeleting] = useState(null);
+  const [documents, setDocuments] = useState([]);
+  const [documentType, setDocumentType] = useState('other');
+  const [file, setFile] = useState(null);
+  const fileInput = useRef(null);
+
+  useEffect(() => {
+    loadDocuments();
+  }, [assetId]);
+
+  const loadDocuments = async () => {
+    try {
+      setLoading(true);
+      const response = await assetService.getDocuments(assetId);
+      setDocuments(response.documents || []);
+    } catch (error) {
+      console.error('Failed to load documents:', error);
+      toast.error('Failed to load documents');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleUpload = async () => {
+    if (!file) return;
+
+    try {
+      setUploading(true);
+      const response = await assetService.uploadDocument(assetId, file, { documentType });
+      setDocuments(prevDocuments => [response.document, ...prevDocuments]);
+      setFile(null);
+      if (fileInput.current) fileInput.current.value = '';
+      toast.success(`"${response.document.fileName}" uploaded`);
+    } catch (error) {
+      console.error('Failed to upload document:', error);
+      toast.error(error.response?.data?.message || 'Failed to upload document');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleDownload = async (document) => {
+    try {
+      const blob = await assetService.downloadDocument(assetId, document.id);
+      const url = window.URL.createObjectURL(blob);
+      const link = window.document.createElement('a');
+      link.href = url;
+      link.download = document.fileName;
+      link.click();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Failed to download document:', error);
+      toast.error('Failed to download document');
+    }
+  };
+
+  const handleDelete = async (document) => {
+    if (!window.confirm(`Delete "${document.fileName}"? This action cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      setDeleting(document.id);
+      await assetService.deleteDocument(assetId, document.id);
+      setDocuments(prevDocuments => prevDocuments.filter(item => item.id !== document.id));
+      toast.success(`"${document.fileName}" has been deleted`);
+    } catch (error) {
+      console.error('Failed to delete document:', error);
+      toast.error('Failed to delete document. Please try again.');
+    } finally {
+      setDeleting(null);
+    }
+  };
+
+  return (
+    <Panel>
+      <PanelTitle>Documents</PanelTitle>
+
+      <UploadRow>
+        <Select value={documentType} onChange={(e) => setDocumentType(e.target.value)}>
+          {DocumentTypes.map(type => (
+            <option key={type.value} value={type.value}>
+              {type.label}
+            </option>
+          ))}
+        </Select>
+        <FileInput
+          ref={fileInput}
+          type="file"
+          accept=".pdf,.png,.jpg,.jpeg"
+          onChange={(e) => setFile(e.target.files[0] || null)}
+        />
+        <ActionButton onClick={handleUpload} disabled={!file || uploading}>
+          {uploading ? 'Uploading...' : '⬆ Upload'}
+        </ActionButton>
+      </UploadRow>
+
+      {loading ? (
+        <Hint>Loading documents...</Hint>
+      ) : documents.length === 0 ? (
+        <Hint>No documents attached yet. PDF, PNG and JPEG files up to 10 MB are supported.</Hint>
+      ) : (
+        <DocumentList>
+          {documents.map(document => (
+            <DocumentItem key={document.id}>
+              <div>
+                <DocumentName>{document.fileName}</DocumentName>
+                <DocumentMeta>
+                  {formatDocumentType(document.documentType)} · {formatSize(document.size)} · {new Date(document.uploadedAt).toLocaleDateString()}
+                </DocumentMeta>
+              </div>
+              <div style={{ display: 'flex', gap: '0.5rem' }}>
+                <ActionButton onClick={() => handleDownload(document)}>
+                  ⬇ Download
+                </ActionButton>
+                <ActionButton
+                  variant="danger"
+                  onClick={() => handleDelete(document)}
+                  disabled={deleting === document.id}
+                >
+                  {deleting === document.id ? 'Deleting...' : '🗑️ Delete'}
+                </ActionButton>
+              </div>
+            </DocumentItem>
+          ))}
+        </DocumentList>
+      )}
+    </Panel>
+  );
+};
+
+export default AssetDocuments;
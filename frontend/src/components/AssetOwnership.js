@@ -0,0 +1,285 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import styled from 'styled-components';
+import toast from 'react-hot-toast';
+import { assetService } from '../services/assetService';
+import { householdService } from '../services/householdService';
+
+const Panel = styled.div`
+  padding: 1.5rem;
+`;
+
+const PanelHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  margin-bottom: 1rem;
+`;
+
+const PanelTitle = styled.h4`
+  font-size: 0.875rem;
+  font-weight: 600;
+  color: ${props => props.theme.colors.text};
+  margin: 0;
+`;
+
+const Input = styled.input`
+  padding: 0.375rem 0.5rem;
+  border: 1px solid ${props => props.theme.colors.border};
+  border-radius: ${props => props.theme.borderRadius.sm};
+  font-size: 0.875rem;
+  width: 90px;
+`;
+
+const Select = styled.select`
+  padding: 0.375rem 0.5rem;
+  border: 1px solid ${props => props.theme.colors.border};
+  border-radius: ${props => props.theme.borderRadius.sm};
+  background: white;
+  font-size: 0.875rem;
+`;
+
+const ActionButton = styled.button`
+  padding: 0.375rem 0.75rem;
+  border: 1px solid ${props => props.variant === 'danger' ? props.theme.colors.error : props.variant === 'primary' ? props.theme.colors.primary : props.theme.colors.border};
+  background: ${props => props.variant === 'danger' ? props.theme.colors.error : props.variant === 'primary' ? props.theme.colors.primary : 'white'};
+  color: ${props => props.variant === 'danger' || props.variant === 'primary' ? 'white' : props.theme.colors.text};
+  border-radius: ${props => props.theme.borderRadius.sm};
+  font-size: 0.75rem;
+  cursor: pointer;
+  transition: all 0.2s;
+
+  &:hover {
+    opacity: 0.8;
+  }
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`;
+
+const Table = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 0.875rem;
+
+  th, td {
+    padding: 0.5rem;
+    text-align: left;
+    border-bottom: 1px solid ${props => props.theme.colors.border};
+  }
+
+  th {
+    font-size: 0.75rem;
+    color: ${props => props.theme.colors.textLight};
+    text-transform: uppercase;
+    letter-spacing: 0.05em;
+  }
+`;
+
+const Footer = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  margin-top: 1rem;
+  gap: 0.5rem;
+`;
+
+const Total = styled.span`
+  font-size: 0.875rem;
+  font-weight: 600;
+  color: ${props => props.valid ? props.theme.colors.success : props.theme.colors.error};
+`;
+
+const Hint = styled.p`
+  font-size: 0.875rem;
+  color: ${props => props.theme.colors.textLight};
+  margin: 0;
+`;
+
+const memberName = (member) => (
+  [member.firstName, member.lastName].filter(Boolean).join(' ') || member.email
+);
+
+// How a household asset is split between members. Percentages must add up to
+// 100; an asset with no owners is private to whoever created it.
+const AssetOwnership = ({ asset, onChange }) => {
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [owners, setOwners] = useState([]);
+  const [canManage, setCanManage] = useState(false);
+  const [household, setHousehold] = useState(null);
+  const [rows, setRows] = useState(null); // rows being edited, or null
+
+  useEffect(() => {
+    loadOwnership();
+  }, [asset.id]);
+
+  const loadOwnership = async () => {
+    try {
+      setLoading(true);
+      const [ownershipResponse, householdResponse] = await Promise.all([
+        assetService.getOwnership(asset.id),
+        householdService.getHousehold()
+      ]);
+      setOwners(ownershipResponse.owners || []);
+      setCanManage(ownershipResponse.canManage);
+      setHousehold(householdResponse.household);
+    } catch (error) {
+      console.error('Failed to load ownership:', error);
+      toast.error('Failed to load ownership');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const startEditing = () => {
+    setRows(owners.length > 0
+      ? owners.map(owner => ({ userId: owner.userId, percentage: String(owner.percentage) }))
+      : [{ userId: asset.userId, percentage: '100' }]);
+  };
+
+  const updateRow = (index, field, value) => {
+    setRows(prev => prev.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+  };
+
+  const addRow = () => {
+    const used = new Set(rows.map(row => row.userId));
+    const next = household.members.find(member => !used.has(member.userId));
+    const remaining = 100 - rows.reduce((sum, row) => sum + (parseFloat(row.percentage) || 0), 0);
+    setRows(prev => [...prev, { userId: next.userId, percentage: remaining > 0 ? String(parseFloat(remaining.toFixed(2))) : '' }]);
+  };
+
+  const removeRow = (index) => {
+    setRows(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const total = rows ? rows.reduce((sum, row) => sum + (parseFloat(row.percentage) || 0), 0) : 0;
+  const totalValid = rows !== null && rows.length > 0 && Math.abs(total - 100) <= 0.01;
+
+  const saveOwners = async (entries) => {
+    try {
+      setSaving(true);
+      const response = await assetService.setOwnership(asset.id, entries);
+      setOwners(response.owners);
+      setRows(null);
+      toast.success(response.message);
+      onChange?.();
+    } catch (error) {
+      console.error('Failed to save ownership:', error);
+      toast.error(error.response?.data?.message || error.response?.data?.details?.[0]?.msg || 'Failed to save ownership');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSave = () => saveOwners(rows.map(row => ({
+    userId: row.userId,
+    percentage: parseFloat(row.percentage)
+  })));
+
+  const handleMakePrivate = () => {
+    if (window.confirm('Stop sharing this asset? It will belong wholly to its creator again.')) {
+      saveOwners([]);
+    }
+  };
+
+  return (
+    <Panel>
+      <PanelHeader>
+        <PanelTitle>Ownership</PanelTitle>
+        {!loading && rows === null && canManage && household && (
+          <div style={{ display: 'flex', gap: '0.5rem' }}>
+            {owners.length > 0 && (
+              <ActionButton variant="danger" onClick={handleMakePrivate} disabled={saving}>Make Private</ActionButton>
+            )}
+            <ActionButton onClick={startEditing}>
+              {owners.length > 0 ? '✏️ Edit' : '+ Share with Household'}
+            </ActionButton>
+          </div>
+        )}
+      </PanelHeader>
+
+      {loading ? (
+        <Hint>Loading ownership...</Hint>
+      ) : rows !== null ? (
+        <>
+          <Table>
+            <thead>
+              <tr>
+                <th>Member</th>
+                <th>Share %</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row, index) => (
+                <tr key={index}>
+                  <td>
+                    <Select value={row.userId} onChange={(e) => updateRow(index, 'userId', e.target.value)}>
+                      {household.members.map(member => (
+                        <option key={member.userId} value={member.userId}>{memberName(member)}</option>
+                      ))}
+                    </Select>
+                  </td>
+                  <td>
+                    <Input
+                      type="number"
+                      min="0.01"
+                      max="100"
+                      step="0.01"
+                      value={row.percentage}
+                      onChange={(e) => updateRow(index, 'percentage', e.target.value)}
+                    />
+                  </td>
+                  <td>
+                    <ActionButton variant="danger" onClick={() => removeRow(index)} disabled={rows.length === 1}>Remove</ActionButton>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+          <Footer>
+            <Total valid={totalValid}>
+              Total: {parseFloat(total.toFixed(2))}%{!totalValid && ' (must add up to 100%)'}
+            </Total>
+            <div style={{ display: 'flex', gap: '0.5rem' }}>
+              <ActionButton onClick={addRow} disabled={rows.length >= household.members.length}>+ Add Member</ActionButton>
+              <ActionButton variant="primary" onClick={handleSave} disabled={saving || !totalValid}>
+                {saving ? 'Saving...' : 'Save'}
+              </ActionButton>
+              <ActionButton onClick={() => setRows(null)} disabled={saving}>Cancel</ActionButton>
+            </div>
+          </Footer>
+        </>
+      ) : owners.length === 0 ? (
+        <Hint>
+          Private to you.
+          {canManage && !household && (
+            <> <Link to="/household">Set up a household</Link> to share it with family members.</>
+          )}
+        </Hint>
+      ) : (
+        <Table>
+          <thead>
+            <tr>
+              <th>Member</th>
+              <th>Share</th>
+            </tr>
+          </thead>
+          <tbody>
+            {owners.map(owner => (
+              <tr key={owner.userId}>
+                <td>{memberName(owner)}</td>
+                <td>{owner.percentage}%</td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+      )}
+    </Panel>
+  );
+};
+
+export default AssetOwnership;
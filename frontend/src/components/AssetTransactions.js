@@ -0,0 +1,406 @@
+import React, { useState, useEffect } from 'react';
+import { useForm } from 'react-hook-form';
+import styled from 'styled-components';
+import toast from 'react-hot-toast';
+import { assetService } from '../services/assetService';
+
+const Panel = styled.div`
+  padding: 1.5rem;
+  border-top: 1px solid ${props => props.theme.colors.border};
+`;
+
+const PanelTitle = styled.h4`
+  font-size: 0.875rem;
+  font-weight: 600;
+  color: ${props => props.theme.colors.text};
+  margin: 0 0 1rem 0;
+`;
+
+const SummaryGrid = styled.div`
+  display: grid;
+  grid-template-columns: repeat(auto-fit, minmax(130px, 1fr));
+  gap: 1rem;
+  margin-bottom: 1.5rem;
+`;
+
+const SummaryItem = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 0.25rem;
+`;
+
+const SummaryLabel = styled.span`
+  font-size: 0.75rem;
+  color: ${props => props.theme.colors.textLight};
+  text-transform: uppercase;
+  letter-spacing: 0.05em;
+`;
+
+const SummaryValue = styled.span`
+  font-size: 0.875rem;
+  font-weight: 600;
+  color: ${props => props.theme.colors.text};
+`;
+
+const TransactionForm = styled.form`
+  display: flex;
+  gap: 0.5rem;
+  flex-wrap: wrap;
+  align-items: center;
+  margin-bottom: 1rem;
+`;
+
+const Input = styled.input`
+  padding: 0.375rem 0.5rem;
+  border: 1px solid ${props => props.theme.colors.border};
+  border-radius: ${props => props.theme.borderRadius.sm};
+  font-size: 0.875rem;
+  width: ${props => props.width || 'auto'};
+`;
+
+const Select = styled.select`
+  padding: 0.375rem 0.5rem;
+  border: 1px solid ${props => props.theme.colors.border};
+  border-radius: ${props => props.theme.borderRadius.sm};
+  background: white;
+  font-size: 0.875rem;
+`;
+
+const ActionButton = styled.button`
+  padding: 0.25rem 0.5rem;
+  border: 1px solid ${props => props.variant === 'danger' ? props.theme.colors.error : props.variant === 'primary' ? props.theme.colors.primary : props.theme.colors.border};
+  background: ${props => props.variant === 'danger' ? props.theme.colors.error : props.variant === 'primary' ? props.theme.colors.primary : 'white'};
+  color: ${props => props.variant === 'danger' || props.variant === 'primary' ? 'white' : props.theme.colors.text};
+  border-radius: ${props => props.theme.borderRadius.sm};
+  font-size: 0.75rem;
+  cursor: pointer;
+  transition: all 0.2s;
+
+  &:hover {
+    opacity: 0.8;
+  }
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`;
+
+const Table = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 0.875rem;
+
+  th, td {
+    padding: 0.5rem;
+    text-align: left;
+    border-bottom: 1px solid ${props => props.theme.colors.border};
+  }
+
+  th {
+    font-size: 0.75rem;
+    color: ${props => props.theme.colors.textLight};
+    text-transform: uppercase;
+    letter-spacing: 0.05em;
+  }
+`;
+
+const LotPicker = styled.div`
+  width: 100%;
+  display: flex;
+  flex-direction: column;
+  gap: 0.25rem;
+  font-size: 0.75rem;
+  color: ${props => props.theme.colors.textLight};
+`;
+
+const LotRow = styled.label`
+  display: flex;
+  align-items: center;
+  gap: 0.5rem;
+`;
+
+const Hint = styled.p`
+  font-size: 0.875rem;
+  color: ${props => props.theme.colors.textLight};
+  margin: 0;
+`;
+
+const TransactionTypes = [
+  { value: 'buy', label: 'Buy' },
+  { value: 'sell', label: 'Sell' },
+  { value: 'deposit', label: 'Deposit' },
+  { value: 'withdrawal', label: 'Withdrawal' },
+  { value: 'income', label: 'Income' }
+];
+
+// How a sell matches units to lots that weren't picked by hand. It is saved
+// with the sell, so choosing another method later never rematches it.
+const LotMethods = [
+  { value: 'fifo', label: 'FIFO (oldest first)' },
+  { value: 'lifo', label: 'LIFO (newest first)' },
+  { value: 'hifo', label: 'HIFO (highest cost first)' }
+];
+
+const emptyTransaction = { type: 'buy', date: '', quantity: '', amount: '', fees: '', memo: '', lotMethod: 'fifo' };
+
+const formatTransactionType = (type) => {
+  const match = TransactionTypes.find(option => option.value === type);
+  return match ? match.label : type;
+};
+
+// Transaction ledger for a single asset. Holdings and cost basis shown here
+// are derived by the server; `onChange` lets the parent refresh the asset.
+const AssetTransactions = ({ assetId, currency = 'USD', onChange }) => {
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [deleting, setDeleting] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [transactions, setTransactions] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [lotSelections, setLotSelections] = useState({});
+  const { register, handleSubmit, reset, watch } = useForm({ defaultValues: emptyTransaction });
+  const transactionType = watch('type');
+
+  useEffect(() => {
+    loadTransactions();
+  }, [assetId]);
+
+  const loadTransactions = async () => {
+    try {
+      setLoading(true);
+      const response = await assetService.getTransactions(assetId);
+      setTransactions(response.transactions || []);
+      setSummary(response.summary || null);
+    } catch (error) {
+      console.error('Failed to load transactions:', error);
+      toast.error('Failed to load transactions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const formatCurrency = (value) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency
+    }).format(value);
+  };
+
+  const startEditing = (transaction) => {
+    setEditing(transaction.id);
+    reset({
+      type: transaction.type,
+      date: transaction.date,
+      quantity: transaction.quantity ?? '',
+      amount: transaction.amount,
+      fees: transaction.fees || '',
+      memo: transaction.memo || '',
+      lotMethod: transaction.lotMethod || 'fifo'
+    });
+  };
+
+  const cancelEditing = () => {
+    setEditing(null);
+    setLotSelections({});
+    reset(emptyTransaction);
+  };
+
+  // Specific lots chosen for a new sell; empty means matching by the lot method
+  const selectedLots = () => Object.entries(lotSelections)
+    .filter(([, quantity]) => parseFloat(quantity) > 0)
+    .map(([lotId, quantity]) => ({ lotId, quantity: parseFloat(quantity) }));
+
+  const onSubmit = async (data) => {
+    const transactionData = {
+      type: data.type,
+      date: data.date,
+      quantity: data.quantity === '' ? null : parseFloat(data.quantity),
+      amount: parseFloat(data.amount),
+      fees: data.fees === '' ? 0 : parseFloat(data.fees),
+      memo: data.memo
+    };
+    if (data.type === 'sell' && transactionData.quantity) {
+      transactionData.lotMethod = data.lotMethod;
+    }
+    if (!editing && data.type === 'sell') {
+      const lots = selectedLots();
+      if (lots.length > 0) {
+        transactionData.lots = lots;
+        transactionData.quantity = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+      }
+    }
+
+    try {
+      setSaving(true);
+      if (editing) {
+        await assetService.updateTransaction(assetId, editing, transactionData);
+        toast.success('Transaction updated');
+      } else {
+        await assetService.addTransaction(assetId, transactionData);
+        toast.success('Transaction recorded');
+      }
+      cancelEditing();
+      await loadTransactions();
+      if (onChange) onChange();
+    } catch (error) {
+      console.error('Failed to save transaction:', error);
+      toast.error(error.response?.data?.message || error.response?.data?.details?.[0]?.msg || 'Failed to save transaction');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (transaction) => {
+    if (!window.confirm(`Delete this ${formatTransactionType(transaction.type).toLowerCase()} from ${transaction.date}?`)) {
+      return;
+    }
+
+    try {
+      setDeleting(transaction.id);
+      await assetService.deleteTransaction(assetId, transaction.id);
+      toast.success('Transaction deleted');
+      await loadTransactions();
+      if (onChange) onChange();
+    } catch (error) {
+      console.error('Failed to delete transaction:', error);
+      toast.error(error.response?.data?.message || 'Failed to delete transaction');
+    } finally {
+      setDeleting(null);
+    }
+  };
+
+  return (
+    <Panel>
+      <PanelTitle>Transactions</PanelTitle>
+
+      {summary && summary.count > 0 && (
+        <SummaryGrid>
+          {summary.hasQuantity && (
+            <SummaryItem>
+              <SummaryLabel>Quantity Held</SummaryLabel>
+              <SummaryValue>{summary.quantity.toLocaleString(undefined, { maximumFractionDigits: 8 })}</SummaryValue>
+            </SummaryItem>
+          )}
+          <SummaryItem>
+            <SummaryLabel>Cost Basis</SummaryLabel>
+            <SummaryValue>{formatCurrency(summary.costBasis)}</SummaryValue>
+          </SummaryItem>
+          <SummaryItem>
+            <SummaryLabel>Net Contributions</SummaryLabel>
+            <SummaryValue>{formatCurrency(summary.netContributions)}</SummaryValue>
+          </SummaryItem>
+          <SummaryItem>
+            <SummaryLabel>Income</SummaryLabel>
+            <SummaryValue>{formatCurrency(summary.income)}</SummaryValue>
+          </SummaryItem>
+          <SummaryItem>
+            <SummaryLabel>Realized Gain</SummaryLabel>
+            <SummaryValue>{formatCurrency(summary.realizedGain)}</SummaryValue>
+          </SummaryItem>
+        </SummaryGrid>
+      )}
+
+      <TransactionForm onSubmit={handleSubmit(onSubmit)}>
+        <Select {...register('type')}>
+          {TransactionTypes.map(type => (
+            <option key={type.value} value={type.value}>
+              {type.label}
+            </option>
+          ))}
+        </Select>
+        <Input type="date" {...register('date', { required: true })} />
+        <Input type="number" step="any" min="0" placeholder="Quantity" width="100px" {...register('quantity')} />
+        <Input type="number" step="0.01" min="0" placeholder="Amount" width="110px" {...register('amount', { required: true })} />
+        <Input type="number" step="0.01" min="0" placeholder="Fees" width="80px" {...register('fees')} />
+        <Input type="text" placeholder="Memo" maxLength={500} {...register('memo')} />
+        {transactionType === 'sell' && (
+          <Select {...register('lotMethod')} title="Lot method">
+            {LotMethods.map(method => (
+              <option key={method.value} value={method.value}>
+                {method.label}
+              </option>
+            ))}
+          </Select>
+        )}
+        <ActionButton type="submit" variant="primary" disabled={saving}>
+          {saving ? 'Saving...' : editing ? 'Save' : '+ Add'}
+        </ActionButton>
+        {editing && (
+          <ActionButton type="button" onClick={cancelEditing} disabled={saving}>
+            Cancel
+          </ActionButton>
+        )}
+        {!editing && transactionType === 'sell' && summary?.openLots?.length > 0 && (
+          <LotPicker>
+            <span>Sell specific lots (optional, otherwise lots are matched by the lot method):</span>
+            {summary.openLots.map(lot => (
+              <LotRow key={lot.id}>
+                <Input
+                  type="number"
+                  step="any"
+                  min="0"
+                  max={lot.remaining}
+                  width="100px"
+                  placeholder="Qty"
+                  value={lotSelections[lot.id] || ''}
+                  onChange={(e) => setLotSelections(prev => ({ ...prev, [lot.id]: e.target.value }))}
+                />
+                {lot.date} · {lot.remaining} of {lot.quantity} left · {formatCurrency(lot.unitCost)} each
+              </LotRow>
+            ))}
+          </LotPicker>
+        )}
+      </TransactionForm>
+
+      {loading ? (
+        <Hint>Loading transactions...</Hint>
+      ) : transactions.length === 0 ? (
+        <Hint>No transactions yet. Record buys, sells, deposits, withdrawals and income to track cost basis and contributions.</Hint>
+      ) : (
+        <Table>
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Type</th>
+              <th>Quantity</th>
+              <th>Amount</th>
+              <th>Fees</th>
+              <th>Memo</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {transactions.map(transaction => (
+              <tr key={transaction.id}>
+                <td>{transaction.date}</td>
+                <td>
+                  {formatTransactionType(transaction.type)}
+                  {transaction.lotMethod && ` (${transaction.lotMethod.toUpperCase()})`}
+                </td>
+                <td>{transaction.quantity ?? '—'}</td>
+                <td>{formatCurrency(transaction.amount)}</td>
+                <td>{transaction.fees ? formatCurrency(transaction.fees) : '—'}</td>
+                <td>{transaction.memo || ''}</td>
+                <td style={{ whiteSpace: 'nowrap' }}>
+                  <ActionButton onClick={() => startEditing(transaction)} disabled={saving}>
+                    ✏️
+                  </ActionButton>{' '}
+                  <ActionButton
+                    variant="danger"
+                    onClick={() => handleDelete(transaction)}
+                    disabled={deleting === transaction.id}
+                  >
+                    {deleting === transaction.id ? '...' : '🗑️'}
+                  </ActionButton>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+      )}
+    </Panel>
+  );
+};
+
+export default AssetTransactions;
@@ -0,0 +1,362 @@
+import React, { useState, useEffect } from 'react';
+import { useForm } from 'react-hook-form';
+import styled from 'styled-components';
+import toast from 'react-hot-toast';
+import { assetService } from '../services/assetService';
+
+const Panel = styled.div`
+  padding: 1.5rem;
+`;
+
+const PanelHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  margin-bottom: 1rem;
+`;
+
+const PanelTitle = styled.h4`
+  font-size: 0.875rem;
+  font-weight: 600;
+  color: ${props => props.theme.colors.text};
+  margin: 0;
+`;
+
+const SummaryGrid = styled.div`
+  display: grid;
+  grid-template-columns: repeat(auto-fit, minmax(130px, 1fr));
+  gap: 1rem;
+  margin-bottom: 1.5rem;
+`;
+
+const SummaryItem = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 0.25rem;
+`;
+
+const SummaryLabel = styled.span`
+  font-size: 0.75rem;
+  color: ${props => props.theme.colors.textLight};
+  text-transform: uppercase;
+  letter-spacing: 0.05em;
+`;
+
+const SummaryValue = styled.span`
+  font-size: 0.875rem;
+  font-weight: 600;
+  color: ${props => props.theme.colors.text};
+`;
+
+const ScheduleForm = styled.form`
+  display: flex;
+  gap: 0.75rem;
+  flex-wrap: wrap;
+  align-items: flex-end;
+  margin-bottom: 1rem;
+`;
+
+const Field = styled.label`
+  display: flex;
+  flex-direction: column;
+  gap: 0.25rem;
+  font-size: 0.75rem;
+  color: ${props => props.theme.colors.textLight};
+`;
+
+const Input = styled.input`
+  padding: 0.375rem 0.5rem;
+  border: 1px solid ${props => props.theme.colors.border};
+  border-radius: ${props => props.theme.borderRadius.sm};
+  font-size: 0.875rem;
+  width: ${props => props.width || 'auto'};
+`;
+
+const Select = styled.select`
+  padding: 0.375rem 0.5rem;
+  border: 1px solid ${props => props.theme.colors.border};
+  border-radius: ${props => props.theme.borderRadius.sm};
+  background: white;
+  font-size: 0.875rem;
+`;
+
+const ActionButton = styled.button`
+  padding: 0.375rem 0.75rem;
+  border: 1px solid ${props => props.variant === 'danger' ? props.theme.colors.error : props.variant === 'primary' ? props.theme.colors.primary : props.theme.colors.border};
+  background: ${props => props.variant === 'danger' ? props.theme.colors.error : props.variant === 'primary' ? props.theme.colors.primary : 'white'};
+  color: ${props => props.variant === 'danger' || props.variant === 'primary' ? 'white' : props.theme.colors.text};
+  border-radius: ${props => props.theme.borderRadius.sm};
+  font-size: 0.75rem;
+  cursor: pointer;
+  transition: all 0.2s;
+
+  &:hover {
+    opacity: 0.8;
+  }
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`;
+
+const Table = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 0.875rem;
+
+  th, td {
+    padding: 0.5rem;
+    text-align: left;
+    border-bottom: 1px solid ${props => props.theme.colors.border};
+  }
+
+  th {
+    font-size: 0.75rem;
+    color: ${props => props.theme.colors.textLight};
+    text-transform: uppercase;
+    letter-spacing: 0.05em;
+  }
+`;
+
+const Hint = styled.p`
+  font-size: 0.875rem;
+  color: ${props => props.theme.colors.textLight};
+  margin: 0 0 1rem 0;
+`;
+
+const ScheduleMethods = [
+  { value: 'straight_line', label: 'Straight-line depreciation' },
+  { value: 'declining_balance', label: 'Declining-balance depreciation' },
+  { value: 'fixed_rate', label: 'Fixed annual % (appreciation)' }
+];
+
+const methodLabel = (method) => {
+  const match = ScheduleMethods.find(option => option.value === method);
+  return match ? match.label : method;
+};
+
+// Depreciation/appreciation schedule for one asset. The server records a
+// valuation from it each day; `onChange` lets the parent refresh the asset.
+const AssetValueSchedule = ({ asset, onChange }) => {
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [editing, setEditing] = useState(false);
+  const [schedule, setSchedule] = useState(null);
+  const { register, handleSubmit, reset, watch } = useForm();
+  const method = watch('method');
+
+  useEffect(() => {
+    loadSchedule();
+  }, [asset.id]);
+
+  const loadSchedule = async () => {
+    try {
+      setLoading(true);
+      const response = await assetService.getValueSchedule(asset.id);
+      setSchedule(response.schedule);
+    } catch (error) {
+      console.error('Failed to load value schedule:', error);
+      toast.error('Failed to load value schedule');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const formatCurrency = (value) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: asset.currency || 'USD'
+    }).format(value);
+  };
+
+  const startEditing = () => {
+    reset({
+      method: schedule?.method || (asset.type === 'real_estate' ? 'fixed_rate' : 'straight_line'),
+      startDate: schedule?.startDate || asset.purchaseDate || '',
+      startValue: schedule?.startValue ?? asset.purchaseValue ?? '',
+      annualRate: schedule?.annualRate ?? '',
+      usefulLifeYears: schedule?.usefulLifeYears ?? '',
+      salvageValue: schedule?.salvageValue || ''
+    });
+    setEditing(true);
+  };
+
+  const onSubmit = async (data) => {
+    const scheduleData = {
+      method: data.method,
+      startDate: data.startDate || undefined,
+      startValue: data.startValue === '' ? undefined : parseFloat(data.startValue),
+      salvageValue: data.salvageValue === '' || data.method === 'fixed_rate' ? 0 : parseFloat(data.salvageValue)
+    };
+    if (data.method === 'straight_line') {
+      scheduleData.usefulLifeYears = parseFloat(data.usefulLifeYears);
+    } else {
+      scheduleData.annualRate = parseFloat(data.annualRate);
+    }
+
+    try {
+      setSaving(true);
+      const response = await assetService.setValueSchedule(asset.id, scheduleData);
+      setSchedule(response.schedule);
+      setEditing(false);
+      toast.success(response.recorded
+        ? `Schedule saved; value updated to ${formatCurrency(response.recorded.value)}`
+        : 'Schedule saved');
+      if (onChange) onChange();
+    } catch (error) {
+      console.error('Failed to save value schedule:', error);
+      toast.error(error.response?.data?.message || error.response?.data?.details?.[0]?.msg || 'Failed to save schedule');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async () => {
+    if (!window.confirm('Remove this schedule? Valuations it already recorded are kept.')) {
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await assetService.deleteValueSchedule(asset.id);
+      setSchedule(null);
+      toast.success('Schedule removed');
+      if (onChange) onChange();
+    } catch (error) {
+      console.error('Failed to remove value schedule:', error);
+      toast.error(error.response?.data?.message || 'Failed to remove schedule');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Panel>
+      <PanelHeader>
+        <PanelTitle>Value Schedule</PanelTitle>
+        {!loading && !editing && (
+          <div style={{ display: 'flex', gap: '0.5rem' }}>
+            <ActionButton onClick={startEditing} disabled={saving}>
+              {schedule ? '✏️ Edit' : '+ Add Schedule'}
+            </ActionButton>
+            {schedule && (
+              <ActionButton variant="danger" onClick={handleRemove} disabled={saving}>
+                Remove
+              </ActionButton>
+            )}
+          </div>
+        )}
+      </PanelHeader>
+
+      {editing && (
+        <ScheduleForm onSubmit={handleSubmit(onSubmit)}>
+          <Field>
+            Method
+            <Select {...register('method')}>
+              {ScheduleMethods.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </Select>
+          </Field>
+          <Field>
+            Start date
+            <Input type="date" {...register('startDate', { required: true })} />
+          </Field>
+          <Field>
+            Start value
+            <Input type="number" step="0.01" min="0" width="120px" {...register('startValue', { required: true })} />
+          </Field>
+          {method === 'straight_line' ? (
+            <Field>
+              Useful life (years)
+              <Input type="number" step="0.5" min="0.5" max="100" width="90px" {...register('usefulLifeYears', { required: true })} />
+            </Field>
+          ) : (
+            <Field>
+              {method === 'declining_balance' ? 'Depreciation % / year' : 'Growth % / year'}
+              <Input type="number" step="0.1" width="90px" {...register('annualRate', { required: true })} />
+            </Field>
+          )}
+          {method !== 'fixed_rate' && (
+            <Field>
+              Salvage value
+              <Input type="number" step="0.01" min="0" width="110px" {...register('salvageValue')} />
+            </Field>
+          )}
+          <ActionButton type="submit" variant="primary" disabled={saving}>
+            {saving ? 'Saving...' : 'Save'}
+          </ActionButton>
+          <ActionButton type="button" onClick={() => setEditing(false)} disabled={saving}>
+            Cancel
+          </ActionButton>
+        </ScheduleForm>
+      )}
+
+      {loading ? (
+        <Hint>Loading schedule...</Hint>
+      ) : !schedule ? (
+        !editing && (
+          <Hint>
+            No schedule. Vehicles and equipment can depreciate on a schedule and property can appreciate
+            by a fixed rate; a valuation is then recorded automatically each day.
+          </Hint>
+        )
+      ) : (
+        <>
+          <SummaryGrid>
+            <SummaryItem>
+              <SummaryLabel>Method</SummaryLabel>
+              <SummaryValue>{methodLabel(schedule.method)}</SummaryValue>
+            </SummaryItem>
+            <SummaryItem>
+              <SummaryLabel>Starting</SummaryLabel>
+              <SummaryValue>{formatCurrency(schedule.startValue)} on {schedule.startDate}</SummaryValue>
+            </SummaryItem>
+            <SummaryItem>
+              <SummaryLabel>{schedule.method === 'straight_line' ? 'Useful Life' : 'Annual Rate'}</SummaryLabel>
+              <SummaryValue>
+                {schedule.method === 'straight_line' ? `${schedule.usefulLifeYears} years` : `${schedule.annualRate}%`}
+              </SummaryValue>
+            </SummaryItem>
+            {schedule.method !== 'fixed_rate' && (
+              <SummaryItem>
+                <SummaryLabel>Salvage Value</SummaryLabel>
+                <SummaryValue>{formatCurrency(schedule.salvageValue)}</SummaryValue>
+              </SummaryItem>
+            )}
+            <SummaryItem>
+              <SummaryLabel>Scheduled Value Today</SummaryLabel>
+              <SummaryValue>{schedule.currentValue === null ? 'Not started' : formatCurrency(schedule.currentValue)}</SummaryValue>
+            </SummaryItem>
+            <SummaryItem>
+              <SummaryLabel>Last Applied</SummaryLabel>
+              <SummaryValue>{schedule.lastRunDate || '—'}</SummaryValue>
+            </SummaryItem>
+          </SummaryGrid>
+
+          <Table>
+            <thead>
+              <tr>
+                <th>Year</th>
+                <th>Date</th>
+                <th>Value</th>
+              </tr>
+            </thead>
+            <tbody>
+              {schedule.projection.map(point => (
+                <tr key={point.year}>
+                  <td>{point.year}</td>
+                  <td>{point.date}</td>
+                  <td>{formatCurrency(point.value)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        </>
+      )}
+    </Panel>
+  );
+};
+
+export default AssetValueSchedule;
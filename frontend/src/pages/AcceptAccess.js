@@ -0,0 +1,84 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import styled from 'styled-components';
+import toast from 'react-hot-toast';
+import { accessGrantService } from '../services/accessGrantService';
+
+const AcceptContainer = styled.div`
+  min-height: 100vh;
+  padding: 2rem;
+  max-width: 640px;
+  margin: 0 auto;
+`;
+
+const Card = styled.div`
+  background: ${props => props.theme.colors.surface};
+  border-radius: ${props => props.theme.borderRadius.lg};
+  box-shadow: ${props => props.theme.shadows.md};
+  margin-bottom: 2rem;
+  overflow: hidden;
+`;
+
+const CardBody = styled.div`
+  padding: 1.5rem;
+`;
+
+const CardTitle = styled.h2`
+  font-size: 1.125rem;
+  font-weight: 600;
+  color: ${props => props.theme.colors.text};
+  margin: 0;
+`;
+
+const Hint = styled.p`
+  color: ${props => props.theme.colors.textLight};
+  font-size: 0.875rem;
+  margin: 0;
+`;
+
+// Landing page for the link in an access invitation email
+const AcceptAccess = () => {
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    acceptInvitation();
+  }, []);
+
+  const acceptInvitation = async () => {
+    const token = searchParams.get('token');
+    if (!token) {
+      setError('This invitation link is incomplete.');
+      return;
+    }
+
+    try {
+      const response = await accessGrantService.acceptGrant(token);
+      toast.success(response.message);
+      navigate(`/shared/${response.grant.id}`, { replace: true });
+    } catch (error) {
+      console.error('Failed to accept invitation:', error);
+      setError(error.response?.data?.message || 'Unable to accept invitation');
+    }
+  };
+
+  return (
+    <AcceptContainer>
+      <Card>
+        <CardBody>
+          <CardTitle style={{ marginBottom: '0.75rem' }}>Portfolio Access Invitation</CardTitle>
+          {error ? (
+            <Hint>
+              {error} <Link to="/dashboard">Go to your dashboard</Link>
+            </Hint>
+          ) : (
+            <Hint>Accepting invitation...</Hint>
+          )}
+        </CardBody>
+      </Card>
+    </AcceptContainer>
+  );
+};
+
+export default AcceptAccess;
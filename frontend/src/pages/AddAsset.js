@@ -1,5 +1,5 @@
-import React, { useState } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useParams, Link } from 'react-router-dom';
 import { useForm } from 'react-hook-form';
 import styled from 'styled-components';
 import toast from 'react-hot-toast';
@@ -146,6 +146,15 @@ const Textarea = styled.textarea`
   }
 `;
 
+const SectionTitle = styled.h3`
+  font-size: 1rem;
+  font-weight: 600;
+  color: ${props => props.theme.colors.text};
+  margin: 0;
+  padding-top: 1rem;
+  border-top: 1px solid ${props => props.theme.colors.border};
+`;
+
 const ErrorMessage = styled.span`
   color: ${props => props.theme.colors.error};
   font-size: 0.75rem;
@@ -202,48 +211,161 @@ const AssetTypes = [
   { value: 'insurance', label: 'Insurance' }
 ];
 
+// Detail fields come from GET /api/assets/schemas; these helpers map the
+// dotted field names (e.g. "address.city") onto nested metadata
+const numericKinds = ['number', 'currency', 'percent', 'integer'];
+
+const inputSteps = { currency: '0.01', percent: '0.001', integer: '1', number: 'any' };
+
+const getPath = (object, path) => path.split('.').reduce(
+  (value, key) => (value === undefined || value === null ? undefined : value[key]),
+  object
+);
+
+const setPath = (object, path, value) => {
+  const keys = path.split('.');
+  let node = object;
+  keys.slice(0, -1).forEach(key => {
+    node[key] = node[key] || {};
+    node = node[key];
+  });
+  node[keys[keys.length - 1]] = value;
+};
+
+const deletePath = (object, path) => {
+  const keys = path.split('.');
+  const parent = keys.length === 1 ? object : getPath(object, keys.slice(0, -1).join('.'));
+  if (parent && typeof parent === 'object') delete parent[keys[keys.length - 1]];
+};
+
+// Apply the chosen type's detail fields on top of the existing metadata,
+// dropping blanks. Keys the form doesn't show (e.g. statement import data) are kept.
+const buildMetadata = (values, fields, existing = {}) => {
+  const metadata = JSON.parse(JSON.stringify(existing || {}));
+  fields.forEach(field => {
+    const value = getPath(values, field.name);
+    if (value === undefined || value === null || value === '') {
+      deletePath(metadata, field.name);
+    } else {
+      setPath(metadata, field.name, numericKinds.includes(field.kind) ? parseFloat(value) : value);
+    }
+  });
+  return metadata;
+};
+
+// Names and descriptions come back HTML-escaped from the API; decode them for editing
+const decodeEntities = (text) => {
+  const textarea = document.createElement('textarea');
+  textarea.innerHTML = text || '';
+  return textarea.value;
+};
+
+const formatOption = (option) => option.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+
+const Currencies = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'JPY', 'CHF', 'INR', 'CNY', 'SGD', 'HKD', 'MXN'];
+
 const AddAsset = () => {
+  const { id } = useParams();
+  const isEditing = Boolean(id);
   const [loading, setLoading] = useState(false);
+  const [schemas, setSchemas] = useState({});
+  const [existingAsset, setExistingAsset] = useState(null);
   const navigate = useNavigate();
-  const { register, handleSubmit, formState: { errors } } = useForm();
+  const { register, handleSubmit, watch, reset, formState: { errors } } = useForm();
+  const detailFields = schemas[watch('type')] || [];
+  const returnPath = isEditing ? `/assets/${id}` : '/assets';
+
+  useEffect(() => {
+    loadSchemas();
+  }, []);
+
+  useEffect(() => {
+    if (isEditing) {
+      loadAsset();
+    }
+  }, [id]);
+
+  const loadAsset = async () => {
+    try {
+      const { asset } = await assetService.getAsset(id);
+      setExistingAsset(asset);
+      reset({
+        name: decodeEntities(asset.name),
+        type: asset.type,
+        value: asset.value,
+        currency: asset.currency,
+        purchaseValue: asset.purchaseValue !== asset.value ? asset.purchaseValue : '',
+        purchaseDate: asset.purchaseDate || '',
+        description: decodeEntities(asset.description),
+        metadata: asset.metadata || {}
+      });
+    } catch (error) {
+      console.error('Failed to load asset:', error);
+      toast.error('Failed to load asset');
+      navigate('/assets');
+    }
+  };
+
+  const loadSchemas = async () => {
+    try {
+      const response = await assetService.getAssetSchemas();
+      setSchemas(response.schemas || {});
+    } catch (error) {
+      console.error('Failed to load asset schemas:', error);
+    }
+  };
 
   const onSubmit = async (data) => {
     setLoading(true);
     
     try {
-      await assetService.createAsset({
+      const assetData = {
         name: data.name,
         type: data.type,
         value: parseFloat(data.value),
+        currency: data.currency,
+        purchaseValue: data.purchaseValue ? parseFloat(data.purchaseValue) : null,
+        purchaseDate: data.purchaseDate || null,
         description: data.description || '',
-        metadata: {
-          purchaseDate: data.purchaseDate,
-          purchaseValue: data.purchaseValue ? parseFloat(data.purchaseValue) : null
-        }
-      });
-      
-      toast.success('Asset added successfully!');
-      navigate('/assets');
+        metadata: buildMetadata(data.metadata, detailFields, existingAsset?.metadata)
+      };
+
+      if (isEditing) {
+        await assetService.updateAsset(id, assetData);
+        toast.success('Asset updated successfully!');
+        navigate(`/assets/${id}`);
+      } else {
+        await assetService.createAsset(assetData);
+        toast.success('Asset added successfully!');
+        navigate('/assets');
+      }
     } catch (error) {
-      toast.error(error.response?.data?.message || 'Failed to add asset');
+      const fallback = isEditing ? 'Failed to update asset' : 'Failed to add asset';
+      toast.error(error.response?.data?.details?.[0]?.msg || error.response?.data?.message || fallback);
     } finally {
       setLoading(false);
     }
   };
 
   const handleCancel = () => {
-    navigate('/assets');
+    navigate(returnPath);
   };
 
   return (
     <AddAssetContainer>
       <Header>
         <HeaderContent>
-          <Title>Add New Asset</Title>
-          <Subtitle>Add a new asset to your portfolio</Subtitle>
+          <Title>{isEditing ? 'Edit Asset' : 'Add New Asset'}</Title>
+          {isEditing ? (
+            <Subtitle>Update the details of {existingAsset ? decodeEntities(existingAsset.name) : 'this asset'}</Subtitle>
+          ) : (
+            <Subtitle>
+              Add a new asset to your portfolio, or <Link to="/assets/import">import several from CSV</Link>
+            </Subtitle>
+          )}
         </HeaderContent>
-        <BackButton to="/assets">
-          ← Back to Assets
+        <BackButton to={returnPath}>
+          {isEditing ? '← Back to Asset' : '← Back to Assets'}
         </BackButton>
       </Header>
 
@@ -290,7 +412,7 @@ const AddAsset = () => {
 
           <FormRow>
             <FormGroup>
-              <Label htmlFor="value">Current Value ($) *</Label>
+              <Label htmlFor="value">Current Value *</Label>
               <Input
                 id="value"
                 type="number"
@@ -310,7 +432,7 @@ const AddAsset = () => {
             </FormGroup>
 
             <FormGroup>
-              <Label htmlFor="purchaseValue">Purchase Value ($)</Label>
+              <Label htmlFor="purchaseValue">Purchase Value</Label>
               <Input
                 id="purchaseValue"
                 type="number"
@@ -329,16 +451,81 @@ const AddAsset = () => {
             </FormGroup>
           </FormRow>
 
-          <FormGroup>
-            <Label htmlFor="purchaseDate">Purchase Date</Label>
-            <Input
-              id="purchaseDate"
-              type="date"
-              className={errors.purchaseDate ? 'error' : ''}
-              {...register('purchaseDate')}
-            />
-            {errors.purchaseDate && <ErrorMessage>{errors.purchaseDate.message}</ErrorMessage>}
-          </FormGroup>
+          <FormRow>
+            <FormGroup>
+              <Label htmlFor="currency">Currency *</Label>
+              <Select
+                id="currency"
+                defaultValue="USD"
+                className={errors.currency ? 'error' : ''}
+                {...register('currency', {
+                  required: 'Please select a currency'
+                })}
+              >
+                {Currencies.map(currency => (
+                  <option key={currency} value={currency}>
+                    {currency}
+                  </option>
+                ))}
+              </Select>
+              {errors.currency && <ErrorMessage>{errors.currency.message}</ErrorMessage>}
+            </FormGroup>
+
+            <FormGroup>
+              <Label htmlFor="purchaseDate">Purchase Date</Label>
+              <Input
+                id="purchaseDate"
+                type="date"
+                className={errors.purchaseDate ? 'error' : ''}
+                {...register('purchaseDate')}
+              />
+              {errors.purchaseDate && <ErrorMessage>{errors.purchaseDate.message}</ErrorMessage>}
+            </FormGroup>
+          </FormRow>
+
+          {detailFields.length > 0 && (
+            <>
+              <SectionTitle>Details</SectionTitle>
+              <FormRow>
+                {detailFields.map(field => {
+                  const fieldError = getPath(errors.metadata, field.name);
+                  const id = `metadata-${field.name}`;
+                  const registration = register(`metadata.${field.name}`, {
+                    min: field.min !== undefined ? { value: field.min, message: `${field.label} must be at least ${field.min}` } : undefined,
+                    max: field.max !== undefined && numericKinds.includes(field.kind)
+                      ? { value: field.max, message: `${field.label} must be at most ${field.max}` }
+                      : undefined,
+                    pattern: field.pattern ? { value: new RegExp(field.pattern), message: `${field.label} is not valid` } : undefined
+                  });
+
+                  return (
+                    <FormGroup key={`${watch('type')}-${field.name}`}>
+                      <Label htmlFor={id}>{field.label}</Label>
+                      {field.kind === 'select' ? (
+                        <Select id={id} className={fieldError ? 'error' : ''} {...registration}>
+                          <option value="">Select...</option>
+                          {field.options.map(option => (
+                            <option key={option} value={option}>
+                              {formatOption(option)}
+                            </option>
+                          ))}
+                        </Select>
+                      ) : (
+                        <Input
+                          id={id}
+                          type={field.kind === 'date' ? 'date' : numericKinds.includes(field.kind) ? 'number' : 'text'}
+                          step={inputSteps[field.kind]}
+                          className={fieldError ? 'error' : ''}
+                          {...registration}
+                        />
+                      )}
+                      {fieldError && <ErrorMessage>{fieldError.message}</ErrorMessage>}
+                    </FormGroup>
+                  );
+                })}
+              </FormRow>
+            </>
+          )}
 
           <FormGroup>
             <Label htmlFor="description">Description</Label>
@@ -361,7 +548,9 @@ const AddAsset = () => {
               Cancel
             </Button>
             <Button type="submit" className="primary" disabled={loading}>
-              {loading ? 'Adding Asset...' : 'Add Asset'}
+              {isEditing
+                ? (loading ? 'Saving...' : 'Save Changes')
+                : (loading ? 'Adding Asset...' : 'Add Asset')}
             </Button>
           </ButtonGroup>
         </Form>
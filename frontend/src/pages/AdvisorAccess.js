@@ -0,0 +1,478 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import styled from 'styled-components';
+import toast from 'react-hot-toast';
+import { accessGrantService } from '../services/accessGrantService';
+
+const AccessContainer = styled.div`
+  min-height: 100vh;
+  padding: 2rem;
+  max-width: 1100px;
+  margin: 0 auto;
+`;
+
+const Header = styled.div`
+  background: ${props => props.theme.colors.surface};
+  padding: 1.5rem;
+  border-radius: ${props => props.theme.borderRadius.lg};
+  box-shadow: ${props => props.theme.shadows.md};
+  margin-bottom: 2rem;
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+`;
+
+const HeaderContent = styled.div``;
+
+const Title = styled.h1`
+  font-size: 1.875rem;
+  font-weight: 700;
+  color: ${props => props.theme.colors.text};
+  margin-bottom: 0.5rem;
+`;
+
+const Subtitle = styled.p`
+  color: ${props => props.theme.colors.textLight};
+  margin: 0;
+`;
+
+const Button = styled(Link)`
+  display: inline-block;
+  padding: 0.5rem 1rem;
+  background: ${props => props.theme.colors.secondary};
+  color: white;
+  text-decoration: none;
+  border-radius: ${props => props.theme.borderRadius.md};
+  font-size: 0.875rem;
+  font-weight: 500;
+  transition: background-color 0.2s;
+
+  &:hover {
+    background: #4b5563;
+  }
+`;
+
+const Card = styled.div`
+  background: ${props => props.theme.colors.surface};
+  border-radius: ${props => props.theme.borderRadius.lg};
+  box-shadow: ${props => props.theme.shadows.md};
+  margin-bottom: 2rem;
+  overflow: hidden;
+`;
+
+const CardHeader = styled.div`
+  padding: 1.25rem 1.5rem;
+  border-bottom: 1px solid ${props => props.theme.colors.border};
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  gap: 1rem;
+`;
+
+const CardTitle = styled.h2`
+  font-size: 1.125rem;
+  font-weight: 600;
+  color: ${props => props.theme.colors.text};
+  margin: 0;
+`;
+
+const CardBody = styled.div`
+  padding: 1.5rem;
+`;
+
+const Table = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 0.875rem;
+
+  th, td {
+    padding: 0.5rem 0.75rem;
+    text-align: left;
+    border-bottom: 1px solid ${props => props.theme.colors.border};
+  }
+
+  th {
+    font-size: 0.75rem;
+    color: ${props => props.theme.colors.textLight};
+    text-transform: uppercase;
+    letter-spacing: 0.05em;
+  }
+`;
+
+const Hint = styled.p`
+  color: ${props => props.theme.colors.textLight};
+  font-size: 0.875rem;
+  margin: 0;
+`;
+
+const InviteForm = styled.form`
+  display: grid;
+  grid-template-columns: repeat(auto-fit, minmax(180px, 1fr));
+  gap: 1rem;
+  margin-bottom: 1.5rem;
+  padding-bottom: 1.5rem;
+  border-bottom: 1px solid ${props => props.theme.colors.border};
+`;
+
+const Field = styled.label`
+  display: flex;
+  flex-direction: column;
+  gap: 0.25rem;
+  font-size: 0.75rem;
+  color: ${props => props.theme.colors.textLight};
+`;
+
+const Input = styled.input`
+  padding: 0.375rem 0.5rem;
+  border: 1px solid ${props => props.theme.colors.border};
+  border-radius: ${props => props.theme.borderRadius.sm};
+  font-size: 0.875rem;
+`;
+
+const Select = styled.select`
+  padding: 0.375rem 0.5rem;
+  border: 1px solid ${props => props.theme.colors.border};
+  border-radius: ${props => props.theme.borderRadius.sm};
+  background: white;
+  font-size: 0.875rem;
+`;
+
+const FormActions = styled.div`
+  grid-column: 1 / -1;
+  display: flex;
+  gap: 0.5rem;
+`;
+
+const ActionButton = styled.button`
+  padding: 0.375rem 0.75rem;
+  border: 1px solid ${props => props.variant === 'danger' ? props.theme.colors.error : props.variant === 'primary' ? props.theme.colors.primary : props.theme.colors.border};
+  background: ${props => props.variant === 'danger' ? props.theme.colors.error : props.variant === 'primary' ? props.theme.colors.primary : 'white'};
+  color: ${props => props.variant === 'danger' || props.variant === 'primary' ? 'white' : props.theme.colors.text};
+  border-radius: ${props => props.theme.borderRadius.sm};
+  font-size: 0.75rem;
+  cursor: pointer;
+  transition: all 0.2s;
+
+  &:hover {
+    opacity: 0.8;
+  }
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`;
+
+const Checkboxes = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 0.5rem 1rem;
+  font-size: 0.875rem;
+  color: ${props => props.theme.colors.text};
+
+  label {
+    display: flex;
+    align-items: center;
+    gap: 0.375rem;
+  }
+`;
+
+const StatusBadge = styled.span`
+  display: inline-block;
+  padding: 0.125rem 0.5rem;
+  border-radius: 999px;
+  font-size: 0.75rem;
+  font-weight: 500;
+  color: white;
+  background: ${props => ({
+    active: props.theme.colors.success,
+    pending: props.theme.colors.primary,
+    expired: props.theme.colors.textLight,
+    revoked: props.theme.colors.error
+  }[props.status])};
+`;
+
+const formatLabel = (text) => text.replace(/[_-]/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+
+const formatDate = (date) => new Date(date).toLocaleDateString();
+
+const scopeSummary = (grant) => [
+  ...grant.reports.map(formatLabel),
+  ...grant.categories.map(category => `${formatLabel(category)} assets`)
+].join(', ');
+
+const activityLabels = {
+  grant_access: 'Invitation sent',
+  accept_access: 'Invitation accepted',
+  revoke_access: 'Access revoked',
+  delegated_read: 'Viewed'
+};
+
+const defaultExpiry = () => {
+  const date = new Date();
+  date.setDate(date.getDate() + 90);
+  return date.toISOString().slice(0, 10);
+};
+
+// Read-only access for advisors and accountants: invite by email to selected
+// reports and asset categories, see what they looked at, revoke at any time
+const AdvisorAccess = () => {
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [grants, setGrants] = useState([]);
+  const [received, setReceived] = useState([]);
+  const [options, setOptions] = useState({ reports: [], categories: [] });
+  const [activity, setActivity] = useState(null); // { grant, entries } being shown, or null
+  const { register, handleSubmit, reset } = useForm({
+    defaultValues: { email: '', reports: [], categories: [], expiresAt: defaultExpiry() }
+  });
+
+  useEffect(() => {
+    loadGrants();
+  }, []);
+
+  const loadGrants = async () => {
+    try {
+      setLoading(true);
+      const [grantResponse, receivedResponse] = await Promise.all([
+        accessGrantService.getGrants(),
+        accessGrantService.getReceivedGrants()
+      ]);
+      setGrants(grantResponse.grants || []);
+      setOptions({ reports: grantResponse.reports || [], categories: grantResponse.categories || [] });
+      setReceived(receivedResponse.grants || []);
+    } catch (error) {
+      console.error('Failed to load access grants:', error);
+      toast.error('Failed to load access grants');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const showError = (error, fallback) => {
+    toast.error(error.response?.data?.message || error.response?.data?.details?.[0]?.msg || fallback);
+  };
+
+  const onInvite = async ({ email, reports, categories, expiresAt }) => {
+    try {
+      setSaving(true);
+      const response = await accessGrantService.createGrant({
+        email,
+        reports: reports || [],
+        categories: categories || [],
+        // Access lasts until the end of the chosen day
+        expiresAt: new Date(`${expiresAt}T23:59:59`).toISOString()
+      });
+      setGrants(prev => [response.grant, ...prev]);
+      reset({ email: '', reports: [], categories: [], expiresAt: defaultExpiry() });
+      if (response.emailSent) {
+        toast.success(response.message);
+      } else {
+        toast.error(response.message);
+      }
+    } catch (error) {
+      console.error('Failed to invite:', error);
+      showError(error, 'Failed to send invitation');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevoke = async (grant) => {
+    if (!window.confirm(`Revoke ${grant.granteeEmail}'s access? They will no longer be able to view your portfolio.`)) {
+      return;
+    }
+
+    try {
+      const response = await accessGrantService.revokeGrant(grant.id);
+      setGrants(prev => prev.map(existing => (existing.id === grant.id ? response.grant : existing)));
+      toast.success(response.message);
+    } catch (error) {
+      console.error('Failed to revoke access:', error);
+      showError(error, 'Failed to revoke access');
+    }
+  };
+
+  const showActivity = async (grant) => {
+    try {
+      const response = await accessGrantService.getActivity(grant.id);
+      setActivity({ grant, entries: response.entries });
+    } catch (error) {
+      console.error('Failed to load activity:', error);
+      showError(error, 'Failed to load activity');
+    }
+  };
+
+  return (
+    <AccessContainer>
+      <Header>
+        <HeaderContent>
+          <Title>Advisor Access</Title>
+          <Subtitle>Give your accountant or advisor read-only access to selected reports and assets</Subtitle>
+        </HeaderContent>
+        <Button to="/dashboard">← Dashboard</Button>
+      </Header>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Invite Someone</CardTitle>
+        </CardHeader>
+        <CardBody>
+          <InviteForm onSubmit={handleSubmit(onInvite)}>
+            <Field>
+              Email
+              <Input type="email" placeholder="Their email address" {...register('email', { required: true })} />
+            </Field>
+            <Field>
+              Access until
+              <Input type="date" {...register('expiresAt', { required: true })} />
+            </Field>
+            <Field style={{ gridColumn: '1 / -1' }}>
+              Reports
+              <Checkboxes>
+                {options.reports.map(report => (
+                  <label key={report}>
+                    <input type="checkbox" value={report} {...register('reports')} />
+                    {formatLabel(report)}
+                  </label>
+                ))}
+              </Checkboxes>
+            </Field>
+            <Field style={{ gridColumn: '1 / -1' }}>
+              Asset categories
+              <Checkboxes>
+                {options.categories.map(category => (
+                  <label key={category}>
+                    <input type="checkbox" value={category} {...register('categories')} />
+                    {formatLabel(category)}
+                  </label>
+                ))}
+              </Checkboxes>
+            </Field>
+            <FormActions>
+              <ActionButton type="submit" variant="primary" disabled={saving}>
+                {saving ? 'Sending...' : 'Send Invitation'}
+              </ActionButton>
+            </FormActions>
+          </InviteForm>
+          <Hint>
+            They can view but never change anything. Choosing asset categories also limits their reports to assets in those categories. Every report or asset they open is recorded in the activity log.
+          </Hint>
+        </CardBody>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>People With Access</CardTitle>
+        </CardHeader>
+        <CardBody>
+          {loading ? (
+            <Hint>Loading access grants...</Hint>
+          ) : grants.length === 0 ? (
+            <Hint>You haven't given anyone access yet.</Hint>
+          ) : (
+            <Table>
+              <thead>
+                <tr>
+                  <th>Email</th>
+                  <th>Access</th>
+                  <th>Expires</th>
+                  <th>Status</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {grants.map(grant => (
+                  <tr key={grant.id}>
+                    <td>{grant.granteeEmail}</td>
+                    <td>{scopeSummary(grant)}</td>
+                    <td>{formatDate(grant.expiresAt)}</td>
+                    <td><StatusBadge status={grant.status}>{formatLabel(grant.status)}</StatusBadge></td>
+                    <td>
+                      <div style={{ display: 'flex', gap: '0.5rem' }}>
+                        <ActionButton onClick={() => showActivity(grant)}>Activity</ActionButton>
+                        {['pending', 'active'].includes(grant.status) && (
+                          <ActionButton variant="danger" onClick={() => handleRevoke(grant)}>Revoke</ActionButton>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+        </CardBody>
+      </Card>
+
+      {activity && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Activity: {activity.grant.granteeEmail}</CardTitle>
+            <ActionButton onClick={() => setActivity(null)}>Close</ActionButton>
+          </CardHeader>
+          <CardBody>
+            {activity.entries.length === 0 ? (
+              <Hint>No activity yet.</Hint>
+            ) : (
+              <Table>
+                <thead>
+                  <tr>
+                    <th>When</th>
+                    <th>Action</th>
+                    <th>Viewed</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {activity.entries.map(entry => (
+                    <tr key={entry.id}>
+                      <td>{new Date(entry.timestamp).toLocaleString()}</td>
+                      <td>{activityLabels[entry.action] || formatLabel(entry.action)}</td>
+                      <td>{entry.newValues?.resource || ''}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            )}
+          </CardBody>
+        </Card>
+      )}
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Shared With You</CardTitle>
+        </CardHeader>
+        <CardBody>
+          {loading ? (
+            <Hint>Loading shared portfolios...</Hint>
+          ) : received.length === 0 ? (
+            <Hint>Nobody has shared their portfolio with you.</Hint>
+          ) : (
+            <Table>
+              <thead>
+                <tr>
+                  <th>Owner</th>
+                  <th>Access</th>
+                  <th>Expires</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {received.map(grant => (
+                  <tr key={grant.id}>
+                    <td>{grant.ownerName || grant.ownerEmail}</td>
+                    <td>{scopeSummary(grant)}</td>
+                    <td>{formatDate(grant.expiresAt)}</td>
+                    <td><Link to={`/shared/${grant.id}`}>View</Link></td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+        </CardBody>
+      </Card>
+    </AccessContainer>
+  );
+};
+
+export default AdvisorAccess;
@@ -0,0 +1,555 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams, useNavigate } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import styled from 'styled-components';
+import toast from 'react-hot-toast';
+import { useAuth } from '../context/AuthContext';
+import { assetService } from '../services/assetService';
+import AssetDocuments from '../components/AssetDocuments';
+import AssetTransactions from '../components/AssetTransactions';
+import AssetValueSchedule from '../components/AssetValueSchedule';
+import AssetBeneficiaries from '../components/AssetBeneficiaries';
+import AssetOwnership from '../components/AssetOwnership';
+
+const DetailContainer = styled.div`
+  min-height: 100vh;
+  padding: 2rem;
+  max-width: 1000px;
+  margin: 0 auto;
+`;
+
+const Header = styled.div`
+  background: ${props => props.theme.colors.surface};
+  padding: 1.5rem;
+  border-radius: ${props => props.theme.borderRadius.lg};
+  box-shadow: ${props => props.theme.shadows.md};
+  margin-bottom: 2rem;
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  gap: 1rem;
+`;
+
+const HeaderContent = styled.div``;
+
+const Title = styled.h1`
+  font-size: 1.875rem;
+  font-weight: 700;
+  color: ${props => props.theme.colors.text};
+  margin-bottom: 0.5rem;
+`;
+
+const Subtitle = styled.p`
+  color: ${props => props.theme.colors.textLight};
+  margin: 0;
+  text-transform: capitalize;
+`;
+
+const HeaderValue = styled.div`
+  font-size: 1.75rem;
+  font-weight: 700;
+  color: ${props => props.theme.colors.success};
+  text-align: right;
+`;
+
+const Button = styled(Link)`
+  display: inline-block;
+  padding: 0.5rem 1rem;
+  background: ${props => props.secondary ? props.theme.colors.secondary : props.theme.colors.primary};
+  color: white;
+  text-decoration: none;
+  border-radius: ${props => props.theme.borderRadius.md};
+  font-size: 0.875rem;
+  font-weight: 500;
+  transition: background-color 0.2s;
+
+  &:hover {
+    background: ${props => props.secondary ? '#4b5563' : props.theme.colors.primaryHover};
+  }
+`;
+
+const Card = styled.div`
+  background: ${props => props.theme.colors.surface};
+  border-radius: ${props => props.theme.borderRadius.lg};
+  box-shadow: ${props => props.theme.shadows.md};
+  margin-bottom: 2rem;
+  overflow: hidden;
+`;
+
+const CardTitle = styled.h2`
+  font-size: 1.125rem;
+  font-weight: 600;
+  color: ${props => props.theme.colors.text};
+  margin: 0;
+  padding: 1.25rem 1.5rem;
+  border-bottom: 1px solid ${props => props.theme.colors.border};
+`;
+
+const CardBody = styled.div`
+  padding: 1.5rem;
+`;
+
+const DetailGrid = styled.div`
+  display: grid;
+  grid-template-columns: repeat(auto-fit, minmax(180px, 1fr));
+  gap: 1rem;
+`;
+
+const DetailItem = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 0.25rem;
+`;
+
+const DetailLabel = styled.span`
+  font-size: 0.75rem;
+  color: ${props => props.theme.colors.textLight};
+  text-transform: uppercase;
+  letter-spacing: 0.05em;
+`;
+
+const DetailValue = styled.span`
+  font-size: 0.875rem;
+  color: ${props => props.theme.colors.text};
+  font-weight: 500;
+  word-break: break-word;
+`;
+
+const TagChip = styled.span`
+  display: inline-block;
+  padding: 0.125rem 0.625rem;
+  margin-right: 0.375rem;
+  border: 1px solid ${props => props.color || props.theme.colors.border};
+  border-radius: 999px;
+  font-size: 0.75rem;
+`;
+
+const Table = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 0.875rem;
+
+  th, td {
+    padding: 0.5rem 0.75rem;
+    text-align: left;
+    border-bottom: 1px solid ${props => props.theme.colors.border};
+  }
+
+  th {
+    font-size: 0.75rem;
+    color: ${props => props.theme.colors.textLight};
+    text-transform: uppercase;
+    letter-spacing: 0.05em;
+  }
+`;
+
+const Change = styled.span`
+  color: ${props => props.value > 0 ? props.theme.colors.success : props.value < 0 ? props.theme.colors.error : props.theme.colors.textLight};
+`;
+
+const ValuationForm = styled.form`
+  display: flex;
+  gap: 0.5rem;
+  flex-wrap: wrap;
+  align-items: flex-end;
+  margin-bottom: 1.5rem;
+`;
+
+const Input = styled.input`
+  padding: 0.5rem;
+  border: 1px solid ${props => props.theme.colors.border};
+  border-radius: ${props => props.theme.borderRadius.sm};
+  font-size: 0.875rem;
+`;
+
+const Select = styled.select`
+  padding: 0.5rem;
+  border: 1px solid ${props => props.theme.colors.border};
+  border-radius: ${props => props.theme.borderRadius.sm};
+  background: white;
+  font-size: 0.875rem;
+`;
+
+const SubmitButton = styled.button`
+  padding: 0.5rem 1rem;
+  border: none;
+  background: ${props => props.theme.colors.primary};
+  color: white;
+  border-radius: ${props => props.theme.borderRadius.sm};
+  font-size: 0.875rem;
+  cursor: pointer;
+
+  &:disabled {
+    background: ${props => props.theme.colors.secondary};
+    cursor: not-allowed;
+  }
+`;
+
+const AuditList = styled.ul`
+  list-style: none;
+  margin: 0;
+  padding: 0;
+`;
+
+const AuditItem = styled.li`
+  padding: 0.75rem 0;
+  border-bottom: 1px solid ${props => props.theme.colors.border};
+
+  &:last-child {
+    border-bottom: none;
+  }
+`;
+
+const AuditAction = styled.div`
+  font-size: 0.875rem;
+  font-weight: 500;
+  color: ${props => props.theme.colors.text};
+`;
+
+const AuditMeta = styled.div`
+  font-size: 0.75rem;
+  color: ${props => props.theme.colors.textLight};
+`;
+
+const Hint = styled.p`
+  color: ${props => props.theme.colors.textLight};
+  font-size: 0.875rem;
+  margin: 0;
+`;
+
+const LoadingState = styled.div`
+  display: flex;
+  justify-content: center;
+  align-items: center;
+  padding: 3rem;
+  color: ${props => props.theme.colors.textLight};
+`;
+
+const auditActionLabels = {
+  create_asset: 'Asset created',
+  update_asset: 'Asset updated',
+  update_asset_tags: 'Tags changed',
+  record_valuation: 'Valuation recorded',
+  create_transaction: 'Transaction recorded',
+  update_transaction: 'Transaction updated',
+  delete_transaction: 'Transaction deleted',
+  set_value_schedule: 'Value schedule set',
+  delete_value_schedule: 'Value schedule removed',
+  set_asset_beneficiaries: 'Beneficiaries changed',
+  set_asset_ownership: 'Ownership changed',
+  upload_document: 'Document uploaded',
+  delete_document: 'Document deleted'
+};
+
+const valuationSources = [
+  { value: 'manual', label: 'Manual' },
+  { value: 'appraisal', label: 'Appraisal' },
+  { value: 'statement', label: 'Statement' }
+];
+
+const formatLabel = (text) => String(text).replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+
+// Flatten nested metadata (e.g. address.city) into label/value pairs using the type's schema
+const describeDetails = (metadata, fields) => {
+  return fields
+    .map(field => ({
+      label: field.label,
+      kind: field.kind,
+      value: field.name.split('.').reduce((value, key) => (value == null ? undefined : value[key]), metadata)
+    }))
+    .filter(detail => detail.value !== undefined && detail.value !== null && detail.value !== '');
+};
+
+// Summarize what an audit entry changed, e.g. "value: 100 → 120"
+const describeChanges = (entry) => {
+  const newValues = entry.newValues || {};
+  const oldValues = entry.oldValues || {};
+  return Object.keys(newValues)
+    .filter(key => JSON.stringify(newValues[key]) !== JSON.stringify(oldValues[key]))
+    .map(key => {
+      const format = (value) => (Array.isArray(value) ? value.join(', ') || 'none' : String(value));
+      return key in oldValues
+        ? `${key}: ${format(oldValues[key])} → ${format(newValues[key])}`
+        : `${key}: ${format(newValues[key])}`;
+    })
+    .join(' · ');
+};
+
+const AssetDetail = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const [loading, setLoading] = useState(true);
+  const [asset, setAsset] = useState(null);
+  const [valuations, setValuations] = useState([]);
+  const [auditEntries, setAuditEntries] = useState([]);
+  const [schemas, setSchemas] = useState({});
+  const [recording, setRecording] = useState(false);
+  const { register, handleSubmit, reset } = useForm({ defaultValues: { source: 'manual' } });
+
+  useEffect(() => {
+    loadAsset();
+  }, [id]);
+
+  const loadAsset = async () => {
+    try {
+      const [assetResponse, valuationResponse, auditResponse, schemaResponse] = await Promise.all([
+        assetService.getAsset(id),
+        assetService.getValuations(id),
+        assetService.getAuditTrail(id),
+        assetService.getAssetSchemas()
+      ]);
+      setAsset(assetResponse.asset);
+      setValuations(valuationResponse.valuations || []);
+      setAuditEntries(auditResponse.entries || []);
+      setSchemas(schemaResponse.schemas || {});
+    } catch (error) {
+      console.error('Failed to load asset:', error);
+      toast.error(error.response?.status === 404 ? 'Asset not found' : 'Failed to load asset');
+      navigate('/assets');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const onRecordValuation = async (data) => {
+    try {
+      setRecording(true);
+      await assetService.addValuation(id, {
+        value: parseFloat(data.value),
+        asOfDate: data.asOfDate || undefined,
+        source: data.source,
+        note: data.note || undefined
+      });
+      toast.success('Valuation recorded');
+      reset({ source: 'manual' });
+      loadAsset();
+    } catch (error) {
+      console.error('Failed to record valuation:', error);
+      toast.error(error.response?.data?.details?.[0]?.msg || 'Failed to record valuation');
+    } finally {
+      setRecording(false);
+    }
+  };
+
+  const formatCurrency = (value, currency = asset?.currency || 'USD') => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency
+    }).format(value);
+  };
+
+  // DATE columns arrive as YYYY-MM-DD; parse them as local dates
+  const formatDate = (dateString) => {
+    if (!dateString) return 'N/A';
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(dateString) ? new Date(`${dateString}T00:00:00`) : new Date(dateString);
+    return date.toLocaleDateString();
+  };
+
+  if (loading || !asset) {
+    return (
+      <DetailContainer>
+        <LoadingState>
+          <div>Loading asset...</div>
+        </LoadingState>
+      </DetailContainer>
+    );
+  }
+
+  const details = describeDetails(asset.metadata || {}, schemas[asset.type] || []);
+  // Household members see shared assets; only owners and editors change them,
+  // and the ledger, documents and estate details stay with the creator
+  const isCreator = asset.userId === user?.id;
+  const canEdit = isCreator || ['owner', 'editor'].includes(asset.householdRole);
+  // Newest first, with the change from the previous valuation
+  const history = [...valuations]
+    .sort((a, b) => b.asOfDate.localeCompare(a.asOfDate))
+    .map((valuation, index, sorted) => ({
+      ...valuation,
+      change: index < sorted.length - 1 ? valuation.value - sorted[index + 1].value : null
+    }));
+
+  return (
+    <DetailContainer>
+      <Header>
+        <HeaderContent>
+          <Title>{asset.name}</Title>
+          <Subtitle>{formatLabel(asset.type)} · {asset.currency}</Subtitle>
+        </HeaderContent>
+        <div>
+          <HeaderValue>{formatCurrency(asset.value)}</HeaderValue>
+          <div style={{ display: 'flex', gap: '0.5rem', marginTop: '0.5rem', justifyContent: 'flex-end' }}>
+            {canEdit && <Button to={`/assets/${asset.id}/edit`}>✏️ Edit</Button>}
+            <Button to="/assets" secondary="true">← Assets</Button>
+          </div>
+        </div>
+      </Header>
+
+      <Card>
+        <CardTitle>Overview</CardTitle>
+        <CardBody>
+          <DetailGrid>
+            <DetailItem>
+              <DetailLabel>Purchase Value</DetailLabel>
+              <DetailValue>{formatCurrency(asset.purchaseValue)}</DetailValue>
+            </DetailItem>
+            <DetailItem>
+              <DetailLabel>Purchase Date</DetailLabel>
+              <DetailValue>{formatDate(asset.purchaseDate)}</DetailValue>
+            </DetailItem>
+            {asset.householdId && (
+              <DetailItem>
+                <DetailLabel>Your Share</DetailLabel>
+                <DetailValue>
+                  {asset.ownershipPercentage}% · {formatCurrency(asset.value * asset.ownershipPercentage / 100)}
+                </DetailValue>
+              </DetailItem>
+            )}
+            <DetailItem>
+              <DetailLabel>Created</DetailLabel>
+              <DetailValue>{formatDate(asset.createdAt)}</DetailValue>
+            </DetailItem>
+            <DetailItem>
+              <DetailLabel>Last Updated</DetailLabel>
+              <DetailValue>{formatDate(asset.updatedAt)}</DetailValue>
+            </DetailItem>
+            {details.map(detail => (
+              <DetailItem key={detail.label}>
+                <DetailLabel>{detail.label}</DetailLabel>
+                <DetailValue>
+                  {detail.kind === 'currency' ? formatCurrency(detail.value)
+                    : detail.kind === 'date' ? formatDate(detail.value)
+                    : detail.kind === 'select' ? formatLabel(detail.value)
+                    : String(detail.value)}
+                </DetailValue>
+              </DetailItem>
+            ))}
+            {asset.tags.length > 0 && (
+              <DetailItem style={{ gridColumn: '1 / -1' }}>
+                <DetailLabel>Tags</DetailLabel>
+                <DetailValue>
+                  {asset.tags.map(tag => (
+                    <TagChip key={tag.id} color={tag.color}>{tag.name}</TagChip>
+                  ))}
+                </DetailValue>
+              </DetailItem>
+            )}
+            {asset.description && (
+              <DetailItem style={{ gridColumn: '1 / -1' }}>
+                <DetailLabel>Description</DetailLabel>
+                <DetailValue>{asset.description}</DetailValue>
+              </DetailItem>
+            )}
+          </DetailGrid>
+        </CardBody>
+      </Card>
+
+      <Card>
+        <CardTitle>Valuation History</CardTitle>
+        <CardBody>
+          {canEdit && (
+            <ValuationForm onSubmit={handleSubmit(onRecordValuation)}>
+              <Input
+                type="number"
+                step="0.01"
+                min="0"
+                placeholder="New value"
+                {...register('value', { required: true, min: 0 })}
+              />
+              <Input type="date" {...register('asOfDate')} />
+              <Select {...register('source')}>
+                {valuationSources.map(source => (
+                  <option key={source.value} value={source.value}>{source.label}</option>
+                ))}
+              </Select>
+              <Input type="text" placeholder="Note (optional)" maxLength={500} {...register('note')} />
+              <SubmitButton type="submit" disabled={recording}>
+                {recording ? 'Saving...' : 'Record Valuation'}
+              </SubmitButton>
+            </ValuationForm>
+          )}
+
+          {history.length === 0 ? (
+            <Hint>No valuations recorded yet.</Hint>
+          ) : (
+            <Table>
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Value</th>
+                  <th>Change</th>
+                  <th>Source</th>
+                  <th>Note</th>
+                </tr>
+              </thead>
+              <tbody>
+                {history.map(valuation => (
+                  <tr key={valuation.id}>
+                    <td>{formatDate(valuation.asOfDate)}</td>
+                    <td>{formatCurrency(valuation.value)}</td>
+                    <td>
+                      {valuation.change === null ? '—' : (
+                        <Change value={valuation.change}>
+                          {valuation.change > 0 ? '+' : ''}{formatCurrency(valuation.change)}
+                        </Change>
+                      )}
+                    </td>
+                    <td>{formatLabel(valuation.source)}</td>
+                    <td>{valuation.note || ''}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+        </CardBody>
+      </Card>
+
+      <Card>
+        <AssetOwnership asset={asset} onChange={loadAsset} />
+      </Card>
+
+      {isCreator && (
+        <>
+          <Card>
+            <AssetValueSchedule asset={asset} onChange={loadAsset} />
+          </Card>
+
+          <Card>
+            <AssetBeneficiaries assetId={asset.id} />
+          </Card>
+
+          <Card>
+            <AssetTransactions assetId={asset.id} currency={asset.currency} onChange={loadAsset} />
+          </Card>
+
+          <Card>
+            <AssetDocuments assetId={asset.id} />
+          </Card>
+        </>
+      )}
+
+      <Card>
+        <CardTitle>Audit Trail</CardTitle>
+        <CardBody>
+          {auditEntries.length === 0 ? (
+            <Hint>No recorded activity for this asset.</Hint>
+          ) : (
+            <AuditList>
+              {auditEntries.map(entry => (
+                <AuditItem key={entry.id}>
+                  <AuditAction>{auditActionLabels[entry.action] || formatLabel(entry.action)}</AuditAction>
+                  <AuditMeta>
+                    {new Date(entry.timestamp).toLocaleString()}
+                    {describeChanges(entry) && ` · ${describeChanges(entry)}`}
+                  </AuditMeta>
+                </AuditItem>
+              ))}
+            </AuditList>
+          )}
+        </CardBody>
+      </Card>
+    </DetailContainer>
+  );
+};
+
+export default AssetDetail;
@@ -1,8 +1,12 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { Link } from 'react-router-dom';
 import styled from 'styled-components';
 import toast from 'react-hot-toast';
+import { useAuth } from '../context/AuthContext';
 import { assetService } from '../services/assetService';
+import { tagService } from '../services/tagService';
+import { priceService } from '../services/priceService';
+import AssetDocuments from '../components/AssetDocuments';
 
 const AssetListContainer = styled.div`
   min-height: 100vh;
@@ -52,6 +56,27 @@ const Button = styled(Link)`
   }
 `;
 
+const RefreshButton = styled.button`
+  padding: 0.75rem 1.5rem;
+  background: ${props => props.theme.colors.secondary};
+  color: white;
+  border: none;
+  border-radius: ${props => props.theme.borderRadius.md};
+  font-size: 0.875rem;
+  font-weight: 500;
+  cursor: pointer;
+  transition: opacity 0.2s;
+
+  &:hover {
+    opacity: 0.9;
+  }
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`;
+
 const StatsBar = styled.div`
   display: grid;
   grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
@@ -79,56 +104,13 @@ const StatLabel = styled.div`
   color: ${props => props.theme.colors.textLight};
 `;
 
-const AssetGrid = styled.div`
-  display: grid;
-  gap: 1.5rem;
-  margin-bottom: 2rem;
-`;
-
-const AssetCard = styled.div`
-  background: ${props => props.theme.colors.surface};
-  border-radius: ${props => props.theme.borderRadius.lg};
-  box-shadow: ${props => props.theme.shadows.md};
-  overflow: hidden;
-`;
-
-const AssetHeader = styled.div`
-  padding: 1.5rem;
-  border-bottom: 1px solid ${props => props.theme.colors.border};
-  display: flex;
-  justify-content: space-between;
-  align-items: flex-start;
-`;
-
-const AssetInfo = styled.div`
-  flex: 1;
-`;
-
-const AssetName = styled.h3`
-  font-size: 1.25rem;
-  font-weight: 600;
-  color: ${props => props.theme.colors.text};
-  margin: 0 0 0.5rem 0;
-`;
-
-const AssetType = styled.div`
-  font-size: 0.875rem;
-  color: ${props => props.theme.colors.textLight};
-  text-transform: capitalize;
-  margin-bottom: 0.5rem;
-`;
-
-const AssetValue = styled.div`
-  font-size: 1.5rem;
-  font-weight: 700;
-  color: ${props => props.theme.colors.success};
-  text-align: right;
-`;
+const AssetLink = styled(Link)`
+  color: inherit;
+  text-decoration: none;
 
-const AssetActions = styled.div`
-  display: flex;
-  gap: 0.5rem;
-  margin-top: 0.5rem;
+  &:hover {
+    color: ${props => props.theme.colors.primary};
+  }
 `;
 
 const ActionButton = styled.button`
@@ -138,6 +120,7 @@ const ActionButton = styled.button`
   color: ${props => props.variant === 'danger' ? 'white' : props.theme.colors.text};
   border-radius: ${props => props.theme.borderRadius.sm};
   font-size: 0.75rem;
+  text-decoration: none;
   cursor: pointer;
   transition: all 0.2s;
   
@@ -153,32 +136,6 @@ const ActionButton = styled.button`
   }
 `;
 
-const AssetDetails = styled.div`
-  padding: 1.5rem;
-  display: grid;
-  grid-template-columns: repeat(auto-fit, minmax(150px, 1fr));
-  gap: 1rem;
-`;
-
-const DetailItem = styled.div`
-  display: flex;
-  flex-direction: column;
-  gap: 0.25rem;
-`;
-
-const DetailLabel = styled.span`
-  font-size: 0.75rem;
-  color: ${props => props.theme.colors.textLight};
-  text-transform: uppercase;
-  letter-spacing: 0.05em;
-`;
-
-const DetailValue = styled.span`
-  font-size: 0.875rem;
-  color: ${props => props.theme.colors.text};
-  font-weight: 500;
-`;
-
 const EmptyState = styled.div`
   background: ${props => props.theme.colors.surface};
   border-radius: ${props => props.theme.borderRadius.lg};
@@ -233,6 +190,141 @@ const SearchInput = styled.input`
   min-width: 200px;
 `;
 
+const TagRow = styled.div`
+  display: flex;
+  gap: 0.5rem;
+  flex-wrap: wrap;
+  align-items: center;
+  width: 100%;
+`;
+
+const TagChip = styled.button`
+  padding: 0.25rem 0.75rem;
+  border: 1px solid ${props => props.color || props.theme.colors.border};
+  background: ${props => props.active ? (props.color || props.theme.colors.primary) : 'white'};
+  color: ${props => props.active ? 'white' : props.theme.colors.text};
+  border-radius: 999px;
+  font-size: 0.75rem;
+  cursor: ${props => props.onClick ? 'pointer' : 'default'};
+  transition: all 0.2s;
+`;
+
+const TagEditor = styled.div`
+  display: flex;
+  gap: 0.5rem;
+  align-items: center;
+  margin-top: 0.5rem;
+`;
+
+const TagInput = styled.input`
+  padding: 0.25rem 0.5rem;
+  border: 1px solid ${props => props.theme.colors.border};
+  border-radius: ${props => props.theme.borderRadius.sm};
+  font-size: 0.875rem;
+  flex: 1;
+  min-width: 200px;
+`;
+
+const ValueInput = styled.input`
+  padding: 0.5rem 0.75rem;
+  border: 1px solid ${props => props.theme.colors.border};
+  border-radius: ${props => props.theme.borderRadius.sm};
+  width: 120px;
+`;
+
+const TableCard = styled.div`
+  background: ${props => props.theme.colors.surface};
+  border-radius: ${props => props.theme.borderRadius.lg};
+  box-shadow: ${props => props.theme.shadows.md};
+  overflow: hidden;
+  margin-bottom: 2rem;
+`;
+
+const TableRow = styled.div`
+  display: grid;
+  grid-template-columns: minmax(220px, 3fr) 1.25fr 1.5fr 1fr minmax(230px, 1.5fr);
+  gap: 1rem;
+  align-items: center;
+  padding: 0 1rem;
+  height: ${props => props.height}px;
+  border-bottom: 1px solid ${props => props.theme.colors.border};
+  font-size: 0.875rem;
+  color: ${props => props.theme.colors.text};
+`;
+
+const HeaderRow = styled(TableRow)`
+  background: ${props => props.theme.colors.background};
+  font-size: 0.75rem;
+  color: ${props => props.theme.colors.textLight};
+  text-transform: uppercase;
+  letter-spacing: 0.05em;
+`;
+
+const SortHeader = styled.button`
+  background: none;
+  border: none;
+  padding: 0;
+  font: inherit;
+  color: ${props => props.active ? props.theme.colors.text : 'inherit'};
+  text-transform: inherit;
+  letter-spacing: inherit;
+  text-align: ${props => props.align || 'left'};
+  cursor: pointer;
+`;
+
+const ScrollArea = styled.div`
+  height: ${props => props.height}px;
+  overflow-y: auto;
+  position: relative;
+`;
+
+const Cell = styled.div`
+  min-width: 0;
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+  text-align: ${props => props.align || 'left'};
+`;
+
+const CellNote = styled.div`
+  font-size: 0.75rem;
+  color: ${props => props.theme.colors.textLight};
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+`;
+
+const RowActions = styled.div`
+  display: flex;
+  gap: 0.375rem;
+  justify-content: flex-end;
+`;
+
+const TableFooter = styled.div`
+  padding: 0.75rem 1rem;
+  font-size: 0.75rem;
+  color: ${props => props.theme.colors.textLight};
+  text-align: center;
+`;
+
+const SidePanel = styled.div`
+  background: ${props => props.theme.colors.surface};
+  border-radius: ${props => props.theme.borderRadius.lg};
+  box-shadow: ${props => props.theme.shadows.md};
+  margin-bottom: 2rem;
+  overflow: hidden;
+`;
+
+const SidePanelHeader = styled.div`
+  padding: 1rem 1.5rem;
+  border-bottom: 1px solid ${props => props.theme.colors.border};
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  font-weight: 600;
+  color: ${props => props.theme.colors.text};
+`;
+
 const AssetTypes = [
   { value: '', label: 'All Types' },
   { value: 'real_estate', label: 'Real Estate' },
@@ -244,56 +336,191 @@ const AssetTypes = [
   { value: 'insurance', label: 'Insurance' }
 ];
 
+const AssetViews = [
+  { value: 'share', label: 'My Share' },
+  { value: 'household', label: 'Household Total' }
+];
+
+// Rows are a fixed height so only the ones in view need rendering
+const ROW_HEIGHT = 64;
+const VISIBLE_ROWS = 10;
+const OVERSCAN = 5;
+const PAGE_SIZE = 50;
+
+// Wait for typing to pause before asking the server again
+const FILTER_DELAY_MS = 300;
+
 const AssetList = () => {
+  const { user } = useAuth();
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [deleting, setDeleting] = useState(null);
+  const [openDocuments, setOpenDocuments] = useState(null);
   const [assets, setAssets] = useState([]);
-  const [filteredAssets, setFilteredAssets] = useState([]);
+  const [page, setPage] = useState({ total: 0, nativeTotals: {}, typeCount: 0, nextCursor: null });
   const [filterType, setFilterType] = useState('');
   const [searchTerm, setSearchTerm] = useState('');
+  const [minValue, setMinValue] = useState('');
+  const [maxValue, setMaxValue] = useState('');
+  const [typedFilters, setTypedFilters] = useState({ q: '', minValue: '', maxValue: '' });
+  const [sort, setSort] = useState({ sort: 'created', order: 'desc' });
+  const [tags, setTags] = useState([]);
+  const [selectedTags, setSelectedTags] = useState([]);
+  const [editingTags, setEditingTags] = useState(null);
+  const [tagInput, setTagInput] = useState('');
+  const [savingTags, setSavingTags] = useState(false);
+  const [refreshingPrices, setRefreshingPrices] = useState(false);
+  const [view, setView] = useState('share');
+  const [scrollTop, setScrollTop] = useState(0);
+  const scrollRef = useRef(null);
+  // Responses to superseded requests are dropped
+  const requestId = useRef(0);
 
   useEffect(() => {
-    loadAssets();
+    loadTags();
   }, []);
 
   useEffect(() => {
-    filterAssets();
-  }, [assets, filterType, searchTerm]);
+    const timer = setTimeout(() => setTypedFilters({ q: searchTerm.trim(), minValue, maxValue }), FILTER_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [searchTerm, minValue, maxValue]);
+
+  useEffect(() => {
+    loadAssets();
+  }, [selectedTags, view, filterType, typedFilters, sort]);
+
+  // Revalue assets with a symbol and quantity from market prices
+  const handleRefreshPrices = async () => {
+    try {
+      setRefreshingPrices(true);
+      const result = await priceService.refreshPrices();
+      if (result.checked === 0) {
+        toast('No assets have a symbol and quantity to price');
+      } else {
+        toast.success(result.message);
+        result.skipped.forEach(skip => toast.error(`${skip.name}: ${skip.reason}`));
+      }
+      loadAssets();
+    } catch (error) {
+      console.error('Failed to refresh prices:', error);
+      toast.error(error.response?.data?.message || 'Failed to refresh prices');
+    } finally {
+      setRefreshingPrices(false);
+    }
+  };
+
+  // Filtering, search and sorting all happen on the server
+  const queryParams = () => {
+    const params = { view, sort: sort.sort, order: sort.order, limit: PAGE_SIZE };
+    if (selectedTags.length > 0) params.tag = selectedTags.join(',');
+    if (filterType) params.type = filterType;
+    if (typedFilters.q) params.q = typedFilters.q;
+    if (typedFilters.minValue !== '') params.minValue = typedFilters.minValue;
+    if (typedFilters.maxValue !== '') params.maxValue = typedFilters.maxValue;
+    return params;
+  };
 
   const loadAssets = async () => {
+    const request = ++requestId.current;
     try {
-      setLoading(true);
-      const response = await assetService.getAssets();
+      const response = await assetService.getAssets(queryParams());
+      if (request !== requestId.current) return;
       setAssets(response.assets || []);
+      setPage({
+        total: response.total,
+        nativeTotals: response.nativeTotals || {},
+        typeCount: response.typeCount,
+        nextCursor: response.nextCursor
+      });
+      setScrollTop(0);
+      if (scrollRef.current) scrollRef.current.scrollTop = 0;
     } catch (error) {
+      if (request !== requestId.current) return;
       console.error('Failed to load assets:', error);
-      toast.error('Failed to load assets');
+      toast.error(error.response?.data?.details?.[0]?.msg || 'Failed to load assets');
     } finally {
-      setLoading(false);
+      if (request === requestId.current) setLoading(false);
     }
   };
 
-  const filterAssets = () => {
-    let filtered = assets;
+  const loadMore = async () => {
+    if (!page.nextCursor || loadingMore) return;
+    const request = requestId.current;
+    try {
+      setLoadingMore(true);
+      const response = await assetService.getAssets({ ...queryParams(), cursor: page.nextCursor });
+      if (request !== requestId.current) return;
+      setAssets(prevAssets => [...prevAssets, ...(response.assets || [])]);
+      setPage(prevPage => ({ ...prevPage, nextCursor: response.nextCursor }));
+    } catch (error) {
+      console.error('Failed to load more assets:', error);
+      toast.error('Failed to load more assets');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
 
-    if (filterType) {
-      filtered = filtered.filter(asset => asset.type === filterType);
+  // Fetch the next page as the end of what's loaded scrolls into view
+  useEffect(() => {
+    const lastVisible = Math.ceil((scrollTop + ROW_HEIGHT * VISIBLE_ROWS) / ROW_HEIGHT);
+    if (lastVisible + OVERSCAN >= assets.length) {
+      loadMore();
     }
+  }, [scrollTop, assets.length, page.nextCursor]);
 
-    if (searchTerm) {
-      filtered = filtered.filter(asset =>
-        asset.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        asset.description.toLowerCase().includes(searchTerm.toLowerCase())
-      );
+  const loadTags = async () => {
+    try {
+      const response = await tagService.getTags();
+      setTags(response.tags || []);
+    } catch (error) {
+      console.error('Failed to load tags:', error);
     }
+  };
+
+  const toggleTagFilter = (name) => {
+    setSelectedTags(prevTags => prevTags.includes(name)
+      ? prevTags.filter(tag => tag !== name)
+      : [...prevTags, name]);
+  };
+
+  const toggleSort = (column) => {
+    setSort(prevSort => (prevSort.sort === column
+      ? { sort: column, order: prevSort.order === 'asc' ? 'desc' : 'asc' }
+      : { sort: column, order: column === 'name' ? 'asc' : 'desc' }));
+  };
+
+  const sortArrow = (column) => (sort.sort === column ? (sort.order === 'asc' ? ' ▲' : ' ▼') : '');
+
+  const startEditingTags = (asset) => {
+    setOpenDocuments(null);
+    setEditingTags(asset);
+    setTagInput(asset.tags.map(tag => tag.name).join(', '));
+  };
+
+  const handleSaveTags = async (asset) => {
+    const names = tagInput.split(',').map(name => name.trim()).filter(Boolean);
 
-    setFilteredAssets(filtered);
+    try {
+      setSavingTags(true);
+      const response = await assetService.setAssetTags(asset.id, names);
+      setAssets(prevAssets => prevAssets.map(item =>
+        item.id === asset.id ? { ...item, tags: response.tags } : item
+      ));
+      setEditingTags(null);
+      loadTags();
+      toast.success(`Tags updated for "${asset.name}"`);
+    } catch (error) {
+      console.error('Failed to update tags:', error);
+      toast.error(error.response?.data?.details?.[0]?.msg || 'Failed to update tags');
+    } finally {
+      setSavingTags(false);
+    }
   };
 
-  const formatCurrency = (value) => {
+  const formatCurrency = (value, currency = 'USD') => {
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
-      currency: 'USD'
+      currency
     }).format(value);
   };
 
@@ -306,30 +533,34 @@ const AssetList = () => {
     return new Date(dateString).toLocaleDateString();
   };
 
+  // The user's part of a shared asset; the household view counts assets whole
+  const shareOf = (asset) => (view === 'share' ? (asset.ownershipPercentage ?? 100) / 100 : 1);
+
+  // Only owners and editors change shared assets; documents and deletion stay with the creator
+  const isCreator = (asset) => asset.userId === user?.id;
+  const canEdit = (asset) => isCreator(asset) || ['owner', 'editor'].includes(asset.householdRole);
+
+  // Totals come from the server per currency; amounts in different currencies are never summed here
   const getTotalValue = () => {
-    return filteredAssets.reduce((sum, asset) => sum + parseFloat(asset.value), 0);
+    const entries = Object.entries(page.nativeTotals);
+    if (entries.length === 0) return formatCurrency(0);
+    return entries.map(([currency, total]) => formatCurrency(total, currency)).join(' + ');
   };
 
-  const getAssetsByType = () => {
-    const types = {};
-    filteredAssets.forEach(asset => {
-      types[asset.type] = (types[asset.type] || 0) + 1;
-    });
-    return Object.keys(types).length;
-  };
+  const hasFilters = selectedTags.length > 0 || filterType || typedFilters.q || typedFilters.minValue !== '' || typedFilters.maxValue !== '';
 
   const handleDeleteAsset = async (assetId, assetName) => {
     if (!window.confirm(`Are you sure you want to delete "${assetName}"? This action cannot be undone.`)) {
       return;
     }
-    
+
     try {
       setDeleting(assetId);
       await assetService.deleteAsset(assetId);
-      
-      // Remove asset from local state
-      setAssets(prevAssets => prevAssets.filter(asset => asset.id !== assetId));
-      
+      if (openDocuments?.id === assetId) setOpenDocuments(null);
+      if (editingTags?.id === assetId) setEditingTags(null);
+      // Totals cover every matching asset, so ask the server again
+      loadAssets();
       toast.success(`"${assetName}" has been deleted successfully`);
     } catch (error) {
       console.error('Failed to delete asset:', error);
@@ -349,6 +580,10 @@ const AssetList = () => {
     );
   }
 
+  const firstRow = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+  const lastRow = Math.min(assets.length, Math.ceil(scrollTop / ROW_HEIGHT) + VISIBLE_ROWS + OVERSCAN);
+  const visibleAssets = assets.slice(firstRow, lastRow);
+
   return (
     <AssetListContainer>
       <Header>
@@ -356,20 +591,26 @@ const AssetList = () => {
           <Title>My Assets</Title>
           <Subtitle>Manage and track your financial portfolio</Subtitle>
         </HeaderContent>
-        <Button to="/assets/add">+ Add New Asset</Button>
+        <div style={{ display: 'flex', gap: '0.75rem' }}>
+          <RefreshButton onClick={handleRefreshPrices} disabled={refreshingPrices}>
+            {refreshingPrices ? 'Refreshing...' : '📈 Refresh Prices'}
+          </RefreshButton>
+          <Button to="/assets/import">⬆ Import CSV</Button>
+          <Button to="/assets/add">+ Add New Asset</Button>
+        </div>
       </Header>
 
       <StatsBar>
         <StatCard>
-          <StatValue>{filteredAssets.length}</StatValue>
+          <StatValue>{page.total}</StatValue>
           <StatLabel>Total Assets</StatLabel>
         </StatCard>
         <StatCard>
-          <StatValue>{formatCurrency(getTotalValue())}</StatValue>
-          <StatLabel>Total Value</StatLabel>
+          <StatValue>{getTotalValue()}</StatValue>
+          <StatLabel>{view === 'share' ? 'Your Share' : 'Household Value'}</StatLabel>
         </StatCard>
         <StatCard>
-          <StatValue>{getAssetsByType()}</StatValue>
+          <StatValue>{page.typeCount}</StatValue>
           <StatLabel>Asset Types</StatLabel>
         </StatCard>
         <StatCard>
@@ -383,6 +624,17 @@ const AssetList = () => {
       </StatsBar>
 
       <FilterBar>
+        <FilterSelect
+          value={view}
+          onChange={(e) => setView(e.target.value)}
+        >
+          {AssetViews.map(option => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </FilterSelect>
+
         <FilterSelect
           value={filterType}
           onChange={(e) => setFilterType(e.target.value)}
@@ -400,82 +652,181 @@ const AssetList = () => {
           value={searchTerm}
           onChange={(e) => setSearchTerm(e.target.value)}
         />
+
+        <ValueInput
+          type="number"
+          min="0"
+          placeholder="Min value"
+          value={minValue}
+          onChange={(e) => setMinValue(e.target.value)}
+        />
+        <ValueInput
+          type="number"
+          min="0"
+          placeholder="Max value"
+          value={maxValue}
+          onChange={(e) => setMaxValue(e.target.value)}
+        />
+
+        {tags.length > 0 && (
+          <TagRow>
+            {tags.map(tag => (
+              <TagChip
+                key={tag.id}
+                color={tag.color}
+                active={selectedTags.includes(tag.name)}
+                onClick={() => toggleTagFilter(tag.name)}
+              >
+                🏷️ {tag.name} ({tag.assetCount})
+              </TagChip>
+            ))}
+            {selectedTags.length > 0 && (
+              <ActionButton onClick={() => setSelectedTags([])}>
+                Clear tags
+              </ActionButton>
+            )}
+          </TagRow>
+        )}
       </FilterBar>
 
-      {filteredAssets.length === 0 ? (
+      {editingTags && (
+        <SidePanel>
+          <SidePanelHeader>
+            Tags for "{editingTags.name}"
+            <ActionButton onClick={() => setEditingTags(null)} disabled={savingTags}>Close</ActionButton>
+          </SidePanelHeader>
+          <div style={{ padding: '1rem 1.5rem' }}>
+            <TagEditor>
+              <TagInput
+                type="text"
+                list="asset-tag-suggestions"
+                placeholder="Comma-separated tags, e.g. Retirement, Joint"
+                value={tagInput}
+                onChange={(e) => setTagInput(e.target.value)}
+              />
+              <ActionButton onClick={() => handleSaveTags(editingTags)} disabled={savingTags}>
+                {savingTags ? 'Saving...' : 'Save'}
+              </ActionButton>
+            </TagEditor>
+          </div>
+        </SidePanel>
+      )}
+
+      {openDocuments && (
+        <SidePanel>
+          <SidePanelHeader>
+            Documents for "{openDocuments.name}"
+            <ActionButton onClick={() => setOpenDocuments(null)}>Close</ActionButton>
+          </SidePanelHeader>
+          <AssetDocuments assetId={openDocuments.id} />
+        </SidePanel>
+      )}
+
+      {assets.length === 0 ? (
         <EmptyState>
           <EmptyIcon>💼</EmptyIcon>
           <EmptyTitle>
-            {assets.length === 0 ? 'No Assets Yet' : 'No Matching Assets'}
+            {hasFilters ? 'No Matching Assets' : 'No Assets Yet'}
           </EmptyTitle>
           <p>
-            {assets.length === 0
-              ? 'Start building your portfolio by adding your first asset.'
-              : 'Try adjusting your filters or search terms.'}
+            {hasFilters
+              ? 'Try adjusting your filters or search terms.'
+              : 'Start building your portfolio by adding your first asset.'}
           </p>
-          {assets.length === 0 && (
+          {!hasFilters && (
             <Button to="/assets/add" style={{ marginTop: '1rem' }}>
               Add Your First Asset
             </Button>
           )}
         </EmptyState>
       ) : (
-        <AssetGrid>
-          {filteredAssets.map((asset) => (
-            <AssetCard key={asset.id}>
-              <AssetHeader>
-                <AssetInfo>
-                  <AssetName>{asset.name}</AssetName>
-                  <AssetType>{formatAssetType(asset.type)}</AssetType>
-                  <AssetActions>
-                    <ActionButton
-                      variant="danger"
-                      onClick={() => handleDeleteAsset(asset.id, asset.name)}
-                      disabled={deleting === asset.id}
-                    >
-                      {deleting === asset.id ? 'Deleting...' : '🗑️ Delete'}
-                    </ActionButton>
-                  </AssetActions>
-                </AssetInfo>
-                <AssetValue>{formatCurrency(asset.value)}</AssetValue>
-              </AssetHeader>
-              
-              <AssetDetails>
-                <DetailItem>
-                  <DetailLabel>Created</DetailLabel>
-                  <DetailValue>{formatDate(asset.createdAt)}</DetailValue>
-                </DetailItem>
-                
-                <DetailItem>
-                  <DetailLabel>Last Updated</DetailLabel>
-                  <DetailValue>{formatDate(asset.updatedAt)}</DetailValue>
-                </DetailItem>
-                
-                {asset.metadata?.purchaseValue && (
-                  <DetailItem>
-                    <DetailLabel>Purchase Value</DetailLabel>
-                    <DetailValue>{formatCurrency(asset.metadata.purchaseValue)}</DetailValue>
-                  </DetailItem>
-                )}
-                
-                {asset.metadata?.purchaseDate && (
-                  <DetailItem>
-                    <DetailLabel>Purchase Date</DetailLabel>
-                    <DetailValue>{formatDate(asset.metadata.purchaseDate)}</DetailValue>
-                  </DetailItem>
-                )}
-                
-                {asset.description && (
-                  <DetailItem style={{ gridColumn: '1 / -1' }}>
-                    <DetailLabel>Description</DetailLabel>
-                    <DetailValue>{asset.description}</DetailValue>
-                  </DetailItem>
-                )}
-              </AssetDetails>
-            </AssetCard>
-          ))}
-        </AssetGrid>
+        <TableCard>
+          <HeaderRow height={44}>
+            <SortHeader active={sort.sort === 'name'} onClick={() => toggleSort('name')}>
+              Name{sortArrow('name')}
+            </SortHeader>
+            <div>Type</div>
+            <SortHeader active={sort.sort === 'value'} align="right" onClick={() => toggleSort('value')}>
+              {view === 'share' ? 'Your Share' : 'Value'}{sortArrow('value')}
+            </SortHeader>
+            <SortHeader active={sort.sort === 'updated'} onClick={() => toggleSort('updated')}>
+              Updated{sortArrow('updated')}
+            </SortHeader>
+            <div></div>
+          </HeaderRow>
+
+          <ScrollArea
+            ref={scrollRef}
+            height={ROW_HEIGHT * Math.min(VISIBLE_ROWS, assets.length)}
+            onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+          >
+            <div style={{ height: assets.length * ROW_HEIGHT, position: 'relative' }}>
+              <div style={{ position: 'absolute', top: firstRow * ROW_HEIGHT, left: 0, right: 0 }}>
+                {visibleAssets.map(asset => (
+                  <TableRow key={asset.id} height={ROW_HEIGHT}>
+                    <Cell>
+                      <AssetLink to={`/assets/${asset.id}`}>{asset.name}</AssetLink>
+                      <CellNote>
+                        {asset.tags.map(tag => tag.name).join(' · ') || asset.description || '\u00a0'}
+                      </CellNote>
+                    </Cell>
+                    <Cell>{formatAssetType(asset.type)}</Cell>
+                    <Cell align="right">
+                      {formatCurrency(asset.value * shareOf(asset), asset.currency)}
+                      {asset.householdId && view === 'share' && (
+                        <CellNote>{asset.ownershipPercentage}% of {formatCurrency(asset.value, asset.currency)}</CellNote>
+                      )}
+                    </Cell>
+                    <Cell>{formatDate(asset.updatedAt || asset.createdAt)}</Cell>
+                    <RowActions>
+                      {canEdit(asset) && (
+                        <>
+                          <ActionButton as={Link} to={`/assets/${asset.id}/edit`} title="Edit">
+                            ✏️
+                          </ActionButton>
+                          <ActionButton onClick={() => startEditingTags(asset)} title="Tags">
+                            🏷️
+                          </ActionButton>
+                        </>
+                      )}
+                      {isCreator(asset) && (
+                        <>
+                          <ActionButton
+                            onClick={() => { setEditingTags(null); setOpenDocuments(openDocuments?.id === asset.id ? null : asset); }}
+                            title="Documents"
+                          >
+                            📎
+                          </ActionButton>
+                          <ActionButton
+                            variant="danger"
+                            onClick={() => handleDeleteAsset(asset.id, asset.name)}
+                            disabled={deleting === asset.id}
+                            title="Delete"
+                          >
+                            {deleting === asset.id ? '...' : '🗑️'}
+                          </ActionButton>
+                        </>
+                      )}
+                    </RowActions>
+                  </TableRow>
+                ))}
+              </div>
+            </div>
+          </ScrollArea>
+
+          <TableFooter>
+            {loadingMore
+              ? 'Loading more assets...'
+              : `Showing ${assets.length} of ${page.total} assets`}
+          </TableFooter>
+        </TableCard>
       )}
+
+      <datalist id="asset-tag-suggestions">
+        {tags.map(tag => (
+          <option key={tag.id} value={tag.name} />
+        ))}
+      </datalist>
     </AssetListContainer>
   );
 };
@@ -26,6 +26,14 @@ const Header = styled.div`
 
 const HeaderContent = styled.div``;
 
+const ViewSelect = styled.select`
+  padding: 0.5rem;
+  border: 1px solid ${props => props.theme.colors.border};
+  border-radius: ${props => props.theme.borderRadius.md};
+  background: white;
+  font-size: 0.875rem;
+`;
+
 const Title = styled.h1`
   font-size: 1.875rem;
   font-weight: 700;
@@ -218,6 +226,36 @@ const CategoryValue = styled.span`
   color: ${props => props.theme.colors.text};
 `;
 
+const DriftCard = styled(Card)`
+  margin-bottom: 2rem;
+`;
+
+const DriftValue = styled.span`
+  font-size: 0.875rem;
+  font-weight: 500;
+  color: ${props => props.status === 'ok' ? props.theme.colors.success : props.theme.colors.warning};
+`;
+
+const EquityCard = styled(Card)`
+  margin-bottom: 2rem;
+`;
+
+const EquityBar = styled.div`
+  height: 6px;
+  margin-top: 0.375rem;
+  border-radius: 3px;
+  background: ${props => props.theme.colors.error};
+  overflow: hidden;
+
+  &::after {
+    content: '';
+    display: block;
+    height: 100%;
+    width: ${props => Math.min(Math.max(props.percentage, 0), 100)}%;
+    background: ${props => props.theme.colors.success};
+  }
+`;
+
 const Button = styled(Link)`
   display: inline-block;
   padding: 0.5rem 1rem;
@@ -254,21 +292,26 @@ const Dashboard = () => {
   const [deleting, setDeleting] = useState(null);
   const [assets, setAssets] = useState([]);
   const [portfolioSummary, setPortfolioSummary] = useState(null);
+  const [rebalance, setRebalance] = useState(null);
+  // 'share' totals the user's part of each asset; 'household' everything shared with their household
+  const [view, setView] = useState('share');
 
   useEffect(() => {
     loadDashboardData();
-  }, []);
+  }, [view]);
 
   const loadDashboardData = async () => {
     try {
       setLoading(true);
-      const [assetsResponse, summaryResponse] = await Promise.all([
-        assetService.getAssets(),
-        reportService.getPortfolioSummary()
+      const [assetsResponse, summaryResponse, rebalanceResponse] = await Promise.all([
+        assetService.getAssets({ view }),
+        reportService.getPortfolioSummary(view),
+        reportService.getRebalance()
       ]);
       
       setAssets(assetsResponse.assets || []);
       setPortfolioSummary(summaryResponse);
+      setRebalance(rebalanceResponse);
     } catch (error) {
       console.error('Failed to load dashboard data:', error);
       toast.error('Failed to load dashboard data');
@@ -282,10 +325,12 @@ const Dashboard = () => {
     toast.success('Logged out successfully');
   };
 
-  const formatCurrency = (value) => {
+  const baseCurrency = portfolioSummary?.baseCurrency || 'USD';
+
+  const formatCurrency = (value, currency = baseCurrency) => {
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
-      currency: 'USD'
+      currency
     }).format(value);
   };
 
@@ -334,31 +379,114 @@ const Dashboard = () => {
           <Title>Welcome back, {user?.firstName} {user?.lastName}</Title>
           <Subtitle>Here's an overview of your financial portfolio</Subtitle>
         </HeaderContent>
-        <LogoutButton onClick={handleLogout}>
-          Logout
-        </LogoutButton>
+        <div style={{ display: 'flex', gap: '0.75rem', alignItems: 'center' }}>
+          <ViewSelect value={view} onChange={(e) => setView(e.target.value)}>
+            <option value="share">My Share</option>
+            <option value="household">Household Total</option>
+          </ViewSelect>
+          <Button to="/household">Household</Button>
+          <Button to="/access">Advisor Access</Button>
+          <Button to="/settings">Settings</Button>
+          <LogoutButton onClick={handleLogout}>
+            Logout
+          </LogoutButton>
+        </div>
       </Header>
 
       <StatsGrid>
         <StatCard color="#10b981">
-          <StatTitle>Total Portfolio Value</StatTitle>
-          <StatValue>{formatCurrency(portfolioSummary?.summary?.totalValue || 0)}</StatValue>
-          <StatSubtext>Across all asset categories</StatSubtext>
+          <StatTitle>Net Worth</StatTitle>
+          <StatValue>{formatCurrency(portfolioSummary?.summary?.netWorth || 0)}</StatValue>
+          <StatSubtext>
+            Gross assets minus liabilities, in {baseCurrency}
+            {portfolioSummary?.missingRates?.length > 0 && ` (missing FX rates: ${portfolioSummary.missingRates.join(', ')})`}
+          </StatSubtext>
         </StatCard>
         
         <StatCard color="#3b82f6">
-          <StatTitle>Total Assets</StatTitle>
-          <StatValue>{portfolioSummary?.summary?.totalAssets || 0}</StatValue>
-          <StatSubtext>Individual assets tracked</StatSubtext>
+          <StatTitle>Gross Assets</StatTitle>
+          <StatValue>{formatCurrency(portfolioSummary?.summary?.grossAssets || 0)}</StatValue>
+          <StatSubtext>
+            {portfolioSummary?.summary?.totalAssets || 0} assets across {portfolioSummary?.summary?.categoriesUsed || 0} categories
+          </StatSubtext>
         </StatCard>
         
-        <StatCard color="#8b5cf6">
-          <StatTitle>Categories</StatTitle>
-          <StatValue>{portfolioSummary?.summary?.categoriesUsed || 0}</StatValue>
-          <StatSubtext>Asset types in portfolio</StatSubtext>
+        <StatCard color="#ef4444">
+          <StatTitle>Total Liabilities</StatTitle>
+          <StatValue>{formatCurrency(portfolioSummary?.summary?.totalLiabilities || 0)}</StatValue>
+          <StatSubtext>{portfolioSummary?.summary?.liabilityCount || 0} mortgages, loans and credit lines</StatSubtext>
         </StatCard>
       </StatsGrid>
 
+      <DriftCard>
+        <CardHeader>
+          <CardTitle>Target Allocation</CardTitle>
+          <Button to="/allocation">Manage Targets</Button>
+        </CardHeader>
+        <CardContent>
+          {!rebalance?.hasTargets ? (
+            <EmptyState>
+              <p>Set target percentages per category to see how far your portfolio has drifted.</p>
+            </EmptyState>
+          ) : (
+            <>
+              <StatSubtext style={{ marginBottom: '0.75rem' }}>
+                {rebalance.needsRebalance
+                  ? `${rebalance.outsideTolerance} outside tolerance band — consider rebalancing`
+                  : 'All categories are within their tolerance band'}
+              </StatSubtext>
+              <CategoryList>
+                {rebalance.allocations.map((allocation) => (
+                  <CategoryItem key={allocation.key}>
+                    <CategoryName>{allocation.name}</CategoryName>
+                    <div style={{ textAlign: 'right' }}>
+                      <DriftValue status={allocation.status}>
+                        {allocation.currentPercentage}% / {allocation.targetPercentage}%
+                        {allocation.status !== 'ok' && ' ⚠️'}
+                      </DriftValue>
+                      <div style={{ fontSize: '0.75rem', color: '#6b7280' }}>
+                        {allocation.drift > 0 ? '+' : ''}{allocation.drift} pts from target
+                      </div>
+                    </div>
+                  </CategoryItem>
+                ))}
+              </CategoryList>
+            </>
+          )}
+        </CardContent>
+      </DriftCard>
+
+      {portfolioSummary?.equityBreakdown?.length > 0 && (
+        <EquityCard>
+          <CardHeader>
+            <CardTitle>Equity in Financed Assets</CardTitle>
+            <DriftValue status="ok">{formatCurrency(portfolioSummary.summary.financedEquity)}</DriftValue>
+          </CardHeader>
+          <CardContent>
+            <CategoryList>
+              {portfolioSummary.equityBreakdown.map((entry) => (
+                <CategoryItem key={entry.assetId}>
+                  <div style={{ flex: 1, marginRight: '1.5rem' }}>
+                    <CategoryName>{entry.name}</CategoryName>
+                    <div style={{ fontSize: '0.75rem', color: '#6b7280' }}>
+                      {formatCurrency(entry.value)} value − {formatCurrency(entry.outstandingBalance)} owed
+                      on {entry.liabilities.map(liability => liability.name).join(', ')}
+                    </div>
+                    <EquityBar percentage={parseFloat(entry.equityPercentage)} />
+                  </div>
+                  <div style={{ textAlign: 'right' }}>
+                    <CategoryValue>{formatCurrency(entry.equity)}</CategoryValue>
+                    <div style={{ fontSize: '0.75rem', color: '#6b7280' }}>
+                      {entry.equityPercentage}% equity
+                    </div>
+                  </div>
+                </CategoryItem>
+              ))}
+            </CategoryList>
+          </CardContent>
+        </EquityCard>
+      )}
+
       <ContentGrid>
         <Card>
           <CardHeader>
@@ -380,13 +508,15 @@ const Dashboard = () => {
                       <AssetType>{formatAssetType(asset.type)}</AssetType>
                     </AssetInfo>
                     <AssetActions>
-                      <AssetValue>{formatCurrency(asset.value)}</AssetValue>
-                      <DeleteButton
-                        onClick={() => handleDeleteAsset(asset.id, asset.name)}
-                        disabled={deleting === asset.id}
-                      >
-                        {deleting === asset.id ? '...' : '🗑️'}
-                      </DeleteButton>
+                      <AssetValue>{formatCurrency(asset.value, asset.currency)}</AssetValue>
+                      {asset.userId === user?.id && (
+                        <DeleteButton
+                          onClick={() => handleDeleteAsset(asset.id, asset.name)}
+                          disabled={deleting === asset.id}
+                        >
+                          {deleting === asset.id ? '...' : '🗑️'}
+                        </DeleteButton>
+                      )}
                     </AssetActions>
                   </AssetItem>
                 ))}
@@ -403,6 +533,11 @@ const Dashboard = () => {
         <Card>
           <CardHeader>
             <CardTitle>Portfolio Breakdown</CardTitle>
+            <div style={{ display: 'flex', gap: '0.5rem' }}>
+              <Button to="/insurance">Insurance</Button>
+              <Button to="/estate">Estate</Button>
+              <Button to="/projection">Projection</Button>
+            </div>
           </CardHeader>
           <CardContent>
             {portfolioSummary?.categoryBreakdown?.length > 0 ? (
@@ -424,6 +559,21 @@ const Dashboard = () => {
                 <p>No portfolio data available</p>
               </EmptyState>
             )}
+            {portfolioSummary?.liabilityBreakdown?.length > 0 && (
+              <CategoryList style={{ marginTop: '1.5rem' }}>
+                {portfolioSummary.liabilityBreakdown.map((category) => (
+                  <CategoryItem key={category.id}>
+                    <CategoryName>{category.category}</CategoryName>
+                    <div style={{ textAlign: 'right' }}>
+                      <CategoryValue>-{formatCurrency(category.balance)}</CategoryValue>
+                      <div style={{ fontSize: '0.75rem', color: '#6b7280' }}>
+                        {category.percentage}% of liabilities
+                      </div>
+                    </div>
+                  </CategoryItem>
+                ))}
+              </CategoryList>
+            )}
           </CardContent>
         </Card>
       </ContentGrid>
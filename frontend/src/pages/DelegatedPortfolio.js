@@ -0,0 +1,433 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import styled from 'styled-components';
+import toast from 'react-hot-toast';
+import { delegatedService } from '../services/delegatedService';
+
+const PortfolioContainer = styled.div`
+  min-height: 100vh;
+  padding: 2rem;
+  max-width: 1100px;
+  margin: 0 auto;
+`;
+
+const Header = styled.div`
+  background: ${props => props.theme.colors.surface};
+  padding: 1.5rem;
+  border-radius: ${props => props.theme.borderRadius.lg};
+  box-shadow: ${props => props.theme.shadows.md};
+  margin-bottom: 2rem;
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+`;
+
+const HeaderContent = styled.div``;
+
+const Title = styled.h1`
+  font-size: 1.875rem;
+  font-weight: 700;
+  color: ${props => props.theme.colors.text};
+  margin-bottom: 0.5rem;
+`;
+
+const Subtitle = styled.p`
+  color: ${props => props.theme.colors.textLight};
+  margin: 0;
+`;
+
+const Button = styled(Link)`
+  display: inline-block;
+  padding: 0.5rem 1rem;
+  background: ${props => props.theme.colors.secondary};
+  color: white;
+  text-decoration: none;
+  border-radius: ${props => props.theme.borderRadius.md};
+  font-size: 0.875rem;
+  font-weight: 500;
+  transition: background-color 0.2s;
+
+  &:hover {
+    background: #4b5563;
+  }
+`;
+
+const Card = styled.div`
+  background: ${props => props.theme.colors.surface};
+  border-radius: ${props => props.theme.borderRadius.lg};
+  box-shadow: ${props => props.theme.shadows.md};
+  margin-bottom: 2rem;
+  overflow: hidden;
+`;
+
+const CardHeader = styled.div`
+  padding: 1.25rem 1.5rem;
+  border-bottom: 1px solid ${props => props.theme.colors.border};
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  gap: 1rem;
+`;
+
+const CardTitle = styled.h2`
+  font-size: 1.125rem;
+  font-weight: 600;
+  color: ${props => props.theme.colors.text};
+  margin: 0;
+`;
+
+const CardBody = styled.div`
+  padding: 1.5rem;
+`;
+
+const Table = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 0.875rem;
+
+  th, td {
+    padding: 0.5rem 0.75rem;
+    text-align: left;
+    border-bottom: 1px solid ${props => props.theme.colors.border};
+  }
+
+  th {
+    font-size: 0.75rem;
+    color: ${props => props.theme.colors.textLight};
+    text-transform: uppercase;
+    letter-spacing: 0.05em;
+  }
+`;
+
+const Hint = styled.p`
+  color: ${props => props.theme.colors.textLight};
+  font-size: 0.875rem;
+  margin: 0;
+`;
+
+const StatsGrid = styled.div`
+  display: grid;
+  grid-template-columns: repeat(auto-fit, minmax(180px, 1fr));
+  gap: 1rem;
+`;
+
+const Stat = styled.div`
+  padding: 1rem;
+  border: 1px solid ${props => props.theme.colors.border};
+  border-radius: ${props => props.theme.borderRadius.md};
+`;
+
+const StatLabel = styled.div`
+  font-size: 0.75rem;
+  color: ${props => props.theme.colors.textLight};
+  text-transform: uppercase;
+  letter-spacing: 0.05em;
+  margin-bottom: 0.25rem;
+`;
+
+const StatValue = styled.div`
+  font-size: 1.25rem;
+  font-weight: 600;
+  color: ${props => props.theme.colors.text};
+`;
+
+const ActionButton = styled.button`
+  padding: 0.375rem 0.75rem;
+  border: 1px solid ${props => props.theme.colors.border};
+  background: white;
+  color: ${props => props.theme.colors.text};
+  border-radius: ${props => props.theme.borderRadius.sm};
+  font-size: 0.75rem;
+  cursor: pointer;
+  transition: all 0.2s;
+
+  &:hover {
+    opacity: 0.8;
+  }
+`;
+
+const formatLabel = (text) => text.replace(/[_-]/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+
+const saveBlob = (blob, filename) => {
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  window.URL.revokeObjectURL(url);
+};
+
+// Read-only view of another user's portfolio through an access grant. Only the
+// reports and asset categories the grant covers are loaded.
+const DelegatedPortfolio = () => {
+  const { grantId } = useParams();
+  const [loading, setLoading] = useState(true);
+  const [grant, setGrant] = useState(null);
+  const [summary, setSummary] = useState(null);
+  const [performance, setPerformance] = useState(null);
+  const [growth, setGrowth] = useState(null);
+  const [taxReport, setTaxReport] = useState(null);
+  const [assets, setAssets] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadPortfolio();
+  }, [grantId]);
+
+  const loadPortfolio = async () => {
+    try {
+      setLoading(true);
+      const { grant } = await delegatedService.getGrant(grantId);
+      setGrant(grant);
+
+      const allows = (report) => grant.reports.includes(report);
+      const [summaryData, performanceData, growthData, taxData, assetData] = await Promise.all([
+        allows('portfolio-summary') ? delegatedService.getReport(grantId, 'portfolio-summary') : null,
+        allows('asset-performance') ? delegatedService.getReport(grantId, 'asset-performance') : null,
+        allows('monthly-growth') ? delegatedService.getReport(grantId, 'monthly-growth') : null,
+        allows('tax-report') ? delegatedService.getReport(grantId, 'tax-report') : null,
+        grant.categories.length > 0 ? delegatedService.getAssets(grantId) : null
+      ]);
+      setSummary(summaryData);
+      setPerformance(performanceData);
+      setGrowth(growthData);
+      setTaxReport(taxData);
+      setAssets(assetData?.assets || []);
+    } catch (error) {
+      console.error('Failed to load shared portfolio:', error);
+      setError(error.response?.data?.message || 'Unable to load shared portfolio');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const formatCurrency = (value, currency = summary?.baseCurrency || 'USD') => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency
+    }).format(value);
+  };
+
+  const handleDownload = async (report, filename) => {
+    try {
+      saveBlob(await delegatedService.downloadReportCsv(grantId, report), filename);
+    } catch (error) {
+      console.error('Failed to download report:', error);
+      toast.error('Failed to download report');
+    }
+  };
+
+  const ownerName = grant ? (grant.ownerName || grant.ownerEmail) : '';
+
+  return (
+    <PortfolioContainer>
+      <Header>
+        <HeaderContent>
+          <Title>{grant ? `${ownerName}'s Portfolio` : 'Shared Portfolio'}</Title>
+          <Subtitle>
+            {grant ? `Read-only access until ${new Date(grant.expiresAt).toLocaleDateString()}` : 'Read-only access'}
+          </Subtitle>
+        </HeaderContent>
+        <Button to="/access">← Advisor Access</Button>
+      </Header>
+
+      {loading ? (
+        <Card>
+          <CardBody>
+            <Hint>Loading shared portfolio...</Hint>
+          </CardBody>
+        </Card>
+      ) : error ? (
+        <Card>
+          <CardBody>
+            <Hint>{error} <Link to="/access">Back to shared portfolios</Link></Hint>
+          </CardBody>
+        </Card>
+      ) : (
+        <>
+          {summary && (
+            <Card>
+              <CardHeader>
+                <CardTitle>Portfolio Summary</CardTitle>
+              </CardHeader>
+              <CardBody>
+                <StatsGrid style={{ marginBottom: '1.5rem' }}>
+                  <Stat>
+                    <StatLabel>Net Worth</StatLabel>
+                    <StatValue>{formatCurrency(summary.summary.netWorth)}</StatValue>
+                  </Stat>
+                  <Stat>
+                    <StatLabel>Total Assets</StatLabel>
+                    <StatValue>{formatCurrency(summary.summary.grossAssets)}</StatValue>
+                  </Stat>
+                  <Stat>
+                    <StatLabel>Total Liabilities</StatLabel>
+                    <StatValue>{formatCurrency(summary.summary.totalLiabilities)}</StatValue>
+                  </Stat>
+                </StatsGrid>
+                <Table>
+                  <thead>
+                    <tr>
+                      <th>Category</th>
+                      <th>Assets</th>
+                      <th>Value</th>
+                      <th>Share</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {summary.categoryBreakdown.map(category => (
+                      <tr key={category.id}>
+                        <td>{category.icon} {category.category}</td>
+                        <td>{category.count}</td>
+                        <td>{formatCurrency(category.value)}</td>
+                        <td>{category.percentage}%</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              </CardBody>
+            </Card>
+          )}
+
+          {grant.categories.length > 0 && (
+            <Card>
+              <CardHeader>
+                <CardTitle>Assets</CardTitle>
+                <Hint>{grant.categories.map(formatLabel).join(', ')}</Hint>
+              </CardHeader>
+              <CardBody>
+                {assets.length === 0 ? (
+                  <Hint>No assets in the shared categories.</Hint>
+                ) : (
+                  <Table>
+                    <thead>
+                      <tr>
+                        <th>Name</th>
+                        <th>Type</th>
+                        <th>Value</th>
+                        <th>Purchase Value</th>
+                        <th>Updated</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {assets.map(asset => (
+                        <tr key={asset.id}>
+                          <td>{asset.name}</td>
+                          <td>{formatLabel(asset.type)}</td>
+                          <td>{formatCurrency(asset.value, asset.currency)}</td>
+                          <td>{asset.purchaseValue ? formatCurrency(asset.purchaseValue, asset.currency) : '—'}</td>
+                          <td>{new Date(asset.updatedAt || asset.createdAt).toLocaleDateString()}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </Table>
+                )}
+              </CardBody>
+            </Card>
+          )}
+
+          {performance && (
+            <Card>
+              <CardHeader>
+                <CardTitle>Asset Performance</CardTitle>
+              </CardHeader>
+              <CardBody>
+                <Table>
+                  <thead>
+                    <tr>
+                      <th>Asset</th>
+                      <th>Current Value</th>
+                      <th>Gain / Loss</th>
+                      <th>Return</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {performance.performance.map(asset => (
+                      <tr key={asset.id}>
+                        <td>{asset.name}</td>
+                        <td>{formatCurrency(asset.currentValue, performance.baseCurrency)}</td>
+                        <td>{formatCurrency(asset.gainLoss, performance.baseCurrency)}</td>
+                        <td>{asset.gainLossPercentage}%</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              </CardBody>
+            </Card>
+          )}
+
+          {growth && (
+            <Card>
+              <CardHeader>
+                <CardTitle>Monthly Growth</CardTitle>
+              </CardHeader>
+              <CardBody>
+                <Table>
+                  <thead>
+                    <tr>
+                      <th>Period</th>
+                      <th>Value</th>
+                      <th>Change</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {growth.monthlyGrowth.map(entry => (
+                      <tr key={entry.period}>
+                        <td>{entry.period}</td>
+                        <td>{formatCurrency(entry.value, growth.baseCurrency)}</td>
+                        <td>{formatCurrency(entry.change, growth.baseCurrency)} ({entry.changePercentage}%)</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              </CardBody>
+            </Card>
+          )}
+
+          {taxReport && (
+            <Card>
+              <CardHeader>
+                <CardTitle>Tax Report {taxReport.taxReport.year}</CardTitle>
+                <ActionButton onClick={() => handleDownload('tax-report', `form-8949-${taxReport.taxReport.year}.csv`)}>
+                  Download CSV
+                </ActionButton>
+              </CardHeader>
+              <CardBody>
+                <StatsGrid>
+                  <Stat>
+                    <StatLabel>Short-Term Gain</StatLabel>
+                    <StatValue>{formatCurrency(taxReport.taxReport.shortTerm.gain, taxReport.baseCurrency)}</StatValue>
+                  </Stat>
+                  <Stat>
+                    <StatLabel>Long-Term Gain</StatLabel>
+                    <StatValue>{formatCurrency(taxReport.taxReport.longTerm.gain, taxReport.baseCurrency)}</StatValue>
+                  </Stat>
+                  <Stat>
+                    <StatLabel>Income</StatLabel>
+                    <StatValue>{formatCurrency(taxReport.taxReport.income, taxReport.baseCurrency)}</StatValue>
+                  </Stat>
+                </StatsGrid>
+              </CardBody>
+            </Card>
+          )}
+
+          {grant.reports.includes('export') && (
+            <Card>
+              <CardHeader>
+                <CardTitle>Export</CardTitle>
+                <ActionButton onClick={() => handleDownload('export', 'assets-export.csv')}>
+                  Download CSV
+                </ActionButton>
+              </CardHeader>
+              <CardBody>
+                <Hint>Download every asset with its current value.</Hint>
+              </CardBody>
+            </Card>
+          )}
+        </>
+      )}
+    </PortfolioContainer>
+  );
+};
+
+export default DelegatedPortfolio;
@@ -0,0 +1,472 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import styled from 'styled-components';
+import toast from 'react-hot-toast';
+import { beneficiaryService } from '../services/beneficiaryService';
+import { reportService } from '../services/reportService';
+
+const EstateContainer = styled.div`
+  min-height: 100vh;
+  padding: 2rem;
+  max-width: 1100px;
+  margin: 0 auto;
+`;
+
+const Header = styled.div`
+  background: ${props => props.theme.colors.surface};
+  padding: 1.5rem;
+  border-radius: ${props => props.theme.borderRadius.lg};
+  box-shadow: ${props => props.theme.shadows.md};
+  margin-bottom: 2rem;
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+`;
+
+const HeaderContent = styled.div``;
+
+const Title = styled.h1`
+  font-size: 1.875rem;
+  font-weight: 700;
+  color: ${props => props.theme.colors.text};
+  margin-bottom: 0.5rem;
+`;
+
+const Subtitle = styled.p`
+  color: ${props => props.theme.colors.textLight};
+  margin: 0;
+`;
+
+const Button = styled(Link)`
+  display: inline-block;
+  padding: 0.5rem 1rem;
+  background: ${props => props.theme.colors.secondary};
+  color: white;
+  text-decoration: none;
+  border-radius: ${props => props.theme.borderRadius.md};
+  font-size: 0.875rem;
+  font-weight: 500;
+  transition: background-color 0.2s;
+
+  &:hover {
+    background: #4b5563;
+  }
+`;
+
+const Card = styled.div`
+  background: ${props => props.theme.colors.surface};
+  border-radius: ${props => props.theme.borderRadius.lg};
+  box-shadow: ${props => props.theme.shadows.md};
+  margin-bottom: 2rem;
+  overflow: hidden;
+`;
+
+const CardHeader = styled.div`
+  padding: 1.25rem 1.5rem;
+  border-bottom: 1px solid ${props => props.theme.colors.border};
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  gap: 1rem;
+`;
+
+const CardTitle = styled.h2`
+  font-size: 1.125rem;
+  font-weight: 600;
+  color: ${props => props.theme.colors.text};
+  margin: 0;
+`;
+
+const CardBody = styled.div`
+  padding: 1.5rem;
+`;
+
+const StatsRow = styled.div`
+  display: grid;
+  grid-template-columns: repeat(auto-fit, minmax(160px, 1fr));
+  gap: 1rem;
+  margin-bottom: 1.5rem;
+`;
+
+const Stat = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 0.25rem;
+`;
+
+const StatLabel = styled.span`
+  font-size: 0.75rem;
+  color: ${props => props.theme.colors.textLight};
+  text-transform: uppercase;
+  letter-spacing: 0.05em;
+`;
+
+const StatValue = styled.span`
+  font-size: 1.25rem;
+  font-weight: 600;
+  color: ${props => props.color || props.theme.colors.text};
+`;
+
+const Table = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 0.875rem;
+
+  th, td {
+    padding: 0.5rem 0.75rem;
+    text-align: left;
+    border-bottom: 1px solid ${props => props.theme.colors.border};
+  }
+
+  th {
+    font-size: 0.75rem;
+    color: ${props => props.theme.colors.textLight};
+    text-transform: uppercase;
+    letter-spacing: 0.05em;
+  }
+`;
+
+const Hint = styled.p`
+  color: ${props => props.theme.colors.textLight};
+  font-size: 0.875rem;
+  margin: 0;
+`;
+
+const BeneficiaryForm = styled.form`
+  display: grid;
+  grid-template-columns: repeat(auto-fit, minmax(180px, 1fr));
+  gap: 1rem;
+  margin-bottom: 1.5rem;
+  padding-bottom: 1.5rem;
+  border-bottom: 1px solid ${props => props.theme.colors.border};
+`;
+
+const Field = styled.label`
+  display: flex;
+  flex-direction: column;
+  gap: 0.25rem;
+  font-size: 0.75rem;
+  color: ${props => props.theme.colors.textLight};
+`;
+
+const Input = styled.input`
+  padding: 0.375rem 0.5rem;
+  border: 1px solid ${props => props.theme.colors.border};
+  border-radius: ${props => props.theme.borderRadius.sm};
+  font-size: 0.875rem;
+`;
+
+const Select = styled.select`
+  padding: 0.375rem 0.5rem;
+  border: 1px solid ${props => props.theme.colors.border};
+  border-radius: ${props => props.theme.borderRadius.sm};
+  background: white;
+  font-size: 0.875rem;
+`;
+
+const FormActions = styled.div`
+  grid-column: 1 / -1;
+  display: flex;
+  gap: 0.5rem;
+`;
+
+const ActionButton = styled.button`
+  padding: 0.375rem 0.75rem;
+  border: 1px solid ${props => props.variant === 'danger' ? props.theme.colors.error : props.variant === 'primary' ? props.theme.colors.primary : props.theme.colors.border};
+  background: ${props => props.variant === 'danger' ? props.theme.colors.error : props.variant === 'primary' ? props.theme.colors.primary : 'white'};
+  color: ${props => props.variant === 'danger' || props.variant === 'primary' ? 'white' : props.theme.colors.text};
+  border-radius: ${props => props.theme.borderRadius.sm};
+  font-size: 0.75rem;
+  cursor: pointer;
+  transition: all 0.2s;
+
+  &:hover {
+    opacity: 0.8;
+  }
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`;
+
+const Relationships = [
+  'spouse', 'partner', 'child', 'grandchild', 'parent', 'sibling',
+  'relative', 'friend', 'charity', 'trust', 'other'
+];
+
+const formatRelationship = (relationship) => relationship.charAt(0).toUpperCase() + relationship.slice(1);
+
+const emptyBeneficiary = { name: '', relationship: 'child', email: '', phone: '' };
+
+const Estate = () => {
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [beneficiaries, setBeneficiaries] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [editing, setEditing] = useState(null); // 'new', a beneficiary id, or null
+  const { register, handleSubmit, reset } = useForm({ defaultValues: emptyBeneficiary });
+
+  useEffect(() => {
+    loadEstate();
+  }, []);
+
+  const loadEstate = async () => {
+    try {
+      setLoading(true);
+      const [beneficiaryResponse, summaryResponse] = await Promise.all([
+        beneficiaryService.getBeneficiaries(),
+        reportService.getEstateSummary()
+      ]);
+      setBeneficiaries(beneficiaryResponse.beneficiaries || []);
+      setSummary(summaryResponse);
+    } catch (error) {
+      console.error('Failed to load estate summary:', error);
+      toast.error('Failed to load estate summary');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const formatCurrency = (value) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: summary?.baseCurrency || 'USD'
+    }).format(value);
+  };
+
+  const startEditing = (beneficiary) => {
+    reset(beneficiary ? {
+      name: beneficiary.name,
+      relationship: beneficiary.relationship,
+      email: beneficiary.email || '',
+      phone: beneficiary.phone || ''
+    } : emptyBeneficiary);
+    setEditing(beneficiary ? beneficiary.id : 'new');
+  };
+
+  const onSubmit = async (data) => {
+    try {
+      setSaving(true);
+      if (editing === 'new') {
+        await beneficiaryService.createBeneficiary(data);
+        toast.success('Beneficiary added');
+      } else {
+        await beneficiaryService.updateBeneficiary(editing, data);
+        toast.success('Beneficiary updated');
+      }
+      setEditing(null);
+      loadEstate();
+    } catch (error) {
+      console.error('Failed to save beneficiary:', error);
+      toast.error(error.response?.data?.message || error.response?.data?.details?.[0]?.msg || 'Failed to save beneficiary');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (beneficiary) => {
+    if (!window.confirm(`Remove ${beneficiary.name} as a beneficiary?`)) {
+      return;
+    }
+
+    try {
+      await beneficiaryService.deleteBeneficiary(beneficiary.id);
+      toast.success('Beneficiary removed');
+      loadEstate();
+    } catch (error) {
+      console.error('Failed to delete beneficiary:', error);
+      toast.error(error.response?.data?.message || 'Failed to remove beneficiary');
+    }
+  };
+
+  return (
+    <EstateContainer>
+      <Header>
+        <HeaderContent>
+          <Title>Estate</Title>
+          <Subtitle>Who inherits what, based on each asset's beneficiary designations</Subtitle>
+        </HeaderContent>
+        <Button to="/dashboard">← Dashboard</Button>
+      </Header>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Estate Summary</CardTitle>
+          {summary?.missingRates?.length > 0 && (
+            <Hint>Missing FX rates: {summary.missingRates.join(', ')}</Hint>
+          )}
+        </CardHeader>
+        <CardBody>
+          {loading ? (
+            <Hint>Loading estate summary...</Hint>
+          ) : (
+            <>
+              <StatsRow>
+                <Stat>
+                  <StatLabel>Total Asset Value</StatLabel>
+                  <StatValue>{formatCurrency(summary.totals.value)}</StatValue>
+                </Stat>
+                <Stat>
+                  <StatLabel>Designated</StatLabel>
+                  <StatValue>{formatCurrency(summary.totals.designatedValue)}</StatValue>
+                </Stat>
+                <Stat>
+                  <StatLabel>Undesignated</StatLabel>
+                  <StatValue color={summary.totals.undesignatedValue > 0 ? '#f59e0b' : '#10b981'}>
+                    {formatCurrency(summary.totals.undesignatedValue)}
+                  </StatValue>
+                </Stat>
+              </StatsRow>
+
+              {summary.beneficiaries.length > 0 && (
+                <Table>
+                  <thead>
+                    <tr>
+                      <th>Beneficiary</th>
+                      <th>Share of Estate</th>
+                      <th>Value</th>
+                      <th>Assets</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {summary.beneficiaries.map(share => (
+                      <tr key={share.id}>
+                        <td>
+                          {share.name}
+                          <Hint>{formatRelationship(share.relationship)}</Hint>
+                        </td>
+                        <td>{share.percentageOfEstate}%</td>
+                        <td>{formatCurrency(share.value)}</td>
+                        <td>
+                          {share.assets.length === 0 ? '—' : share.assets.map(asset => (
+                            <div key={asset.assetId}>
+                              <Link to={`/assets/${asset.assetId}`}>{asset.name}</Link> · {asset.percentage}% ({formatCurrency(asset.value)})
+                            </div>
+                          ))}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              )}
+
+              {summary.undesignatedAssets.length > 0 && (
+                <>
+                  <CardTitle style={{ fontSize: '0.875rem', margin: '1.5rem 0 0.5rem' }}>
+                    Without a full designation ({summary.totals.undesignatedCount})
+                  </CardTitle>
+                  <Table>
+                    <thead>
+                      <tr>
+                        <th>Asset</th>
+                        <th>Undesignated</th>
+                        <th>Value</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {summary.undesignatedAssets.map(asset => (
+                        <tr key={asset.assetId}>
+                          <td><Link to={`/assets/${asset.assetId}`}>{asset.name}</Link></td>
+                          <td>{asset.percentage}%</td>
+                          <td>{formatCurrency(asset.value)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </Table>
+                </>
+              )}
+            </>
+          )}
+        </CardBody>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Beneficiaries</CardTitle>
+          {!editing && (
+            <ActionButton variant="primary" onClick={() => startEditing(null)}>+ Add Beneficiary</ActionButton>
+          )}
+        </CardHeader>
+        <CardBody>
+          {editing && (
+            <BeneficiaryForm onSubmit={handleSubmit(onSubmit)}>
+              <Field>
+                Name
+                <Input {...register('name', { required: true })} />
+              </Field>
+              <Field>
+                Relationship
+                <Select {...register('relationship')}>
+                  {Relationships.map(relationship => (
+                    <option key={relationship} value={relationship}>{formatRelationship(relationship)}</option>
+                  ))}
+                </Select>
+              </Field>
+              <Field>
+                Email
+                <Input type="email" {...register('email')} />
+              </Field>
+              <Field>
+                Phone
+                <Input type="tel" {...register('phone')} />
+              </Field>
+              <FormActions>
+                <ActionButton type="submit" variant="primary" disabled={saving}>
+                  {saving ? 'Saving...' : 'Save Beneficiary'}
+                </ActionButton>
+                <ActionButton type="button" onClick={() => setEditing(null)} disabled={saving}>
+                  Cancel
+                </ActionButton>
+              </FormActions>
+            </BeneficiaryForm>
+          )}
+
+          {loading ? (
+            <Hint>Loading beneficiaries...</Hint>
+          ) : beneficiaries.length === 0 ? (
+            <Hint>No beneficiaries yet. Add the people who should inherit, then designate shares on each asset.</Hint>
+          ) : (
+            <Table>
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Relationship</th>
+                  <th>Contact</th>
+                  <th>Designated On</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {beneficiaries.map(beneficiary => (
+                  <tr key={beneficiary.id}>
+                    <td>{beneficiary.name}</td>
+                    <td>{formatRelationship(beneficiary.relationship)}</td>
+                    <td>{[beneficiary.email, beneficiary.phone].filter(Boolean).join(' · ') || '—'}</td>
+                    <td>{beneficiary.designationCount} asset{beneficiary.designationCount === 1 ? '' : 's'}</td>
+                    <td>
+                      <div style={{ display: 'flex', gap: '0.5rem' }}>
+                        <ActionButton onClick={() => startEditing(beneficiary)} disabled={Boolean(editing)}>Edit</ActionButton>
+                        <ActionButton
+                          variant="danger"
+                          onClick={() => handleDelete(beneficiary)}
+                          disabled={beneficiary.designationCount > 0}
+                          title={beneficiary.designationCount > 0 ? 'Reassign their shares first' : undefined}
+                        >
+                          Delete
+                        </ActionButton>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+        </CardBody>
+      </Card>
+    </EstateContainer>
+  );
+};
+
+export default Estate;
@@ -0,0 +1,435 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import styled from 'styled-components';
+import toast from 'react-hot-toast';
+import { useAuth } from '../context/AuthContext';
+import { householdService } from '../services/householdService';
+
+const HouseholdContainer = styled.div`
+  min-height: 100vh;
+  padding: 2rem;
+  max-width: 1100px;
+  margin: 0 auto;
+`;
+
+const Header = styled.div`
+  background: ${props => props.theme.colors.surface};
+  padding: 1.5rem;
+  border-radius: ${props => props.theme.borderRadius.lg};
+  box-shadow: ${props => props.theme.shadows.md};
+  margin-bottom: 2rem;
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+`;
+
+const HeaderContent = styled.div``;
+
+const Title = styled.h1`
+  font-size: 1.875rem;
+  font-weight: 700;
+  color: ${props => props.theme.colors.text};
+  margin-bottom: 0.5rem;
+`;
+
+const Subtitle = styled.p`
+  color: ${props => props.theme.colors.textLight};
+  margin: 0;
+`;
+
+const Button = styled(Link)`
+  display: inline-block;
+  padding: 0.5rem 1rem;
+  background: ${props => props.theme.colors.secondary};
+  color: white;
+  text-decoration: none;
+  border-radius: ${props => props.theme.borderRadius.md};
+  font-size: 0.875rem;
+  font-weight: 500;
+  transition: background-color 0.2s;
+
+  &:hover {
+    background: #4b5563;
+  }
+`;
+
+const Card = styled.div`
+  background: ${props => props.theme.colors.surface};
+  border-radius: ${props => props.theme.borderRadius.lg};
+  box-shadow: ${props => props.theme.shadows.md};
+  margin-bottom: 2rem;
+  overflow: hidden;
+`;
+
+const CardHeader = styled.div`
+  padding: 1.25rem 1.5rem;
+  border-bottom: 1px solid ${props => props.theme.colors.border};
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  gap: 1rem;
+`;
+
+const CardTitle = styled.h2`
+  font-size: 1.125rem;
+  font-weight: 600;
+  color: ${props => props.theme.colors.text};
+  margin: 0;
+`;
+
+const CardBody = styled.div`
+  padding: 1.5rem;
+`;
+
+const Table = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 0.875rem;
+
+  th, td {
+    padding: 0.5rem 0.75rem;
+    text-align: left;
+    border-bottom: 1px solid ${props => props.theme.colors.border};
+  }
+
+  th {
+    font-size: 0.75rem;
+    color: ${props => props.theme.colors.textLight};
+    text-transform: uppercase;
+    letter-spacing: 0.05em;
+  }
+`;
+
+const Hint = styled.p`
+  color: ${props => props.theme.colors.textLight};
+  font-size: 0.875rem;
+  margin: 0;
+`;
+
+const MemberForm = styled.form`
+  display: grid;
+  grid-template-columns: repeat(auto-fit, minmax(180px, 1fr));
+  gap: 1rem;
+  margin-bottom: 1.5rem;
+  padding-bottom: 1.5rem;
+  border-bottom: 1px solid ${props => props.theme.colors.border};
+`;
+
+const Field = styled.label`
+  display: flex;
+  flex-direction: column;
+  gap: 0.25rem;
+  font-size: 0.75rem;
+  color: ${props => props.theme.colors.textLight};
+`;
+
+const Input = styled.input`
+  padding: 0.375rem 0.5rem;
+  border: 1px solid ${props => props.theme.colors.border};
+  border-radius: ${props => props.theme.borderRadius.sm};
+  font-size: 0.875rem;
+`;
+
+const Select = styled.select`
+  padding: 0.375rem 0.5rem;
+  border: 1px solid ${props => props.theme.colors.border};
+  border-radius: ${props => props.theme.borderRadius.sm};
+  background: white;
+  font-size: 0.875rem;
+`;
+
+const FormActions = styled.div`
+  grid-column: 1 / -1;
+  display: flex;
+  gap: 0.5rem;
+`;
+
+const ActionButton = styled.button`
+  padding: 0.375rem 0.75rem;
+  border: 1px solid ${props => props.variant === 'danger' ? props.theme.colors.error : props.variant === 'primary' ? props.theme.colors.primary : props.theme.colors.border};
+  background: ${props => props.variant === 'danger' ? props.theme.colors.error : props.variant === 'primary' ? props.theme.colors.primary : 'white'};
+  color: ${props => props.variant === 'danger' || props.variant === 'primary' ? 'white' : props.theme.colors.text};
+  border-radius: ${props => props.theme.borderRadius.sm};
+  font-size: 0.75rem;
+  cursor: pointer;
+  transition: all 0.2s;
+
+  &:hover {
+    opacity: 0.8;
+  }
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`;
+
+const Roles = [
+  { value: 'owner', label: 'Owner', hint: 'Manages members and ownership' },
+  { value: 'editor', label: 'Editor', hint: 'Can change shared assets' },
+  { value: 'viewer', label: 'Viewer', hint: 'Can only view shared assets' }
+];
+
+const memberName = (member) => (
+  [member.firstName, member.lastName].filter(Boolean).join(' ') || member.email
+);
+
+const Household = () => {
+  const { user } = useAuth();
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [household, setHousehold] = useState(null);
+  const [renaming, setRenaming] = useState(false);
+  const householdForm = useForm({ defaultValues: { name: '' } });
+  const memberForm = useForm({ defaultValues: { email: '', role: 'editor' } });
+
+  useEffect(() => {
+    loadHousehold();
+  }, []);
+
+  const loadHousehold = async () => {
+    try {
+      setLoading(true);
+      const response = await householdService.getHousehold();
+      setHousehold(response.household);
+    } catch (error) {
+      console.error('Failed to load household:', error);
+      toast.error('Failed to load household');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const showError = (error, fallback) => {
+    toast.error(error.response?.data?.message || error.response?.data?.details?.[0]?.msg || fallback);
+  };
+
+  const isOwner = household?.role === 'owner';
+
+  const onSaveHousehold = async ({ name }) => {
+    try {
+      setSaving(true);
+      const response = household
+        ? await householdService.updateHousehold(name)
+        : await householdService.createHousehold(name);
+      setHousehold(response.household);
+      setRenaming(false);
+      toast.success(response.message);
+    } catch (error) {
+      console.error('Failed to save household:', error);
+      showError(error, 'Failed to save household');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const onAddMember = async ({ email, role }) => {
+    try {
+      setSaving(true);
+      const response = await householdService.addMember(email, role);
+      setHousehold(response.household);
+      memberForm.reset({ email: '', role });
+      toast.success(response.message);
+    } catch (error) {
+      console.error('Failed to add member:', error);
+      showError(error, 'Failed to add member');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRoleChange = async (member, role) => {
+    try {
+      const response = await householdService.updateMember(member.userId, role);
+      setHousehold(response.household);
+      toast.success(response.message);
+    } catch (error) {
+      console.error('Failed to update member:', error);
+      showError(error, 'Failed to update member');
+    }
+  };
+
+  const handleRemove = async (member) => {
+    const leaving = member.userId === user?.id;
+    if (!window.confirm(leaving ? 'Leave this household?' : `Remove ${memberName(member)} from the household?`)) {
+      return;
+    }
+
+    try {
+      const response = await householdService.removeMember(member.userId);
+      toast.success(response.message);
+      loadHousehold();
+    } catch (error) {
+      console.error('Failed to remove member:', error);
+      showError(error, 'Failed to remove member');
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm('Delete this household? Shared assets go back to the members who created them.')) {
+      return;
+    }
+
+    try {
+      await householdService.deleteHousehold();
+      toast.success('Household deleted');
+      setHousehold(null);
+    } catch (error) {
+      console.error('Failed to delete household:', error);
+      showError(error, 'Failed to delete household');
+    }
+  };
+
+  return (
+    <HouseholdContainer>
+      <Header>
+        <HeaderContent>
+          <Title>Household</Title>
+          <Subtitle>Share assets with family members and split their ownership</Subtitle>
+        </HeaderContent>
+        <Button to="/dashboard">← Dashboard</Button>
+      </Header>
+
+      {loading ? (
+        <Card>
+          <CardBody>
+            <Hint>Loading household...</Hint>
+          </CardBody>
+        </Card>
+      ) : !household ? (
+        <Card>
+          <CardHeader>
+            <CardTitle>Create a Household</CardTitle>
+          </CardHeader>
+          <CardBody>
+            <Hint style={{ marginBottom: '1rem' }}>
+              You are not in a household. Create one and add members, or ask a household owner to add you.
+            </Hint>
+            <MemberForm onSubmit={householdForm.handleSubmit(onSaveHousehold)}>
+              <Field>
+                Household name
+                <Input placeholder="e.g. The Smiths" {...householdForm.register('name', { required: true })} />
+              </Field>
+              <FormActions>
+                <ActionButton type="submit" variant="primary" disabled={saving}>
+                  {saving ? 'Creating...' : 'Create Household'}
+                </ActionButton>
+              </FormActions>
+            </MemberForm>
+          </CardBody>
+        </Card>
+      ) : (
+        <>
+          <Card>
+            <CardHeader>
+              <CardTitle>{household.name}</CardTitle>
+              {isOwner && !renaming && (
+                <div style={{ display: 'flex', gap: '0.5rem' }}>
+                  <ActionButton onClick={() => { householdForm.reset({ name: household.name }); setRenaming(true); }}>
+                    ✏️ Rename
+                  </ActionButton>
+                  <ActionButton variant="danger" onClick={handleDelete}>Delete Household</ActionButton>
+                </div>
+              )}
+            </CardHeader>
+            <CardBody>
+              {renaming && (
+                <MemberForm onSubmit={householdForm.handleSubmit(onSaveHousehold)}>
+                  <Field>
+                    Household name
+                    <Input {...householdForm.register('name', { required: true })} />
+                  </Field>
+                  <FormActions>
+                    <ActionButton type="submit" variant="primary" disabled={saving}>
+                      {saving ? 'Saving...' : 'Save'}
+                    </ActionButton>
+                    <ActionButton type="button" onClick={() => setRenaming(false)} disabled={saving}>
+                      Cancel
+                    </ActionButton>
+                  </FormActions>
+                </MemberForm>
+              )}
+              <Hint>
+                Your role: {Roles.find(role => role.value === household.role)?.label} ({Roles.find(role => role.value === household.role)?.hint.toLowerCase()}).
+                {' '}Share an asset from its detail page to split its ownership between members.
+              </Hint>
+            </CardBody>
+          </Card>
+
+          <Card>
+            <CardHeader>
+              <CardTitle>Members</CardTitle>
+            </CardHeader>
+            <CardBody>
+              {isOwner && (
+                <MemberForm onSubmit={memberForm.handleSubmit(onAddMember)}>
+                  <Field>
+                    Email
+                    <Input type="email" placeholder="Their account email" {...memberForm.register('email', { required: true })} />
+                  </Field>
+                  <Field>
+                    Role
+                    <Select {...memberForm.register('role')}>
+                      {Roles.map(role => (
+                        <option key={role.value} value={role.value}>{role.label}</option>
+                      ))}
+                    </Select>
+                  </Field>
+                  <FormActions>
+                    <ActionButton type="submit" variant="primary" disabled={saving}>
+                      {saving ? 'Adding...' : '+ Add Member'}
+                    </ActionButton>
+                  </FormActions>
+                </MemberForm>
+              )}
+
+              <Table>
+                <thead>
+                  <tr>
+                    <th>Member</th>
+                    <th>Email</th>
+                    <th>Role</th>
+                    <th>Joined</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {household.members.map(member => (
+                    <tr key={member.userId}>
+                      <td>{memberName(member)}{member.userId === user?.id && ' (you)'}</td>
+                      <td>{member.email}</td>
+                      <td>
+                        {isOwner ? (
+                          <Select value={member.role} onChange={(e) => handleRoleChange(member, e.target.value)}>
+                            {Roles.map(role => (
+                              <option key={role.value} value={role.value}>{role.label}</option>
+                            ))}
+                          </Select>
+                        ) : (
+                          <span title={Roles.find(role => role.value === member.role)?.hint}>
+                            {Roles.find(role => role.value === member.role)?.label}
+                          </span>
+                        )}
+                      </td>
+                      <td>{new Date(member.joinedAt).toLocaleDateString()}</td>
+                      <td>
+                        {(isOwner || member.userId === user?.id) && (
+                          <ActionButton variant="danger" onClick={() => handleRemove(member)}>
+                            {member.userId === user?.id ? 'Leave' : 'Remove'}
+                          </ActionButton>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            </CardBody>
+          </Card>
+        </>
+      )}
+    </HouseholdContainer>
+  );
+};
+
+export default Household;
@@ -0,0 +1,501 @@
+import React, { useState } from 'react';
+import { useNavigate, Link } from 'react-router-dom';
+import styled from 'styled-components';
+import toast from 'react-hot-toast';
+import { assetService } from '../services/assetService';
+
+const ImportContainer = styled.div`
+  min-height: 100vh;
+  padding: 2rem;
+  max-width: 1000px;
+  margin: 0 auto;
+`;
+
+const Header = styled.div`
+  background: ${props => props.theme.colors.surface};
+  padding: 1.5rem;
+  border-radius: ${props => props.theme.borderRadius.lg};
+  box-shadow: ${props => props.theme.shadows.md};
+  margin-bottom: 2rem;
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+`;
+
+const HeaderContent = styled.div``;
+
+const Title = styled.h1`
+  font-size: 1.875rem;
+  font-weight: 700;
+  color: ${props => props.theme.colors.text};
+  margin-bottom: 0.5rem;
+`;
+
+const Subtitle = styled.p`
+  color: ${props => props.theme.colors.textLight};
+  margin: 0;
+`;
+
+const BackButton = styled(Link)`
+  display: inline-block;
+  padding: 0.5rem 1rem;
+  background: ${props => props.theme.colors.secondary};
+  color: white;
+  text-decoration: none;
+  border-radius: ${props => props.theme.borderRadius.md};
+  font-size: 0.875rem;
+  font-weight: 500;
+  transition: background-color 0.2s;
+
+  &:hover {
+    background: #4b5563;
+  }
+`;
+
+const Card = styled.div`
+  background: ${props => props.theme.colors.surface};
+  padding: 2rem;
+  border-radius: ${props => props.theme.borderRadius.lg};
+  box-shadow: ${props => props.theme.shadows.md};
+  margin-bottom: 2rem;
+`;
+
+const StepTitle = styled.h2`
+  font-size: 1.25rem;
+  font-weight: 600;
+  color: ${props => props.theme.colors.text};
+  margin: 0 0 1rem 0;
+`;
+
+const HelpText = styled.p`
+  color: ${props => props.theme.colors.textLight};
+  font-size: 0.875rem;
+  margin: 0 0 1rem 0;
+`;
+
+const MappingGrid = styled.div`
+  display: grid;
+  grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+  gap: 1rem;
+  margin-bottom: 1.5rem;
+`;
+
+const FormGroup = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 0.5rem;
+`;
+
+const Label = styled.label`
+  font-weight: 500;
+  color: ${props => props.theme.colors.text};
+  font-size: 0.875rem;
+`;
+
+const Select = styled.select`
+  padding: 0.5rem;
+  border: 1px solid ${props => props.theme.colors.border};
+  border-radius: ${props => props.theme.borderRadius.md};
+  background: white;
+`;
+
+const SummaryBar = styled.div`
+  display: flex;
+  gap: 1.5rem;
+  flex-wrap: wrap;
+  margin-bottom: 1rem;
+  font-size: 0.875rem;
+  color: ${props => props.theme.colors.text};
+`;
+
+const Table = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 0.875rem;
+
+  th, td {
+    padding: 0.5rem;
+    border-bottom: 1px solid ${props => props.theme.colors.border};
+    text-align: left;
+    vertical-align: top;
+  }
+
+  th {
+    color: ${props => props.theme.colors.textLight};
+    font-weight: 500;
+    text-transform: uppercase;
+    font-size: 0.75rem;
+  }
+`;
+
+const RowStatus = styled.span`
+  color: ${props => props.invalid ? props.theme.colors.error : props.theme.colors.success};
+  font-weight: 500;
+`;
+
+const ErrorList = styled.ul`
+  margin: 0;
+  padding-left: 1rem;
+  color: ${props => props.theme.colors.error};
+`;
+
+const ButtonGroup = styled.div`
+  display: flex;
+  gap: 1rem;
+  justify-content: flex-end;
+  margin-top: 1.5rem;
+`;
+
+const Button = styled.button`
+  padding: 0.75rem 1.5rem;
+  border: none;
+  border-radius: ${props => props.theme.borderRadius.md};
+  font-size: 1rem;
+  font-weight: 500;
+  cursor: pointer;
+  transition: background-color 0.2s;
+
+  &.primary {
+    background: ${props => props.theme.colors.primary};
+    color: white;
+
+    &:hover {
+      background: ${props => props.theme.colors.primaryHover};
+    }
+
+    &:disabled {
+      background: ${props => props.theme.colors.secondary};
+      cursor: not-allowed;
+    }
+  }
+
+  &.secondary {
+    background: ${props => props.theme.colors.surface};
+    color: ${props => props.theme.colors.text};
+    border: 1px solid ${props => props.theme.colors.border};
+
+    &:hover {
+      background: ${props => props.theme.colors.background};
+    }
+  }
+`;
+
+const ImportFields = [
+  { value: 'name', label: 'Name *' },
+  { value: 'type', label: 'Type *' },
+  { value: 'value', label: 'Value *' },
+  { value: 'currency', label: 'Currency' },
+  { value: 'purchaseValue', label: 'Purchase Value' },
+  { value: 'description', label: 'Description' },
+  { value: 'id', label: 'Existing Asset ID' }
+];
+
+const AssetTypes = [
+  { value: '', label: 'No default' },
+  { value: 'real_estate', label: 'Real Estate' },
+  { value: 'investment_account', label: 'Investment Account' },
+  { value: 'bank_account', label: 'Bank Account' },
+  { value: 'cryptocurrency', label: 'Cryptocurrency' },
+  { value: 'physical_asset', label: 'Physical Asset' },
+  { value: 'business_interest', label: 'Business Interest' },
+  { value: 'insurance', label: 'Insurance' }
+];
+
+const PREVIEW_ROWS = 100;
+
+const ImportAssets = () => {
+  const navigate = useNavigate();
+  const [csv, setCsv] = useState('');
+  const [fileName, setFileName] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [defaultType, setDefaultType] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [ofx, setOfx] = useState('');
+  const [ofxPreview, setOfxPreview] = useState(null);
+
+  const buildRequest = (overrides = {}) => ({
+    csv,
+    mapping,
+    defaults: defaultType ? { type: defaultType } : {},
+    ...overrides
+  });
+
+  const runPreview = async (request) => {
+    setLoading(true);
+    try {
+      const result = await assetService.importAssets({ ...request, dryRun: true });
+      setPreview(result);
+      setMapping(result.mapping || {});
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to read CSV file');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFileChange = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      setCsv(reader.result);
+      setFileName(file.name);
+      setMapping({});
+      runPreview({ csv: reader.result, mapping: {}, defaults: {} });
+    };
+    reader.onerror = () => toast.error('Unable to read the selected file');
+    reader.readAsText(file);
+  };
+
+  const handleMappingChange = (field, column) => {
+    const next = { ...mapping };
+    if (column) {
+      next[field] = column;
+    } else {
+      delete next[field];
+    }
+    setMapping(next);
+  };
+
+  const handleImport = async () => {
+    setLoading(true);
+    try {
+      const result = await assetService.importAssets(buildRequest({ dryRun: false }));
+      toast.success(`Imported ${result.summary.created} new and ${result.summary.updated} updated assets`);
+      navigate('/assets');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Import failed; no assets were changed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleOfxFileChange = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = async () => {
+      setOfx(reader.result);
+      setLoading(true);
+      try {
+        setOfxPreview(await assetService.importOfx({ ofx: reader.result, dryRun: true }));
+      } catch (error) {
+        setOfxPreview(null);
+        toast.error(error.response?.data?.message || 'Failed to read statement');
+      } finally {
+        setLoading(false);
+      }
+    };
+    reader.onerror = () => toast.error('Unable to read the selected file');
+    reader.readAsText(file);
+  };
+
+  const handleOfxImport = async () => {
+    setLoading(true);
+    try {
+      const result = await assetService.importOfx({ ofx, dryRun: false });
+      toast.success(`Statement imported: ${result.summary.created} new, ${result.summary.updated} updated accounts`);
+      navigate('/assets');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Statement import failed; no assets were changed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const ofxHasErrors = ofxPreview?.accounts?.some(account => account.errors.length > 0);
+
+  return (
+    <ImportContainer>
+      <Header>
+        <HeaderContent>
+          <Title>Import Assets</Title>
+          <Subtitle>Load assets from a CSV export or an OFX/QFX bank or broker statement</Subtitle>
+        </HeaderContent>
+        <BackButton to="/assets">
+          ← Back to Assets
+        </BackButton>
+      </Header>
+
+      <Card>
+        <StepTitle>1. Choose a CSV file</StepTitle>
+        <HelpText>
+          Files exported from the portal import as-is. Rows with the ID of an existing asset update it;
+          all other rows create new assets.
+        </HelpText>
+        <input type="file" accept=".csv,text/csv" onChange={handleFileChange} />
+        {fileName && <HelpText style={{ marginTop: '0.5rem' }}>Selected: {fileName}</HelpText>}
+      </Card>
+
+      {preview && (
+        <Card>
+          <StepTitle>2. Map columns</StepTitle>
+          <HelpText>Match each asset field to a column in your file, then refresh the preview.</HelpText>
+          <MappingGrid>
+            {ImportFields.map(field => (
+              <FormGroup key={field.value}>
+                <Label htmlFor={`map-${field.value}`}>{field.label}</Label>
+                <Select
+                  id={`map-${field.value}`}
+                  value={mapping[field.value] || ''}
+                  onChange={(e) => handleMappingChange(field.value, e.target.value)}
+                >
+                  <option value="">Not mapped</option>
+                  {preview.columns.map(column => (
+                    <option key={column} value={column}>{column}</option>
+                  ))}
+                </Select>
+              </FormGroup>
+            ))}
+            <FormGroup>
+              <Label htmlFor="default-type">Default type for blank rows</Label>
+              <Select
+                id="default-type"
+                value={defaultType}
+                onChange={(e) => setDefaultType(e.target.value)}
+              >
+                {AssetTypes.map(type => (
+                  <option key={type.value} value={type.value}>{type.label}</option>
+                ))}
+              </Select>
+            </FormGroup>
+          </MappingGrid>
+          <Button
+            type="button"
+            className="secondary"
+            onClick={() => runPreview(buildRequest())}
+            disabled={loading}
+          >
+            {loading ? 'Checking...' : 'Refresh Preview'}
+          </Button>
+        </Card>
+      )}
+
+      {preview && (
+        <Card>
+          <StepTitle>3. Review</StepTitle>
+          <SummaryBar>
+            <span>{preview.summary.totalRows} rows</span>
+            <span>{preview.summary.toCreate} to create</span>
+            <span>{preview.summary.toUpdate} to update</span>
+            <RowStatus invalid={preview.summary.invalidRows > 0}>
+              {preview.summary.invalidRows} with errors
+            </RowStatus>
+          </SummaryBar>
+          <Table>
+            <thead>
+              <tr>
+                <th>Line</th>
+                <th>Action</th>
+                <th>Name</th>
+                <th>Type</th>
+                <th>Value</th>
+                <th>Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {preview.rows.slice(0, PREVIEW_ROWS).map(row => (
+                <tr key={row.row}>
+                  <td>{row.row}</td>
+                  <td>{row.action}</td>
+                  <td>{row.data.name}</td>
+                  <td>{row.data.type}</td>
+                  <td>{row.data.value} {row.data.currency}</td>
+                  <td>
+                    {row.errors.length === 0 ? (
+                      <RowStatus>OK</RowStatus>
+                    ) : (
+                      <ErrorList>
+                        {row.errors.map((error, index) => (
+                          <li key={index}>{error.field}: {error.message}</li>
+                        ))}
+                      </ErrorList>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+          {preview.rows.length > PREVIEW_ROWS && (
+            <HelpText style={{ marginTop: '0.5rem' }}>
+              Showing the first {PREVIEW_ROWS} of {preview.rows.length} rows.
+            </HelpText>
+          )}
+          <ButtonGroup>
+            <Button type="button" className="secondary" onClick={() => navigate('/assets')}>
+              Cancel
+            </Button>
+            <Button
+              type="button"
+              className="primary"
+              onClick={handleImport}
+              disabled={loading || preview.summary.invalidRows > 0}
+            >
+              {loading ? 'Importing...' : `Import ${preview.summary.totalRows} Rows`}
+            </Button>
+          </ButtonGroup>
+        </Card>
+      )}
+
+      <Card>
+        <StepTitle>Or import a bank / broker statement (OFX, QFX)</StepTitle>
+        <HelpText>
+          Account balances and positions update the matching bank or investment account,
+          or create one if the account has not been imported before.
+        </HelpText>
+        <input type="file" accept=".ofx,.qfx" onChange={handleOfxFileChange} />
+        {ofxPreview && (
+          <>
+            <Table style={{ marginTop: '1rem' }}>
+              <thead>
+                <tr>
+                  <th>Action</th>
+                  <th>Account</th>
+                  <th>Statement Date</th>
+                  <th>Balance</th>
+                  <th>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {ofxPreview.accounts.map((account, index) => (
+                  <tr key={index}>
+                    <td>{account.action}</td>
+                    <td>{account.name}</td>
+                    <td>{account.statementDate}</td>
+                    <td>{account.value} {account.currency}</td>
+                    <td>
+                      {account.errors.length === 0 ? (
+                        <RowStatus>OK</RowStatus>
+                      ) : (
+                        <ErrorList>
+                          {account.errors.map((error, errorIndex) => (
+                            <li key={errorIndex}>{error}</li>
+                          ))}
+                        </ErrorList>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+            <ButtonGroup>
+              <Button
+                type="button"
+                className="primary"
+                onClick={handleOfxImport}
+                disabled={loading || ofxHasErrors}
+              >
+                {loading ? 'Importing...' : 'Import Statement'}
+              </Button>
+            </ButtonGroup>
+          </>
+        )}
+      </Card>
+    </ImportContainer>
+  );
+};
+
+export default ImportAssets;
@@ -0,0 +1,573 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import styled from 'styled-components';
+import toast from 'react-hot-toast';
+import { insuranceService } from '../services/insuranceService';
+import { reportService } from '../services/reportService';
+import { assetService } from '../services/assetService';
+
+const InsuranceContainer = styled.div`
+  min-height: 100vh;
+  padding: 2rem;
+  max-width: 1100px;
+  margin: 0 auto;
+`;
+
+const Header = styled.div`
+  background: ${props => props.theme.colors.surface};
+  padding: 1.5rem;
+  border-radius: ${props => props.theme.borderRadius.lg};
+  box-shadow: ${props => props.theme.shadows.md};
+  margin-bottom: 2rem;
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+`;
+
+const HeaderContent = styled.div``;
+
+const Title = styled.h1`
+  font-size: 1.875rem;
+  font-weight: 700;
+  color: ${props => props.theme.colors.text};
+  margin-bottom: 0.5rem;
+`;
+
+const Subtitle = styled.p`
+  color: ${props => props.theme.colors.textLight};
+  margin: 0;
+`;
+
+const Button = styled(Link)`
+  display: inline-block;
+  padding: 0.5rem 1rem;
+  background: ${props => props.theme.colors.secondary};
+  color: white;
+  text-decoration: none;
+  border-radius: ${props => props.theme.borderRadius.md};
+  font-size: 0.875rem;
+  font-weight: 500;
+  transition: background-color 0.2s;
+
+  &:hover {
+    background: #4b5563;
+  }
+`;
+
+const Card = styled.div`
+  background: ${props => props.theme.colors.surface};
+  border-radius: ${props => props.theme.borderRadius.lg};
+  box-shadow: ${props => props.theme.shadows.md};
+  margin-bottom: 2rem;
+  overflow: hidden;
+`;
+
+const CardHeader = styled.div`
+  padding: 1.25rem 1.5rem;
+  border-bottom: 1px solid ${props => props.theme.colors.border};
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  gap: 1rem;
+`;
+
+const CardTitle = styled.h2`
+  font-size: 1.125rem;
+  font-weight: 600;
+  color: ${props => props.theme.colors.text};
+  margin: 0;
+`;
+
+const CardBody = styled.div`
+  padding: 1.5rem;
+`;
+
+const StatsRow = styled.div`
+  display: grid;
+  grid-template-columns: repeat(auto-fit, minmax(160px, 1fr));
+  gap: 1rem;
+  margin-bottom: 1.5rem;
+`;
+
+const Stat = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 0.25rem;
+`;
+
+const StatLabel = styled.span`
+  font-size: 0.75rem;
+  color: ${props => props.theme.colors.textLight};
+  text-transform: uppercase;
+  letter-spacing: 0.05em;
+`;
+
+const StatValue = styled.span`
+  font-size: 1.25rem;
+  font-weight: 600;
+  color: ${props => props.color || props.theme.colors.text};
+`;
+
+const Table = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 0.875rem;
+
+  th, td {
+    padding: 0.5rem 0.75rem;
+    text-align: left;
+    border-bottom: 1px solid ${props => props.theme.colors.border};
+  }
+
+  th {
+    font-size: 0.75rem;
+    color: ${props => props.theme.colors.textLight};
+    text-transform: uppercase;
+    letter-spacing: 0.05em;
+  }
+`;
+
+const Status = styled.span`
+  font-weight: 500;
+  color: ${props => props.status === 'covered'
+    ? props.theme.colors.success
+    : props.status === 'underinsured' ? props.theme.colors.warning : props.theme.colors.error};
+`;
+
+const Hint = styled.p`
+  color: ${props => props.theme.colors.textLight};
+  font-size: 0.875rem;
+  margin: 0;
+`;
+
+const PolicyForm = styled.form`
+  display: grid;
+  grid-template-columns: repeat(auto-fit, minmax(180px, 1fr));
+  gap: 1rem;
+  margin-bottom: 1.5rem;
+  padding-bottom: 1.5rem;
+  border-bottom: 1px solid ${props => props.theme.colors.border};
+`;
+
+const Field = styled.label`
+  display: flex;
+  flex-direction: column;
+  gap: 0.25rem;
+  font-size: 0.75rem;
+  color: ${props => props.theme.colors.textLight};
+`;
+
+const Input = styled.input`
+  padding: 0.375rem 0.5rem;
+  border: 1px solid ${props => props.theme.colors.border};
+  border-radius: ${props => props.theme.borderRadius.sm};
+  font-size: 0.875rem;
+`;
+
+const Select = styled.select`
+  padding: 0.375rem 0.5rem;
+  border: 1px solid ${props => props.theme.colors.border};
+  border-radius: ${props => props.theme.borderRadius.sm};
+  background: white;
+  font-size: 0.875rem;
+`;
+
+const AssetChoices = styled.fieldset`
+  grid-column: 1 / -1;
+  border: 1px solid ${props => props.theme.colors.border};
+  border-radius: ${props => props.theme.borderRadius.sm};
+  padding: 0.75rem;
+  margin: 0;
+  display: flex;
+  flex-wrap: wrap;
+  gap: 0.5rem 1.25rem;
+  font-size: 0.875rem;
+
+  legend {
+    font-size: 0.75rem;
+    color: ${props => props.theme.colors.textLight};
+    padding: 0 0.25rem;
+  }
+`;
+
+const FormActions = styled.div`
+  grid-column: 1 / -1;
+  display: flex;
+  gap: 0.5rem;
+`;
+
+const ActionButton = styled.button`
+  padding: 0.375rem 0.75rem;
+  border: 1px solid ${props => props.variant === 'danger' ? props.theme.colors.error : props.variant === 'primary' ? props.theme.colors.primary : props.theme.colors.border};
+  background: ${props => props.variant === 'danger' ? props.theme.colors.error : props.variant === 'primary' ? props.theme.colors.primary : 'white'};
+  color: ${props => props.variant === 'danger' || props.variant === 'primary' ? 'white' : props.theme.colors.text};
+  border-radius: ${props => props.theme.borderRadius.sm};
+  font-size: 0.75rem;
+  cursor: pointer;
+  transition: all 0.2s;
+
+  &:hover {
+    opacity: 0.8;
+  }
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`;
+
+const Renewal = styled.span`
+  color: ${props => props.soon ? props.theme.colors.warning : props.theme.colors.text};
+  font-weight: ${props => props.soon ? 600 : 400};
+`;
+
+const PolicyTypes = [
+  { value: 'home', label: 'Home' },
+  { value: 'renters', label: 'Renters' },
+  { value: 'auto', label: 'Auto' },
+  { value: 'valuables', label: 'Valuables' },
+  { value: 'umbrella', label: 'Umbrella' },
+  { value: 'business', label: 'Business' },
+  { value: 'other', label: 'Other' }
+];
+
+const PremiumFrequencies = ['monthly', 'quarterly', 'semiannual', 'annual'];
+
+const StatusLabels = {
+  covered: 'Covered',
+  underinsured: 'Underinsured',
+  uninsured: 'Uninsured'
+};
+
+const emptyPolicy = {
+  name: '',
+  type: 'home',
+  carrier: '',
+  policyNumber: '',
+  coverageAmount: '',
+  deductible: '',
+  premium: '',
+  premiumFrequency: 'annual',
+  renewalDate: '',
+  reminderDays: 30,
+  assetIds: []
+};
+
+const InsurancePolicies = () => {
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [policies, setPolicies] = useState([]);
+  const [assets, setAssets] = useState([]);
+  const [coverage, setCoverage] = useState(null);
+  const [editing, setEditing] = useState(null); // 'new', a policy id, or null
+  const { register, handleSubmit, reset } = useForm({ defaultValues: emptyPolicy });
+
+  useEffect(() => {
+    loadInsurance();
+  }, []);
+
+  const loadInsurance = async () => {
+    try {
+      setLoading(true);
+      const [policyResponse, coverageResponse, assetResponse] = await Promise.all([
+        insuranceService.getPolicies(),
+        reportService.getCoverageGaps(),
+        assetService.getAssets()
+      ]);
+      setPolicies(policyResponse.policies || []);
+      setCoverage(coverageResponse);
+      setAssets(assetResponse.assets || []);
+    } catch (error) {
+      console.error('Failed to load insurance policies:', error);
+      toast.error('Failed to load insurance policies');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const formatCurrency = (value, currency = coverage?.baseCurrency || 'USD') => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency
+    }).format(value);
+  };
+
+  const startEditing = (policy) => {
+    reset(policy ? {
+      ...emptyPolicy,
+      ...policy,
+      policyNumber: policy.policyNumber || '',
+      premium: policy.premium ?? '',
+      renewalDate: policy.renewalDate || ''
+    } : emptyPolicy);
+    setEditing(policy ? policy.id : 'new');
+  };
+
+  const onSubmit = async (data) => {
+    const policyData = {
+      name: data.name,
+      type: data.type,
+      carrier: data.carrier,
+      policyNumber: data.policyNumber || null,
+      coverageAmount: parseFloat(data.coverageAmount),
+      deductible: data.deductible === '' ? 0 : parseFloat(data.deductible),
+      premium: data.premium === '' ? null : parseFloat(data.premium),
+      premiumFrequency: data.premiumFrequency,
+      renewalDate: data.renewalDate || null,
+      reminderDays: parseInt(data.reminderDays, 10) || 0,
+      assetIds: data.assetIds || []
+    };
+
+    try {
+      setSaving(true);
+      if (editing === 'new') {
+        await insuranceService.createPolicy(policyData);
+        toast.success('Policy added');
+      } else {
+        await insuranceService.updatePolicy(editing, policyData);
+        toast.success('Policy updated');
+      }
+      setEditing(null);
+      loadInsurance();
+    } catch (error) {
+      console.error('Failed to save insurance policy:', error);
+      toast.error(error.response?.data?.message || error.response?.data?.details?.[0]?.msg || 'Failed to save policy');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (policy) => {
+    if (!window.confirm(`Delete the "${policy.name}" policy?`)) {
+      return;
+    }
+
+    try {
+      await insuranceService.deletePolicy(policy.id);
+      toast.success('Policy deleted');
+      loadInsurance();
+    } catch (error) {
+      console.error('Failed to delete insurance policy:', error);
+      toast.error(error.response?.data?.message || 'Failed to delete policy');
+    }
+  };
+
+  const assetName = (id) => assets.find(asset => asset.id === id)?.name || 'Unknown asset';
+
+  return (
+    <InsuranceContainer>
+      <Header>
+        <HeaderContent>
+          <Title>Insurance</Title>
+          <Subtitle>Track policies, the assets they protect and where coverage falls short</Subtitle>
+        </HeaderContent>
+        <Button to="/dashboard">← Dashboard</Button>
+      </Header>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Coverage Gaps</CardTitle>
+          {coverage?.missingRates?.length > 0 && (
+            <Hint>Missing FX rates: {coverage.missingRates.join(', ')}</Hint>
+          )}
+        </CardHeader>
+        <CardBody>
+          {loading ? (
+            <Hint>Loading coverage...</Hint>
+          ) : coverage.assets.length === 0 ? (
+            <Hint>No property, physical assets or business interests to insure yet.</Hint>
+          ) : (
+            <>
+              <StatsRow>
+                <Stat>
+                  <StatLabel>Insurable Value</StatLabel>
+                  <StatValue>{formatCurrency(coverage.totals.value)}</StatValue>
+                </Stat>
+                <Stat>
+                  <StatLabel>Insured</StatLabel>
+                  <StatValue>{formatCurrency(coverage.totals.insured)}</StatValue>
+                </Stat>
+                <Stat>
+                  <StatLabel>Coverage Gap</StatLabel>
+                  <StatValue color={coverage.totals.gap > 0 ? '#ef4444' : '#10b981'}>
+                    {formatCurrency(coverage.totals.gap)}
+                  </StatValue>
+                </Stat>
+                <Stat>
+                  <StatLabel>Uninsured / Under</StatLabel>
+                  <StatValue>{coverage.totals.uninsured} / {coverage.totals.underinsured}</StatValue>
+                </Stat>
+              </StatsRow>
+              <Table>
+                <thead>
+                  <tr>
+                    <th>Asset</th>
+                    <th>Value</th>
+                    <th>Insured</th>
+                    <th>Gap</th>
+                    <th>Status</th>
+                    <th>Policies</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {coverage.assets.map(row => (
+                    <tr key={row.assetId}>
+                      <td><Link to={`/assets/${row.assetId}`}>{row.name}</Link></td>
+                      <td>{formatCurrency(row.value)}</td>
+                      <td>
+                        {formatCurrency(row.insuredAmount)}
+                        {row.coverageRatio !== null && row.policies.length > 0 && ` (${Math.round(row.coverageRatio * 100)}%)`}
+                      </td>
+                      <td>{row.gap > 0 ? formatCurrency(row.gap) : '—'}</td>
+                      <td><Status status={row.status}>{StatusLabels[row.status]}</Status></td>
+                      <td>{row.policies.map(policy => policy.name).join(', ') || '—'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+              {coverage.unlinkedPolicies.length > 0 && (
+                <Hint style={{ marginTop: '1rem' }}>
+                  Not linked to any asset: {coverage.unlinkedPolicies.map(policy => policy.name).join(', ')}
+                </Hint>
+              )}
+            </>
+          )}
+        </CardBody>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Policies</CardTitle>
+          {!editing && (
+            <ActionButton variant="primary" onClick={() => startEditing(null)}>+ Add Policy</ActionButton>
+          )}
+        </CardHeader>
+        <CardBody>
+          {editing && (
+            <PolicyForm onSubmit={handleSubmit(onSubmit)}>
+              <Field>
+                Name
+                <Input {...register('name', { required: true })} placeholder="Home insurance" />
+              </Field>
+              <Field>
+                Type
+                <Select {...register('type')}>
+                  {PolicyTypes.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </Select>
+              </Field>
+              <Field>
+                Carrier
+                <Input {...register('carrier', { required: true })} />
+              </Field>
+              <Field>
+                Policy number
+                <Input {...register('policyNumber')} />
+              </Field>
+              <Field>
+                Coverage amount
+                <Input type="number" step="0.01" min="0" {...register('coverageAmount', { required: true })} />
+              </Field>
+              <Field>
+                Deductible
+                <Input type="number" step="0.01" min="0" {...register('deductible')} />
+              </Field>
+              <Field>
+                Premium
+                <Input type="number" step="0.01" min="0" {...register('premium')} />
+              </Field>
+              <Field>
+                Paid
+                <Select {...register('premiumFrequency')}>
+                  {PremiumFrequencies.map(frequency => (
+                    <option key={frequency} value={frequency}>{frequency}</option>
+                  ))}
+                </Select>
+              </Field>
+              <Field>
+                Renewal date
+                <Input type="date" {...register('renewalDate')} />
+              </Field>
+              <Field>
+                Remind me (days before)
+                <Input type="number" min="0" max="365" {...register('reminderDays')} />
+              </Field>
+              <AssetChoices>
+                <legend>Covered assets</legend>
+                {assets.length === 0 ? (
+                  <Hint>No assets yet</Hint>
+                ) : assets.map(asset => (
+                  <label key={asset.id}>
+                    <input type="checkbox" value={asset.id} {...register('assetIds')} /> {asset.name}
+                  </label>
+                ))}
+              </AssetChoices>
+              <FormActions>
+                <ActionButton type="submit" variant="primary" disabled={saving}>
+                  {saving ? 'Saving...' : 'Save Policy'}
+                </ActionButton>
+                <ActionButton type="button" onClick={() => setEditing(null)} disabled={saving}>
+                  Cancel
+                </ActionButton>
+              </FormActions>
+            </PolicyForm>
+          )}
+
+          {loading ? (
+            <Hint>Loading policies...</Hint>
+          ) : policies.length === 0 ? (
+            <Hint>No policies yet. Add your home, auto or valuables policies to see coverage gaps and get renewal reminders.</Hint>
+          ) : (
+            <Table>
+              <thead>
+                <tr>
+                  <th>Policy</th>
+                  <th>Carrier</th>
+                  <th>Coverage</th>
+                  <th>Deductible</th>
+                  <th>Premium</th>
+                  <th>Renews</th>
+                  <th>Covers</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {policies.map(policy => (
+                  <tr key={policy.id}>
+                    <td>{policy.name}</td>
+                    <td>
+                      {policy.carrier}
+                      {policy.policyNumber && <Hint>#{policy.policyNumber}</Hint>}
+                    </td>
+                    <td>{formatCurrency(policy.coverageAmount, policy.currency)}</td>
+                    <td>{formatCurrency(policy.deductible, policy.currency)}</td>
+                    <td>{policy.premium !== null ? `${formatCurrency(policy.premium, policy.currency)} ${policy.premiumFrequency}` : '—'}</td>
+                    <td>
+                      {policy.renewalDate ? (
+                        <Renewal soon={policy.daysUntilRenewal !== null && policy.daysUntilRenewal <= policy.reminderDays}>
+                          {policy.renewalDate}
+                          {policy.daysUntilRenewal < 0 ? ' (lapsed)' : policy.daysUntilRenewal <= policy.reminderDays ? ` (${policy.daysUntilRenewal} days)` : ''}
+                        </Renewal>
+                      ) : '—'}
+                    </td>
+                    <td>{policy.assetIds.map(assetName).join(', ') || '—'}</td>
+                    <td>
+                      <div style={{ display: 'flex', gap: '0.5rem' }}>
+                        <ActionButton onClick={() => startEditing(policy)} disabled={Boolean(editing)}>Edit</ActionButton>
+                        <ActionButton variant="danger" onClick={() => handleDelete(policy)}>Delete</ActionButton>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+        </CardBody>
+      </Card>
+    </InsuranceContainer>
+  );
+};
+
+export default InsurancePolicies;
@@ -0,0 +1,489 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useForm, useFieldArray } from 'react-hook-form';
+import styled from 'styled-components';
+import toast from 'react-hot-toast';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Filler,
+  Tooltip,
+  Legend
+} from 'chart.js';
+import { Line } from 'react-chartjs-2';
+import { reportService } from '../services/reportService';
+
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Filler, Tooltip, Legend);
+
+const ProjectionContainer = styled.div`
+  min-height: 100vh;
+  padding: 2rem;
+  max-width: 1200px;
+  margin: 0 auto;
+`;
+
+const Header = styled.div`
+  background: ${props => props.theme.colors.surface};
+  padding: 1.5rem;
+  border-radius: ${props => props.theme.borderRadius.lg};
+  box-shadow: ${props => props.theme.shadows.md};
+  margin-bottom: 2rem;
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+`;
+
+const HeaderContent = styled.div``;
+
+const Title = styled.h1`
+  font-size: 1.875rem;
+  font-weight: 700;
+  color: ${props => props.theme.colors.text};
+  margin-bottom: 0.5rem;
+`;
+
+const Subtitle = styled.p`
+  color: ${props => props.theme.colors.textLight};
+  margin: 0;
+`;
+
+const Button = styled(Link)`
+  display: inline-block;
+  padding: 0.5rem 1rem;
+  background: ${props => props.theme.colors.secondary};
+  color: white;
+  text-decoration: none;
+  border-radius: ${props => props.theme.borderRadius.md};
+  font-size: 0.875rem;
+  font-weight: 500;
+  transition: background-color 0.2s;
+
+  &:hover {
+    background: #4b5563;
+  }
+`;
+
+const StatsGrid = styled.div`
+  display: grid;
+  grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+  gap: 1.5rem;
+  margin-bottom: 2rem;
+`;
+
+const StatCard = styled.div`
+  background: ${props => props.theme.colors.surface};
+  padding: 1.25rem;
+  border-radius: ${props => props.theme.borderRadius.lg};
+  box-shadow: ${props => props.theme.shadows.md};
+  border-left: 4px solid ${props => props.color || props.theme.colors.primary};
+`;
+
+const StatTitle = styled.h3`
+  font-size: 0.75rem;
+  font-weight: 500;
+  color: ${props => props.theme.colors.textLight};
+  margin: 0 0 0.5rem 0;
+  text-transform: uppercase;
+  letter-spacing: 0.05em;
+`;
+
+const StatValue = styled.div`
+  font-size: 1.5rem;
+  font-weight: 700;
+  color: ${props => props.theme.colors.text};
+`;
+
+const StatSubtext = styled.p`
+  font-size: 0.75rem;
+  color: ${props => props.theme.colors.textLight};
+  margin: 0.25rem 0 0 0;
+`;
+
+const ContentGrid = styled.div`
+  display: grid;
+  grid-template-columns: 2fr 1fr;
+  gap: 2rem;
+  align-items: start;
+
+  @media (max-width: 900px) {
+    grid-template-columns: 1fr;
+  }
+`;
+
+const Card = styled.div`
+  background: ${props => props.theme.colors.surface};
+  border-radius: ${props => props.theme.borderRadius.lg};
+  box-shadow: ${props => props.theme.shadows.md};
+  overflow: hidden;
+`;
+
+const CardHeader = styled.div`
+  padding: 1.25rem 1.5rem;
+  border-bottom: 1px solid ${props => props.theme.colors.border};
+`;
+
+const CardTitle = styled.h2`
+  font-size: 1.125rem;
+  font-weight: 600;
+  color: ${props => props.theme.colors.text};
+  margin: 0;
+`;
+
+const CardBody = styled.div`
+  padding: 1.5rem;
+`;
+
+const ChartWrapper = styled.div`
+  position: relative;
+  height: 420px;
+`;
+
+const Section = styled.div`
+  margin-bottom: 1.5rem;
+`;
+
+const SectionTitle = styled.h3`
+  font-size: 0.875rem;
+  font-weight: 600;
+  color: ${props => props.theme.colors.text};
+  margin: 0 0 0.75rem 0;
+`;
+
+const Row = styled.div`
+  display: flex;
+  gap: 0.5rem;
+  align-items: center;
+  flex-wrap: wrap;
+  margin-bottom: 0.5rem;
+  font-size: 0.875rem;
+  color: ${props => props.theme.colors.text};
+`;
+
+const RowLabel = styled.span`
+  flex: 1;
+  min-width: 120px;
+`;
+
+const Input = styled.input`
+  padding: 0.375rem 0.5rem;
+  border: 1px solid ${props => props.theme.colors.border};
+  border-radius: ${props => props.theme.borderRadius.sm};
+  font-size: 0.875rem;
+  width: ${props => props.width || '70px'};
+`;
+
+const Select = styled.select`
+  padding: 0.375rem 0.5rem;
+  border: 1px solid ${props => props.theme.colors.border};
+  border-radius: ${props => props.theme.borderRadius.sm};
+  background: white;
+  font-size: 0.875rem;
+`;
+
+const ActionButton = styled.button`
+  padding: 0.25rem 0.5rem;
+  border: 1px solid ${props => props.variant === 'primary' ? props.theme.colors.primary : props.theme.colors.border};
+  background: ${props => props.variant === 'primary' ? props.theme.colors.primary : 'white'};
+  color: ${props => props.variant === 'primary' ? 'white' : props.theme.colors.text};
+  border-radius: ${props => props.theme.borderRadius.sm};
+  font-size: 0.75rem;
+  cursor: pointer;
+  transition: all 0.2s;
+
+  &:hover {
+    opacity: 0.8;
+  }
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`;
+
+const RunButton = styled.button`
+  width: 100%;
+  padding: 0.75rem;
+  border: none;
+  background: ${props => props.theme.colors.primary};
+  color: white;
+  border-radius: ${props => props.theme.borderRadius.md};
+  font-size: 0.875rem;
+  font-weight: 500;
+  cursor: pointer;
+
+  &:hover {
+    background: ${props => props.theme.colors.primaryHover};
+  }
+
+  &:disabled {
+    background: ${props => props.theme.colors.secondary};
+    cursor: not-allowed;
+  }
+`;
+
+const Hint = styled.p`
+  font-size: 0.75rem;
+  color: ${props => props.theme.colors.textLight};
+  margin: 0 0 0.75rem 0;
+`;
+
+const emptyFlow = { amount: '', frequency: 'monthly', startYear: '', endYear: '', assetType: '' };
+
+const toNumber = (value) => (value === '' || value === null || value === undefined ? undefined : parseFloat(value));
+
+// Form rows -> request body, leaving blank optional fields out
+const toFlows = (rows) => rows
+  .filter(row => toNumber(row.amount) > 0)
+  .map(row => ({
+    amount: toNumber(row.amount),
+    frequency: row.frequency,
+    ...(row.startYear !== '' && { startYear: parseInt(row.startYear, 10) }),
+    ...(row.endYear !== '' && { endYear: parseInt(row.endYear, 10) }),
+    ...(row.assetType && { assetType: row.assetType })
+  }));
+
+const Projection = () => {
+  const [loading, setLoading] = useState(true);
+  const [running, setRunning] = useState(false);
+  const [projection, setProjection] = useState(null);
+  const { register, control, handleSubmit, reset } = useForm({
+    defaultValues: { years: 20, simulations: 1000, seed: '', assumptions: {}, contributions: [], withdrawals: [] }
+  });
+  const contributionRows = useFieldArray({ control, name: 'contributions' });
+  const withdrawalRows = useFieldArray({ control, name: 'withdrawals' });
+
+  useEffect(() => {
+    loadDefaults();
+  }, []);
+
+  // The first run uses the server's default assumptions, which then seed the form
+  const loadDefaults = async () => {
+    try {
+      setLoading(true);
+      const response = await reportService.getProjection({ years: 20 });
+      setProjection(response);
+      reset({
+        years: response.years,
+        simulations: response.monteCarlo.simulations,
+        seed: '',
+        assumptions: Object.fromEntries(response.assumptions.map(assumption => [
+          assumption.assetType,
+          { expectedReturn: assumption.expectedReturn, volatility: assumption.volatility }
+        ])),
+        contributions: [],
+        withdrawals: []
+      });
+    } catch (error) {
+      console.error('Failed to load projection:', error);
+      toast.error('Failed to load projection');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const onSubmit = async (data) => {
+    const options = {
+      years: parseInt(data.years, 10),
+      simulations: parseInt(data.simulations, 10),
+      assumptions: Object.fromEntries(Object.entries(data.assumptions).map(([type, assumption]) => [
+        type,
+        { expectedReturn: toNumber(assumption.expectedReturn) ?? 0, volatility: toNumber(assumption.volatility) ?? 0 }
+      ])),
+      contributions: toFlows(data.contributions),
+      withdrawals: toFlows(data.withdrawals)
+    };
+    if (data.seed !== '') options.seed = parseInt(data.seed, 10);
+
+    try {
+      setRunning(true);
+      setProjection(await reportService.getProjection(options));
+    } catch (error) {
+      console.error('Failed to run projection:', error);
+      toast.error(error.response?.data?.message || error.response?.data?.details?.[0]?.msg || 'Failed to run projection');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const baseCurrency = projection?.baseCurrency || 'USD';
+
+  const formatCurrency = (value) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: baseCurrency,
+      maximumFractionDigits: 0
+    }).format(value);
+  };
+
+  const points = projection?.points || [];
+  const band = (key) => points.map(point => point.percentiles[key]);
+  const chartData = {
+    labels: points.map(point => point.calendarYear),
+    datasets: [
+      { label: '10th percentile', data: band('p10'), borderColor: 'rgba(59, 130, 246, 0.3)', backgroundColor: 'transparent', pointRadius: 0, borderWidth: 1 },
+      { label: '10th–90th percentile', data: band('p90'), borderColor: 'rgba(59, 130, 246, 0.3)', backgroundColor: 'rgba(59, 130, 246, 0.12)', fill: '-1', pointRadius: 0, borderWidth: 1 },
+      { label: '25th percentile', data: band('p25'), borderColor: 'rgba(59, 130, 246, 0.5)', backgroundColor: 'transparent', pointRadius: 0, borderWidth: 1 },
+      { label: '25th–75th percentile', data: band('p75'), borderColor: 'rgba(59, 130, 246, 0.5)', backgroundColor: 'rgba(59, 130, 246, 0.25)', fill: '-1', pointRadius: 0, borderWidth: 1 },
+      { label: 'Median', data: band('p50'), borderColor: '#3b82f6', backgroundColor: '#3b82f6', pointRadius: 0, borderWidth: 2 },
+      { label: 'Expected (deterministic)', data: points.map(point => point.deterministic), borderColor: '#10b981', backgroundColor: '#10b981', borderDash: [6, 4], pointRadius: 0, borderWidth: 2 }
+    ]
+  };
+  const chartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    interaction: { mode: 'index', intersect: false },
+    plugins: {
+      legend: {
+        position: 'bottom',
+        labels: { filter: item => !['10th percentile', '25th percentile'].includes(item.text) }
+      },
+      tooltip: {
+        callbacks: { label: context => `${context.dataset.label}: ${formatCurrency(context.parsed.y)}` }
+      }
+    },
+    scales: {
+      y: { ticks: { callback: value => formatCurrency(value) } }
+    }
+  };
+
+  const finalPoint = points[points.length - 1];
+
+  const renderFlows = (rows, name, allowAssetType) => (
+    <>
+      {rows.fields.map((field, index) => (
+        <Row key={field.id}>
+          <Input type="number" step="0.01" min="0" placeholder="Amount" width="90px" {...register(`${name}.${index}.amount`)} />
+          <Select {...register(`${name}.${index}.frequency`)}>
+            <option value="monthly">Monthly</option>
+            <option value="annual">Yearly</option>
+          </Select>
+          <Input type="number" min="1" placeholder="From yr" width="70px" {...register(`${name}.${index}.startYear`)} />
+          <Input type="number" min="1" placeholder="To yr" width="70px" {...register(`${name}.${index}.endYear`)} />
+          {allowAssetType && (
+            <Select {...register(`${name}.${index}.assetType`)}>
+              <option value="">Current mix</option>
+              {projection?.assumptions.map(assumption => (
+                <option key={assumption.assetType} value={assumption.assetType}>{assumption.name}</option>
+              ))}
+            </Select>
+          )}
+          <ActionButton type="button" onClick={() => rows.remove(index)}>✕</ActionButton>
+        </Row>
+      ))}
+      <ActionButton type="button" onClick={() => rows.append(emptyFlow)}>+ Add</ActionButton>
+    </>
+  );
+
+  return (
+    <ProjectionContainer>
+      <Header>
+        <HeaderContent>
+          <Title>Net Worth Projection</Title>
+          <Subtitle>Model where your portfolio could be, with a range of market outcomes</Subtitle>
+        </HeaderContent>
+        <Button to="/dashboard">← Dashboard</Button>
+      </Header>
+
+      {projection && finalPoint && (
+        <StatsGrid>
+          <StatCard color="#6b7280">
+            <StatTitle>Today</StatTitle>
+            <StatValue>{formatCurrency(projection.startNetWorth)}</StatValue>
+            <StatSubtext>Net worth, liabilities held at {formatCurrency(projection.liabilities)}</StatSubtext>
+          </StatCard>
+          <StatCard color="#10b981">
+            <StatTitle>Expected in {finalPoint.calendarYear}</StatTitle>
+            <StatValue>{formatCurrency(finalPoint.deterministic)}</StatValue>
+            <StatSubtext>At each asset type's expected return</StatSubtext>
+          </StatCard>
+          <StatCard color="#3b82f6">
+            <StatTitle>Median in {finalPoint.calendarYear}</StatTitle>
+            <StatValue>{formatCurrency(finalPoint.percentiles.p50)}</StatValue>
+            <StatSubtext>
+              80% of {projection.monteCarlo.simulations} simulations between {formatCurrency(finalPoint.percentiles.p10)} and {formatCurrency(finalPoint.percentiles.p90)}
+            </StatSubtext>
+          </StatCard>
+          {projection.withdrawals.length > 0 && (
+            <StatCard color={projection.monteCarlo.depletionProbability > 10 ? '#ef4444' : '#f59e0b'}>
+              <StatTitle>Chance of Running Out</StatTitle>
+              <StatValue>{projection.monteCarlo.depletionProbability}%</StatValue>
+              <StatSubtext>Simulations where withdrawals exhausted the portfolio</StatSubtext>
+            </StatCard>
+          )}
+        </StatsGrid>
+      )}
+
+      <ContentGrid>
+        <Card>
+          <CardHeader>
+            <CardTitle>Projected Net Worth ({baseCurrency})</CardTitle>
+          </CardHeader>
+          <CardBody>
+            {loading ? (
+              <Hint>Running projection...</Hint>
+            ) : (
+              <ChartWrapper>
+                <Line data={chartData} options={chartOptions} />
+              </ChartWrapper>
+            )}
+          </CardBody>
+        </Card>
+
+        <Card>
+          <CardHeader>
+            <CardTitle>Scenario</CardTitle>
+          </CardHeader>
+          <CardBody>
+            <form onSubmit={handleSubmit(onSubmit)}>
+              <Section>
+                <Row>
+                  <RowLabel>Years</RowLabel>
+                  <Input type="number" min="1" max="50" {...register('years', { required: true })} />
+                </Row>
+                <Row>
+                  <RowLabel>Simulations</RowLabel>
+                  <Input type="number" min="100" max="2000" step="100" {...register('simulations', { required: true })} />
+                </Row>
+                <Row>
+                  <RowLabel>Seed (optional)</RowLabel>
+                  <Input type="number" min="0" width="100px" placeholder={projection ? String(projection.monteCarlo.seed) : ''} {...register('seed')} />
+                </Row>
+              </Section>
+
+              <Section>
+                <SectionTitle>Return / volatility per year (%)</SectionTitle>
+                {projection?.assumptions.map(assumption => (
+                  <Row key={assumption.assetType}>
+                    <RowLabel>{assumption.name}</RowLabel>
+                    <Input type="number" step="0.1" {...register(`assumptions.${assumption.assetType}.expectedReturn`)} />
+                    <Input type="number" step="0.1" min="0" {...register(`assumptions.${assumption.assetType}.volatility`)} />
+                  </Row>
+                ))}
+              </Section>
+
+              <Section>
+                <SectionTitle>Recurring contributions</SectionTitle>
+                <Hint>Years count from 1; leave them blank to run for the whole projection.</Hint>
+                {renderFlows(contributionRows, 'contributions', true)}
+              </Section>
+
+              <Section>
+                <SectionTitle>Recurring withdrawals</SectionTitle>
+                {renderFlows(withdrawalRows, 'withdrawals', false)}
+              </Section>
+
+              <RunButton type="submit" disabled={running || loading}>
+                {running ? 'Running...' : 'Run Projection'}
+              </RunButton>
+            </form>
+          </CardBody>
+        </Card>
+      </ContentGrid>
+    </ProjectionContainer>
+  );
+};
+
+export default Projection;
@@ -0,0 +1,385 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import styled from 'styled-components';
+import toast from 'react-hot-toast';
+import { shareLinkService } from '../services/shareLinkService';
+
+const SettingsContainer = styled.div`
+  min-height: 100vh;
+  padding: 2rem;
+  max-width: 1100px;
+  margin: 0 auto;
+`;
+
+const Header = styled.div`
+  background: ${props => props.theme.colors.surface};
+  padding: 1.5rem;
+  border-radius: ${props => props.theme.borderRadius.lg};
+  box-shadow: ${props => props.theme.shadows.md};
+  margin-bottom: 2rem;
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+`;
+
+const HeaderContent = styled.div``;
+
+const Title = styled.h1`
+  font-size: 1.875rem;
+  font-weight: 700;
+  color: ${props => props.theme.colors.text};
+  margin-bottom: 0.5rem;
+`;
+
+const Subtitle = styled.p`
+  color: ${props => props.theme.colors.textLight};
+  margin: 0;
+`;
+
+const Button = styled(Link)`
+  display: inline-block;
+  padding: 0.5rem 1rem;
+  background: ${props => props.theme.colors.secondary};
+  color: white;
+  text-decoration: none;
+  border-radius: ${props => props.theme.borderRadius.md};
+  font-size: 0.875rem;
+  font-weight: 500;
+  transition: background-color 0.2s;
+
+  &:hover {
+    background: #4b5563;
+  }
+`;
+
+const Card = styled.div`
+  background: ${props => props.theme.colors.surface};
+  border-radius: ${props => props.theme.borderRadius.lg};
+  box-shadow: ${props => props.theme.shadows.md};
+  margin-bottom: 2rem;
+  overflow: hidden;
+`;
+
+const CardHeader = styled.div`
+  padding: 1.25rem 1.5rem;
+  border-bottom: 1px solid ${props => props.theme.colors.border};
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  gap: 1rem;
+`;
+
+const CardTitle = styled.h2`
+  font-size: 1.125rem;
+  font-weight: 600;
+  color: ${props => props.theme.colors.text};
+  margin: 0;
+`;
+
+const CardBody = styled.div`
+  padding: 1.5rem;
+`;
+
+const Table = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 0.875rem;
+
+  th, td {
+    padding: 0.5rem 0.75rem;
+    text-align: left;
+    border-bottom: 1px solid ${props => props.theme.colors.border};
+  }
+
+  th {
+    font-size: 0.75rem;
+    color: ${props => props.theme.colors.textLight};
+    text-transform: uppercase;
+    letter-spacing: 0.05em;
+  }
+`;
+
+const Hint = styled.p`
+  color: ${props => props.theme.colors.textLight};
+  font-size: 0.875rem;
+  margin: 0;
+`;
+
+const LinkForm = styled.form`
+  display: grid;
+  grid-template-columns: repeat(auto-fit, minmax(180px, 1fr));
+  gap: 1rem;
+  margin-bottom: 1.5rem;
+  padding-bottom: 1.5rem;
+  border-bottom: 1px solid ${props => props.theme.colors.border};
+`;
+
+const Field = styled.label`
+  display: flex;
+  flex-direction: column;
+  gap: 0.25rem;
+  font-size: 0.75rem;
+  color: ${props => props.theme.colors.textLight};
+`;
+
+const Input = styled.input`
+  padding: 0.375rem 0.5rem;
+  border: 1px solid ${props => props.theme.colors.border};
+  border-radius: ${props => props.theme.borderRadius.sm};
+  font-size: 0.875rem;
+`;
+
+const Select = styled.select`
+  padding: 0.375rem 0.5rem;
+  border: 1px solid ${props => props.theme.colors.border};
+  border-radius: ${props => props.theme.borderRadius.sm};
+  background: white;
+  font-size: 0.875rem;
+`;
+
+const FormActions = styled.div`
+  grid-column: 1 / -1;
+  display: flex;
+  gap: 0.5rem;
+`;
+
+const ActionButton = styled.button`
+  padding: 0.375rem 0.75rem;
+  border: 1px solid ${props => props.variant === 'danger' ? props.theme.colors.error : props.variant === 'primary' ? props.theme.colors.primary : props.theme.colors.border};
+  background: ${props => props.variant === 'danger' ? props.theme.colors.error : props.variant === 'primary' ? props.theme.colors.primary : 'white'};
+  color: ${props => props.variant === 'danger' || props.variant === 'primary' ? 'white' : props.theme.colors.text};
+  border-radius: ${props => props.theme.borderRadius.sm};
+  font-size: 0.75rem;
+  cursor: pointer;
+  transition: all 0.2s;
+
+  &:hover {
+    opacity: 0.8;
+  }
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`;
+
+const StatusBadge = styled.span`
+  display: inline-block;
+  padding: 0.125rem 0.5rem;
+  border-radius: 999px;
+  font-size: 0.75rem;
+  font-weight: 500;
+  color: white;
+  background: ${props => ({
+    active: props.theme.colors.success,
+    pending: props.theme.colors.primary,
+    expired: props.theme.colors.textLight,
+    revoked: props.theme.colors.error
+  }[props.status])};
+`;
+
+const reportLabels = {
+  'portfolio-summary': 'Portfolio Summary',
+  export: 'Asset Export'
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString();
+
+const defaultExpiry = () => {
+  const date = new Date();
+  date.setDate(date.getDate() + 14);
+  return date.toISOString().slice(0, 10);
+};
+
+const Settings = () => {
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [links, setLinks] = useState([]);
+  const { register, handleSubmit, reset } = useForm({
+    defaultValues: { report: 'portfolio-summary', view: 'share', label: '', password: '', expiresAt: defaultExpiry() }
+  });
+
+  useEffect(() => {
+    loadLinks();
+  }, []);
+
+  const loadLinks = async () => {
+    try {
+      setLoading(true);
+      const response = await shareLinkService.getLinks();
+      setLinks(response.links || []);
+    } catch (error) {
+      console.error('Failed to load share links:', error);
+      toast.error('Failed to load share links');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const showError = (error, fallback) => {
+    toast.error(error.response?.data?.message || error.response?.data?.details?.[0]?.msg || fallback);
+  };
+
+  const copyLink = async (link) => {
+    try {
+      await navigator.clipboard.writeText(link.url);
+      toast.success('Link copied to clipboard');
+    } catch (error) {
+      window.prompt('Copy this link:', link.url);
+    }
+  };
+
+  const onCreate = async ({ report, view, label, password, expiresAt }) => {
+    try {
+      setSaving(true);
+      const response = await shareLinkService.createLink({
+        report,
+        view,
+        label: label || undefined,
+        password: password || undefined,
+        // Links work until the end of the chosen day
+        expiresAt: new Date(`${expiresAt}T23:59:59`).toISOString()
+      });
+      setLinks(prev => [response.link, ...prev]);
+      reset({ report, view, label: '', password: '', expiresAt: defaultExpiry() });
+      toast.success(response.message);
+      copyLink(response.link);
+    } catch (error) {
+      console.error('Failed to create share link:', error);
+      showError(error, 'Failed to create share link');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevoke = async (link) => {
+    if (!window.confirm('Revoke this link? Anyone who has it will no longer be able to open it.')) {
+      return;
+    }
+
+    try {
+      const response = await shareLinkService.revokeLink(link.id);
+      setLinks(prev => prev.map(existing => (existing.id === link.id ? response.link : existing)));
+      toast.success(response.message);
+    } catch (error) {
+      console.error('Failed to revoke share link:', error);
+      showError(error, 'Failed to revoke share link');
+    }
+  };
+
+  return (
+    <SettingsContainer>
+      <Header>
+        <HeaderContent>
+          <Title>Settings</Title>
+          <Subtitle>Manage how your portfolio is shared</Subtitle>
+        </HeaderContent>
+        <Button to="/dashboard">← Dashboard</Button>
+      </Header>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Shared Report Links</CardTitle>
+        </CardHeader>
+        <CardBody>
+          <LinkForm onSubmit={handleSubmit(onCreate)}>
+            <Field>
+              Report
+              <Select {...register('report')}>
+                {Object.entries(reportLabels).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </Select>
+            </Field>
+            <Field>
+              Values
+              <Select {...register('view')}>
+                <option value="share">My Share</option>
+                <option value="household">Household Total</option>
+              </Select>
+            </Field>
+            <Field>
+              Label
+              <Input placeholder="e.g. Mortgage application" {...register('label')} />
+            </Field>
+            <Field>
+              Expires
+              <Input type="date" {...register('expiresAt', { required: true })} />
+            </Field>
+            <Field>
+              Password (optional)
+              <Input type="password" autoComplete="new-password" {...register('password')} />
+            </Field>
+            <FormActions>
+              <ActionButton type="submit" variant="primary" disabled={saving}>
+                {saving ? 'Creating...' : 'Create Link'}
+              </ActionButton>
+            </FormActions>
+          </LinkForm>
+          <Hint style={{ marginBottom: '1.5rem' }}>
+            Anyone with a link can view the report without logging in until it expires or you revoke it.
+            The report always shows your current figures.
+          </Hint>
+
+          {loading ? (
+            <Hint>Loading share links...</Hint>
+          ) : links.length === 0 ? (
+            <Hint>You haven't shared any reports yet.</Hint>
+          ) : (
+            <Table>
+              <thead>
+                <tr>
+                  <th>Report</th>
+                  <th>Created</th>
+                  <th>Expires</th>
+                  <th>Views</th>
+                  <th>Status</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {links.map(link => (
+                  <tr key={link.id}>
+                    <td>
+                      {link.label || reportLabels[link.report]}
+                      {link.label && <Hint>{reportLabels[link.report]}</Hint>}
+                      {link.passwordProtected && <Hint>🔒 Password protected</Hint>}
+                    </td>
+                    <td>{formatDate(link.createdAt)}</td>
+                    <td>{formatDate(link.expiresAt)}</td>
+                    <td title={link.lastViewedAt ? `Last viewed ${new Date(link.lastViewedAt).toLocaleString()}` : 'Not viewed yet'}>
+                      {link.viewCount}
+                    </td>
+                    <td><StatusBadge status={link.status}>{link.status.charAt(0).toUpperCase() + link.status.slice(1)}</StatusBadge></td>
+                    <td>
+                      {link.status === 'active' && (
+                        <div style={{ display: 'flex', gap: '0.5rem' }}>
+                          <ActionButton onClick={() => copyLink(link)}>Copy Link</ActionButton>
+                          <ActionButton variant="danger" onClick={() => handleRevoke(link)}>Revoke</ActionButton>
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+        </CardBody>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Advisor Access</CardTitle>
+        </CardHeader>
+        <CardBody>
+          <Hint>
+            To give an accountant or advisor ongoing access to their own login, use <Link to="/access">Advisor Access</Link>.
+          </Hint>
+        </CardBody>
+      </Card>
+    </SettingsContainer>
+  );
+};
+
+export default Settings;
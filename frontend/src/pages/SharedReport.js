@@ -0,0 +1,370 @@
+import React, { useState, useEffect } from 'react';
+import { useParams } from 'react-router-dom';
+import styled from 'styled-components';
+import toast from 'react-hot-toast';
+import { shareLinkService } from '../services/shareLinkService';
+
+const SharedContainer = styled.div`
+  min-height: 100vh;
+  padding: 2rem;
+  max-width: 1100px;
+  margin: 0 auto;
+`;
+
+const Header = styled.div`
+  background: ${props => props.theme.colors.surface};
+  padding: 1.5rem;
+  border-radius: ${props => props.theme.borderRadius.lg};
+  box-shadow: ${props => props.theme.shadows.md};
+  margin-bottom: 2rem;
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+`;
+
+const HeaderContent = styled.div``;
+
+const Title = styled.h1`
+  font-size: 1.875rem;
+  font-weight: 700;
+  color: ${props => props.theme.colors.text};
+  margin-bottom: 0.5rem;
+`;
+
+const Subtitle = styled.p`
+  color: ${props => props.theme.colors.textLight};
+  margin: 0;
+`;
+
+const Card = styled.div`
+  background: ${props => props.theme.colors.surface};
+  border-radius: ${props => props.theme.borderRadius.lg};
+  box-shadow: ${props => props.theme.shadows.md};
+  margin-bottom: 2rem;
+  overflow: hidden;
+`;
+
+const CardHeader = styled.div`
+  padding: 1.25rem 1.5rem;
+  border-bottom: 1px solid ${props => props.theme.colors.border};
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  gap: 1rem;
+`;
+
+const CardTitle = styled.h2`
+  font-size: 1.125rem;
+  font-weight: 600;
+  color: ${props => props.theme.colors.text};
+  margin: 0;
+`;
+
+const CardBody = styled.div`
+  padding: 1.5rem;
+`;
+
+const Table = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 0.875rem;
+
+  th, td {
+    padding: 0.5rem 0.75rem;
+    text-align: left;
+    border-bottom: 1px solid ${props => props.theme.colors.border};
+  }
+
+  th {
+    font-size: 0.75rem;
+    color: ${props => props.theme.colors.textLight};
+    text-transform: uppercase;
+    letter-spacing: 0.05em;
+  }
+`;
+
+const Hint = styled.p`
+  color: ${props => props.theme.colors.textLight};
+  font-size: 0.875rem;
+  margin: 0;
+`;
+
+const StatsGrid = styled.div`
+  display: grid;
+  grid-template-columns: repeat(auto-fit, minmax(180px, 1fr));
+  gap: 1rem;
+`;
+
+const Stat = styled.div`
+  padding: 1rem;
+  border: 1px solid ${props => props.theme.colors.border};
+  border-radius: ${props => props.theme.borderRadius.md};
+`;
+
+const StatLabel = styled.div`
+  font-size: 0.75rem;
+  color: ${props => props.theme.colors.textLight};
+  text-transform: uppercase;
+  letter-spacing: 0.05em;
+  margin-bottom: 0.25rem;
+`;
+
+const StatValue = styled.div`
+  font-size: 1.25rem;
+  font-weight: 600;
+  color: ${props => props.theme.colors.text};
+`;
+
+const ActionButton = styled.button`
+  padding: 0.375rem 0.75rem;
+  border: 1px solid ${props => props.theme.colors.border};
+  background: white;
+  color: ${props => props.theme.colors.text};
+  border-radius: ${props => props.theme.borderRadius.sm};
+  font-size: 0.75rem;
+  cursor: pointer;
+  transition: all 0.2s;
+
+  &:hover {
+    opacity: 0.8;
+  }
+`;
+
+const PasswordForm = styled.form`
+  display: flex;
+  gap: 0.5rem;
+  margin-top: 1rem;
+`;
+
+const Input = styled.input`
+  padding: 0.375rem 0.5rem;
+  border: 1px solid ${props => props.theme.colors.border};
+  border-radius: ${props => props.theme.borderRadius.sm};
+  font-size: 0.875rem;
+`;
+
+const formatLabel = (text) => text.replace(/[_-]/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+
+const reportTitles = {
+  'portfolio-summary': 'Portfolio Summary',
+  export: 'Asset Export'
+};
+
+// Report opened from a share link. Works without logging in; the link may ask
+// for a password first.
+const SharedReport = () => {
+  const { token } = useParams();
+  const [loading, setLoading] = useState(true);
+  const [shared, setShared] = useState(null);
+  const [passwordRequired, setPasswordRequired] = useState(false);
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadReport();
+  }, [token]);
+
+  const loadReport = async (attempt) => {
+    try {
+      setLoading(true);
+      const response = await shareLinkService.getSharedReport(token, attempt);
+      setShared(response);
+      setPasswordRequired(false);
+      setError(null);
+    } catch (error) {
+      if (error.response?.data?.passwordRequired) {
+        setPasswordRequired(true);
+        if (attempt) toast.error(error.response.data.message);
+      } else {
+        setError(error.response?.data?.message || 'Unable to load the shared report');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleUnlock = (e) => {
+    e.preventDefault();
+    loadReport(password);
+  };
+
+  const handleDownload = async () => {
+    try {
+      const blob = await shareLinkService.downloadSharedExport(token, password || undefined);
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'assets-export.csv';
+      link.click();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Failed to download export:', error);
+      toast.error('Failed to download export');
+    }
+  };
+
+  const report = shared?.data;
+
+  const formatCurrency = (value, currency = report?.baseCurrency || 'USD') => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency
+    }).format(value);
+  };
+
+  return (
+    <SharedContainer>
+      <Header>
+        <HeaderContent>
+          <Title>{shared ? shared.label || reportTitles[shared.report] : 'Shared Report'}</Title>
+          <Subtitle>
+            {shared
+              ? `Shared by ${shared.sharedBy} · read-only · available until ${new Date(shared.expiresAt).toLocaleDateString()}`
+              : 'Read-only report'}
+          </Subtitle>
+        </HeaderContent>
+      </Header>
+
+      {error ? (
+        <Card>
+          <CardBody>
+            <Hint>{error}</Hint>
+          </CardBody>
+        </Card>
+      ) : passwordRequired ? (
+        <Card>
+          <CardBody>
+            <Hint>This report is password protected. Enter the password you were given.</Hint>
+            <PasswordForm onSubmit={handleUnlock}>
+              <Input type="password" value={password} onChange={(e) => setPassword(e.target.value)} autoFocus />
+              <ActionButton type="submit" disabled={loading || !password}>
+                {loading ? 'Checking...' : 'View Report'}
+              </ActionButton>
+            </PasswordForm>
+          </CardBody>
+        </Card>
+      ) : loading ? (
+        <Card>
+          <CardBody>
+            <Hint>Loading report...</Hint>
+          </CardBody>
+        </Card>
+      ) : shared.report === 'portfolio-summary' ? (
+        <>
+          <Card>
+            <CardHeader>
+              <CardTitle>Portfolio Summary</CardTitle>
+              <Hint>As of {new Date(report.generatedAt).toLocaleString()}</Hint>
+            </CardHeader>
+            <CardBody>
+              <StatsGrid>
+                <Stat>
+                  <StatLabel>Net Worth</StatLabel>
+                  <StatValue>{formatCurrency(report.summary.netWorth)}</StatValue>
+                </Stat>
+                <Stat>
+                  <StatLabel>Total Assets</StatLabel>
+                  <StatValue>{formatCurrency(report.summary.grossAssets)}</StatValue>
+                </Stat>
+                <Stat>
+                  <StatLabel>Total Liabilities</StatLabel>
+                  <StatValue>{formatCurrency(report.summary.totalLiabilities)}</StatValue>
+                </Stat>
+              </StatsGrid>
+            </CardBody>
+          </Card>
+
+          <Card>
+            <CardHeader>
+              <CardTitle>Assets by Category</CardTitle>
+            </CardHeader>
+            <CardBody>
+              <Table>
+                <thead>
+                  <tr>
+                    <th>Category</th>
+                    <th>Assets</th>
+                    <th>Value</th>
+                    <th>Share</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.categoryBreakdown.map(category => (
+                    <tr key={category.id}>
+                      <td>{category.icon} {category.category}</td>
+                      <td>{category.count}</td>
+                      <td>{formatCurrency(category.value)}</td>
+                      <td>{category.percentage}%</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            </CardBody>
+          </Card>
+
+          {report.liabilityBreakdown.length > 0 && (
+            <Card>
+              <CardHeader>
+                <CardTitle>Liabilities</CardTitle>
+              </CardHeader>
+              <CardBody>
+                <Table>
+                  <thead>
+                    <tr>
+                      <th>Category</th>
+                      <th>Count</th>
+                      <th>Balance</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.liabilityBreakdown.map(category => (
+                      <tr key={category.id}>
+                        <td>{category.category}</td>
+                        <td>{category.count}</td>
+                        <td>{formatCurrency(category.balance)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              </CardBody>
+            </Card>
+          )}
+        </>
+      ) : (
+        <Card>
+          <CardHeader>
+            <CardTitle>Assets ({report.totalAssets})</CardTitle>
+            <ActionButton onClick={handleDownload}>Download CSV</ActionButton>
+          </CardHeader>
+          <CardBody>
+            <Table>
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Type</th>
+                  <th>Value</th>
+                  <th>Value ({report.baseCurrency})</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.assets.map(asset => (
+                  <tr key={asset.id}>
+                    <td>{asset.name}</td>
+                    <td>{formatLabel(asset.type)}</td>
+                    <td>{formatCurrency(asset.nativeValue, asset.currency)}</td>
+                    <td>{formatCurrency(asset.value)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+            <Hint style={{ marginTop: '1rem' }}>
+              Total: {formatCurrency(report.totalValue)} · exported {new Date(report.exportedAt).toLocaleString()}
+            </Hint>
+          </CardBody>
+        </Card>
+      )}
+    </SharedContainer>
+  );
+};
+
+export default SharedReport;
@@ -0,0 +1,392 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import styled from 'styled-components';
+import toast from 'react-hot-toast';
+import { allocationService } from '../services/allocationService';
+import { reportService } from '../services/reportService';
+import { tagService } from '../services/tagService';
+
+const AllocationContainer = styled.div`
+  min-height: 100vh;
+  padding: 2rem;
+  max-width: 1000px;
+  margin: 0 auto;
+`;
+
+const Header = styled.div`
+  background: ${props => props.theme.colors.surface};
+  padding: 1.5rem;
+  border-radius: ${props => props.theme.borderRadius.lg};
+  box-shadow: ${props => props.theme.shadows.md};
+  margin-bottom: 2rem;
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+`;
+
+const HeaderContent = styled.div``;
+
+const Title = styled.h1`
+  font-size: 1.875rem;
+  font-weight: 700;
+  color: ${props => props.theme.colors.text};
+  margin-bottom: 0.5rem;
+`;
+
+const Subtitle = styled.p`
+  color: ${props => props.theme.colors.textLight};
+  margin: 0;
+`;
+
+const Button = styled(Link)`
+  display: inline-block;
+  padding: 0.5rem 1rem;
+  background: ${props => props.theme.colors.secondary};
+  color: white;
+  text-decoration: none;
+  border-radius: ${props => props.theme.borderRadius.md};
+  font-size: 0.875rem;
+  font-weight: 500;
+  transition: background-color 0.2s;
+
+  &:hover {
+    background: #4b5563;
+  }
+`;
+
+const Card = styled.div`
+  background: ${props => props.theme.colors.surface};
+  border-radius: ${props => props.theme.borderRadius.lg};
+  box-shadow: ${props => props.theme.shadows.md};
+  margin-bottom: 2rem;
+  overflow: hidden;
+`;
+
+const CardHeader = styled.div`
+  padding: 1.25rem 1.5rem;
+  border-bottom: 1px solid ${props => props.theme.colors.border};
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  gap: 1rem;
+`;
+
+const CardTitle = styled.h2`
+  font-size: 1.125rem;
+  font-weight: 600;
+  color: ${props => props.theme.colors.text};
+  margin: 0;
+`;
+
+const CardBody = styled.div`
+  padding: 1.5rem;
+`;
+
+const Select = styled.select`
+  padding: 0.5rem;
+  border: 1px solid ${props => props.theme.colors.border};
+  border-radius: ${props => props.theme.borderRadius.sm};
+  background: white;
+  font-size: 0.875rem;
+`;
+
+const Input = styled.input`
+  padding: 0.375rem 0.5rem;
+  border: 1px solid ${props => props.theme.colors.border};
+  border-radius: ${props => props.theme.borderRadius.sm};
+  font-size: 0.875rem;
+  width: 80px;
+`;
+
+const Table = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 0.875rem;
+
+  th, td {
+    padding: 0.5rem 0.75rem;
+    text-align: left;
+    border-bottom: 1px solid ${props => props.theme.colors.border};
+  }
+
+  th {
+    font-size: 0.75rem;
+    color: ${props => props.theme.colors.textLight};
+    text-transform: uppercase;
+    letter-spacing: 0.05em;
+  }
+`;
+
+const Footer = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  margin-top: 1rem;
+`;
+
+const Total = styled.span`
+  font-weight: 600;
+  color: ${props => props.valid ? props.theme.colors.success : props.theme.colors.error};
+`;
+
+const SaveButton = styled.button`
+  padding: 0.5rem 1rem;
+  border: none;
+  background: ${props => props.theme.colors.primary};
+  color: white;
+  border-radius: ${props => props.theme.borderRadius.md};
+  font-size: 0.875rem;
+  cursor: pointer;
+
+  &:disabled {
+    background: ${props => props.theme.colors.secondary};
+    cursor: not-allowed;
+  }
+`;
+
+const Drift = styled.span`
+  font-weight: 500;
+  color: ${props => props.status === 'ok' ? props.theme.colors.success : props.theme.colors.warning};
+`;
+
+const Hint = styled.p`
+  color: ${props => props.theme.colors.textLight};
+  font-size: 0.875rem;
+  margin: 0;
+`;
+
+const TradeList = styled.ul`
+  margin: 1rem 0 0 0;
+  padding-left: 1.25rem;
+  font-size: 0.875rem;
+  color: ${props => props.theme.colors.text};
+`;
+
+const AssetTypes = [
+  { value: 'real_estate', label: 'Real Estate' },
+  { value: 'investment_account', label: 'Investment Account' },
+  { value: 'bank_account', label: 'Bank Account' },
+  { value: 'cryptocurrency', label: 'Cryptocurrency' },
+  { value: 'physical_asset', label: 'Physical Asset' },
+  { value: 'business_interest', label: 'Business Interest' },
+  { value: 'insurance', label: 'Insurance' }
+];
+
+const DEFAULT_TOLERANCE = 5;
+
+const TargetAllocation = () => {
+  const [basis, setBasis] = useState('category');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [options, setOptions] = useState([]);
+  const [targets, setTargets] = useState({});
+  const [rebalance, setRebalance] = useState(null);
+
+  useEffect(() => {
+    loadAllocation();
+  }, [basis]);
+
+  const loadAllocation = async () => {
+    try {
+      setLoading(true);
+      const [targetResponse, rebalanceResponse, tagResponse] = await Promise.all([
+        allocationService.getTargets(basis),
+        reportService.getRebalance(basis),
+        basis === 'tag' ? tagService.getTags() : Promise.resolve(null)
+      ]);
+
+      setOptions(basis === 'tag'
+        ? (tagResponse.tags || []).map(tag => ({ value: tag.id, label: tag.name }))
+        : AssetTypes);
+      setTargets(Object.fromEntries((targetResponse.targets || []).map(target => [
+        target.key,
+        { targetPercentage: String(target.targetPercentage), tolerance: String(target.tolerance) }
+      ])));
+      setRebalance(rebalanceResponse);
+    } catch (error) {
+      console.error('Failed to load allocation targets:', error);
+      toast.error('Failed to load allocation targets');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateTarget = (key, field, value) => {
+    setTargets(prev => ({
+      ...prev,
+      [key]: { targetPercentage: '', tolerance: String(DEFAULT_TOLERANCE), ...prev[key], [field]: value }
+    }));
+  };
+
+  // Only rows with a percentage entered become targets
+  const enteredTargets = Object.entries(targets)
+    .filter(([, target]) => target.targetPercentage !== '')
+    .map(([key, target]) => ({
+      key,
+      targetPercentage: parseFloat(target.targetPercentage) || 0,
+      tolerance: target.tolerance === '' ? DEFAULT_TOLERANCE : parseFloat(target.tolerance)
+    }));
+  const totalPercentage = enteredTargets.reduce((sum, target) => sum + target.targetPercentage, 0);
+  const totalValid = enteredTargets.length === 0 || Math.abs(totalPercentage - 100) <= 0.01;
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      await allocationService.setTargets(basis, enteredTargets);
+      toast.success(enteredTargets.length > 0 ? 'Target allocation saved' : 'Target allocation cleared');
+      loadAllocation();
+    } catch (error) {
+      console.error('Failed to save allocation targets:', error);
+      toast.error(error.response?.data?.message || error.response?.data?.details?.[0]?.msg || 'Failed to save targets');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const formatCurrency = (value) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: rebalance?.baseCurrency || 'USD'
+    }).format(value);
+  };
+
+  const currentPercentage = (key) => {
+    const allocation = rebalance?.allocations?.find(item => item.key === key);
+    return allocation ? `${allocation.currentPercentage}%` : '—';
+  };
+
+  return (
+    <AllocationContainer>
+      <Header>
+        <HeaderContent>
+          <Title>Target Allocation</Title>
+          <Subtitle>Set target percentages and see what it would take to rebalance</Subtitle>
+        </HeaderContent>
+        <Button to="/dashboard">← Dashboard</Button>
+      </Header>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Targets</CardTitle>
+          <Select value={basis} onChange={(e) => setBasis(e.target.value)}>
+            <option value="category">By category</option>
+            <option value="tag">By tag</option>
+          </Select>
+        </CardHeader>
+        <CardBody>
+          {loading ? (
+            <Hint>Loading targets...</Hint>
+          ) : options.length === 0 ? (
+            <Hint>You don't have any tags yet. Tag your assets to set targets by tag.</Hint>
+          ) : (
+            <>
+              <Table>
+                <thead>
+                  <tr>
+                    <th>{basis === 'tag' ? 'Tag' : 'Category'}</th>
+                    <th>Current</th>
+                    <th>Target %</th>
+                    <th>Tolerance ± pts</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {options.map(option => (
+                    <tr key={option.value}>
+                      <td>{option.label}</td>
+                      <td>{currentPercentage(option.value)}</td>
+                      <td>
+                        <Input
+                          type="number"
+                          min="0"
+                          max="100"
+                          step="0.01"
+                          value={targets[option.value]?.targetPercentage ?? ''}
+                          onChange={(e) => updateTarget(option.value, 'targetPercentage', e.target.value)}
+                        />
+                      </td>
+                      <td>
+                        <Input
+                          type="number"
+                          min="0"
+                          max="100"
+                          step="0.5"
+                          placeholder={String(DEFAULT_TOLERANCE)}
+                          value={targets[option.value]?.tolerance ?? ''}
+                          onChange={(e) => updateTarget(option.value, 'tolerance', e.target.value)}
+                        />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+              {basis === 'tag' && (
+                <Hint>An asset with several tags counts toward each of them equally, splitting its value.</Hint>
+              )}
+              <Footer>
+                <Total valid={totalValid}>
+                  Total: {parseFloat(totalPercentage.toFixed(2))}%{!totalValid && ' (must add up to 100%)'}
+                </Total>
+                <SaveButton onClick={handleSave} disabled={saving || !totalValid}>
+                  {saving ? 'Saving...' : 'Save Targets'}
+                </SaveButton>
+              </Footer>
+            </>
+          )}
+        </CardBody>
+      </Card>
+
+      {!loading && rebalance?.hasTargets && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Rebalancing</CardTitle>
+            <Hint>
+              {rebalance.needsRebalance
+                ? `${rebalance.outsideTolerance} outside tolerance`
+                : 'Everything is within tolerance'}
+            </Hint>
+          </CardHeader>
+          <CardBody>
+            <Table>
+              <thead>
+                <tr>
+                  <th>{basis === 'tag' ? 'Tag' : 'Category'}</th>
+                  <th>Value</th>
+                  <th>Current</th>
+                  <th>Target</th>
+                  <th>Drift</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rebalance.allocations.map(allocation => (
+                  <tr key={allocation.key}>
+                    <td>{allocation.name}</td>
+                    <td>{formatCurrency(allocation.currentValue)}</td>
+                    <td>{allocation.currentPercentage}%</td>
+                    <td>{allocation.targetPercentage}%</td>
+                    <td>
+                      <Drift status={allocation.status}>
+                        {allocation.drift > 0 ? '+' : ''}{allocation.drift} pts
+                        {allocation.status !== 'ok' && ' ⚠️'}
+                      </Drift>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+            {rebalance.trades.length > 0 && (
+              <TradeList>
+                {rebalance.trades.map(trade => (
+                  <li key={trade.key}>
+                    {trade.action === 'sell' ? 'Sell' : 'Buy'} {formatCurrency(trade.amount)} of {trade.name}
+                  </li>
+                ))}
+              </TradeList>
+            )}
+          </CardBody>
+        </Card>
+      )}
+    </AllocationContainer>
+  );
+};
+
+export default TargetAllocation;
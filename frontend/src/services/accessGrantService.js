@@ -0,0 +1,50 @@
+import axios from 'axios';
+import { API_BASE_URL } from '../config/api';
+
+const accessGrantAPI = axios.create({
+  baseURL: `${API_BASE_URL}/access-grants`,
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+// Add token to requests
+accessGrantAPI.interceptors.request.use((config) => {
+  const token = localStorage.getItem('token');
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+export const accessGrantService = {
+  async getGrants() {
+    const response = await accessGrantAPI.get('/');
+    return response.data;
+  },
+
+  async getReceivedGrants() {
+    const response = await accessGrantAPI.get('/received');
+    return response.data;
+  },
+
+  async createGrant(grantData) {
+    const response = await accessGrantAPI.post('/', grantData);
+    return response.data;
+  },
+
+  async acceptGrant(token) {
+    const response = await accessGrantAPI.post('/accept', { token });
+    return response.data;
+  },
+
+  async revokeGrant(id) {
+    const response = await accessGrantAPI.delete(`/${id}`);
+    return response.data;
+  },
+
+  async getActivity(id) {
+    const response = await accessGrantAPI.get(`/${id}/activity`);
+    return response.data;
+  }
+};
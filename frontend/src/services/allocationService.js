@@ -0,0 +1,30 @@
+import axios from 'axios';
+import { API_BASE_URL } from '../config/api';
+
+const allocationAPI = axios.create({
+  baseURL: `${API_BASE_URL}/allocation-targets`,
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+// Add token to requests
+allocationAPI.interceptors.request.use((config) => {
+  const token = localStorage.getItem('token');
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+export const allocationService = {
+  async getTargets(basis = 'category') {
+    const response = await allocationAPI.get('/', { params: { basis } });
+    return response.data;
+  },
+
+  async setTargets(basis, targets) {
+    const response = await allocationAPI.put('/', { basis, targets });
+    return response.data;
+  }
+};
@@ -18,8 +18,13 @@ assetAPI.interceptors.request.use((config) => {
 });
 
 export const assetService = {
-  async getAssets() {
-    const response = await assetAPI.get('/');
+  async getAssets(params = {}) {
+    const response = await assetAPI.get('/', { params });
+    return response.data;
+  },
+
+  async getAssetSchemas() {
+    const response = await assetAPI.get('/schemas');
     return response.data;
   },
 
@@ -38,6 +43,11 @@ export const assetService = {
     return response.data;
   },
 
+  async setAssetTags(id, tags) {
+    const response = await assetAPI.put(`/${id}/tags`, { tags });
+    return response.data;
+  },
+
   async deleteAsset(id) {
     const response = await assetAPI.delete(`/${id}`);
     return response.data;
@@ -46,5 +56,114 @@ export const assetService = {
   async getAssetsByType(type) {
     const response = await assetAPI.get(`/type/${type}`);
     return response.data;
+  },
+
+  async importAssets(importData) {
+    const response = await assetAPI.post('/import', importData);
+    return response.data;
+  },
+
+  async importOfx(importData) {
+    const response = await assetAPI.post('/import/ofx', importData);
+    return response.data;
+  },
+
+  async getValuations(id, params = {}) {
+    const response = await assetAPI.get(`/${id}/valuations`, { params });
+    return response.data;
+  },
+
+  async addValuation(id, valuationData) {
+    const response = await assetAPI.post(`/${id}/valuations`, valuationData);
+    return response.data;
+  },
+
+  async getTransactions(id) {
+    const response = await assetAPI.get(`/${id}/transactions`);
+    return response.data;
+  },
+
+  async addTransaction(id, transactionData) {
+    const response = await assetAPI.post(`/${id}/transactions`, transactionData);
+    return response.data;
+  },
+
+  async updateTransaction(id, transactionId, transactionData) {
+    const response = await assetAPI.put(`/${id}/transactions/${transactionId}`, transactionData);
+    return response.data;
+  },
+
+  async deleteTransaction(id, transactionId) {
+    const response = await assetAPI.delete(`/${id}/transactions/${transactionId}`);
+    return response.data;
+  },
+
+  async getValueSchedule(id) {
+    const response = await assetAPI.get(`/${id}/schedule`);
+    return response.data;
+  },
+
+  async setValueSchedule(id, scheduleData) {
+    const response = await assetAPI.put(`/${id}/schedule`, scheduleData);
+    return response.data;
+  },
+
+  async deleteValueSchedule(id) {
+    const response = await assetAPI.delete(`/${id}/schedule`);
+    return response.data;
+  },
+
+  async getBeneficiaries(id) {
+    const response = await assetAPI.get(`/${id}/beneficiaries`);
+    return response.data;
+  },
+
+  async setBeneficiaries(id, designations) {
+    const response = await assetAPI.put(`/${id}/beneficiaries`, { designations });
+    return response.data;
+  },
+
+  async getOwnership(id) {
+    const response = await assetAPI.get(`/${id}/ownership`);
+    return response.data;
+  },
+
+  async setOwnership(id, owners) {
+    const response = await assetAPI.put(`/${id}/ownership`, { owners });
+    return response.data;
+  },
+
+  async getAuditTrail(id, params = {}) {
+    const response = await assetAPI.get(`/${id}/audit`, { params });
+    return response.data;
+  },
+
+  async getDocuments(id) {
+    const response = await assetAPI.get(`/${id}/documents`);
+    return response.data;
+  },
+
+  async uploadDocument(id, file, details = {}) {
+    const formData = new FormData();
+    formData.append('file', file);
+    Object.entries(details).forEach(([key, value]) => {
+      if (value) formData.append(key, value);
+    });
+    const response = await assetAPI.post(`/${id}/documents`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+    return response.data;
+  },
+
+  async downloadDocument(id, documentId) {
+    const response = await assetAPI.get(`/${id}/documents/${documentId}`, {
+      responseType: 'blob',
+    });
+    return response.data;
+  },
+
+  async deleteDocument(id, documentId) {
+    const response = await assetAPI.delete(`/${id}/documents/${documentId}`);
+    return response.data;
   }
 };
@@ -0,0 +1,40 @@
+import axios from 'axios';
+import { API_BASE_URL } from '../config/api';
+
+const beneficiaryAPI = axios.create({
+  baseURL: `${API_BASE_URL}/beneficiaries`,
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+// Add token to requests
+beneficiaryAPI.interceptors.request.use((config) => {
+  const token = localStorage.getItem('token');
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+export const beneficiaryService = {
+  async getBeneficiaries() {
+    const response = await beneficiaryAPI.get('/');
+    return response.data;
+  },
+
+  async createBeneficiary(beneficiaryData) {
+    const response = await beneficiaryAPI.post('/', beneficiaryData);
+    return response.data;
+  },
+
+  async updateBeneficiary(id, beneficiaryData) {
+    const response = await beneficiaryAPI.put(`/${id}`, beneficiaryData);
+    return response.data;
+  },
+
+  async deleteBeneficiary(id) {
+    const response = await beneficiaryAPI.delete(`/${id}`);
+    return response.data;
+  }
+};
@@ -0,0 +1,51 @@
+import axios from 'axios';
+import { API_BASE_URL } from '../config/api';
+
+// Read-only access to another user's portfolio through an access grant
+const delegatedAPI = axios.create({
+  baseURL: API_BASE_URL,
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+// Add token to requests
+delegatedAPI.interceptors.request.use((config) => {
+  const token = localStorage.getItem('token');
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+export const delegatedService = {
+  async getGrant(grantId) {
+    const response = await delegatedAPI.get(`/delegated/${grantId}`);
+    return response.data;
+  },
+
+  async getAssets(grantId) {
+    const response = await delegatedAPI.get(`/delegated/${grantId}/assets`);
+    return response.data;
+  },
+
+  async getAsset(grantId, assetId) {
+    const response = await delegatedAPI.get(`/delegated/${grantId}/assets/${assetId}`);
+    return response.data;
+  },
+
+  async getReport(grantId, report, params = {}) {
+    const response = await delegatedAPI.get(`/reports/${report}`, {
+      params: { ...params, delegation: grantId },
+    });
+    return response.data;
+  },
+
+  async downloadReportCsv(grantId, report, params = {}) {
+    const response = await delegatedAPI.get(`/reports/${report}`, {
+      params: { ...params, format: 'csv', delegation: grantId },
+      responseType: 'blob',
+    });
+    return response.data;
+  }
+};
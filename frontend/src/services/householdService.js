@@ -0,0 +1,55 @@
+import axios from 'axios';
+import { API_BASE_URL } from '../config/api';
+
+const householdAPI = axios.create({
+  baseURL: `${API_BASE_URL}/households`,
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+// Add token to requests
+householdAPI.interceptors.request.use((config) => {
+  const token = localStorage.getItem('token');
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+export const householdService = {
+  async getHousehold() {
+    const response = await householdAPI.get('/');
+    return response.data;
+  },
+
+  async createHousehold(name) {
+    const response = await householdAPI.post('/', { name });
+    return response.data;
+  },
+
+  async updateHousehold(name) {
+    const response = await householdAPI.put('/', { name });
+    return response.data;
+  },
+
+  async deleteHousehold() {
+    const response = await householdAPI.delete('/');
+    return response.data;
+  },
+
+  async addMember(email, role) {
+    const response = await householdAPI.post('/members', { email, role });
+    return response.data;
+  },
+
+  async updateMember(userId, role) {
+    const response = await householdAPI.put(`/members/${userId}`, { role });
+    return response.data;
+  },
+
+  async removeMember(userId) {
+    const response = await householdAPI.delete(`/members/${userId}`);
+    return response.data;
+  }
+};
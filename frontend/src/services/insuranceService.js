@@ -0,0 +1,40 @@
+import axios from 'axios';
+import { API_BASE_URL } from '../config/api';
+
+const insuranceAPI = axios.create({
+  baseURL: `${API_BASE_URL}/insurance-policies`,
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+// Add token to requests
+insuranceAPI.interceptors.request.use((config) => {
+  const token = localStorage.getItem('token');
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+export const insuranceService = {
+  async getPolicies() {
+    const response = await insuranceAPI.get('/');
+    return response.data;
+  },
+
+  async createPolicy(policyData) {
+    const response = await insuranceAPI.post('/', policyData);
+    return response.data;
+  },
+
+  async updatePolicy(id, policyData) {
+    const response = await insuranceAPI.put(`/${id}`, policyData);
+    return response.data;
+  },
+
+  async deletePolicy(id) {
+    const response = await insuranceAPI.delete(`/${id}`);
+    return response.data;
+  }
+};
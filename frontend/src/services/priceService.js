@@ -0,0 +1,30 @@
+import axios from 'axios';
+import { API_BASE_URL } from '../config/api';
+
+const priceAPI = axios.create({
+  baseURL: `${API_BASE_URL}/prices`,
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+// Add token to requests
+priceAPI.interceptors.request.use((config) => {
+  const token = localStorage.getItem('token');
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+export const priceService = {
+  async getQuote(symbol, date) {
+    const response = await priceAPI.get('/quote', { params: { symbol, date } });
+    return response.data;
+  },
+
+  async refreshPrices() {
+    const response = await priceAPI.post('/refresh', {});
+    return response.data;
+  }
+};
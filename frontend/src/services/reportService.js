@@ -18,28 +18,56 @@ reportAPI.interceptors.request.use((config) => {
 });
 
 export const reportService = {
-  async getPortfolioSummary() {
-    const response = await reportAPI.get('/portfolio-summary');
+  async getPortfolioSummary(view = 'share') {
+    const response = await reportAPI.get('/portfolio-summary', { params: { view } });
     return response.data;
   },
 
-  async getAssetPerformance() {
-    const response = await reportAPI.get('/asset-performance');
+  async getAssetPerformance(params = {}) {
+    const response = await reportAPI.get('/asset-performance', { params });
     return response.data;
   },
 
-  async getMonthlyGrowth() {
-    const response = await reportAPI.get('/monthly-growth');
+  async getRebalance(basis = 'category') {
+    const response = await reportAPI.get('/rebalance', { params: { basis } });
     return response.data;
   },
 
-  async exportAssets(format = 'json') {
-    const response = await reportAPI.get(`/export?format=${format}`);
+  async getCoverageGaps() {
+    const response = await reportAPI.get('/coverage-gaps');
+    return response.data;
+  },
+
+  async getEstateSummary() {
+    const response = await reportAPI.get('/estate-summary');
+    return response.data;
+  },
+
+  async getProjection(options = {}) {
+    const response = await reportAPI.post('/projection', options);
+    return response.data;
+  },
+
+  async getMonthlyGrowth(params = {}) {
+    const response = await reportAPI.get('/monthly-growth', { params });
+    return response.data;
+  },
+
+  async exportAssets(format = 'json', view = 'share') {
+    const response = await reportAPI.get('/export', { params: { format, view } });
     return response.data;
   },
 
   async getTaxReport(year) {
-    const response = await reportAPI.get(`/tax-report?year=${year}`);
+    const response = await reportAPI.get('/tax-report', { params: { year } });
+    return response.data;
+  },
+
+  async exportTaxReportCsv(year) {
+    const response = await reportAPI.get('/tax-report', {
+      params: { year, format: 'csv' },
+      responseType: 'blob',
+    });
     return response.data;
   }
 };
@@ -0,0 +1,55 @@
+import axios from 'axios';
+import { API_BASE_URL } from '../config/api';
+
+const shareLinkAPI = axios.create({
+  baseURL: `${API_BASE_URL}/share-links`,
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+// Add token to requests
+shareLinkAPI.interceptors.request.use((config) => {
+  const token = localStorage.getItem('token');
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+// Shared reports are opened without logging in, so no token is sent
+const sharedReportAPI = axios.create({
+  baseURL: `${API_BASE_URL}/reports/shared`,
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+export const shareLinkService = {
+  async getLinks() {
+    const response = await shareLinkAPI.get('/');
+    return response.data;
+  },
+
+  async createLink(linkData) {
+    const response = await shareLinkAPI.post('/', linkData);
+    return response.data;
+  },
+
+  async revokeLink(id) {
+    const response = await shareLinkAPI.delete(`/${id}`);
+    return response.data;
+  },
+
+  async getSharedReport(token, password) {
+    const response = await sharedReportAPI.post(`/${token}`, { password });
+    return response.data;
+  },
+
+  async downloadSharedExport(token, password) {
+    const response = await sharedReportAPI.post(`/${token}`, { password, format: 'csv' }, {
+      responseType: 'blob',
+    });
+    return response.data;
+  }
+};
@@ -0,0 +1,40 @@
+import axios from 'axios';
+import { API_BASE_URL } from '../config/api';
+
+const tagAPI = axios.create({
+  baseURL: `${API_BASE_URL}/tags`,
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+// Add token to requests
+tagAPI.interceptors.request.use((config) => {
+  const token = localStorage.getItem('token');
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+export const tagService = {
+  async getTags() {
+    const response = await tagAPI.get('/');
+    return response.data;
+  },
+
+  async createTag(tagData) {
+    const response = await tagAPI.post('/', tagData);
+    return response.data;
+  },
+
+  async updateTag(id, tagData) {
+    const response = await tagAPI.put(`/${id}`, tagData);
+    return response.data;
+  },
+
+  async deleteTag(id) {
+    const response = await tagAPI.delete(`/${id}`);
+    return response.data;
+  }
+};
@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+
+/**
+ * Backfill Valuations Script
+ * 
+ * Record an opening valuation for every asset that has none, so assets created
+ * before valuation history existed show up in growth reports
+ * Usage: node scripts/backfill-valuations.js
+ * 
+ * Each opening valuation is the asset's current value, dated the day it was
+ * created. Safe to run more than once.
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
+const { v4: uuidv4 } = require('uuid');
+const { query, closePool } = require('../backend/data/database');
+
+async function main() {
+  try {
+    const result = await query(`
+      SELECT a.id, a.user_id, a.current_value, a.created_at
+      FROM assets a
+      WHERE NOT EXISTS (SELECT 1 FROM asset_valuations v WHERE v.asset_id = a.id)
+    `);
+    
+    for (const asset of result.rows) {
+      await query(`
+        INSERT INTO asset_valuations (id, asset_id, user_id, value, as_of_date, source, note, created_at)
+        VALUES ($1, $2, $3, $4, COALESCE($5::date, CURRENT_DATE), 'initial', 'Opening value recorded by backfill', NOW())
+      `, [uuidv4(), asset.id, asset.user_id, asset.current_value, asset.created_at]);
+    }
+    
+    console.log(`✅ Recorded opening valuations for ${result.rows.length} assets`);
+  } catch (error) {
+    console.error('❌ Failed to backfill valuations:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+}
+
+main();
@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+
+/**
+ * Load FX Rates Script
+ * 
+ * Load shared exchange rates from a local CSV or JSON file
+ * Usage: node scripts/load-fx-rates.js <file>
+ * 
+ * CSV layout (with header): date,base,quote,rate
+ * JSON layout: [{ "date", "base", "quote", "rate" }] or { "date", "base", "rates": { "EUR": 0.92 } }
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
+const { loadRatesFromFile } = require('../backend/services/currencyService');
+const { closePool } = require('../backend/data/database');
+
+async function main() {
+  const filePath = process.argv[2] || process.env.FX_RATES_FILE;
+  
+  if (!filePath) {
+    console.log('Usage: node scripts/load-fx-rates.js <file>');
+    process.exit(1);
+  }
+  
+  try {
+    const loaded = await loadRatesFromFile(filePath);
+    console.log(`✅ Loaded ${loaded} FX rates from ${filePath}`);
+  } catch (error) {
+    console.error('❌ Failed to load FX rates:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+}
+
+main();
@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+
+/**
+ * Refresh Market Prices Script
+ * 
+ * Revalue every asset holding a symbol and quantity from the configured price
+ * provider and record the results as 'market' valuation snapshots
+ * Usage: node scripts/refresh-prices.js [YYYY-MM-DD]
+ * 
+ * Requires PRICE_PROVIDER / PRICES_FILE (see .env.example)
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
+const prices = require('../backend/services/prices');
+const { refreshMarketPrices } = require('../backend/services/priceRefresh');
+const { closePool } = require('../backend/data/database');
+const { closeRedisConnection } = require('../backend/config/redis');
+
+async function main() {
+  const date = process.argv[2];
+  
+  if (!prices.isEnabled()) {
+    console.log('No price provider configured. Set PRICES_FILE (and optionally PRICE_PROVIDER) first.');
+    process.exit(1);
+  }
+  
+  try {
+    const result = await refreshMarketPrices(date ? { date } : {});
+    result.updated.forEach(update => {
+      console.log(`  ${update.symbol.padEnd(10)} ${update.name}: ${update.previousValue} → ${update.value} ${update.currency}`);
+    });
+    result.skipped.forEach(skip => {
+      console.log(`  ⚠️  ${skip.name}: ${skip.reason}`);
+    });
+    console.log(`✅ Revalued ${result.updated.length} of ${result.checked} assets for ${result.date}`);
+  } catch (error) {
+    console.error('❌ Failed to refresh market prices:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await closeRedisConnection().catch(() => {});
+    await closePool();
+  }
+}
+
+main();
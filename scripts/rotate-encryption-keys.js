@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+
+/**
+ * Rotate Encryption Keys Script
+ *
+ * Usage:
+ *   node scripts/rotate-encryption-keys.js rewrap
+ *     Re-wrap all data keys under the current master key. Run after adding a
+ *     new master key; the previous key can be removed from config afterwards.
+ *
+ *   node scripts/rotate-encryption-keys.js data-keys [userId]
+ *     Issue new data keys and re-encrypt sensitive fields and documents for one
+ *     user or every user. Also encrypts data written before encryption was enabled.
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
+const {
+  findDocuments,
+  updateDocumentKeyVersion,
+  encryptDocumentContents,
+  decryptDocumentContents,
+  rewrapDataKeys,
+  rotateUserDataKey
+} = require('../backend/data/dataAccess');
+const { query, closePool } = require('../backend/data/database');
+const { getStorage } = require('../backend/services/storage');
+const { fileKeyVersion } = require('../backend/services/encryptionService');
+
+async function rotateDocuments(userId, version) {
+  const storage = getStorage();
+  const documents = await findDocuments({ userId });
+  let rotated = 0;
+
+  for (const document of documents) {
+    // The file header, not the row, says which key a document is under: a
+    // previous run may have stopped after saving a file but before the update
+    const stored = await storage.read(document.storageKey);
+    if (fileKeyVersion(stored) === version) {
+      if (document.keyVersion !== version) await updateDocumentKeyVersion(document.id, version);
+      continue;
+    }
+
+    const plaintext = await decryptDocumentContents(userId, stored);
+    const { contents, keyVersion } = await encryptDocumentContents(userId, plaintext);
+    await storage.save(document.storageKey, contents);
+    await updateDocumentKeyVersion(document.id, keyVersion);
+    rotated++;
+  }
+
+  return rotated;
+}
+
+const commands = {
+  async rewrap() {
+    const count = await rewrapDataKeys();
+    console.log(`✅ Re-wrapped ${count} data keys under the current master key`);
+  },
+
+  async 'data-keys'(userId) {
+    const userIds = userId
+      ? [userId]
+      : (await query('SELECT id FROM users ORDER BY created_at')).rows.map(row => row.id);
+
+    for (const id of userIds) {
+      const result = await rotateUserDataKey(id);
+      const documents = await rotateDocuments(id, result.version);
+      console.log(`🔑 ${id}: key v${result.version}, ${result.assets} assets, ${result.liabilities} liabilities, ${result.insurance_policies} policies, ${documents} documents re-encrypted`);
+    }
+
+    console.log(`✅ Rotated data keys for ${userIds.length} users`);
+  }
+};
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  if (!commands[command]) {
+    console.log('Usage: node scripts/rotate-encryption-keys.js <rewrap|data-keys> [userId]');
+    process.exit(1);
+  }
+
+  try {
+    await commands[command](...args);
+  } catch (error) {
+    console.error('❌ Key rotation failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+}
+
+main();